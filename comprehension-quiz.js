@@ -0,0 +1,101 @@
+// Comprehension check for Trust Game experiment
+// Builds quiz questions from the actual game parameters and scores each attempt
+
+const ComprehensionQuiz = {
+    /**
+     * Question bank. Each question has the roles it suits, its wording and the correct answer,
+     * both computed from { endowment, multiplier, send, returned }.
+     */
+    questions: {
+        partner_receives: {
+            roles: ['trustor'],
+            text: p => `If you send $${p.send}, how much does your partner receive from you?`,
+            answer: p => p.send * p.multiplier
+        },
+        trustor_keeps: {
+            roles: ['trustor'],
+            text: p => `If you send $${p.send}, how much do you keep?`,
+            answer: p => p.endowment - p.send
+        },
+        trustor_earnings: {
+            roles: ['trustor'],
+            text: p => `If you send $${p.send} and your partner sends back $${p.returned}, what are your earnings for the round?`,
+            answer: p => p.endowment - p.send + p.returned
+        },
+        trustee_receives: {
+            roles: ['trustee'],
+            text: p => `If your partner sends you $${p.send}, how much do you receive from them?`,
+            answer: p => p.send * p.multiplier
+        },
+        trustee_earnings: {
+            roles: ['trustee'],
+            text: p => `If your partner sends you $${p.send} and you send back $${p.returned}, what are your earnings for the round?`,
+            answer: p => p.endowment + p.send * p.multiplier - p.returned
+        },
+        sender_earnings: {
+            roles: ['trustee'],
+            text: p => `If your partner sends you $${p.send} and you send back $${p.returned}, what are your partner's earnings for the round?`,
+            answer: p => p.endowment - p.send + p.returned
+        }
+    },
+
+    /**
+     * Worked-example amounts for the questions: the possible send amount closest to half the endowment
+     * (never $0), and half of what that amount becomes after multiplication
+     */
+    exampleParams(endowment, multiplier, sendAmounts) {
+        const candidates = sendAmounts.filter(amount => amount > 0);
+        const send = candidates.length === 0 ? endowment
+            : candidates.reduce((best, amount) =>
+                (Math.abs(amount - endowment / 2) < Math.abs(best - endowment / 2) ? amount : best));
+        return {
+            endowment: endowment,
+            multiplier: multiplier,
+            send: send,
+            returned: Math.floor(send * multiplier / 2)
+        };
+    },
+
+    /**
+     * Build the questions for a participant
+     * @param {Array<string>} ids - Question IDs (comprehension.questions.trustor or .trustee in the configuration)
+     * @param {Object} params - Amounts from exampleParams()
+     * @returns {Array<Object>} id, text and answer of each question
+     */
+    build(ids, params) {
+        return ids.map(id => {
+            const question = this.questions[id];
+            if (!question) {
+                throw new Error(`Unknown comprehension question "${id}" (expected one of ${Object.keys(this.questions).join(', ')})`);
+            }
+            return {
+                id: id,
+                text: question.text(params),
+                answer: Math.round(question.answer(params) * 100) / 100
+            };
+        });
+    },
+
+    /**
+     * Score one attempt
+     * @param {Array<Object>} questions - From build()
+     * @param {Object} answers - Question ID -> number entered (null if left empty)
+     * @returns {Object} correct (question ID -> boolean) and passed (all correct)
+     */
+    score(questions, answers) {
+        const correct = {};
+        questions.forEach(question => {
+            const answer = answers[question.id];
+            correct[question.id] = typeof answer === 'number' && Math.abs(answer - question.answer) < 0.005;
+        });
+        return {
+            correct: correct,
+            passed: questions.every(question => correct[question.id])
+        };
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComprehensionQuiz;
+}
@@ -0,0 +1,172 @@
+// Condition assignment for Trust Game experiment
+// Reproducible between-subjects assignment with balanced randomization or Latin-square counterbalancing
+
+/**
+ * Small seeded pseudo-random number generator (mulberry32)
+ * so that assignment and stochastic partners can be replayed from a seed
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.state = SeededRandom.hashSeed(seed);
+    }
+
+    /**
+     * Hash any seed (number or string) to an unsigned 32-bit integer (FNV-1a)
+     */
+    static hashSeed(seed) {
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Bound next() for use wherever a Math.random-style function is expected
+     */
+    toFunction() {
+        return () => this.next();
+    }
+
+    /**
+     * Fisher-Yates shuffle of a copy of the array
+     */
+    shuffle(items) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+}
+
+class ConditionAssigner {
+    /**
+     * @param {Object} options - Assignment settings
+     * @param {string} options.method - 'balanced' (permuted blocks) or 'latin_square' (rotate through partner orders)
+     * @param {Array<Object>} options.conditions - Conditions, e.g. { id: 'high_multiplier', multiplier: 4, endowment: 10 }
+     * @param {number} options.partnerCount - Number of partner strategies to counterbalance (latin_square only)
+     */
+    constructor(options = {}) {
+        this.method = options.method || 'balanced';
+        this.conditions = options.conditions && options.conditions.length > 0
+            ? options.conditions
+            : [{ id: 'default' }];
+        this.partnerCount = options.partnerCount || 0;
+
+        if (!ConditionAssigner.METHODS.includes(this.method)) {
+            throw new Error(`Unknown assignment method: ${this.method} (expected ${ConditionAssigner.METHODS.join(' or ')})`);
+        }
+        if (this.method === 'latin_square' && this.partnerCount < 2) {
+            throw new Error('Latin-square counterbalancing needs at least two partner strategies');
+        }
+    }
+
+    /**
+     * Every assignable cell. For Latin-square counterbalancing each condition is
+     * crossed with every row of the square, i.e. every partner order.
+     */
+    getCells() {
+        if (this.method !== 'latin_square') {
+            return this.conditions.map(condition => Object.assign({}, condition));
+        }
+
+        const square = ConditionAssigner.latinSquare(this.partnerCount);
+        const cells = [];
+        this.conditions.forEach(condition => {
+            square.forEach((order, row) => {
+                cells.push(Object.assign({}, condition, {
+                    id: `${condition.id}_order${row + 1}`,
+                    partner_order: order
+                }));
+            });
+        });
+        return cells;
+    }
+
+    /**
+     * Assign a condition from a seed.
+     * Integer seeds (e.g. sequential participant numbers) are treated as the participant's
+     * position, which keeps cell sizes exactly balanced; other seeds are hashed first.
+     * @param {string|number} seed - Assignment seed
+     * @returns {Object} Assigned condition plus assignment metadata
+     */
+    assign(seed) {
+        const cells = this.getCells();
+        const position = ConditionAssigner.seedToPosition(seed);
+        let cell;
+
+        if (this.method === 'latin_square') {
+            cell = cells[position % cells.length];
+        } else {
+            // Permuted blocks: each block of cells.length participants receives every cell once
+            const block = Math.floor(position / cells.length);
+            const blockOrder = new SeededRandom(`block_${block}`).shuffle(cells);
+            cell = blockOrder[position % cells.length];
+        }
+
+        return Object.assign({}, cell, {
+            assignment_method: this.method,
+            assignment_seed: String(seed)
+        });
+    }
+
+    static seedToPosition(seed) {
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10);
+        }
+        return SeededRandom.hashSeed(text);
+    }
+
+    /**
+     * Latin square of partner orders (0-based indices).
+     * Uses a Williams design for an even number of partners, so that each partner
+     * also follows every other partner exactly once; a cyclic square otherwise.
+     */
+    static latinSquare(n) {
+        const rows = [];
+
+        if (n % 2 === 0) {
+            // First row 0, 1, n-1, 2, n-2, ... then shift every element by the row index
+            const firstRow = [0];
+            for (let i = 1, low = 1, high = n - 1; i < n; i++) {
+                firstRow.push(i % 2 === 1 ? low++ : high--);
+            }
+            for (let r = 0; r < n; r++) {
+                rows.push(firstRow.map(value => (value + r) % n));
+            }
+        } else {
+            for (let r = 0; r < n; r++) {
+                const row = [];
+                for (let c = 0; c < n; c++) {
+                    row.push((r + c) % n);
+                }
+                rows.push(row);
+            }
+        }
+
+        return rows;
+    }
+}
+
+ConditionAssigner.METHODS = ['balanced', 'latin_square'];
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, ConditionAssigner };
+}
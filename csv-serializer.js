@@ -0,0 +1,437 @@
+// CSV serialization for Trust Game experiment
+// One column dictionary and named output profiles shared by every exporter, with RFC 4180 escaping
+
+const CSVSerializer = {
+    /**
+     * Column dictionary: output name -> where the value comes from and what it means.
+     * A source is a dotted path into { data, trial, index, options } or a function of that context.
+     */
+    columns: {},
+
+    /**
+     * Named output profiles (ordered column lists)
+     * - local: files downloaded by the participant, saved to localStorage and stored in data/
+     * - datapipe: jsPsych-style file submitted to OSF DataPipe
+     */
+    profiles: {},
+
+    /**
+     * Add (or replace) a column in the dictionary
+     * @param {string} name - Output column name
+     * @param {string|Function} source - Dotted path (e.g. 'trial.amount_sent') or function(context)
+     * @param {string} description - Meaning of the column, used for the data dictionary
+     * @param {string} level - 'trial' if the value changes from row to row, else 'session'
+     *                         (defaults to 'trial' for trial.* and index sources)
+     */
+    defineColumn(name, source, description, level) {
+        if (!level) {
+            level = typeof source === 'string' && (source.startsWith('trial.') || source === 'index') ? 'trial' : 'session';
+        }
+        this.columns[name] = { name: name, source: source, description: description, level: level };
+    },
+
+    /**
+     * Resolve a column's value for one row
+     */
+    getValue(column, context) {
+        if (typeof column.source === 'function') {
+            return column.source(context);
+        }
+
+        return column.source.split('.').reduce(
+            (value, key) => (value === undefined || value === null ? undefined : value[key]),
+            context
+        );
+    },
+
+    /**
+     * Quote a field per RFC 4180: wrap in double quotes and double any embedded quotes.
+     * Every field is quoted, so commas, quotes and line breaks in values are all preserved.
+     */
+    escapeField(value) {
+        if (value === undefined || value === null) {
+            value = '';
+        } else if (typeof value === 'object') {
+            value = JSON.stringify(value);
+        }
+        return '"' + String(value).replace(/"/g, '""') + '"';
+    },
+
+    /**
+     * Column names of a profile
+     */
+    getColumns(profile) {
+        const names = this.profiles[profile];
+        if (!names) {
+            throw new Error(`Unknown CSV profile: ${profile} (expected one of ${Object.keys(this.profiles).join(', ')})`);
+        }
+        names.forEach(name => {
+            if (!this.columns[name]) {
+                throw new Error(`CSV profile "${profile}" uses undefined column: ${name}`);
+            }
+        });
+        return names;
+    },
+
+    /**
+     * Questionnaire items (see questionnaire.js) are exported after a profile's columns, one column per item ID
+     */
+    getQuestionnaireColumns(data) {
+        return data.questionnaire && data.questionnaire.responses ? Object.keys(data.questionnaire.responses) : [];
+    },
+
+    /**
+     * Serialize experiment data to CSV, one row per trial.
+     * A session without trials (e.g. ended at the comprehension check) gets one row with its session columns.
+     * @param {Object} data - Experiment data (participant_id, demographics, trials, summary, ...)
+     * @param {string} profile - Output profile name ('local' or 'datapipe')
+     * @param {Object} options - Extra values available to columns as options.* (e.g. experimentId)
+     * @returns {string} CSV text
+     */
+    serialize(data, profile = 'local', options = {}) {
+        const names = this.getColumns(profile);
+        const itemIds = this.getQuestionnaireColumns(data);
+        const trials = data.trials && data.trials.length > 0 ? data.trials : [{}];
+        const rows = trials.map((trial, index) => {
+            const context = { data: data, trial: trial, index: index, options: options };
+            return names.map(name => this.getValue(this.columns[name], context))
+                .concat(itemIds.map(id => data.questionnaire.responses[id]));
+        });
+
+        return [names.concat(itemIds), ...rows]
+            .map(row => row.map(field => this.escapeField(field)).join(','))
+            .join('\n');
+    },
+
+    /**
+     * Parse CSV text (RFC 4180: quoted fields, doubled quotes, embedded line breaks; LF or CRLF)
+     * @returns {Array<Array<string>>} Rows of fields
+     */
+    parse(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+            } else {
+                field += char;
+            }
+            i++;
+        }
+
+        if (inQuotes) {
+            throw new Error('Malformed CSV: unterminated quoted field');
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    },
+
+    /**
+     * Parse CSV text into objects keyed by the header row
+     */
+    parseObjects(text) {
+        const rows = this.parse(text);
+        if (rows.length === 0) return [];
+
+        const headers = rows[0];
+        return rows.slice(1).map(row => {
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = row[index] !== undefined ? row[index] : '';
+            });
+            return record;
+        });
+    },
+
+    /**
+     * Total time spent on a screen (ms) from data.timing, optionally only in one round of one game; null if never shown.
+     * Screens recorded before sessions had several games have no game and belong to the first.
+     */
+    screenDuration(timing, screen, round = null, game = null) {
+        const records = timing && timing.screens
+            ? timing.screens.filter(record => record.screen === screen && (round === null || record.round === round)
+                && (game === null || (record.game || 1) === game))
+            : [];
+        if (records.length === 0) {
+            return null;
+        }
+        return Math.round(records.reduce((sum, record) => sum + (record.duration || 0), 0) * 10) / 10;
+    },
+
+    /**
+     * Data dictionary for a profile: column names with their descriptions
+     */
+    getDataDictionary(profile = 'local') {
+        return this.getColumns(profile).map(name => ({
+            column: name,
+            description: this.columns[name].description
+        }));
+    }
+};
+
+[
+    // Session and participant
+    ['participant_id', 'data.participant_id', 'Unique identifier for the participant'],
+    ['experiment', 'data.experiment', "Name of the experiment ('trust_game')"],
+    ['version', 'data.version', 'Version of the experiment'],
+    ['participant_timestamp', 'data.timestamp', 'When the participant started'],
+    ['consent_version', 'data.consent.version', 'Version of the consent form the participant agreed to'],
+    ['consent_timestamp', 'data.consent.timestamp', 'When consent was given'],
+    ['recruitment_platform', 'data.recruitment.platform', 'Recruitment platform (none, prolific, mturk, sona or custom)'],
+    ['worker_id', 'data.recruitment.worker_id', 'Participant ID on the recruitment platform (e.g. PROLIFIC_PID, workerId)'],
+    ['study_id', 'data.recruitment.study_id', 'Study ID on the recruitment platform (e.g. STUDY_ID, hitId)'],
+    ['platform_session_id', 'data.recruitment.platform_session_id', 'Session or assignment ID on the recruitment platform (e.g. SESSION_ID, assignmentId)'],
+    ['duplicate_participation', 'data.recruitment.duplicate', 'Whether an earlier session by the same worker ID (or in the same browser) was found'],
+    ['duplicate_reason', 'data.recruitment.duplicate_reason', 'How the earlier session was matched: same_worker_id or same_browser'],
+    ['condition_id', 'data.condition.condition_id', 'Between-subjects condition the participant was assigned to'],
+    ['assignment_method', 'data.condition.assignment_method', 'How the condition was assigned (balanced or latin_square)'],
+    ['assignment_seed', 'data.condition.assignment_seed', 'Seed used for assignment (?seed= URL parameter, or the participant ID)'],
+    ['partner_order', 'data.condition.partner_order', 'Order in which the partner strategies were played (1-based)'],
+    ['multiplier', 'data.condition.multiplier', 'Multiplier of the assigned condition'],
+    ['endowment', 'data.condition.endowment', 'Endowment of the assigned condition'],
+    ['participant_group', 'data.condition.participant_group', "Participant's group, compared with partner groups (partner_profiles)"],
+    ['dyad_id', 'data.dyad.dyad_id', 'Shared ID of the two participants in a live two-player session'],
+    ['partner_participant_id', 'data.dyad.partner_participant_id', 'Participant ID of the live partner'],
+    ['fallback_reason', 'data.dyad.fallback_reason', 'Why a live session switched to a bot partner'],
+    ['session_id', context => (context.data.session && context.data.session.session_id) || context.options.sessionId,
+        'Session identifier, shared by all streamed chunks of the session (the OSF DataPipe session ID for older data)'],
+    ['resumed', 'data.session.resumed', 'Whether the session was restored after a page reload or crash'],
+    ['interruption_count', 'data.session.interruption_count', 'Number of times the session was resumed'],
+    ['comprehension_passed', 'data.comprehension.passed', 'Whether the comprehension check was passed (empty if it was not shown)'],
+    ['comprehension_attempts', context => (context.data.comprehension && context.data.comprehension.attempts
+        ? context.data.comprehension.attempts.length : null), 'Number of comprehension check attempts'],
+    ['comprehension_log', context => (context.data.comprehension && context.data.comprehension.attempts
+        ? context.data.comprehension.attempts.map(attempt => `${attempt.attempt}:` + Object.keys(attempt.answers).map(id =>
+            `${id}=${attempt.answers[id] === null ? '' : attempt.answers[id]}(${attempt.correct[id] ? 'correct' : 'incorrect'})`
+        ).join('|')).join(';') : null),
+        'Every comprehension answer as attempt:question=answer(correct|incorrect), questions separated by |, attempts by ;'],
+    ['age', 'data.demographics.age', 'Age'],
+    ['gender', 'data.demographics.gender', 'Gender'],
+    ['field', 'data.demographics.field', 'Field of study or profession'],
+
+    // Trial (trustor)
+    ['game', 'trial.game', 'Game the trial belongs to (trust, dictator, ultimatum or public_goods)'],
+    ['game_index', 'trial.game_index', 'Position of the game in the session (1-based)'],
+    ['round', 'trial.round', 'Round number within the game'],
+    ['amount_sent', 'trial.amount_sent', 'Amount participant sent to partner (trustor trials), gave (dictator), offered (ultimatum proposer) or contributed (public goods)'],
+    ['amount_kept', 'trial.amount_kept', 'Amount participant kept'],
+    ['partner_received', 'trial.partner_received', 'Amount partner received (trust: sent amount * multiplier + endowment; dictator and ultimatum: what the split left them)'],
+    ['amount_returned', 'trial.amount_returned', 'Amount partner sent back'],
+    ['final_earnings', 'trial.final_earnings', "Participant's earnings for that round"],
+    ['return_rate', 'trial.return_rate', "Partner's return rate"],
+    ['partner_strategy', 'trial.partner_strategy', 'Simulated partner strategy used in the round'],
+    ['partner_strategy_params', 'trial.partner_strategy_params', 'Strategy parameters as key=value pairs separated by ;'],
+    ['partner_type', 'trial.partner_type', 'Who the partner was: simulated, human, or bot_fallback'],
+    ['interaction', 'trial.interaction', 'Trust game trials: one_shot (a new partner every round) or repeated (the same partner in every round)'],
+    ['history_shown', 'trial.history_shown', 'Trust game trials: whether earlier rounds with the partner were shown on the decision screen'],
+    ['stopping_rule', 'trial.stopping_rule', 'Trust game trials: fixed (known number of rounds) or random (another round with continuation_probability)'],
+    ['continuation_probability', 'trial.continuation_probability', 'Trust game trials with random stopping: chance of another round after each round'],
+    ['profile_shown', 'trial.profile_shown', 'Trust game trials: partner profile items shown, separated by ; (empty without partner profiles)'],
+    ['partner_name', 'trial.partner_name', 'Name shown for the partner'],
+    ['partner_avatar', 'trial.partner_avatar', 'Avatar shown for the partner (image URL or text; generated for initials)'],
+    ['partner_group', 'trial.partner_group', 'Group shown for the partner'],
+    ['group_relation', 'trial.group_relation', "in_group or out_group: the partner's group compared with participant_group"],
+    ['partner_reputation', 'trial.partner_reputation', 'Reputation score shown for the partner'],
+    ['partner_return_history', 'trial.partner_return_history', 'Return rates from earlier games shown for the partner, separated by ;'],
+    ['belief_question', 'trial.belief_question', 'Trust game trials with beliefs: amount or probability (empty when $0 was sent)'],
+    ['belief_amount', 'trial.belief_amount', 'Amount the participant expected the partner to send back'],
+    ['belief_probability', 'trial.belief_probability', 'Expected chance (0-1) that the partner sends back at least the amount sent'],
+    ['belief_rt', 'trial.belief_rt', 'Time from the prediction screen being drawn to the prediction (ms)'],
+    ['belief_accuracy', 'trial.belief_accuracy', 'Accuracy of the prediction: 1 minus the squared (scaled) error'],
+    ['belief_scoring', 'trial.belief_scoring', 'How the prediction was paid: none, quadratic or binarized'],
+    ['belief_earnings', 'trial.belief_earnings', 'Earnings from the prediction, added to the bonus'],
+
+    // Trial (trustee)
+    ['role', 'trial.role', "Participant's role in the trial (trustor, trustee, dictator, proposer, responder, contributor or decision_maker)"],
+    ['sender_amount_sent', 'trial.sender_amount_sent', 'Trustee trials: amount the sender transferred'],
+    ['trustee_received', 'trial.trustee_received', 'Trustee trials: transfer after multiplication'],
+    ['trustee_amount_returned', 'trial.trustee_amount_returned', 'Trustee trials: amount the participant sent back'],
+    ['trustee_return_rate', 'trial.trustee_return_rate', 'Trustee trials: share of the received amount sent back'],
+    ['sender_final_earnings', 'trial.sender_final_earnings', "Trustee trials: sender's earnings for the round"],
+    ['response_method', 'trial.response_method', 'Trustee trials: direct or strategy_method'],
+    ['strategy_table', 'trial.strategy_table', 'Trustee trials with the strategy method: transfer:return pairs separated by ;'],
+
+    // Trial (other games)
+    ['offer_received', 'trial.offer_received', 'Ultimatum responder trials: amount the proposer offered'],
+    ['offer_accepted', 'trial.offer_accepted', 'Ultimatum trials: whether the offer was accepted'],
+    ['min_acceptable_offer', 'trial.min_acceptable_offer', 'Ultimatum proposer trials: smallest offer the simulated responder accepted'],
+    ['group_size', 'trial.group_size', 'Public goods trials: members in the group, including the participant'],
+    ['group_contribution', 'trial.group_contribution', 'Public goods trials: total contributed by the group'],
+    ['others_contributions', 'trial.others_contributions', 'Public goods trials: contribution of each simulated member, separated by ;'],
+    ['public_goods_share', 'trial.public_goods_share', "Public goods trials: participant's share of the multiplied project"],
+    ['risk_task', 'trial.risk_task', 'Risk task trials: holt_laury (multiple price list) or bomb (bomb risk task)'],
+    ['risk_choices', 'trial.risk_choices', 'Holt-Laury trials: option chosen in each row (A safe, B risky), separated by ;'],
+    ['risk_safe_choices', 'trial.risk_safe_choices', 'Holt-Laury trials: number of rows in which the safe option was chosen'],
+    ['risk_inconsistent', 'trial.risk_inconsistent', 'Holt-Laury trials: whether the choices switched back to the safe option or chose it in the last row'],
+    ['risk_paid_row', 'trial.risk_paid_row', 'Holt-Laury trials: row drawn for payment'],
+    ['risk_boxes_collected', 'trial.risk_boxes_collected', 'Bomb task trials: number of boxes collected'],
+    ['risk_bomb_box', 'trial.risk_bomb_box', 'Bomb task trials: box that held the bomb'],
+    ['risk_outcome', 'trial.risk_outcome', 'Risk task trials: high or low prize (Holt-Laury), safe or exploded (bomb task)'],
+    ['trial_timestamp', 'trial.timestamp', 'When the trial was completed'],
+    ['reaction_time', 'trial.reaction_time', 'Time from the decision screen being drawn to the decision (ms, 0.1 ms resolution)'],
+    ['time_elapsed', 'trial.time_elapsed', 'Time since the start of the session when the decision was made (ms)'],
+    ['feedback_duration', context => CSVSerializer.screenDuration(context.data.timing, 'feedback', context.trial.round, context.trial.game_index || 1),
+        "Time spent on the round's feedback screen (ms)", 'trial'],
+    ['fast_decision', 'trial.fast_decision', 'Whether the decision was faster than quality.min_decision_ms'],
+    ['tab_switches', 'trial.tab_switches', 'Times the page was hidden (tab switched or minimized) while the decision screen was shown'],
+    ['window_blurs', 'trial.window_blurs', 'Times the window lost focus while the decision screen was shown'],
+    ['window_resizes', 'trial.window_resizes', 'Times the window was resized while the decision screen was shown'],
+
+    // Summary
+    ['total_earnings', 'data.summary.total_earnings', 'Total earnings across all rounds of all games except the risk task'],
+    ['games', 'data.summary.games', 'Games played in the session, in order, separated by ;'],
+    ['average_amount_sent', 'data.summary.average_amount_sent', 'Average amount sent per round (trustor role)'],
+    ['trust_pattern', 'data.summary.trust_pattern', 'Classification of trust behavior (trustor role)'],
+    ['risk_aversion_index', 'data.summary.risk_aversion_index', 'Risk task: 0 (most risk seeking) to 1 (most risk averse)'],
+    ['risk_earnings', 'data.summary.risk_earnings', 'Risk task: lottery earnings, kept out of total_earnings and the payout'],
+    ['average_amount_returned', 'data.summary.average_amount_returned', 'Average amount sent back per round (trustee role)'],
+    ['reciprocity_pattern', 'data.summary.reciprocity_pattern', 'Classification of reciprocity behavior (trustee role)'],
+    ['dictator_average_given', 'data.summary.dictator_average_given', 'Average amount given per round (dictator game)'],
+    ['ultimatum_average_offer', 'data.summary.ultimatum_average_offer', 'Average offer made (proposer) or received (responder) per round (ultimatum game)'],
+    ['ultimatum_acceptance_rate', 'data.summary.ultimatum_acceptance_rate', 'Share of offers accepted (ultimatum game)'],
+    ['public_goods_average_contribution', 'data.summary.public_goods_average_contribution', 'Average contribution per round (public goods game)'],
+    ['mean_belief_accuracy', 'data.summary.mean_belief_accuracy', 'Average accuracy of the predictions (beliefs)'],
+    ['total_belief_earnings', 'data.summary.total_belief_earnings', 'Earnings from all predictions (beliefs)'],
+    ['payout_method', 'data.summary.payout_method', 'How the bonus was calculated (random_round or all_rounds; empty if no bonus)'],
+    ['payout_round', 'data.summary.payout_round', 'Round selected for payment (random_round)'],
+    ['payout_game', 'data.summary.payout_game', 'Game of the round selected for payment (random_round)'],
+    ['payout_earnings', 'data.summary.payout_earnings', 'Game earnings the bonus is based on'],
+    ['payout_belief_earnings', 'data.summary.payout_belief_earnings', 'Prediction earnings added to the bonus (the paid round, or all rounds)'],
+    ['bonus', 'data.summary.bonus', 'Bonus after conversion at the exchange rate and the cap'],
+    ['bonus_capped', 'data.summary.bonus_capped', 'Whether the bonus was reduced to the maximum'],
+    ['currency', 'data.summary.currency', 'Currency of the bonus'],
+    ['attention_checks', 'data.summary.attention_checks', 'Number of attention-check items answered'],
+    ['attention_checks_failed', 'data.summary.attention_checks_failed', 'Number of attention-check items answered incorrectly'],
+    ['fast_decisions', 'data.summary.fast_decisions', 'Number of decisions faster than quality.min_decision_ms'],
+    ['total_tab_switches', 'data.summary.total_tab_switches', 'Tab switches during decisions, all rounds'],
+    ['total_window_blurs', 'data.summary.total_window_blurs', 'Window focus losses during decisions, all rounds'],
+    ['total_window_resizes', 'data.summary.total_window_resizes', 'Window resizes during decisions, all rounds'],
+    ['quality_flags', 'data.summary.quality_flags', 'Data-quality problems separated by ; (failed_attention_check, fast_decisions, tab_switching, window_blur, window_resize, failed_comprehension, duplicate_participation)'],
+    ['quality_ok', 'data.summary.quality_ok', 'Whether no quality flag was raised (empty if quality monitoring was off)'],
+    ['instructions_duration', context => CSVSerializer.screenDuration(context.data.timing, 'instructions'),
+        'Time spent on the instructions (ms, all visits)'],
+    ['comprehension_duration', context => CSVSerializer.screenDuration(context.data.timing, 'comprehension'),
+        'Time spent on the comprehension check (ms, all attempts)'],
+    ['questionnaire_duration', context => CSVSerializer.screenDuration(context.data.timing, 'questionnaire'),
+        'Time spent on questionnaire pages, including demographics (ms)'],
+    ['event_log', context => (context.data.timing && context.data.timing.events
+        ? context.data.timing.events.map(event => `${event.time}:${event.type}:${event.name}`).join(';') : null),
+        'Every screen shown and button clicked as time:type:name (time in ms since the session started), separated by ;'],
+    ['completion_status', 'data.summary.completion_status', 'completed, or comprehension_failed if the session ended at the comprehension check'],
+    ['completion_time', 'data.summary.completion_time', 'When experiment was completed'],
+    ['session_duration', 'data.summary.session_duration', 'Time from the start of the session to its completion (ms)'],
+
+    // jsPsych / DataPipe names
+    ['trial_type', () => 'trust-game-trial', 'jsPsych trial type'],
+    ['trial_index', 'index', 'Zero-based index of the trial'],
+    ['rt', 'trial.reaction_time', 'Time from the decision screen being drawn to the decision (ms, 0.1 ms resolution)'],
+    ['experiment_id', 'options.experimentId', 'OSF DataPipe experiment ID'],
+    ['participant_age', 'data.demographics.age', 'Age'],
+    ['participant_gender', 'data.demographics.gender', 'Gender'],
+    ['participant_field', 'data.demographics.field', 'Field of study or profession'],
+    ['experiment_version', 'data.version', 'Version of the experiment'],
+    ['experiment_name', 'data.experiment', "Name of the experiment ('trust_game')"]
+].forEach(([name, source, description, level]) => CSVSerializer.defineColumn(name, source, description, level));
+
+CSVSerializer.profiles.local = [
+    'participant_id', 'experiment', 'version', 'participant_timestamp', 'consent_version', 'consent_timestamp',
+    'recruitment_platform', 'worker_id', 'study_id', 'platform_session_id', 'duplicate_participation', 'duplicate_reason',
+    'condition_id', 'assignment_method', 'assignment_seed', 'partner_order', 'multiplier', 'endowment', 'participant_group',
+    'dyad_id', 'partner_participant_id', 'fallback_reason', 'session_id', 'resumed', 'interruption_count',
+    'comprehension_passed', 'comprehension_attempts', 'comprehension_log',
+    'age', 'gender', 'field',
+    'game', 'game_index', 'round', 'amount_sent', 'amount_kept', 'partner_received', 'amount_returned', 'final_earnings',
+    'return_rate', 'partner_strategy', 'partner_strategy_params', 'partner_type',
+    'interaction', 'history_shown', 'stopping_rule', 'continuation_probability',
+    'profile_shown', 'partner_name', 'partner_avatar', 'partner_group', 'group_relation', 'partner_reputation', 'partner_return_history',
+    'belief_question', 'belief_amount', 'belief_probability', 'belief_rt', 'belief_accuracy', 'belief_scoring', 'belief_earnings',
+    'role', 'sender_amount_sent', 'trustee_received', 'trustee_amount_returned', 'trustee_return_rate',
+    'sender_final_earnings', 'response_method', 'strategy_table',
+    'offer_received', 'offer_accepted', 'min_acceptable_offer',
+    'group_size', 'group_contribution', 'others_contributions', 'public_goods_share',
+    'risk_task', 'risk_choices', 'risk_safe_choices', 'risk_inconsistent', 'risk_paid_row', 'risk_boxes_collected',
+    'risk_bomb_box', 'risk_outcome',
+    'trial_timestamp', 'reaction_time', 'time_elapsed', 'feedback_duration',
+    'fast_decision', 'tab_switches', 'window_blurs', 'window_resizes',
+    'total_earnings', 'games', 'average_amount_sent', 'trust_pattern', 'risk_aversion_index', 'risk_earnings',
+    'average_amount_returned', 'reciprocity_pattern',
+    'dictator_average_given', 'ultimatum_average_offer', 'ultimatum_acceptance_rate', 'public_goods_average_contribution',
+    'mean_belief_accuracy', 'total_belief_earnings',
+    'payout_method', 'payout_round', 'payout_game', 'payout_earnings', 'payout_belief_earnings', 'bonus', 'bonus_capped', 'currency',
+    'attention_checks', 'attention_checks_failed', 'fast_decisions', 'total_tab_switches', 'total_window_blurs',
+    'total_window_resizes', 'quality_flags', 'quality_ok',
+    'instructions_duration', 'comprehension_duration', 'questionnaire_duration', 'event_log',
+    'completion_status', 'completion_time', 'session_duration'
+];
+
+CSVSerializer.profiles.datapipe = [
+    'trial_type', 'trial_index', 'time_elapsed', 'rt', 'experiment_id', 'session_id', 'participant_id',
+    'recruitment_platform', 'worker_id', 'study_id', 'platform_session_id', 'duplicate_participation', 'duplicate_reason',
+    'condition_id', 'assignment_method', 'assignment_seed', 'partner_order', 'multiplier', 'endowment', 'participant_group',
+    'dyad_id', 'partner_participant_id', 'fallback_reason', 'resumed', 'interruption_count',
+    'comprehension_passed', 'comprehension_attempts', 'comprehension_log',
+    'game', 'game_index', 'round', 'amount_sent', 'amount_kept', 'partner_received', 'amount_returned', 'final_earnings',
+    'return_rate', 'partner_strategy', 'partner_strategy_params', 'partner_type',
+    'interaction', 'history_shown', 'stopping_rule', 'continuation_probability',
+    'profile_shown', 'partner_name', 'partner_avatar', 'partner_group', 'group_relation', 'partner_reputation', 'partner_return_history',
+    'belief_question', 'belief_amount', 'belief_probability', 'belief_rt', 'belief_accuracy', 'belief_scoring', 'belief_earnings',
+    'role', 'sender_amount_sent', 'trustee_received', 'trustee_amount_returned', 'trustee_return_rate',
+    'sender_final_earnings', 'response_method', 'strategy_table',
+    'offer_received', 'offer_accepted', 'min_acceptable_offer',
+    'group_size', 'group_contribution', 'others_contributions', 'public_goods_share',
+    'risk_task', 'risk_choices', 'risk_safe_choices', 'risk_inconsistent', 'risk_paid_row', 'risk_boxes_collected',
+    'risk_bomb_box', 'risk_outcome',
+    'trial_timestamp', 'feedback_duration', 'fast_decision', 'tab_switches', 'window_blurs', 'window_resizes',
+    'participant_age', 'participant_gender', 'participant_field',
+    'experiment_version', 'experiment_name', 'participant_timestamp', 'consent_version', 'consent_timestamp',
+    'total_earnings', 'games', 'average_amount_sent', 'trust_pattern', 'risk_aversion_index', 'risk_earnings',
+    'average_amount_returned', 'reciprocity_pattern',
+    'dictator_average_given', 'ultimatum_average_offer', 'ultimatum_acceptance_rate', 'public_goods_average_contribution',
+    'mean_belief_accuracy', 'total_belief_earnings',
+    'payout_method', 'payout_round', 'payout_game', 'payout_earnings', 'payout_belief_earnings', 'bonus', 'bonus_capped', 'currency',
+    'attention_checks', 'attention_checks_failed', 'fast_decisions', 'total_tab_switches', 'total_window_blurs',
+    'total_window_resizes', 'quality_flags', 'quality_ok',
+    'instructions_duration', 'comprehension_duration', 'questionnaire_duration', 'event_log',
+    'completion_status', 'completion_time', 'session_duration'
+];
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVSerializer;
+}
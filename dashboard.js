@@ -0,0 +1,202 @@
+// Researcher dashboard for Trust Game experiment
+// Loads session files or the browser's saved sessions, shows summary statistics and exports a merged dataset
+
+const RT_BIN_MS = 1000; // Reaction time histogram bin width
+const RT_MAX_MS = 10000; // Slower decisions share the last bin
+
+class ResearcherDashboard {
+    constructor() {
+        this.container = document.getElementById('content');
+        this.sessions = [];
+        this.duplicates = [];
+        this.errors = [];
+        this.render();
+    }
+
+    /**
+     * Add sessions and re-merge everything loaded so far
+     */
+    addSessions(sessions) {
+        const merged = DataAggregator.merge(this.sessions.concat(sessions));
+        this.sessions = merged.sessions;
+        this.duplicates = this.duplicates.concat(merged.duplicates);
+    }
+
+    /**
+     * Read dropped or selected files (CSV or JSON)
+     * @param {FileList} files
+     */
+    async loadFiles(files) {
+        for (const file of Array.from(files)) {
+            try {
+                this.addSessions(DataAggregator.fromFile(file.name, await file.text()));
+            } catch (error) {
+                this.errors.push(`${file.name}: ${error.message}`);
+            }
+        }
+        this.render();
+    }
+
+    /**
+     * Sessions saved in this browser by DataSubmitter when every submission backend failed
+     */
+    loadSavedData() {
+        const savedData = new DataSubmitter([]).getAllSavedData();
+        try {
+            this.addSessions(DataAggregator.fromSavedData(savedData));
+        } catch (error) {
+            this.errors.push(error.message);
+        }
+        if (savedData.length === 0) {
+            this.errors.push('No saved sessions were found in this browser.');
+        }
+        this.render();
+    }
+
+    clear() {
+        this.sessions = [];
+        this.duplicates = [];
+        this.errors = [];
+        this.render();
+    }
+
+    onDrop(event) {
+        event.preventDefault();
+        this.loadFiles(event.dataTransfer.files);
+    }
+
+    exportMerged() {
+        const blob = new Blob([DataAggregator.toCSV(this.sessions)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `trust_game_merged_${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <h1>Trust Game Data Dashboard</h1>
+
+            <div class="drop-zone" ondragover="event.preventDefault()" ondrop="dashboard.onDrop(event)">
+                <p>Drop session files here (CSV or JSON), or</p>
+                <input type="file" id="file-input" multiple accept=".csv,.json" onchange="dashboard.loadFiles(this.files)">
+            </div>
+
+            <div class="btn-group">
+                <button class="btn" onclick="dashboard.loadSavedData()">Load Sessions Saved in This Browser</button>
+                ${this.sessions.length > 0 ? `
+                <button class="btn" onclick="dashboard.exportMerged()">Export Merged Dataset (CSV)</button>
+                <button class="btn btn-secondary" onclick="dashboard.clear()">Clear</button>` : ''}
+            </div>
+
+            ${this.errors.map(error => `<div class="error-message"><p>${this.escape(error)}</p></div>`).join('')}
+            ${this.duplicates.length > 0 ? `
+            <div class="warning-message">
+                <p>${this.duplicates.length} session(s) were loaded more than once and counted once:</p>
+                <ul>${this.duplicates.map(duplicate => `<li>${this.escape(duplicate.key)} in ${this.escape(duplicate.source)} (kept from ${this.escape(duplicate.kept_source)})</li>`).join('')}</ul>
+            </div>` : ''}
+
+            ${this.sessions.length > 0 ? this.renderStatistics() : '<p class="participant-info">No data loaded yet.</p>'}
+        `;
+    }
+
+    renderStatistics() {
+        const rows = DataAggregator.tidyRows(this.sessions);
+        const rounds = DataAggregator.roundMeans(this.sessions);
+        const reactionTimes = DataAggregator.reactionTimes(this.sessions);
+        const conditions = DataAggregator.conditionBreakdown(this.sessions);
+
+        return `
+            <div class="results-display">
+                <p><strong>${this.sessions.length}</strong> session(s), <strong>${rows.length}</strong> row(s)
+                from ${new Set(this.sessions.map(session => session.source)).size} source(s)</p>
+            </div>
+
+            <h2>Per Round</h2>
+            <table class="data-table">
+                <tr><th>Round</th><th>Trustor trials</th><th>Mean sent</th><th>Mean returned by partner</th>
+                    <th>Trustee trials</th><th>Mean received</th><th>Mean returned</th></tr>
+                ${rounds.map(round => `
+                <tr><td>${round.round}</td><td>${round.trustor_n}</td><td>${this.format(round.mean_amount_sent)}</td>
+                    <td>${this.format(round.mean_amount_returned)}</td><td>${round.trustee_n}</td>
+                    <td>${this.format(round.mean_trustee_received)}</td><td>${this.format(round.mean_trustee_returned)}</td></tr>`).join('')}
+            </table>
+
+            <h2>Behavior Patterns</h2>
+            ${this.renderCounts('Trust pattern (trustors)', DataAggregator.countBy(this.sessions, 'trust_pattern'))}
+            ${this.renderCounts('Reciprocity pattern (trustees)', DataAggregator.countBy(this.sessions, 'reciprocity_pattern'))}
+
+            <h2>Reaction Times</h2>
+            ${this.renderReactionTimes('Trustor decisions', reactionTimes.trustor)}
+            ${this.renderReactionTimes('Trustee decisions', reactionTimes.trustee)}
+
+            <h2>Conditions</h2>
+            <table class="data-table">
+                <tr><th>Condition</th><th>Sessions</th><th>Completed</th><th>Mean sent</th><th>Mean returned by partner</th>
+                    <th>Mean returned (trustee)</th><th>Mean total earnings</th></tr>
+                ${conditions.map(condition => `
+                <tr><td>${this.escape(condition.condition_id)}</td><td>${condition.sessions}</td><td>${condition.completed}</td>
+                    <td>${this.format(condition.mean_amount_sent)}</td><td>${this.format(condition.mean_amount_returned)}</td>
+                    <td>${this.format(condition.mean_trustee_returned)}</td><td>${this.format(condition.mean_total_earnings)}</td></tr>`).join('')}
+            </table>
+        `;
+    }
+
+    /**
+     * Horizontal bar chart of counts
+     */
+    renderCounts(title, counts) {
+        const labels = Object.keys(counts);
+        if (labels.length === 0) return '';
+        const max = Math.max(...labels.map(label => counts[label]));
+        return `
+            <h3>${title}</h3>
+            <div class="bar-chart">
+                ${labels.map(label => this.renderBar(this.escape(label), counts[label], max)).join('')}
+            </div>
+        `;
+    }
+
+    renderReactionTimes(title, values) {
+        const stats = DataAggregator.describe(values);
+        if (stats.n === 0) return '';
+        const bins = DataAggregator.histogram(values, RT_BIN_MS, RT_MAX_MS);
+        const max = Math.max(...bins.map(bin => bin.count));
+        return `
+            <h3>${title}</h3>
+            <p>n = ${stats.n}, mean ${this.format(stats.mean / 1000)} s, median ${this.format(stats.median / 1000)} s,
+            SD ${this.format(stats.sd / 1000)} s, range ${this.format(stats.min / 1000)} - ${this.format(stats.max / 1000)} s</p>
+            <div class="bar-chart">
+                ${bins.map(bin => this.renderBar(
+                    bin.to === null ? `≥ ${bin.from / 1000} s` : `${bin.from / 1000} - ${bin.to / 1000} s`, bin.count, max
+                )).join('')}
+            </div>
+        `;
+    }
+
+    renderBar(label, count, max) {
+        return `
+            <div class="bar-row">
+                <span class="bar-label">${label}</span>
+                <span class="bar" style="width: ${max > 0 ? count / max * 70 : 0}%"></span>
+                <span class="bar-count">${count}</span>
+            </div>`;
+    }
+
+    format(value) {
+        return value === null || value === undefined ? '-' : value.toFixed(2);
+    }
+
+    escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
+
+let dashboard;
+document.addEventListener('DOMContentLoaded', function() {
+    dashboard = new ResearcherDashboard();
+});
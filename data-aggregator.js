@@ -0,0 +1,341 @@
+// Data aggregation for Trust Game experiment
+// Loads session files (CSV in any export profile, or the JSON download), merges them into long (one row per trial)
+// and wide (one row per session) datasets, and computes the statistics shown on the researcher dashboard
+
+const DataAggregator = {
+    /**
+     * Columns of other profiles that hold the same value as a local-profile column (e.g. rt -> reaction_time)
+     */
+    getAliases() {
+        const local = CSVSerializer.getColumns('local');
+        const aliases = {};
+        Object.values(CSVSerializer.columns).forEach(column => {
+            if (local.includes(column.name) || typeof column.source !== 'string') return;
+            const match = local.find(name => CSVSerializer.columns[name].source === column.source);
+            if (match) aliases[column.name] = match;
+        });
+        return aliases;
+    },
+
+    /**
+     * Rename the columns of a parsed row to local-profile names
+     */
+    normalizeRow(row, aliases) {
+        const normalized = {};
+        Object.keys(row).forEach(name => {
+            const target = aliases[name] || name;
+            if (normalized[target] === undefined || normalized[target] === '') {
+                normalized[target] = row[name];
+            }
+        });
+        return normalized;
+    },
+
+    /**
+     * Sessions in a CSV file (one file may hold several sessions, e.g. an earlier merged export)
+     * @param {string} text - CSV in the local or datapipe profile
+     * @param {string} source - File name or other origin, kept with each session
+     * @returns {Array<Object>} Sessions: { key, participant_id, source, rows }
+     */
+    fromCSV(text, source) {
+        const aliases = this.getAliases();
+        const sessions = new Map();
+        CSVSerializer.parseObjects(text).forEach(raw => {
+            const row = this.normalizeRow(raw, aliases);
+            if (!row.participant_id) {
+                throw new Error(`${source}: rows without participant_id (is this a Trust Game data file?)`);
+            }
+            const key = this.sessionKey(row);
+            if (!sessions.has(key)) {
+                sessions.set(key, { key: key, participant_id: row.participant_id, source: source, rows: [] });
+            }
+            sessions.get(key).rows.push(row);
+        });
+        return Array.from(sessions.values());
+    },
+
+    /**
+     * Sessions in a JSON download: one experiment data object or an array of them
+     */
+    fromJSON(text, source) {
+        const parsed = JSON.parse(text);
+        return [].concat(parsed).reduce(
+            (sessions, data) => sessions.concat(this.fromCSV(CSVSerializer.serialize(data, 'local'), source)),
+            []
+        );
+    },
+
+    /**
+     * Sessions in a file, chosen by extension
+     */
+    fromFile(name, text) {
+        return name.toLowerCase().endsWith('.json') ? this.fromJSON(text, name) : this.fromCSV(text, name);
+    },
+
+    /**
+     * Sessions from localStorage backups (DataSubmitter.getAllSavedData())
+     */
+    fromSavedData(savedData) {
+        return savedData.reduce(
+            (sessions, entry) => sessions.concat(this.fromCSV(entry.csvData, `browser: ${entry.participantId}`)),
+            []
+        );
+    },
+
+    /**
+     * A session is one participant ID in one session (older files without session_id: one start time)
+     */
+    sessionKey(row) {
+        return `${row.participant_id}|${row.session_id || row.participant_timestamp || ''}`;
+    },
+
+    /**
+     * Combine sessions from several sources; a session loaded twice is kept once
+     * @returns {Object} sessions and duplicates ({ key, source, kept_source })
+     */
+    merge(sessions) {
+        const merged = new Map();
+        const duplicates = [];
+        sessions.forEach(session => {
+            if (merged.has(session.key)) {
+                duplicates.push({ key: session.key, source: session.source, kept_source: merged.get(session.key).source });
+                return;
+            }
+            merged.set(session.key, session);
+        });
+        return { sessions: Array.from(merged.values()), duplicates: duplicates };
+    },
+
+    /**
+     * Trial rows of all sessions (sessions without trials keep their single row)
+     */
+    tidyRows(sessions) {
+        return sessions.reduce((rows, session) => rows.concat(session.rows), []);
+    },
+
+    /**
+     * Column order for the merged dataset: local-profile columns first, then any others (e.g. questionnaire items)
+     */
+    tidyColumns(rows) {
+        const seen = new Set();
+        rows.forEach(row => Object.keys(row).forEach(name => seen.add(name)));
+        const local = CSVSerializer.getColumns('local').filter(name => seen.has(name));
+        return local.concat(Array.from(seen).filter(name => !local.includes(name)));
+    },
+
+    /**
+     * Merged dataset as CSV, one row per trial (long format)
+     */
+    toCSV(sessions) {
+        const rows = this.tidyRows(sessions);
+        return this.formatCSV(this.tidyColumns(rows), rows);
+    },
+
+    /**
+     * Whether a column holds one value per trial (see CSVSerializer.defineColumn).
+     * Columns missing from the dictionary, such as questionnaire items, hold one value per session.
+     */
+    isTrialColumn(name) {
+        const column = CSVSerializer.columns[name];
+        return Boolean(column) && column.level === 'trial';
+    },
+
+    /**
+     * Merged dataset with one row per session (wide format): session columns once,
+     * then every trial column per round with an _r<round> suffix (amount_sent_r1, amount_sent_r2, ...);
+     * rounds of the second and later games of a session get _g<game_index>_r<round> (amount_sent_g2_r1)
+     * @returns {Object} columns and rows
+     */
+    wideRows(sessions) {
+        const tidyColumns = this.tidyColumns(this.tidyRows(sessions));
+        const sessionColumns = tidyColumns.filter(name => !this.isTrialColumn(name));
+        const trialColumns = tidyColumns.filter(name => this.isTrialColumn(name) && name !== 'round');
+        const trials = this.tidyRows(sessions).filter(row => this.number(row.round) !== null);
+        const suffixes = Array.from(new Set(trials
+            .sort((a, b) => this.gameIndexOf(a) - this.gameIndexOf(b) || this.number(a.round) - this.number(b.round))
+            .map(row => this.trialSuffix(row))));
+
+        const columns = sessionColumns.concat(...suffixes.map(suffix => trialColumns.map(name => `${name}${suffix}`)));
+        const rows = sessions.map(session => {
+            const row = {};
+            sessionColumns.forEach(name => {
+                row[name] = session.rows[0][name];
+            });
+            session.rows.filter(trial => this.number(trial.round) !== null).forEach(trial => {
+                trialColumns.forEach(name => {
+                    row[`${name}${this.trialSuffix(trial)}`] = trial[name];
+                });
+            });
+            return row;
+        });
+        return { columns: columns, rows: rows };
+    },
+
+    /**
+     * Wide-format suffix of a trial's columns (see wideRows())
+     */
+    trialSuffix(row) {
+        const gameIndex = this.gameIndexOf(row);
+        return `${gameIndex > 1 ? `_g${gameIndex}` : ''}_r${this.number(row.round)}`;
+    },
+
+    /**
+     * Merged dataset as CSV, one row per session
+     */
+    toWideCSV(sessions) {
+        const wide = this.wideRows(sessions);
+        return this.formatCSV(wide.columns, wide.rows);
+    },
+
+    formatCSV(columns, rows) {
+        return [columns, ...rows.map(row => columns.map(name => row[name]))]
+            .map(row => row.map(field => CSVSerializer.escapeField(field)).join(','))
+            .join('\n');
+    },
+
+    number(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    },
+
+    /**
+     * n, mean, median, sd, min and max of the numeric values (empty values are left out)
+     */
+    describe(values) {
+        const numbers = values.map(value => this.number(value)).filter(value => value !== null).sort((a, b) => a - b);
+        if (numbers.length === 0) {
+            return { n: 0, mean: null, median: null, sd: null, min: null, max: null };
+        }
+        const mean = numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+        const middle = Math.floor(numbers.length / 2);
+        const variance = numbers.length > 1
+            ? numbers.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (numbers.length - 1)
+            : 0;
+        return {
+            n: numbers.length,
+            mean: mean,
+            median: numbers.length % 2 ? numbers[middle] : (numbers[middle - 1] + numbers[middle]) / 2,
+            sd: Math.sqrt(variance),
+            min: numbers[0],
+            max: numbers[numbers.length - 1]
+        };
+    },
+
+    /**
+     * Trial role; files from before the trustee role have no role column and are trustor trials
+     */
+    roleOf(row) {
+        return row.role || 'trustor';
+    },
+
+    /**
+     * Game of a trial and its position in the session; files from before sessions had several games
+     * hold trust game trials only
+     */
+    gameOf(row) {
+        return row.game || 'trust';
+    },
+
+    gameIndexOf(row) {
+        return this.number(row.game_index) || 1;
+    },
+
+    /**
+     * Per-round means of the trust game: amount sent and returned by the partner (trustor trials),
+     * amount received and returned by the participant (trustee trials)
+     */
+    roundMeans(sessions) {
+        const byRound = new Map();
+        this.tidyRows(sessions).filter(row => this.number(row.round) !== null && this.gameOf(row) === 'trust').forEach(row => {
+            const round = this.number(row.round);
+            if (!byRound.has(round)) byRound.set(round, { trustor: [], trustee: [] });
+            byRound.get(round)[this.roleOf(row)].push(row);
+        });
+        return Array.from(byRound.keys()).sort((a, b) => a - b).map(round => {
+            const { trustor, trustee } = byRound.get(round);
+            return {
+                round: round,
+                trustor_n: trustor.length,
+                mean_amount_sent: this.describe(trustor.map(row => row.amount_sent)).mean,
+                mean_amount_returned: this.describe(trustor.map(row => row.amount_returned)).mean,
+                trustee_n: trustee.length,
+                mean_trustee_received: this.describe(trustee.map(row => row.trustee_received)).mean,
+                mean_trustee_returned: this.describe(trustee.map(row => row.trustee_amount_returned)).mean
+            };
+        });
+    },
+
+    /**
+     * Number of sessions per value of a session-level column (e.g. trust_pattern); empty values are not counted
+     */
+    countBy(sessions, column) {
+        const counts = {};
+        sessions.forEach(session => {
+            const value = session.rows[0][column];
+            if (value) counts[value] = (counts[value] || 0) + 1;
+        });
+        return counts;
+    },
+
+    /**
+     * Histogram of the numeric values with fixed-width bins; values at or above maxValue share the last bin
+     * @returns {Array<Object>} Bins: { from, to (null for the open last bin), count }
+     */
+    histogram(values, binWidth, maxValue) {
+        const binCount = Math.ceil(maxValue / binWidth);
+        const bins = Array.from({ length: binCount + 1 }, (value, index) => ({
+            from: index * binWidth,
+            to: index < binCount ? (index + 1) * binWidth : null,
+            count: 0
+        }));
+        values.map(value => this.number(value)).filter(value => value !== null).forEach(value => {
+            bins[Math.min(Math.max(Math.floor(value / binWidth), 0), binCount)].count++;
+        });
+        return bins;
+    },
+
+    /**
+     * Reaction times of all trials, per role
+     */
+    reactionTimes(sessions) {
+        const rows = this.tidyRows(sessions).filter(row => this.number(row.round) !== null);
+        return {
+            trustor: rows.filter(row => this.roleOf(row) === 'trustor').map(row => row.reaction_time),
+            trustee: rows.filter(row => this.roleOf(row) === 'trustee').map(row => row.reaction_time)
+        };
+    },
+
+    /**
+     * Sessions and mean outcomes per condition
+     */
+    conditionBreakdown(sessions) {
+        const byCondition = new Map();
+        sessions.forEach(session => {
+            const condition = session.rows[0].condition_id || '(none)';
+            if (!byCondition.has(condition)) byCondition.set(condition, []);
+            byCondition.get(condition).push(session);
+        });
+        return Array.from(byCondition.keys()).sort().map(condition => {
+            const conditionSessions = byCondition.get(condition);
+            const rows = this.tidyRows(conditionSessions).filter(row => this.number(row.round) !== null);
+            const trustor = rows.filter(row => this.roleOf(row) === 'trustor');
+            const trustee = rows.filter(row => this.roleOf(row) === 'trustee');
+            return {
+                condition_id: condition,
+                sessions: conditionSessions.length,
+                completed: conditionSessions.filter(session => (session.rows[0].completion_status || 'completed') === 'completed'
+                    && session.rows[0].completion_time).length,
+                mean_amount_sent: this.describe(trustor.map(row => row.amount_sent)).mean,
+                mean_amount_returned: this.describe(trustor.map(row => row.amount_returned)).mean,
+                mean_trustee_returned: this.describe(trustee.map(row => row.trustee_amount_returned)).mean,
+                mean_total_earnings: this.describe(conditionSessions.map(session => session.rows[0].total_earnings)).mean
+            };
+        });
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataAggregator;
+}
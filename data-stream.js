@@ -0,0 +1,97 @@
+// Per-trial data streaming for Trust Game experiment
+// Sends demographics, each completed trial and a final "complete" marker to an endpoint as they happen
+
+class DataStream {
+    /**
+     * @param {string} endpoint - URL that accepts JSON chunks by POST
+     */
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+        this.withdrawn = false; // Nothing more is sent once the participant withdraws
+
+        // Chunks go through their own outbox so a dropped connection only delays them
+        this.outbox = new SubmissionOutbox({
+            storageKey: 'trust_game_stream_outbox',
+            send: chunk => this.postChunk(chunk),
+            getKey: chunk => chunk.chunk_id
+        });
+        this.outbox.start();
+    }
+
+    /**
+     * Queue one chunk and try to deliver it right away.
+     * The chunk ID is derived from the session ID, type and index, so a chunk repeated after a reload is sent once.
+     * @param {Object} experimentData - Experiment data (participant_id, session, condition, ...)
+     * @param {string} type - 'demographics', 'trial', 'complete' or 'withdrawn'
+     * @param {number} index - Position of the chunk in the session (demographics 0, trials by round, complete last)
+     * @param {Object} payload - Chunk contents
+     */
+    push(experimentData, type, index, payload) {
+        if (this.withdrawn) return Promise.resolve(this.outbox.getStatus());
+
+        const sessionId = experimentData.session.session_id;
+        const chunk = {
+            chunk_id: `${sessionId}_${type}_${index}`,
+            chunk_type: type,
+            chunk_index: index,
+            session_id: sessionId,
+            participant_id: experimentData.participant_id,
+            experiment: experimentData.experiment,
+            version: experimentData.version,
+            condition_id: experimentData.condition.condition_id,
+            role: experimentData.condition.role,
+            sent_at: new Date().toISOString(),
+            data: payload
+        };
+
+        this.outbox.enqueue(chunk);
+        return this.outbox.flush();
+    }
+
+    /**
+     * Cancel the session's unsent chunks and send a "withdrawn" marker in their place,
+     * so chunks that already arrived can be deleted on the server
+     * @returns {number} Number of chunks that had already been delivered
+     */
+    withdraw(experimentData) {
+        const prefix = `${experimentData.session.session_id}_`;
+        const state = this.outbox.read();
+        state.queue
+            .filter(entry => entry.key.startsWith(prefix))
+            .forEach(entry => this.outbox.remove(entry.key));
+        const delivered = state.sent.filter(key => key.startsWith(prefix)).length;
+
+        this.push(experimentData, 'withdrawn', 0, { withdrawn_at: new Date().toISOString() });
+        this.withdrawn = true;
+        return delivered;
+    }
+
+    async postChunk(chunk) {
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(chunk),
+                keepalive: true // Lets the last chunk finish if the participant closes the tab
+            });
+
+            if (response.ok) {
+                return { success: true };
+            }
+            return {
+                success: false,
+                error: `Streaming endpoint error: ${response.status}`,
+                retryable: !(response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429)
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataStream;
+}
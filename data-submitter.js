@@ -1,116 +1,104 @@
 // Data submission utility for Trust Game experiment
-// Handles automatic data submission to repository
+// Sends finished sessions through the configured chain of submission backends
 
 class DataSubmitter {
-    constructor() {
-        this.githubConfig = {
-            owner: 'rempsyc',
-            repo: 'lab_copilot_demo_testing',
-            apiBase: 'https://api.github.com'
-        };
-        
-        // Initialize OSF DataPipe integration
-        this.osfDataPipe = new OSFDataPipe();
-        this.configureOSFDataPipe();
-        
-        // Try to detect if we're running in an environment with GitHub access
-        this.hasGitHubAccess = this.checkGitHubAccess();
-    }
-
     /**
-     * Configure OSF DataPipe with study settings
+     * @param {Array<Object>} backendSpecs - Ordered fallback chain from the submission.backends configuration
      */
-    configureOSFDataPipe() {
-        try {
-            this.osfDataPipe.configure({
-                experimentId: 'Cb1DhSdND5ek', // DataPipe experiment ID from OSF setup
-                studyId: null, // Will be auto-generated per session
-                sessionId: null // Will be auto-generated per participant
-            });
-        } catch (error) {
-            console.warn('Failed to configure OSF DataPipe:', error);
-        }
-    }
-    
-    /**
-     * Check if we have GitHub API access
-     */
-    checkGitHubAccess() {
-        // Check if we're on GitHub Pages or have a token available
-        const hostname = window.location.hostname;
-        return hostname.includes('github.io') || hostname.includes('githubusercontent.com');
+    constructor(backendSpecs = [{ type: 'osf_datapipe' }]) {
+        this.backends = backendSpecs.map(spec => SubmissionBackends.create(spec));
+        this.backends.forEach(backend => backend.start());
+        this.withdrawn = false;
     }
 
     /**
-     * Submit participant data using OSF DataPipe (primary method)
-     * Falls back to CSV download only if OSF DataPipe fails
+     * Submit participant data to each configured backend in order until one succeeds.
+     * Falls back to localStorage with a CSV download if all of them fail; failed backends keep retrying.
+     * When a later backend succeeds, the retries queued by the earlier ones are cancelled.
      */
     async submitData(participantData) {
-        try {
-            // Primary strategy: Try OSF DataPipe (recommended for research)
-            const osfResult = await this.submitViaOSFDataPipe(participantData);
-            if (osfResult.success) {
-                return osfResult;
+        if (this.withdrawn || participantData.withdrawn) {
+            return { success: false, method: 'withdrawn', message: 'Data was withdrawn by the participant and has not been submitted.' };
+        }
+
+        const filename = this.generateFilename(participantData.participant_id, participantData.timestamp);
+        const failures = [];
+
+        for (const [index, backend] of this.backends.entries()) {
+            let result;
+            try {
+                console.log(`Attempting data submission via ${backend.constructor.type}...`);
+                result = await backend.submit(participantData, filename);
+            } catch (error) {
+                result = { success: false, method: backend.constructor.type, error: error.message };
             }
-            
-            // Fallback: Save locally with CSV download option
-            this.saveToLocalStorage(participantData);
-            return {
-                success: false,
-                method: 'local_storage',
-                message: 'OSF DataPipe unavailable. Your data has been saved locally for download.',
-                showDownloadButton: true
-            };
 
-        } catch (error) {
-            console.error('Data submission error:', error);
-            // Fallback to local storage
-            this.saveToLocalStorage(participantData);
-            return {
-                success: false,
-                error: error.message,
-                fallback: true,
-                method: 'local_storage',
-                message: 'Data saved locally as fallback. Please download the CSV file.',
-                showDownloadButton: true
-            };
+            if (result.success) {
+                // The data is stored now, so the retries queued by the backends that failed are not needed
+                this.backends.slice(0, index).forEach(earlier => earlier.outbox.remove(earlier.getPayloadKey(participantData, filename)));
+                return result;
+            }
+            if (this.withdrawn) {
+                return { success: false, method: 'withdrawn', message: 'Data was withdrawn by the participant and has not been submitted.' };
+            }
+            console.warn(`${result.method} submission failed:`, result.error);
+            failures.push(Object.assign({ backendIndex: index }, result));
         }
-    }
 
+        // Fallback: Save locally with CSV download option
+        this.saveToLocalStorage(participantData);
+        const queued = failures.find(result => result.queued);
+        return {
+            success: false,
+            method: 'local_storage',
+            error: failures.map(result => `${result.method}: ${result.error}`).join('; '),
+            queued: Boolean(queued),
+            queuedBackend: queued ? queued.backendIndex : null,
+            filename: queued ? queued.filename : filename,
+            message: queued
+                ? 'The data server is unavailable. Your data has been saved and will be submitted automatically when the connection returns.'
+                : 'The data server is unavailable. Your data has been saved locally for download.',
+            showDownloadButton: true
+        };
+    }
+    
     /**
-     * Submit data via OSF DataPipe (primary and recommended method)
+     * Stop every submission of a session: cancel queued retries in all backends, delete the local
+     * backup, and refuse later submitData calls. Backends that already received the data are reported
+     * so the participant can be told to ask the researchers for deletion.
+     * @returns {Object} cancelled and delivered backend types
      */
-    async submitViaOSFDataPipe(participantData) {
-        try {
-            console.log('Attempting data submission via OSF DataPipe...');
-            
-            const result = await this.osfDataPipe.submitData(participantData);
-            
-            if (result.success) {
-                return {
-                    success: true,
-                    method: 'osf_datapipe',
-                    message: 'Data successfully submitted to OSF DataPipe! Your data has been securely saved to the Open Science Framework.',
-                    sessionId: result.sessionId,
-                    experimentId: result.experimentId,
-                    details: result.details
-                };
-            } else {
-                console.warn('OSF DataPipe submission failed:', result.error);
-                return { success: false, error: result.error || 'OSF DataPipe submission failed' };
+    withdraw(participantData) {
+        this.withdrawn = true;
+        const filename = this.generateFilename(participantData.participant_id, participantData.timestamp);
+        const cancelled = [];
+        const delivered = [];
+
+        this.backends.forEach(backend => {
+            const key = backend.getPayloadKey(participantData, filename);
+            if (backend.outbox.remove(key)) {
+                cancelled.push(backend.constructor.type);
+            }
+            if (backend.outbox.isSent(key)) {
+                delivered.push(backend.constructor.type);
             }
+        });
+
+        try {
+            localStorage.removeItem(`trust_game_data_${participantData.participant_id}`);
         } catch (error) {
-            console.warn('OSF DataPipe submission error:', error);
-            return { success: false, error: error.message };
+            console.warn('Could not remove local data backup:', error);
         }
+
+        return { cancelled: cancelled, delivered: delivered };
     }
-    
+
     /**
      * Get basic instructions for data submission fallback
      */
     getDataSubmissionInstructions() {
         return [
-            'OSF DataPipe submission failed.',
+            'Automatic data submission failed.',
             'Your data has been saved locally.',
             'Please download the CSV file using the button provided.',
             'Contact the researcher if you need assistance with data submission.'
@@ -118,58 +106,10 @@ class DataSubmitter {
     }
 
     /**
-     * Convert data to CSV format (same as in main experiment)
+     * Convert data to CSV format (local profile, same columns as the downloaded file)
      */
     convertToCSV(data) {
-        const headers = [
-            'participant_id',
-            'experiment',
-            'version', 
-            'participant_timestamp',
-            'age',
-            'gender',
-            'field',
-            'round',
-            'amount_sent',
-            'amount_kept',
-            'partner_received',
-            'amount_returned',
-            'final_earnings',
-            'return_rate',
-            'trial_timestamp',
-            'reaction_time',
-            'total_earnings',
-            'average_amount_sent',
-            'trust_pattern',
-            'completion_time'
-        ];
-        
-        const rows = data.trials.map(trial => [
-            data.participant_id,
-            data.experiment,
-            data.version,
-            data.timestamp,
-            data.demographics.age || '',
-            data.demographics.gender || '',
-            data.demographics.field || '',
-            trial.round,
-            trial.amount_sent,
-            trial.amount_kept,
-            trial.partner_received,
-            trial.amount_returned,
-            trial.final_earnings,
-            trial.return_rate,
-            trial.timestamp,
-            trial.reaction_time,
-            data.summary.total_earnings || '',
-            data.summary.average_amount_sent || '',
-            data.summary.trust_pattern || '',
-            data.summary.completion_time || ''
-        ]);
-        
-        return [headers, ...rows]
-            .map(row => row.map(field => `"${field}"`).join(','))
-            .join('\n');
+        return CSVSerializer.serialize(data, 'local');
     }
 
     /**
@@ -208,9 +148,16 @@ class DataSubmitter {
 
     /**
      * Generate filename for CSV data
+     * @param {string} participantId - Participant ID
+     * @param {string} startTime - Session start (ISO string); gives the same name on every retry. Defaults to now.
      */
-    generateFilename(participantId) {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '').replace('T', '_').slice(0, -1);
+    generateFilename(participantId, startTime) {
+        const timestamp = new Date(startTime || Date.now()).toISOString().replace(/[:.]/g, '').replace('T', '_').slice(0, -1);
         return `trust_game_data_${participantId}_${timestamp}.csv`;
     }
-}
\ No newline at end of file
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataSubmitter;
+}
@@ -0,0 +1,951 @@
+// Experiment configuration for Trust Game experiment
+// Loads experiment-config.json, fills in defaults and validates it against a schema
+
+const ExperimentConfig = {
+    defaultUrl: 'experiment-config.json',
+
+    /**
+     * Built-in configuration, equivalent to the original hardcoded game
+     */
+    defaults() {
+        return {
+            role: 'trustor',
+            endowment: 10,
+            multiplier: 3,
+            rounds: 5,
+            send_options: {
+                type: 'buttons',
+                amounts: [0, 5, 10]
+            },
+            trustee: {
+                response_method: 'direct',
+                sender_mode: 'sequence',
+                sender_amounts: [5, 10, 0, 10, 5]
+            },
+            repeated: {
+                enabled: false,
+                show_history: true,
+                stopping_rule: 'fixed',
+                continuation_probability: 0.8
+            },
+            multiplayer: {
+                enabled: false,
+                server_url: 'ws://localhost:8080/relay',
+                pairing_timeout_ms: 60000,
+                decision_timeout_ms: 120000
+            },
+            data_streaming: {
+                enabled: false,
+                endpoint: ''
+            },
+            submission: {
+                backends: [
+                    { type: 'osf_datapipe', experiment_id: 'Cb1DhSdND5ek' }
+                ]
+            },
+            partner_labels: [],
+            partner_strategies: [
+                { strategy: 'fixed', params: { rate: 0.3 } },
+                { strategy: 'fixed', params: { rate: 0.6 } },
+                { strategy: 'fixed', params: { rate: 0.1 } },
+                { strategy: 'fixed', params: { rate: 0.8 } },
+                { strategy: 'fixed', params: { rate: 0.4 } }
+            ],
+            partner_profiles: {
+                enabled: false,
+                show: ['name', 'avatar', 'group', 'reputation', 'return_history'],
+                participant_group: '',
+                reputation_max: 5,
+                reputation_label: 'Average rating from earlier participants',
+                profiles: []
+            },
+            beliefs: {
+                enabled: false,
+                question: 'amount',
+                scoring: 'none',
+                prize: 1,
+                amount_prompt: 'How much of the ${partner_receives} do you expect your partner to send back?',
+                probability_prompt: 'How likely is it that your partner sends back at least the ${amount_sent} you sent? Enter a chance from 0 to 100%.',
+                incentive_text: 'You can earn up to ${prize} extra for an accurate prediction.'
+            },
+            assignment: {
+                method: 'balanced',
+                conditions: []
+            },
+            instructions: {
+                title: 'Instructions',
+                rules: [
+                    'You start each round with <strong>${endowment}</strong>',
+                    'You can choose to send some amount ({send_options}) to your partner',
+                    'Any amount you send will be <strong>{multiplier_text}</strong> before your partner receives it',
+                    'Your partner can then choose to send some money back to you',
+                    'Your final earnings = (money you kept) + (money partner sends back)'
+                ],
+                trustee_rules: [
+                    'In each round, your partner and you both start with <strong>${endowment}</strong>',
+                    'Your partner can choose to send you some amount ({send_options})',
+                    'Any amount your partner sends will be <strong>{multiplier_text}</strong> before you receive it',
+                    'You then decide how much of the amount you received to send back to your partner',
+                    'Your final earnings = ${endowment} + (money you received) - (money you send back)'
+                ],
+                show_example: true,
+                closing: 'You will play this game for <strong>{rounds} rounds</strong> with different partners.',
+                repeated_closing: 'You will play this game for <strong>{rounds} rounds</strong> with the same partner.',
+                random_stopping_closing: 'You will play this game with the same partner. After each round there is a <strong>{continuation_percent}% chance</strong> of another round, so you will not know in advance which round is the last.'
+            },
+            consent: {
+                enabled: true,
+                version: '1.0',
+                title: 'Informed Consent',
+                paragraphs: [
+                    'You are invited to take part in a research study on decision-making conducted by the <strong>Center for Conflict and Cooperation</strong>.',
+                    'You will make decisions about sharing money with partners over {rounds} rounds. The study takes about 10 minutes.',
+                    'Your responses are stored under a random participant ID and are not linked to your name. Anonymised data may be shared with other researchers.',
+                    'Taking part is voluntary. You may stop at any time, and you can withdraw your data at the end of the study.'
+                ],
+                agree_label: 'I agree to take part',
+                decline_label: 'I do not agree',
+                declined_message: 'You have chosen not to take part. No data has been recorded or sent. You may now close this window.'
+            },
+            debrief: {
+                title: 'Debriefing',
+                paragraphs: [
+                    'Thank you for taking part. This study looks at how much people trust others with money and how that trust changes with experience.'
+                ],
+                simulated_partner_text: 'The partners in this study were not other participants. Their responses were generated by a computer program following preset strategies, so that everyone met the same range of partner behaviour. We could not tell you this beforehand because knowing it could have changed your decisions.',
+                human_partner_text: 'Your partner was another participant taking part at the same time, and the amounts they sent were their real decisions.',
+                fallback_partner_text: 'You started with another participant as your partner. Your partner left before the end, so for the remaining rounds their responses were generated by a computer program.',
+                contact: 'If you have questions about this study, please contact the research team and quote your participant ID.'
+            },
+            comprehension: {
+                enabled: true,
+                max_attempts: 3,
+                on_fail: 'end',
+                title: 'Comprehension Check',
+                intro: 'Before you start, please answer these questions about the game. Enter amounts in dollars.',
+                questions: {
+                    trustor: ['partner_receives', 'trustor_earnings'],
+                    trustee: ['trustee_receives', 'trustee_earnings']
+                },
+                failed_message: 'Unfortunately, your answers show that the rules of the game were not clear, so you cannot continue with this study. Thank you for your time.'
+            },
+            recruitment: {
+                platform: 'none',
+                worker_id_param: '',
+                extra_params: [],
+                duplicate_policy: 'flag',
+                match_browser: false,
+                duplicate_message: 'Our records show that you have already taken part in this study, so you cannot take part again. Thank you for your interest.',
+                completion_codes: {
+                    completed: '',
+                    comprehension_failed: ''
+                },
+                completion_url: '',
+                auto_redirect: false,
+                redirect_delay_ms: 5000
+            },
+            payout: {
+                method: 'none',
+                exchange_rate: 0.1,
+                currency: 'USD',
+                max_bonus: 0,
+                show_to_participant: true
+            },
+            questionnaires: {
+                pre_game: [
+                    { scale: 'demographics' }
+                ],
+                post_game: []
+            },
+            quality: {
+                enabled: true,
+                min_decision_ms: 1000,
+                max_fast_decisions: 1,
+                max_tab_switches: 0,
+                max_window_blurs: 2,
+                max_window_resizes: 0,
+                max_failed_attention_checks: 0
+            },
+            games: [
+                { type: 'trust' }
+            ]
+        };
+    },
+
+    /**
+     * Schema the configuration is validated against.
+     * Supported keywords: type, required, min, max, integer, enum, items, properties, $ref (a name in definitions;
+     * required is taken from the referring rule).
+     */
+    schema: {
+        type: 'object',
+        properties: {
+            role: { type: 'string', enum: ['trustor', 'trustee'], required: true },
+            endowment: { type: 'number', min: 0, required: true },
+            multiplier: { type: 'number', min: 0, required: true },
+            rounds: { type: 'number', integer: true, min: 1, required: true },
+            send_options: { $ref: 'send_options', required: true },
+            trustee: {
+                type: 'object',
+                properties: {
+                    response_method: { type: 'string', enum: ['direct', 'strategy_method'], required: true },
+                    sender_mode: { type: 'string', enum: ['sequence', 'random'], required: true },
+                    sender_amounts: { type: 'array', items: { type: 'number', min: 0 } }
+                }
+            },
+            repeated: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean', required: true },
+                    show_history: { type: 'boolean', required: true },
+                    stopping_rule: { type: 'string', enum: ['fixed', 'random'], required: true },
+                    continuation_probability: { type: 'number', min: 0, max: 1, required: true }
+                }
+            },
+            multiplayer: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean', required: true },
+                    server_url: { type: 'string', required: true },
+                    pairing_timeout_ms: { type: 'number', min: 0, required: true },
+                    decision_timeout_ms: { type: 'number', min: 0, required: true }
+                }
+            },
+            data_streaming: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean', required: true },
+                    endpoint: { type: 'string' }
+                }
+            },
+            submission: {
+                type: 'object',
+                properties: {
+                    backends: {
+                        type: 'array',
+                        required: true,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                type: { type: 'string', required: true },
+                                experiment_id: { type: 'string' },
+                                url: { type: 'string' },
+                                profile: { type: 'string', enum: ['local', 'datapipe'] },
+                                headers: { type: 'object' }
+                            }
+                        }
+                    }
+                }
+            },
+            partner_labels: { type: 'array', items: { type: 'string' } },
+            partner_strategies: { type: 'array', required: true, items: { $ref: 'partner_strategy' } },
+            partner_profiles: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean', required: true },
+                    show: { type: 'array', required: true, items: { type: 'string', enum: ['name', 'avatar', 'group', 'reputation', 'return_history'] } },
+                    participant_group: { type: 'string' },
+                    reputation_max: { type: 'number', min: 0, required: true },
+                    reputation_label: { type: 'string' },
+                    profiles: {
+                        type: 'array',
+                        required: true,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                name: { type: 'string' },
+                                avatar: { type: 'string' },
+                                group: { type: 'string' },
+                                reputation: { type: 'number', min: 0 },
+                                return_history: { type: 'array', items: { type: 'number', min: 0, max: 1 } }
+                            }
+                        }
+                    }
+                }
+            },
+            beliefs: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean', required: true },
+                    question: { type: 'string', enum: ['amount', 'probability'], required: true },
+                    scoring: { type: 'string', enum: ['none', 'quadratic', 'binarized'], required: true },
+                    prize: { type: 'number', min: 0, required: true },
+                    amount_prompt: { type: 'string' },
+                    probability_prompt: { type: 'string' },
+                    incentive_text: { type: 'string' }
+                }
+            },
+            assignment: {
+                type: 'object',
+                properties: {
+                    method: { type: 'string', enum: ['balanced', 'latin_square'] },
+                    seed: { type: 'string' },
+                    conditions: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                id: { type: 'string', required: true },
+                                role: { type: 'string', enum: ['trustor', 'trustee'] },
+                                endowment: { type: 'number', min: 0 },
+                                multiplier: { type: 'number', min: 0 },
+                                send_options: { $ref: 'send_options' },
+                                partner_strategies: { type: 'array', items: { $ref: 'partner_strategy' } },
+                                repeated: { type: 'boolean' },
+                                show_history: { type: 'boolean' },
+                                participant_group: { type: 'string' },
+                                profile_show: { type: 'array', items: { type: 'string', enum: ['name', 'avatar', 'group', 'reputation', 'return_history'] } }
+                            }
+                        }
+                    }
+                }
+            },
+            instructions: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string' },
+                    rules: { type: 'array', items: { type: 'string' } },
+                    trustee_rules: { type: 'array', items: { type: 'string' } },
+                    show_example: { type: 'boolean' },
+                    closing: { type: 'string' },
+                    repeated_closing: { type: 'string' },
+                    random_stopping_closing: { type: 'string' }
+                }
+            },
+            consent: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean', required: true },
+                    version: { type: 'string', required: true },
+                    title: { type: 'string' },
+                    paragraphs: { type: 'array', items: { type: 'string' } },
+                    agree_label: { type: 'string' },
+                    decline_label: { type: 'string' },
+                    declined_message: { type: 'string' }
+                }
+            },
+            debrief: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string' },
+                    paragraphs: { type: 'array', items: { type: 'string' } },
+                    simulated_partner_text: { type: 'string' },
+                    human_partner_text: { type: 'string' },
+                    fallback_partner_text: { type: 'string' },
+                    contact: { type: 'string' }
+                }
+            },
+            comprehension: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean', required: true },
+                    max_attempts: { type: 'number', integer: true, min: 1, required: true },
+                    on_fail: { type: 'string', enum: ['end', 'continue'], required: true },
+                    title: { type: 'string' },
+                    intro: { type: 'string' },
+                    questions: {
+                        type: 'object',
+                        required: true,
+                        properties: {
+                            trustor: { type: 'array', items: { type: 'string' } },
+                            trustee: { type: 'array', items: { type: 'string' } }
+                        }
+                    },
+                    failed_message: { type: 'string' }
+                }
+            },
+            recruitment: {
+                type: 'object',
+                properties: {
+                    platform: { type: 'string', enum: ['none', 'prolific', 'mturk', 'sona', 'custom'], required: true },
+                    worker_id_param: { type: 'string' },
+                    extra_params: { type: 'array', items: { type: 'string' } },
+                    duplicate_policy: { type: 'string', enum: ['allow', 'flag', 'block'], required: true },
+                    match_browser: { type: 'boolean' },
+                    duplicate_message: { type: 'string' },
+                    completion_codes: {
+                        type: 'object',
+                        properties: {
+                            completed: { type: 'string' },
+                            comprehension_failed: { type: 'string' }
+                        }
+                    },
+                    completion_url: { type: 'string' },
+                    auto_redirect: { type: 'boolean' },
+                    redirect_delay_ms: { type: 'number', integer: true, min: 0 }
+                }
+            },
+            payout: {
+                type: 'object',
+                properties: {
+                    method: { type: 'string', required: true },
+                    exchange_rate: { type: 'number', min: 0, required: true },
+                    currency: { type: 'string', required: true },
+                    max_bonus: { type: 'number', min: 0 },
+                    show_to_participant: { type: 'boolean' }
+                }
+            },
+            questionnaires: {
+                type: 'object',
+                properties: {
+                    pre_game: { type: 'array', required: true, items: { $ref: 'questionnaire_page' } },
+                    post_game: { type: 'array', required: true, items: { $ref: 'questionnaire_page' } }
+                }
+            },
+            quality: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean', required: true },
+                    min_decision_ms: { type: 'number', integer: true, min: 0, required: true },
+                    max_fast_decisions: { type: 'number', integer: true, min: 0, required: true },
+                    max_tab_switches: { type: 'number', integer: true, min: 0, required: true },
+                    max_window_blurs: { type: 'number', integer: true, min: 0, required: true },
+                    max_window_resizes: { type: 'number', integer: true, min: 0, required: true },
+                    max_failed_attention_checks: { type: 'number', integer: true, min: 0, required: true }
+                }
+            },
+            games: {
+                type: 'array',
+                required: true,
+                items: {
+                    type: 'object',
+                    properties: {
+                        type: { type: 'string', required: true },
+                        title: { type: 'string' },
+                        rounds: { type: 'number', integer: true, min: 1 },
+                        endowment: { type: 'number', min: 0 },
+                        multiplier: { type: 'number', min: 0 },
+                        send_options: { type: 'object' },
+                        role: { type: 'string', enum: ['proposer', 'responder'] },
+                        responder_min_offers: { type: 'array', items: { type: 'number', min: 0 } },
+                        proposer_offers: { type: 'array', items: { type: 'number', min: 0 } },
+                        group_size: { type: 'number', integer: true, min: 2 },
+                        other_players: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    strategy: { type: 'string', required: true },
+                                    params: { type: 'object' }
+                                }
+                            }
+                        },
+                        task: { type: 'string', enum: ['holt_laury', 'bomb'] },
+                        choice_rows: { type: 'number', integer: true, min: 2 },
+                        safe_prizes: { type: 'array', items: { type: 'number', min: 0 } },
+                        risky_prizes: { type: 'array', items: { type: 'number', min: 0 } },
+                        boxes: { type: 'number', integer: true, min: 1 },
+                        box_value: { type: 'number', min: 0 }
+                    }
+                }
+            }
+        }
+    },
+
+    /**
+     * Schema fragments used more than once ({ $ref: name })
+     */
+    definitions: {
+        send_options: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: ['buttons', 'slider'], required: true },
+                amounts: { type: 'array', items: { type: 'number', min: 0 } },
+                step: { type: 'number', min: 0 }
+            }
+        },
+        partner_strategy: {
+            type: 'object',
+            properties: {
+                strategy: { type: 'string', required: true },
+                params: { type: 'object' }
+            }
+        },
+        questionnaire_page: {
+            type: 'object',
+            properties: {
+                scale: { type: 'string' },
+                item_prefix: { type: 'string' },
+                id: { type: 'string' },
+                title: { type: 'string' },
+                intro: { type: 'string' },
+                items: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string', required: true },
+                            type: { type: 'string', enum: ['likert', 'choice', 'text', 'number'], required: true },
+                            text: { type: 'string', required: true },
+                            required: { type: 'boolean' },
+                            default: { type: 'string' },
+                            points: { type: 'number', integer: true, min: 2, max: 11 },
+                            labels: { type: 'array', items: { type: 'string' } },
+                            options: { type: 'array', items: { type: 'string' } },
+                            min: { type: 'number' },
+                            max: { type: 'number' },
+                            integer: { type: 'boolean' },
+                            multiline: { type: 'boolean' },
+                            max_length: { type: 'number', integer: true, min: 1 },
+                            correct: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        }
+    },
+
+    /**
+     * Fetch, merge with defaults and validate a configuration file.
+     * A missing default file falls back to the built-in configuration;
+     * an explicitly requested file that cannot be loaded, or any invalid file, is an error.
+     * @param {string} url - Configuration URL (defaults to experiment-config.json)
+     * @returns {Promise<Object>} Validated configuration
+     */
+    async load(url) {
+        const configUrl = url || this.defaultUrl;
+        let userConfig;
+
+        try {
+            const response = await fetch(configUrl, { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            userConfig = await response.text();
+        } catch (error) {
+            if (configUrl === this.defaultUrl) {
+                console.warn(`Could not load ${configUrl} (${error.message}); using built-in configuration`);
+                return this.defaults();
+            }
+            throw new Error(`Could not load experiment configuration "${configUrl}": ${error.message}`);
+        }
+
+        try {
+            userConfig = JSON.parse(userConfig);
+        } catch (error) {
+            throw new Error(`Experiment configuration "${configUrl}" is not valid JSON: ${error.message}`);
+        }
+
+        return this.resolve(userConfig, configUrl);
+    },
+
+    /**
+     * Merge a parsed configuration with the defaults and validate the result
+     * @param {Object} userConfig - Parsed configuration (may be partial)
+     * @param {string} source - Name used in error messages
+     * @returns {Object} Validated configuration
+     */
+    resolve(userConfig, source = 'configuration') {
+        const config = this.merge(this.defaults(), userConfig);
+        const validation = this.validate(config);
+
+        if (!validation.valid) {
+            const error = new Error(`Invalid experiment configuration "${source}":\n- ${validation.errors.join('\n- ')}`);
+            error.errors = validation.errors;
+            throw error;
+        }
+
+        return config;
+    },
+
+    /**
+     * URL of the configuration to load: ?config= parameter or the default file
+     */
+    getConfigUrl() {
+        return new URLSearchParams(window.location.search).get('config') || this.defaultUrl;
+    },
+
+    /**
+     * Deep-merge plain objects; arrays and scalars in the override replace the base value
+     */
+    merge(base, override) {
+        if (!this.isPlainObject(base) || !this.isPlainObject(override)) {
+            return override === undefined ? base : override;
+        }
+
+        const result = Object.assign({}, base);
+        Object.keys(override).forEach(key => {
+            result[key] = this.merge(base[key], override[key]);
+        });
+        return result;
+    },
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    /**
+     * Validate a (merged) configuration against the schema and game rules
+     * @returns {Object} valid flag and list of readable error messages
+     */
+    validate(config) {
+        const errors = [];
+        this.checkValue(config, this.schema, 'config', errors);
+
+        if (errors.length === 0) {
+            this.checkSendOptions(config.send_options, config.endowment, 'send_options', errors);
+            if (config.role === 'trustee') {
+                this.checkSenderAmounts(config.trustee, config.send_options, config.endowment, 'trustee.sender_amounts', errors);
+            }
+            if (config.repeated.stopping_rule === 'random' && config.multiplayer.enabled) {
+                errors.push('repeated.stopping_rule: both players of a live dyad must play the same rounds, so random stopping cannot be used with multiplayer');
+            }
+            if (config.data_streaming.enabled && !config.data_streaming.endpoint) {
+                errors.push('data_streaming.endpoint: is required when data_streaming is enabled');
+            }
+
+            config.submission.backends.forEach((spec, index) => {
+                if (typeof SubmissionBackends !== 'undefined' && !SubmissionBackends.registry[spec.type]) {
+                    errors.push(`submission.backends[${index}].type: unknown backend "${spec.type}" (expected one of ${Object.keys(SubmissionBackends.registry).join(', ')})`);
+                }
+                if (spec.type === 'http_post' && !spec.url) {
+                    errors.push(`submission.backends[${index}].url: is required for http_post`);
+                }
+            });
+
+            this.checkQuestionnaires(config.questionnaires, errors);
+
+            if (config.payout.method !== 'none' && typeof PayoutRules !== 'undefined' && !PayoutRules.methods[config.payout.method]) {
+                errors.push(`payout.method: unknown method "${config.payout.method}" (expected none, ${Object.keys(PayoutRules.methods).join(', ')})`);
+            }
+
+            const recruitment = config.recruitment;
+            if (recruitment.platform === 'prolific' && !recruitment.completion_codes.completed) {
+                errors.push('recruitment.completion_codes.completed: is required for prolific (the code participants are credited with)');
+            }
+            if ((recruitment.platform === 'sona' || recruitment.platform === 'custom') && recruitment.auto_redirect && !recruitment.completion_url) {
+                errors.push(`recruitment.completion_url: is required to redirect ${recruitment.platform} participants`);
+            }
+            if (recruitment.platform === 'custom' && !recruitment.worker_id_param) {
+                errors.push('recruitment.worker_id_param: is required for custom platforms');
+            }
+
+            ['trustor', 'trustee'].forEach(role => {
+                const ids = config.comprehension.questions[role] || [];
+                if (config.comprehension.enabled && ids.length === 0) {
+                    errors.push(`comprehension.questions.${role}: needs at least one question when comprehension is enabled`);
+                }
+                ids.forEach((id, index) => {
+                    if (typeof ComprehensionQuiz === 'undefined') return;
+                    const question = ComprehensionQuiz.questions[id];
+                    if (!question) {
+                        errors.push(`comprehension.questions.${role}[${index}]: unknown question "${id}" (expected one of ${Object.keys(ComprehensionQuiz.questions).join(', ')})`);
+                    } else if (!question.roles.includes(role)) {
+                        errors.push(`comprehension.questions.${role}[${index}]: "${id}" is a ${question.roles.join('/')} question`);
+                    }
+                });
+            });
+
+            this.checkStrategies(config.partner_strategies, 'partner_strategies', errors);
+
+            const ids = new Set();
+            (config.assignment.conditions || []).forEach((condition, index) => {
+                if (ids.has(condition.id)) {
+                    errors.push(`assignment.conditions[${index}].id: duplicate condition id "${condition.id}"`);
+                }
+                ids.add(condition.id);
+                if (condition.partner_strategies) {
+                    this.checkStrategies(condition.partner_strategies, `assignment.conditions[${index}].partner_strategies`, errors);
+                }
+
+                const sendOptions = condition.send_options || config.send_options;
+                const endowment = condition.endowment !== undefined ? condition.endowment : config.endowment;
+                this.checkSendOptions(sendOptions, endowment, `assignment.conditions[${index}].send_options`, errors);
+                if ((condition.role || config.role) === 'trustee') {
+                    this.checkSenderAmounts(config.trustee, sendOptions, endowment, `assignment.conditions[${index}]: trustee.sender_amounts`, errors);
+                }
+            });
+
+            if (config.assignment.method === 'latin_square' && config.partner_strategies.length < 2) {
+                errors.push('assignment.method: latin_square needs at least two partner_strategies');
+            }
+
+            this.checkPartnerProfiles(config, errors);
+            this.checkGames(config, errors);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors: errors
+        };
+    },
+
+    /**
+     * Send amounts must lie between 0 and the endowment they are taken from
+     */
+    checkSendOptions(sendOptions, endowment, path, errors) {
+        if (sendOptions.type === 'buttons') {
+            if (!Array.isArray(sendOptions.amounts) || sendOptions.amounts.length === 0) {
+                errors.push(`${path}.amounts: button mode needs at least one amount`);
+                return;
+            }
+            sendOptions.amounts.forEach((amount, index) => {
+                if (typeof amount !== 'number' || amount < 0 || amount > endowment) {
+                    errors.push(`${path}.amounts[${index}]: ${JSON.stringify(amount)} must be between 0 and the endowment (${endowment})`);
+                }
+            });
+        } else if (sendOptions.type === 'slider' && sendOptions.step !== undefined && sendOptions.step > endowment) {
+            errors.push(`${path}.step: ${sendOptions.step} is larger than the endowment (${endowment})`);
+        }
+    },
+
+    /**
+     * Games: known types, only the settings each game has, and amounts within the game's endowment.
+     * The trust game is set up by the top-level settings, and only it has a comprehension check and live partners.
+     */
+    checkGames(config, errors) {
+        if (config.games.length === 0) {
+            errors.push('games: needs at least one game');
+            return;
+        }
+        if (config.comprehension.enabled && config.games[0].type !== 'trust') {
+            errors.push('comprehension.enabled: the comprehension check is about the trust game, so it must be the first game');
+        }
+        if (config.multiplayer.enabled && (config.games.length > 1 || config.games[0].type !== 'trust')) {
+            errors.push('multiplayer.enabled: live partners can only play the trust game on its own');
+        }
+        if (typeof Games === 'undefined') {
+            return;
+        }
+
+        config.games.forEach((spec, index) => {
+            const path = `games[${index}]`;
+            const GameClass = Games.registry[spec.type];
+            if (!GameClass) {
+                errors.push(`${path}.type: unknown game "${spec.type}" (expected one of ${Object.keys(Games.registry).join(', ')})`);
+                return;
+            }
+            Object.keys(spec).filter(key => key !== 'type' && key !== 'title' && !(key in GameClass.defaults)).forEach(key => {
+                errors.push(spec.type === 'trust'
+                    ? `${path}.${key}: the trust game uses the top-level settings (role, endowment, multiplier, rounds, send_options)`
+                    : `${path}.${key}: is not a setting of the ${spec.type} game`);
+            });
+
+            const game = Object.assign({}, GameClass.defaults, spec);
+            if (game.send_options) {
+                if (!['buttons', 'slider'].includes(game.send_options.type)) {
+                    errors.push(`${path}.send_options.type: ${JSON.stringify(game.send_options.type)} is not one of "buttons", "slider"`);
+                } else {
+                    this.checkSendOptions(game.send_options, game.endowment, `${path}.send_options`, errors);
+                }
+            }
+            ['responder_min_offers', 'proposer_offers'].filter(key => game[key]).forEach(key => {
+                if (game[key].length === 0) {
+                    errors.push(`${path}.${key}: needs at least one amount`);
+                }
+                game[key].forEach((amount, amountIndex) => {
+                    if (amount > game.endowment) {
+                        errors.push(`${path}.${key}[${amountIndex}]: ${amount} is larger than the endowment (${game.endowment})`);
+                    }
+                });
+            });
+            if (game.other_players) {
+                if (game.other_players.length === 0) {
+                    errors.push(`${path}.other_players: needs at least one partner strategy`);
+                }
+                game.other_players.forEach((player, playerIndex) => {
+                    if (typeof PartnerStrategies !== 'undefined' && !PartnerStrategies.registry[player.strategy]) {
+                        errors.push(`${path}.other_players[${playerIndex}].strategy: unknown strategy "${player.strategy}" (expected one of ${Object.keys(PartnerStrategies.registry).join(', ')})`);
+                    }
+                });
+            }
+            ['safe_prizes', 'risky_prizes'].filter(key => game[key]).forEach(key => {
+                if (game[key].length !== 2 || game[key][0] < game[key][1]) {
+                    errors.push(`${path}.${key}: needs the high and the low prize, high first`);
+                }
+            });
+        });
+    },
+
+    /**
+     * Partner profiles must hold every item that is shown, by the configuration or by any condition;
+     * avatars are optional (a generated one is shown instead)
+     */
+    checkPartnerProfiles(config, errors) {
+        const settings = config.partner_profiles;
+        if (!settings.enabled) {
+            return;
+        }
+        if (settings.profiles.length === 0) {
+            errors.push('partner_profiles.profiles: needs at least one profile when partner profiles are enabled');
+            return;
+        }
+
+        const shown = new Set(settings.show);
+        (config.assignment.conditions || []).forEach(condition => (condition.profile_show || []).forEach(item => shown.add(item)));
+        settings.profiles.forEach((profile, index) => {
+            const path = `partner_profiles.profiles[${index}]`;
+            ['name', 'group', 'reputation', 'return_history'].filter(item => shown.has(item)).forEach(item => {
+                if (profile[item] === undefined || profile[item] === '' || (Array.isArray(profile[item]) && profile[item].length === 0)) {
+                    errors.push(`${path}.${item}: is required when ${item} is shown`);
+                }
+            });
+            if (profile.reputation > settings.reputation_max) {
+                errors.push(`${path}.reputation: ${profile.reputation} is larger than reputation_max (${settings.reputation_max})`);
+            }
+        });
+    },
+
+    /**
+     * Questionnaire pages: known scales, complete items, and item IDs that are unique and usable as CSV column names
+     */
+    checkQuestionnaires(questionnaires, errors) {
+        if (typeof Questionnaire === 'undefined') {
+            return;
+        }
+
+        const itemIds = new Set();
+        ['pre_game', 'post_game'].forEach(phase => {
+            questionnaires[phase].forEach((page, pageIndex) => {
+                const path = `questionnaires.${phase}[${pageIndex}]`;
+                if (page.scale && !Questionnaire.scales[page.scale]) {
+                    errors.push(`${path}.scale: unknown scale "${page.scale}" (expected one of ${Object.keys(Questionnaire.scales).join(', ')})`);
+                    return;
+                }
+                if (!page.scale && !page.id) {
+                    errors.push(`${path}.id: is required for pages without a scale`);
+                }
+
+                const resolved = Questionnaire.resolvePage(page);
+                if (resolved.items.length === 0) {
+                    errors.push(`${path}.items: needs at least one item`);
+                }
+                resolved.items.forEach((item, itemIndex) => {
+                    const itemPath = `${path}.items[${itemIndex}]`;
+                    if (!/^[a-z][a-z0-9_]*$/.test(item.id)) {
+                        errors.push(`${itemPath}.id: "${item.id}" must start with a letter and use only lowercase letters, digits and _`);
+                    } else if (itemIds.has(item.id)) {
+                        errors.push(`${itemPath}.id: duplicate item id "${item.id}" (set item_prefix to ask a scale twice)`);
+                    } else if (resolved.target === 'questionnaire' && typeof CSVSerializer !== 'undefined' && CSVSerializer.columns[item.id]) {
+                        errors.push(`${itemPath}.id: "${item.id}" is already a CSV column`);
+                    }
+                    itemIds.add(item.id);
+
+                    if (item.type === 'likert' && (!item.points || (item.labels && item.labels.length !== 2 && item.labels.length !== item.points))) {
+                        errors.push(`${itemPath}: likert items need points, and labels for the two endpoints or for every point`);
+                    }
+                    if (item.type === 'choice' && (!item.options || item.options.length < 2)) {
+                        errors.push(`${itemPath}.options: choice items need at least two options`);
+                    }
+                    if (item.type === 'number' && item.min !== undefined && item.max !== undefined && item.min > item.max) {
+                        errors.push(`${itemPath}: min (${item.min}) is larger than max (${item.max})`);
+                    }
+                    if (item.correct !== undefined && item.type === 'likert' && !(Number(item.correct) >= 1 && Number(item.correct) <= item.points)) {
+                        errors.push(`${itemPath}.correct: "${item.correct}" is not a point of the scale (1 to ${item.points})`);
+                    }
+                    if (item.correct !== undefined && item.type === 'choice' && item.options && !item.options.includes(item.correct)) {
+                        errors.push(`${itemPath}.correct: "${item.correct}" is not one of the options`);
+                    }
+                });
+            });
+        });
+    },
+
+    /**
+     * Partner strategies must be registered in PartnerStrategies
+     */
+    checkStrategies(specs, path, errors) {
+        specs.forEach((spec, index) => {
+            if (typeof PartnerStrategies !== 'undefined' && !PartnerStrategies.registry[spec.strategy]) {
+                errors.push(`${path}[${index}].strategy: unknown strategy "${spec.strategy}" (expected one of ${Object.keys(PartnerStrategies.registry).join(', ')})`);
+            }
+        });
+    },
+
+    /**
+     * Simulated senders (trustee role) can only send amounts a trustor could have chosen
+     */
+    checkSenderAmounts(trustee, sendOptions, endowment, path, errors) {
+        if (trustee.sender_mode !== 'sequence') {
+            return;
+        }
+        if (!Array.isArray(trustee.sender_amounts) || trustee.sender_amounts.length === 0) {
+            errors.push(`${path}: sequence mode needs at least one amount`);
+            return;
+        }
+
+        const possible = this.possibleSendAmounts(sendOptions, endowment);
+        trustee.sender_amounts.forEach((amount, index) => {
+            if (!possible.includes(amount)) {
+                errors.push(`${path}[${index}]: ${amount} is not one of the possible send amounts (${possible.join(', ')})`);
+            }
+        });
+    },
+
+    /**
+     * Every amount a trustor can send: the button amounts, or each slider step from 0 to the endowment
+     */
+    possibleSendAmounts(sendOptions, endowment) {
+        if (sendOptions.type === 'buttons') {
+            return sendOptions.amounts.slice();
+        }
+
+        const step = sendOptions.step || 1;
+        const amounts = [];
+        for (let i = 0; i * step <= endowment; i++) {
+            amounts.push(Math.round(i * step * 100) / 100);
+        }
+        return amounts;
+    },
+
+    /**
+     * Recursively check a value against a schema node, collecting messages
+     */
+    checkValue(value, rule, path, errors) {
+        if (rule.$ref) {
+            rule = Object.assign({}, this.definitions[rule.$ref], { required: rule.required });
+        }
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                errors.push(`${path}: is required`);
+            }
+            return;
+        }
+
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        if (actualType !== rule.type || (rule.type === 'number' && isNaN(value))) {
+            errors.push(`${path}: expected ${rule.type} but got ${actualType} ${JSON.stringify(value)}`);
+            return;
+        }
+
+        if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(`${path}: ${JSON.stringify(value)} is not one of ${rule.enum.map(option => `"${option}"`).join(', ')}`);
+        }
+        if (rule.integer && !Number.isInteger(value)) {
+            errors.push(`${path}: expected a whole number but got ${value}`);
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push(`${path}: ${value} is below the minimum of ${rule.min}`);
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            errors.push(`${path}: ${value} is above the maximum of ${rule.max}`);
+        }
+
+        if (rule.type === 'array' && rule.items) {
+            value.forEach((item, index) => this.checkValue(item, rule.items, `${path}[${index}]`, errors));
+        }
+
+        if (rule.type === 'object' && rule.properties) {
+            Object.keys(rule.properties).forEach(key => {
+                this.checkValue(value[key], rule.properties[key], `${path === 'config' ? '' : path + '.'}${key}`, errors);
+            });
+            Object.keys(value).forEach(key => {
+                if (!rule.properties[key]) {
+                    errors.push(`${path === 'config' ? '' : path + '.'}${key}: unknown setting`);
+                }
+            });
+        }
+    },
+
+    /**
+     * Replace {placeholders} in instruction copy with game values
+     */
+    fillTemplate(text, values) {
+        return text.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExperimentConfig;
+}
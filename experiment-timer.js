@@ -0,0 +1,122 @@
+// High-resolution timing for Trust Game experiment
+// Screen onsets synchronized with rendering, per-screen durations and a chronological event log
+
+class ExperimentTimer {
+    /**
+     * @param {Object} timing - data.timing: { start_time, events, screens }, filled in as the session runs
+     * @param {Function} clock - Current time in ms since the epoch, sub-millisecond where the browser allows
+     * @param {Function} frame - Runs a callback before the next repaint with the frame time (requestAnimationFrame)
+     */
+    constructor(timing, clock = ExperimentTimer.clock, frame = ExperimentTimer.frame) {
+        this.timing = timing;
+        this.clock = clock;
+        this.frame = frame;
+        if (this.timing.start_time === null) {
+            this.timing.start_time = clock();
+        }
+        this.current = this.timing.screens.length > 0 ? this.timing.screens[this.timing.screens.length - 1] : null;
+    }
+
+    /**
+     * performance.now() is relative to the page load; adding timeOrigin keeps times comparable across reloads
+     */
+    static clock() {
+        return performance.timeOrigin + performance.now();
+    }
+
+    static frame(callback) {
+        requestAnimationFrame(timestamp => callback(performance.timeOrigin + timestamp));
+    }
+
+    static round(ms) {
+        return Math.round(ms * 10) / 10;
+    }
+
+    /**
+     * Time since the session started (ms)
+     */
+    elapsed() {
+        return ExperimentTimer.round(this.clock() - this.timing.start_time);
+    }
+
+    /**
+     * A screen was put on the page. The previous screen ends now; the new screen's onset is the next frame,
+     * when it is actually drawn.
+     * @param {string} screen - Screen name (e.g. instructions, decision, feedback)
+     * @param {Object} details - game and round for game screens, page for questionnaire pages
+     */
+    screenShown(screen, details = {}) {
+        const shownAt = this.elapsed();
+        this.endScreen(shownAt);
+
+        const record = {
+            screen: screen,
+            game: details.game || null,
+            round: details.round || null,
+            page: details.page || null,
+            shown_at: shownAt,
+            onset: null,
+            duration: null
+        };
+        this.timing.screens.push(record);
+        this.current = record;
+        this.log('screen', screen, details);
+
+        this.frame(frameTime => {
+            if (record.onset === null) {
+                record.onset = ExperimentTimer.round(frameTime - this.timing.start_time);
+            }
+        });
+    }
+
+    /**
+     * The current screen ends, e.g. before the data is submitted while the next screen is still being built
+     */
+    endScreen(endedAt = this.elapsed()) {
+        if (this.current && this.current.duration === null) {
+            this.current.duration = ExperimentTimer.round(Math.max(0, endedAt - this.onsetOf(this.current)));
+        }
+    }
+
+    /**
+     * The page was reloaded: the screen shown before the interruption ends at its last logged event,
+     * so the time the page was closed does not count
+     */
+    resumed() {
+        const lastEvent = this.timing.events[this.timing.events.length - 1];
+        if (lastEvent) {
+            this.endScreen(lastEvent.time);
+        }
+        this.log('resumed', this.current ? this.current.screen : '');
+    }
+
+    onsetOf(record) {
+        return record.onset !== null ? record.onset : record.shown_at;
+    }
+
+    /**
+     * Time since the current screen was drawn (ms), e.g. the reaction time of a decision
+     */
+    sinceOnset() {
+        return this.current ? ExperimentTimer.round(this.elapsed() - this.onsetOf(this.current)) : 0;
+    }
+
+    /**
+     * Add an event to the log
+     * @param {string} type - screen, click, resumed, ...
+     * @param {string} name - Screen name, button label, ...
+     */
+    log(type, name, details = {}) {
+        this.timing.events.push(Object.assign({
+            time: this.elapsed(),
+            type: type,
+            name: name,
+            screen: this.current ? this.current.screen : null
+        }, details));
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExperimentTimer;
+}
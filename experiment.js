@@ -2,33 +2,284 @@
 // Vanilla JavaScript Implementation
 
 class TrustGameExperiment {
-    constructor() {
-        this.participantId = 'P' + Date.now() + '_' + Math.floor(Math.random() * 1000);
-        this.currentStep = 0;
-        this.data = {
+    /**
+     * @param {Object} config - Validated experiment configuration (see ExperimentConfig and experiment-config.json)
+     */
+    constructor(config = ExperimentConfig.defaults()) {
+        this.sessionStore = new SessionStore();
+        const savedSession = this.sessionStore.load();
+        
+        this.participantId = savedSession
+            ? savedSession.participantId
+            : 'P' + Date.now() + '_' + Math.floor(Math.random() * 1000);
+        this.currentStep = 'welcome';
+        this.data = this.createSessionData(config);
+        this.container = document.getElementById('content');
+        // Capture phase: the click is logged before the button's own handler changes the screen
+        this.container.addEventListener('click', event => {
+            const button = event.target.closest('button');
+            if (button) {
+                this.timer.log('click', button.textContent.replace(/\s+/g, ' ').trim());
+            }
+        }, true);
+        this.config = config;
+        this.games = config.games.map((spec, index) => Games.create(this, spec, index + 1));
+        this.gameIndex = 0; // Position in this.games of the game being played
+        this.currentRound = 0;
+        this.questionnairePosition = null; // { phase, page } while a questionnaire page is shown
+        this.assignCondition(config, savedSession ? savedSession.data.condition.assignment_seed : null);
+        this.totalRounds = this.games.reduce((sum, game) => sum + game.rounds, 0); // After assignment: random stopping draws from the assignment seed
+        this.multiplayer = null; // Relay connection when playing with a real partner
+        this.timer = new ExperimentTimer(this.data.timing); // Screen onsets, durations and the event log
+        this.qualityMonitor = config.quality.enabled ? new QualityMonitor(config.quality) : null;
+        if (this.qualityMonitor) {
+            this.qualityMonitor.start();
+        }
+        this.dataSubmitter = new DataSubmitter(config.submission.backends); // Initialize data submitter
+        this.dataStream = config.data_streaming.enabled ? new DataStream(config.data_streaming.endpoint) : null;
+        this.participationHistory = new ParticipationHistory();
+        this.redirectTimer = null;
+        if (!savedSession) {
+            this.startRecruitment();
+        }
+        
+        this.init(savedSession);
+    }
+    
+    /**
+     * Data of a new session of this participant: a new start time and session_id, and nothing collected yet
+     */
+    createSessionData(config) {
+        return {
             participant_id: this.participantId,
             timestamp: new Date().toISOString(),
             experiment: 'trust_game',
             version: '1.0',
+            recruitment: {},
+            consent: {},
+            comprehension: {},
+            condition: {},
+            dyad: {
+                dyad_id: '',
+                partner_participant_id: '',
+                partner_type: 'simulated',
+                fallback_reason: ''
+            },
+            session: {
+                session_id: 'S' + Date.now() + '_' + Math.random().toString(36).substr(2, 6),
+                resumed: false,
+                interruption_count: 0,
+                interruptions: []
+            },
             demographics: {},
+            questionnaire: {
+                responses: Questionnaire.emptyResponses(config.questionnaires.pre_game.concat(config.questionnaires.post_game)),
+                pages: []
+            },
+            timing: {
+                start_time: null,
+                events: [],
+                screens: []
+            },
             trials: [],
             summary: {}
         };
-        this.container = document.getElementById('content');
-        this.totalRounds = 5;
-        this.currentRound = 0;
-        this.decisionStartTime = 0; // Initialize reaction time tracking
-        this.dataSubmitter = new DataSubmitter(); // Initialize data submitter
+    }
+    
+    init(savedSession) {
+        if (savedSession) {
+            this.resumeSession(savedSession);
+        } else if (this.data.recruitment.duplicate && this.config.recruitment.duplicate_policy === 'block') {
+            this.showDuplicateParticipation();
+        } else {
+            this.showWelcome();
+        }
+    }
+    
+    /**
+     * Put a screen on the page and log it (see ExperimentTimer)
+     * @param {string} screen - Screen name in data.timing (e.g. instructions, decision, feedback)
+     * @param {string} html - Screen content
+     * @param {Object} details - round for game screens, page for questionnaire pages
+     */
+    render(screen, html, details = {}) {
+        this.container.innerHTML = html;
+        this.timer.screenShown(screen, details);
+    }
+    
+    /**
+     * Store the recruitment platform IDs from the URL (e.g. PROLIFIC_PID) in data.recruitment,
+     * flag repeat participation found in this browser's history, and add this session to the history
+     */
+    startRecruitment() {
+        const recruitment = this.config.recruitment;
+        this.data.recruitment = RecruitmentPlatforms.capture(recruitment, window.location.search);
         
-        this.init();
+        const previous = recruitment.duplicate_policy === 'allow'
+            ? { sessions: [], reason: '' }
+            : this.participationHistory.findPrevious(this.participantId, this.data.recruitment.worker_id, recruitment.match_browser);
+        Object.assign(this.data.recruitment, {
+            duplicate: previous.sessions.length > 0,
+            duplicate_reason: previous.sessions.length > 0 ? previous.reason : '',
+            previous_sessions: previous.sessions.map(entry => entry.participant_id)
+        });
+        
+        if (!(this.data.recruitment.duplicate && recruitment.duplicate_policy === 'block')) {
+            this.participationHistory.record(this.participantId, {
+                worker_id: this.data.recruitment.worker_id,
+                study_id: this.data.recruitment.study_id,
+                status: 'started'
+            });
+        }
     }
     
-    init() {
-        this.showWelcome();
+    /**
+     * Repeat participation with duplicate_policy "block": nothing is recorded or sent
+     */
+    showDuplicateParticipation() {
+        this.render('duplicate', `
+            <h2>Thank You</h2>
+            <div class="trust-scenario">
+                <p>${this.config.recruitment.duplicate_message}</p>
+            </div>
+        `);
+    }
+    
+    /**
+     * Persist progress so the session survives a reload; called whenever a screen is shown
+     * @param {string} step - Screen being shown (welcome, consent, instructions, comprehension, questionnaire, game_instructions, decision, feedback)
+     */
+    saveSession(step) {
+        this.currentStep = step;
+        this.sessionStore.save({
+            participantId: this.participantId,
+            step: step,
+            gameIndex: this.gameIndex,
+            currentRound: this.currentRound,
+            questionnaire: this.questionnairePosition,
+            rngState: this.rng.state,
+            data: this.data
+        });
+    }
+    
+    /**
+     * Restore a saved session after a reload or crash and return to the screen the participant was on.
+     * The interruption is recorded in data.session so data quality can be judged later.
+     */
+    resumeSession(savedSession) {
+        this.data = Object.assign({}, this.data, savedSession.data); // Sections added since the session was saved start empty
+        this.timer = new ExperimentTimer(this.data.timing);
+        this.timer.resumed();
+        this.gameIndex = savedSession.gameIndex || 0;
+        this.currentRound = savedSession.currentRound;
+        this.role = this.data.condition.role || this.role;
+        if (savedSession.rngState !== undefined) {
+            this.rng.state = savedSession.rngState;
+        }
+        
+        this.data.session.resumed = true;
+        this.data.session.interruption_count++;
+        this.data.session.interruptions.push({
+            resumed_at: new Date().toISOString(),
+            last_saved: savedSession.saved,
+            step: savedSession.step,
+            round: savedSession.currentRound
+        });
+        
+        // A live partner cannot be rejoined after a reload
+        if (this.data.dyad.partner_type === 'human') {
+            this.data.dyad.partner_type = 'bot_fallback';
+            this.data.dyad.fallback_reason = 'page_reload';
+            this.data.dyad.fallback_round = this.currentRound;
+        }
+        
+        if (savedSession.step === 'feedback' && this.data.trials.length > 0) {
+            this.showFeedback(this.data.trials[this.data.trials.length - 1]);
+        } else if (savedSession.step === 'decision') {
+            this.showDecision();
+        } else if (savedSession.step === 'game_instructions') {
+            this.showGameInstructions();
+        } else if (savedSession.step === 'questionnaire' && savedSession.questionnaire) {
+            this.showQuestionnaire(savedSession.questionnaire.phase, savedSession.questionnaire.page);
+        } else if (savedSession.step === 'demographics') {
+            this.showQuestionnaire('pre_game'); // Saved before questionnaires were configurable
+        } else if (savedSession.step === 'comprehension') {
+            this.showComprehension();
+        } else if (savedSession.step === 'instructions') {
+            this.showInstructions();
+        } else if (savedSession.step === 'consent') {
+            this.showConsent();
+        } else {
+            this.showWelcome();
+        }
+        
+        this.showToast('Welcome back! Continuing where you left off.');
+    }
+    
+    /**
+     * Send a chunk of data as soon as it exists, when data_streaming is enabled,
+     * so abandoned sessions still leave partial data. All chunks share data.session.session_id.
+     */
+    streamChunk(type, index, payload) {
+        if (!this.dataStream) return;
+        this.dataStream.push(this.data, type, index, payload);
+    }
+    
+    /**
+     * Assign the participant to a condition and apply its multiplier, endowment, send options, partner order,
+     * interaction mode (a new partner every round, or the same partner with or without the history shown)
+     * and the partner profile items and group shown.
+     * The same seed always yields the same condition and the same stochastic partner draws.
+     */
+    assignCondition(config, savedSeed) {
+        const seed = savedSeed
+            || config.assignment.seed
+            || new URLSearchParams(window.location.search).get('seed')
+            || this.participantId;
+        const partnerSpecs = config.partner_strategies;
+        const assigner = new ConditionAssigner({
+            method: config.assignment.method,
+            conditions: config.assignment.conditions,
+            partnerCount: partnerSpecs.length
+        });
+        const condition = assigner.assign(seed);
+        const partnerOrder = condition.partner_order || partnerSpecs.map((spec, index) => index);
+        
+        this.role = condition.role || config.role;
+        this.endowment = condition.endowment !== undefined ? condition.endowment : config.endowment;
+        this.multiplier = condition.multiplier !== undefined ? condition.multiplier : config.multiplier;
+        this.sendOptions = condition.send_options || config.send_options;
+        this.repeated = condition.repeated !== undefined ? condition.repeated : config.repeated.enabled;
+        this.showHistory = this.repeated && (condition.show_history !== undefined ? condition.show_history : config.repeated.show_history);
+        this.partnerStrategies = (condition.partner_strategies || partnerOrder.map(index => partnerSpecs[index]))
+            .map(spec => PartnerStrategies.create(spec));
+        this.partnerLabels = config.partner_labels.length > 0
+            ? partnerOrder.map(index => config.partner_labels[index % config.partner_labels.length])
+            : [];
+        const profiles = config.partner_profiles.profiles;
+        this.partnerProfiles = config.partner_profiles.enabled
+            ? partnerOrder.map(index => profiles[index % profiles.length])
+            : [];
+        this.profileShow = condition.profile_show || config.partner_profiles.show;
+        this.participantGroup = condition.participant_group !== undefined ? condition.participant_group : config.partner_profiles.participant_group;
+        this.rng = new SeededRandom(`${seed}_partners`);
+        this.random = this.rng.toFunction();
+        
+        this.data.condition = {
+            condition_id: condition.id,
+            assignment_method: condition.assignment_method,
+            assignment_seed: condition.assignment_seed,
+            partner_order: partnerOrder.map(index => index + 1).join('-'),
+            role: this.role,
+            multiplier: this.multiplier,
+            endowment: this.endowment,
+            participant_group: this.participantGroup
+        };
     }
     
     showWelcome() {
-        this.container.innerHTML = `
+        this.saveSession('welcome');
+        this.render('welcome', `
             <h1>Welcome to the Trust Game</h1>
             <p>Thank you for participating in this research study conducted by the <strong>Center for Conflict and Cooperation</strong>.</p>
             <div class="participant-info">
@@ -39,198 +290,614 @@ class TrustGameExperiment {
                    Your participation will help us understand how people make choices in interdependent situations.</p>
             </div>
             <div class="btn-group">
-                <button class="btn" onclick="experiment.showInstructions()">Continue</button>
+                <button class="btn" onclick="experiment.${this.config.consent.enabled ? 'showConsent' : 'showInstructions'}()">Continue</button>
             </div>
-        `;
+        `);
     }
     
-    showInstructions() {
-        this.container.innerHTML = `
-            <h2>Instructions</h2>
-            <div class="trust-scenario">
-                <p><strong>How the Trust Game works:</strong></p>
-                <div class="instructions">
-                    <ul>
-                        <li>You start each round with <strong>$10</strong></li>
-                        <li>You can choose to send some amount ($0, $5, or $10) to your partner</li>
-                        <li>Any amount you send will be <strong>tripled</strong> before your partner receives it</li>
-                        <li>Your partner can then choose to send some money back to you</li>
-                        <li>Your final earnings = (money you kept) + (money partner sends back)</li>
-                    </ul>
-                </div>
+    /**
+     * Informed consent, configured under consent in the experiment configuration
+     */
+    showConsent() {
+        const consent = this.config.consent;
+        // Under random stopping the drawn number of rounds must stay secret, so only the most there can be is given
+        const rounds = this.games.every(game => game.horizonKnown)
+            ? this.totalRounds
+            : `up to ${this.games.reduce((sum, game) => sum + game.maxRounds, 0)}`;
+        const values = { rounds: rounds, endowment: this.endowment, multiplier: this.multiplier };
+        
+        this.saveSession('consent');
+        this.render('consent', `
+            <h2>${consent.title}</h2>
+            <div class="trust-scenario consent-form">
+                ${consent.paragraphs.map(paragraph => `<p>${ExperimentConfig.fillTemplate(paragraph, values)}</p>`).join('')}
+                <p><small>Consent form version ${consent.version}</small></p>
             </div>
-            
+            <div class="btn-group">
+                <button class="btn" onclick="experiment.giveConsent()">${consent.agree_label}</button>
+                <button class="btn btn-secondary" onclick="experiment.declineConsent()">${consent.decline_label}</button>
+            </div>
+        `);
+    }
+    
+    giveConsent() {
+        this.data.consent = {
+            status: 'given',
+            version: this.config.consent.version,
+            timestamp: new Date().toISOString()
+        };
+        this.showInstructions();
+    }
+    
+    /**
+     * The participant declined: forget the session and end without recording or sending anything
+     */
+    declineConsent() {
+        this.declined = true;
+        this.sessionStore.clear();
+        this.participationHistory.remove(this.participantId);
+        this.render('consent_declined', `
+            <h2>Thank You</h2>
             <div class="trust-scenario">
-                <h3>Example:</h3>
-                <p>If you send $5:</p>
-                <ul>
-                    <li>You keep: $5</li>
-                    <li>Partner receives: $5 × 3 = $15 (plus their original $10 = $25 total)</li>
-                    <li>Partner might send back $0-$15 to you</li>
-                    <li><strong>Your final earnings: $5 + (amount partner sends back)</strong></li>
-                </ul>
+                <p>${this.config.consent.declined_message}</p>
             </div>
-            
-            <p style="text-align: center;">You will play this game for <strong>${this.totalRounds} rounds</strong> with different partners.</p>
+        `);
+    }
+    
+    /**
+     * Instructions of the first game, before the comprehension check and the pre-game questionnaires.
+     * With live partners the participant is paired first, since the relay assigns the role they are about.
+     */
+    showInstructions() {
+        if (this.config.multiplayer.enabled && this.data.dyad.partner_type === 'simulated') {
+            this.startMultiplayer();
+            return;
+        }
+        
+        const next = this.config.comprehension.enabled ? 'showComprehension()' : "showQuestionnaire('pre_game')";
+        
+        this.saveSession('instructions');
+        this.render('instructions', `
+            ${this.games[0].renderInstructions()}
             
             <div class="btn-group">
-                <button class="btn" onclick="experiment.showDemographics()">I Understand - Continue</button>
+                <button class="btn" onclick="experiment.${next}">I Understand - Continue</button>
             </div>
-        `;
+        `);
     }
     
-    showDemographics() {
-        this.container.innerHTML = `
-            <h2>Background Information</h2>
-            <p>Please provide some basic information about yourself (all fields optional):</p>
+    /**
+     * Instructions of a game that follows another one in the session
+     */
+    showGameInstructions() {
+        this.saveSession('game_instructions');
+        this.render('game_instructions', `
+            ${this.game.renderInstructions()}
             
-            <div class="form-group">
-                <label for="age">What is your age? (optional)</label>
-                <input type="number" id="age" min="18" max="100">
-            </div>
-            
-            <div class="form-group">
-                <label for="gender">What is your gender? (optional)</label>
-                <input type="text" id="gender">
+            <div class="btn-group">
+                <button class="btn" onclick="experiment.showDecision()">Start the ${this.game.title}</button>
             </div>
+        `);
+    }
+    
+    /**
+     * Comprehension check between the instructions and the game. The questions are computed from this
+     * participant's endowment, multiplier and send options; every attempt is stored in data.comprehension.
+     */
+    showComprehension() {
+        const comprehension = this.config.comprehension;
+        if (typeof this.data.comprehension.passed === 'boolean') {
+            this.showQuestionnaire('pre_game');
+            return;
+        }
+        if (!this.data.comprehension.questions) {
+            const amounts = ExperimentConfig.possibleSendAmounts(this.sendOptions, this.endowment);
+            const params = ComprehensionQuiz.exampleParams(this.endowment, this.multiplier, amounts);
+            this.data.comprehension = {
+                questions: ComprehensionQuiz.build(comprehension.questions[this.role], params),
+                max_attempts: comprehension.max_attempts,
+                attempts: [],
+                passed: null
+            };
+        }
+        
+        const questions = this.data.comprehension.questions;
+        const attempts = this.data.comprehension.attempts;
+        const lastAttempt = attempts[attempts.length - 1];
+        const attemptsLeft = comprehension.max_attempts - attempts.length;
+        
+        this.saveSession('comprehension');
+        this.render('comprehension', `
+            <h2>${comprehension.title}</h2>
+            <p>${comprehension.intro}</p>
+            ${lastAttempt ? `
+            <div class="error-message">
+                <p>Some of your answers were not correct. Please check the highlighted questions
+                   (${attemptsLeft} ${attemptsLeft === 1 ? 'attempt' : 'attempts'} left).</p>
+            </div>` : ''}
             
-            <div class="form-group">
-                <label for="field">What is your field of study or profession? (optional)</label>
-                <input type="text" id="field">
+            <div class="trust-scenario">
+                ${questions.map((question, index) => `
+                <div class="form-group${lastAttempt && !lastAttempt.correct[question.id] ? ' incorrect' : ''}">
+                    <label for="comprehension-${index}">${question.text}</label>
+                    <input type="number" id="comprehension-${index}" min="0" step="any"
+                           value="${lastAttempt && lastAttempt.answers[question.id] !== null ? lastAttempt.answers[question.id] : ''}">
+                </div>`).join('')}
             </div>
             
             <div class="btn-group">
-                <button class="btn" onclick="experiment.saveDemographics()">Start Experiment</button>
+                <button class="btn" onclick="experiment.submitComprehension()">Check My Answers</button>
+                <button class="btn btn-secondary" onclick="experiment.showInstructions()">Review Instructions</button>
             </div>
-        `;
+        `);
     }
     
-    saveDemographics() {
-        const age = document.getElementById('age').value;
-        const gender = document.getElementById('gender').value;
-        const field = document.getElementById('field').value;
+    /**
+     * Score the answers and record the attempt. Passing continues to the pre-game questionnaire;
+     * running out of attempts ends the session or continues, depending on comprehension.on_fail.
+     */
+    submitComprehension() {
+        const comprehension = this.data.comprehension;
+        const answers = {};
+        comprehension.questions.forEach((question, index) => {
+            const value = parseFloat(document.getElementById(`comprehension-${index}`).value);
+            answers[question.id] = isNaN(value) ? null : value;
+        });
         
-        this.data.demographics = {
-            age: age ? parseInt(age) : null,
-            gender: gender || 'Not specified',
-            field: field || 'Not specified'
-        };
+        const result = ComprehensionQuiz.score(comprehension.questions, answers);
+        comprehension.attempts.push({
+            attempt: comprehension.attempts.length + 1,
+            answers: answers,
+            correct: result.correct,
+            passed: result.passed,
+            timestamp: new Date().toISOString()
+        });
         
-        this.currentRound = 1;
-        this.showTrustDecision();
+        if (result.passed) {
+            comprehension.passed = true;
+            this.showQuestionnaire('pre_game');
+        } else if (comprehension.attempts.length < this.config.comprehension.max_attempts) {
+            this.showComprehension();
+        } else {
+            comprehension.passed = false;
+            if (this.config.comprehension.on_fail === 'continue') {
+                this.showQuestionnaire('pre_game');
+            } else {
+                this.endAfterComprehension();
+            }
+        }
     }
     
-    showTrustDecision() {
-        const progress = (this.currentRound - 1) / this.totalRounds * 100;
+    /**
+     * The participant used up their comprehension attempts: end the session and submit what was recorded,
+     * so the exclusion is documented in the data
+     */
+    endAfterComprehension() {
+        this.timer.endScreen();
+        this.data.summary = Object.assign({
+            completion_status: 'comprehension_failed',
+            completion_time: new Date().toISOString(),
+            session_duration: this.timer.elapsed()
+        }, this.summarizeQuality());
         
-        // Record the start time for reaction time calculation
-        this.decisionStartTime = Date.now();
+        this.sessionStore.clear();
+        this.participationHistory.record(this.participantId, { status: 'comprehension_failed' });
+        if (this.multiplayer) {
+            this.multiplayer.abandon('comprehension_failed'); // The partner continues with a bot
+        }
+        this.streamChunk('complete', 1, {
+            summary: this.data.summary,
+            comprehension: this.data.comprehension,
+            timing: this.data.timing,
+            trial_count: 0,
+            session: this.data.session
+        });
+        this.submitDataToRepository();
         
-        this.container.innerHTML = `
-            <h2>Round ${this.currentRound} of ${this.totalRounds}</h2>
+        this.render('comprehension_failed', `
+            <h2>Thank You</h2>
+            <div class="trust-scenario">
+                <p>${this.config.comprehension.failed_message}</p>
+                <div id="data-submission-status" class="participant-info">
+                    <p>📤 Submitting your data to repository...</p>
+                </div>
+                <div id="completion-status"></div>
+            </div>
             
-            <div class="progress">
-                <div class="progress-bar" style="width: ${progress}%"></div>
+            <div class="participant-info">
+                <p>Your participant ID: <strong>${this.participantId}</strong></p>
             </div>
+        `);
+    }
+    
+    /**
+     * Show one page of a questionnaire (questionnaires.pre_game or .post_game in the configuration).
+     * Past the last page, the pre-game questionnaire starts the game and the post-game one shows the results.
+     * @param {string} phase - pre_game or post_game
+     * @param {number} pageIndex - Page to show
+     * @param {Object} errors - Item ID -> validation message, when the page is shown again after a failed submit
+     */
+    showQuestionnaire(phase, pageIndex = 0, errors = {}) {
+        const pages = this.config.questionnaires[phase];
+        if (pageIndex >= pages.length) {
+            this.questionnairePosition = null;
+            if (phase === 'pre_game') {
+                this.startGame();
+            } else {
+                this.showFinalResults();
+            }
+            return;
+        }
+        
+        const page = Questionnaire.resolvePage(pages[pageIndex]);
+        const values = page.target === 'demographics' ? this.data.demographics : this.data.questionnaire.responses;
+        const hasErrors = Object.keys(errors).length > 0;
+        const isLast = pageIndex === pages.length - 1;
+        
+        this.questionnairePosition = { phase: phase, page: pageIndex };
+        this.saveSession('questionnaire');
+        this.render('questionnaire', `
+            <h2>${page.title}</h2>
+            ${page.intro ? `<p>${page.intro}</p>` : ''}
+            ${hasErrors ? '<div class="error-message"><p>Please check the highlighted questions.</p></div>' : ''}
             
-            <div class="monetary-display">You have $10</div>
+            ${Questionnaire.renderPage(page, values, errors)}
             
-            <div class="trust-scenario">
-                <p>You are now paired with <strong>Partner ${this.currentRound}</strong>.</p>
-                <p>How much money would you like to send to your partner?</p>
-                <p><em>Remember: Any amount you send will be tripled!</em></p>
+            <div class="btn-group">
+                <button class="btn" onclick="experiment.submitQuestionnairePage()">${isLast && phase === 'pre_game' ? 'Start Experiment' : 'Continue'}</button>
             </div>
+        `, { page: page.id });
+    }
+    
+    /**
+     * Validate the current questionnaire page, store its answers and move on
+     */
+    submitQuestionnairePage() {
+        const { phase, page: pageIndex } = this.questionnairePosition;
+        const page = Questionnaire.resolvePage(this.config.questionnaires[phase][pageIndex]);
+        const { values, errors } = Questionnaire.readPage(page);
+        
+        if (page.target === 'demographics') {
+            Object.assign(this.data.demographics, values);
+        } else {
+            Object.assign(this.data.questionnaire.responses, values);
+        }
+        if (Object.keys(errors).length > 0) {
+            this.showQuestionnaire(phase, pageIndex, errors);
+            return;
+        }
+        
+        this.data.questionnaire.pages.push({
+            phase: phase,
+            page: page.id,
+            completed_at: new Date().toISOString()
+        });
+        this.showQuestionnaire(phase, pageIndex + 1);
+    }
+    
+    /**
+     * Pre-game questionnaire done: stream what was collected so far and start the first round
+     */
+    startGame() {
+        this.gameIndex = 0;
+        this.currentRound = 1;
+        this.streamChunk('demographics', 0, {
+            demographics: this.data.demographics,
+            condition: this.data.condition,
+            consent: this.data.consent,
+            comprehension: this.data.comprehension,
+            questionnaire: this.data.questionnaire,
+            participant_timestamp: this.data.timestamp
+        });
+        
+        this.showDecision();
+    }
+    
+    /**
+     * Connect to the relay and wait to be paired with another participant, then show the instructions.
+     * The relay assigns the role; if no partner is found the game continues with a bot partner in the configured role.
+     */
+    async startMultiplayer() {
+        const settings = this.config.multiplayer;
+        this.showWaiting('Connecting you with another participant...', 'Finding a Partner');
+        this.multiplayer = new MultiplayerClient(settings.server_url);
+        
+        try {
+            await this.multiplayer.connect(settings.pairing_timeout_ms);
+            this.multiplayer.send({ type: 'join', participant_id: this.participantId });
+            const paired = await this.multiplayer.waitFor('paired', { timeout: settings.pairing_timeout_ms });
             
-            <div class="btn-group">
-                <button class="btn" onclick="experiment.makeDecision(0)">Send $0<br>(Keep $10)</button>
-                <button class="btn" onclick="experiment.makeDecision(5)">Send $5<br>(Keep $5)</button>
-                <button class="btn" onclick="experiment.makeDecision(10)">Send $10<br>(Keep $0)</button>
+            this.role = paired.role;
+            this.data.condition.role = paired.role;
+            this.data.dyad = {
+                dyad_id: paired.dyad_id,
+                partner_participant_id: paired.partner_id,
+                partner_type: 'human',
+                fallback_reason: ''
+            };
+            this.multiplayer.onPartnerLeft = reason => {
+                // The partner finishing first is the normal end of a dyad, not a dropout
+                if (reason !== 'completed') {
+                    this.fallBackToBot(reason);
+                }
+            };
+        } catch (error) {
+            console.warn('Multiplayer pairing failed, continuing with a bot partner:', error.message);
+            this.data.dyad.partner_type = 'bot_fallback';
+            this.data.dyad.fallback_reason = error.reason === 'timeout' ? 'pairing_timeout' : error.reason;
+            this.data.dyad.fallback_round = 1;
+            this.multiplayer.close();
+            this.multiplayer = null;
+        }
+        
+        this.showInstructions();
+    }
+    
+    /**
+     * True while a real partner is connected
+     */
+    hasHumanPartner() {
+        return this.multiplayer !== null && this.multiplayer.isPartnerPresent();
+    }
+    
+    /**
+     * Switch to the simulated partner for the rest of the game and flag it in the data
+     */
+    fallBackToBot(reason) {
+        if (this.data.dyad.partner_type === 'human') {
+            this.data.dyad.partner_type = 'bot_fallback';
+            this.data.dyad.fallback_reason = reason;
+            this.data.dyad.fallback_round = Math.max(this.currentRound, 1); // A partner who leaves before the game is replaced from round 1
+        }
+        if (this.multiplayer) {
+            this.multiplayer.abandon(reason);
+        }
+    }
+    
+    /**
+     * Share the final data with the relay's dyad log and disconnect
+     */
+    finishMultiplayer() {
+        if (this.multiplayer) {
+            this.multiplayer.onPartnerLeft = null;
+            this.multiplayer.send({ type: 'complete', data: this.data });
+            this.multiplayer.close();
+        }
+    }
+    
+    /**
+     * @param {string} title - Heading; the round heading by default
+     */
+    showWaiting(message, title = this.roundHeading()) {
+        this.render('waiting', `
+            <h2>${title}</h2>
+            <div class="trust-scenario">
+                <p>⏳ ${message}</p>
             </div>
-        `;
+        `, this.roundDetails());
     }
     
-    makeDecision(amountSent) {
-        // Calculate reaction time from when the decision screen was shown
-        const reactionTime = Date.now() - this.decisionStartTime;
-        
-        // Simulate partner response (different personalities for each round)
-        const returnRates = [0.3, 0.6, 0.1, 0.8, 0.4]; // Different partner personalities
-        const partnerReceived = amountSent * 3 + 10;
-        const amountReturned = Math.floor(amountSent * 3 * returnRates[this.currentRound - 1]);
-        const finalEarnings = (10 - amountSent) + amountReturned;
-        
-        const trialData = {
-            round: this.currentRound,
-            amount_sent: amountSent,
-            amount_kept: 10 - amountSent,
-            partner_received: partnerReceived,
-            amount_returned: amountReturned,
-            final_earnings: finalEarnings,
-            return_rate: returnRates[this.currentRound - 1],
-            timestamp: new Date().toISOString(),
-            reaction_time: reactionTime
-        };
+    /**
+     * Game being played (see games.js); decision buttons call experiment.game.<method>()
+     */
+    get game() {
+        return this.games[this.gameIndex];
+    }
+    
+    /**
+     * Round heading, with the game's title when the session has several games;
+     * the number of rounds is left out when the participant must not know it
+     */
+    roundHeading(game = this.game, round = this.currentRound) {
+        const heading = game.horizonKnown ? `Round ${round} of ${game.rounds}` : `Round ${round}`;
+        return this.games.length > 1 ? `${game.title}: ${heading}` : heading;
+    }
+    
+    /**
+     * Timing details of a game screen (see ExperimentTimer)
+     */
+    roundDetails(game = this.game, round = this.currentRound) {
+        return { game: game.index, round: round };
+    }
+    
+    /**
+     * Decision screen of the current game and round
+     */
+    showDecision() {
+        this.saveSession('decision');
+        this.game.showDecision();
+    }
+    
+    /**
+     * Put a decision screen on the page below the round heading and progress bar, and start its quality trial
+     * @param {string} html - The game's description of the round and its controls
+     */
+    renderDecision(html) {
+        const progress = (this.currentRound - 1) / this.game.rounds * 100;
+        
+        this.beginQualityTrial();
+        this.render('decision', `
+            <h2>${this.roundHeading()}</h2>
+            
+            ${this.game.horizonKnown ? `<div class="progress">
+                <div class="progress-bar" style="width: ${progress}%"></div>
+            </div>` : ''}
+            
+            ${html}
+        `, this.roundDetails());
+    }
+    
+    /**
+     * The participant decided: reaction time from when the decision screen was drawn, time in the session,
+     * and the quality fields of the decision
+     */
+    endDecision() {
+        const reactionTime = this.timer.sinceOnset();
+        return Object.assign({
+            reaction_time: reactionTime,
+            time_elapsed: this.timer.elapsed()
+        }, this.endQualityTrial(reactionTime));
+    }
+    
+    /**
+     * Store a trial of the current game with the fields every game shares, stream it and show its feedback
+     * @param {Object} fields - The game's trial fields (role, amounts, final_earnings, ...)
+     * @param {Object} decision - Timing and quality fields from endDecision()
+     */
+    recordTrial(fields, decision) {
+        const trialData = Object.assign({
+            game: this.game.type,
+            game_index: this.game.index,
+            round: this.currentRound
+        }, fields, {
+            timestamp: new Date().toISOString()
+        }, decision);
         
         this.data.trials.push(trialData);
+        this.streamChunk('trial', this.data.trials.length, trialData);
         this.showFeedback(trialData);
     }
     
+    /**
+     * Game a trial belongs to; trials saved before sessions had several games belong to the first
+     */
+    gameOf(trial) {
+        return this.games[(trial.game_index || 1) - 1];
+    }
+    
     showFeedback(trialData) {
-        this.container.innerHTML = `
-            <h2>Round ${this.currentRound} Results</h2>
+        const game = this.gameOf(trialData);
+        let next;
+        if (trialData.round < game.rounds) {
+            next = '<button class="btn" onclick="experiment.nextRound()">Continue to Next Round</button>';
+        } else if (game.index < this.games.length) {
+            next = '<button class="btn" onclick="experiment.nextGame()">Continue to Next Game</button>';
+        } else {
+            next = `<button class="btn" onclick="experiment.showQuestionnaire('post_game')">${this.config.questionnaires.post_game.length > 0 ? 'Continue' : 'View Final Results'}</button>`;
+        }
+        
+        this.saveSession('feedback');
+        this.render('feedback', `
+            <h2>${this.games.length > 1 ? `${game.title}: ` : ''}Round ${trialData.round} Results</h2>
             
             <div class="results-display">
-                <p>You sent: <strong>$${trialData.amount_sent}</strong></p>
-                <p>You kept: <strong>$${trialData.amount_kept}</strong></p>
-                <p>Partner received: <strong>$${trialData.partner_received}</strong></p>
-                <p>Partner sent back: <strong>$${trialData.amount_returned}</strong></p>
+                ${game.renderFeedback(trialData)}
                 <div class="monetary-display">Your earnings this round: $${trialData.final_earnings}</div>
             </div>
             
-            ${this.currentRound < this.totalRounds ? 
-                '<div class="btn-group"><button class="btn" onclick="experiment.nextRound()">Continue to Next Round</button></div>' :
-                '<div class="btn-group"><button class="btn" onclick="experiment.showFinalResults()">View Final Results</button></div>'
-            }
-        `;
+            <div class="btn-group">${next}</div>
+        `, this.roundDetails(game, trialData.round));
     }
     
     nextRound() {
         this.currentRound++;
-        this.showTrustDecision();
+        this.showDecision();
+    }
+    
+    /**
+     * Last round of a game done: show the instructions of the next game
+     */
+    nextGame() {
+        this.gameIndex++;
+        this.currentRound = 1;
+        this.showGameInstructions();
+    }
+    
+    /**
+     * Start counting tab switches, blurs and resizes for the decision screen just shown
+     */
+    beginQualityTrial() {
+        if (this.qualityMonitor) {
+            this.qualityMonitor.beginTrial();
+        }
+    }
+    
+    /**
+     * Stop counting and return the trial's quality fields (none when quality monitoring is off)
+     */
+    endQualityTrial(reactionTime) {
+        return this.qualityMonitor ? this.qualityMonitor.endTrial(reactionTime) : {};
+    }
+    
+    /**
+     * Quality summary fields and flags for data.summary (none when quality monitoring is off)
+     */
+    summarizeQuality() {
+        if (!this.qualityMonitor) {
+            return {};
+        }
+        const questionnaires = this.config.questionnaires;
+        const attentionItems = Questionnaire.attentionItems(questionnaires.pre_game.concat(questionnaires.post_game));
+        return QualityMonitor.summarize(this.data, this.config.quality, attentionItems);
     }
     
     showFinalResults() {
-        const totalEarnings = this.data.trials.reduce((sum, trial) => sum + trial.final_earnings, 0);
-        const avgSent = this.data.trials.reduce((sum, trial) => sum + trial.amount_sent, 0) / this.data.trials.length;
-        const trustPattern = this.analyzeTrustPattern();
+        this.timer.endScreen();
+        // Risk task lotteries are reported in risk_earnings and kept out of the total and the payout
+        const paidTrials = this.data.trials.filter(trial => !this.gameOf(trial).constructor.paidSeparately);
+        const totalEarnings = paidTrials.reduce((sum, trial) => sum + trial.final_earnings, 0);
+        const results = this.games.map(game => {
+            const trials = this.data.trials.filter(trial => this.gameOf(trial) === game);
+            return Object.assign({ game: game, trials: trials }, game.summarize(trials));
+        });
+        const multipleGames = this.games.length > 1;
         
-        this.data.summary = {
+        this.data.summary = Object.assign({
             total_earnings: totalEarnings,
-            average_amount_sent: avgSent,
-            trust_pattern: trustPattern,
-            completion_time: new Date().toISOString()
-        };
+            games: this.games.map(game => game.type).join(';')
+        }, ...results.map(result => result.summary), {
+            completion_status: 'completed',
+            completion_time: new Date().toISOString(),
+            session_duration: this.timer.elapsed()
+        });
+        
+        const gameSummaryHtml = results.map(result =>
+            (multipleGames ? `<h3>${result.game.title}</h3>` : '') + result.html
+        ).join('');
+        const breakdownHtml = results.map(result =>
+            (multipleGames ? `<h4>${result.game.title}</h4>` : '')
+            + result.trials.map(trial => `<p>${result.game.describeTrial(trial)}</p>`).join('')
+        ).join('');
 
+        if (this.config.payout.method !== 'none') {
+            // Seeded from the assignment seed, so the paid round can be re-drawn when checking payments
+            const random = new SeededRandom(`${this.data.condition.assignment_seed}_payout`).toFunction();
+            Object.assign(this.data.summary, PayoutRules.calculate(paidTrials, this.config.payout, random));
+        }
+        Object.assign(this.data.summary, this.summarizeQuality());
+
+        this.finishMultiplayer();
+        this.sessionStore.clear();
+        this.participationHistory.record(this.participantId, { status: 'completed' });
+        this.streamChunk('complete', this.data.trials.length + 1, {
+            summary: this.data.summary,
+            questionnaire: this.data.questionnaire,
+            timing: this.data.timing,
+            trial_count: this.data.trials.length,
+            session: this.data.session,
+            dyad: this.data.dyad
+        });
+        
         // Automatically submit data to repository
         this.submitDataToRepository();
         
-        this.container.innerHTML = `
+        this.render('final_results', `
             <h1>Experiment Complete!</h1>
             
             <div class="results-display">
                 <h2>Your Final Results</h2>
                 <div class="monetary-display">Total Earnings: $${totalEarnings}</div>
-                <p><strong>Average amount sent per round:</strong> $${avgSent.toFixed(2)}</p>
-                <p><strong>Trust pattern:</strong> ${trustPattern}</p>
+                ${gameSummaryHtml}
+                ${this.renderBonus()}
                 
                 <h3>Round-by-round breakdown:</h3>
                 <div style="text-align: left; margin: 20px 0;">
-                    ${this.data.trials.map(trial => 
-                        `<p>Round ${trial.round}: Sent $${trial.amount_sent} → Earned $${trial.final_earnings}</p>`
-                    ).join('')}
+                    ${breakdownHtml}
                 </div>
             </div>
             
+            ${this.renderDebrief()}
+            
             <div class="trust-scenario">
                 <h3>Thank you for participating!</h3>
                 <p>Your data contributes to research on trust, cooperation, and conflict resolution 
@@ -238,6 +905,7 @@ class TrustGameExperiment {
                 <div id="data-submission-status" class="participant-info">
                     <p>📤 Submitting your data to repository...</p>
                 </div>
+                <div id="completion-status"></div>
             </div>
             
             <div class="participant-info">
@@ -249,17 +917,83 @@ class TrustGameExperiment {
                 <button class="btn" onclick="experiment.downloadDataCSV()">Download Data (CSV)</button>
                 <button class="btn" onclick="experiment.restart()">Restart Experiment</button>
             </div>
+            
+            <div class="withdraw-section">
+                <p><small>Changed your mind? You can withdraw your data from the study.</small></p>
+                <button class="btn btn-secondary" onclick="experiment.withdrawData()">Withdraw My Data</button>
+            </div>
+        `);
+    }
+    
+    /**
+     * Real-money bonus from data.summary (payout in the experiment configuration)
+     */
+    renderBonus() {
+        const summary = this.data.summary;
+        if (this.config.payout.method === 'none' || !this.config.payout.show_to_participant) {
+            return '';
+        }
+        
+        const paidGame = this.games.length > 1 ? this.games.find(game => game.type === summary.payout_game) : null;
+        const basis = summary.payout_method === 'random_round'
+            ? `Round ${summary.payout_round}${paidGame ? ` of the ${paidGame.title}` : ''} was selected at random for payment: you earned $${summary.payout_earnings} in that round.`
+            : `Your earnings across all rounds: $${summary.payout_earnings}.`;
+        const predictions = summary.payout_belief_earnings > 0 ? ` Your predictions added $${summary.payout_belief_earnings}.` : '';
+        return `
+                <p><strong>Your bonus:</strong> ${PayoutRules.format(summary.bonus, summary.currency)}</p>
+                <p><small>${basis}${predictions}${summary.bonus_capped ? ' The bonus is capped at the study maximum.' : ''}</small></p>
+        `;
+    }
+    
+    /**
+     * Debriefing text, including who the partners really were
+     */
+    renderDebrief() {
+        const debrief = this.config.debrief;
+        const partnerType = this.data.dyad.partner_type;
+        const partnerText = partnerType === 'human' ? debrief.human_partner_text
+            : partnerType === 'bot_fallback' ? debrief.fallback_partner_text
+            : debrief.simulated_partner_text;
+        
+        return `
+            <div class="trust-scenario debrief">
+                <h3>${debrief.title}</h3>
+                ${debrief.paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('')}
+                <p>${partnerText}</p>
+                <p>${debrief.contact} (ID: <strong>${this.participantId}</strong>)</p>
+            </div>
         `;
     }
     
-    analyzeTrustPattern() {
-        const amounts = this.data.trials.map(trial => trial.amount_sent);
-        const avgAmount = amounts.reduce((a, b) => a + b, 0) / amounts.length;
+    /**
+     * Withdraw the session: mark it withdrawn, cancel every pending submission and streamed chunk,
+     * and tell the participant whether anything had already reached the researchers
+     */
+    withdrawData() {
+        if (!confirm('Withdraw your data from this study? Your responses will not be used.')) {
+            return;
+        }
         
-        if (avgAmount >= 8) return "High Trust";
-        if (avgAmount >= 5) return "Moderate Trust";
-        if (avgAmount >= 2) return "Low Trust";
-        return "Very Low Trust";
+        clearTimeout(this.redirectTimer);
+        this.data.withdrawn = true;
+        this.data.withdrawn_at = new Date().toISOString();
+        this.participationHistory.record(this.participantId, { status: 'withdrawn' });
+        const result = this.dataSubmitter.withdraw(this.data);
+        const streamedChunks = this.dataStream ? this.dataStream.withdraw(this.data) : 0;
+        this.sessionStore.clear();
+        
+        const alreadySent = result.delivered.length > 0 || streamedChunks > 0;
+        this.render('withdrawn', `
+            <h2>Your Data Has Been Withdrawn</h2>
+            <div class="trust-scenario">
+                <p>Nothing more from this session will be sent, and the copy saved in this browser has been deleted.</p>
+                ${alreadySent ? `
+                <p>Some of your data had already reached the research team before you withdrew.
+                   It has been marked as withdrawn and will not be used. To have it deleted, contact the
+                   research team and quote your participant ID: <strong>${this.participantId}</strong></p>` : ''}
+                <p>Thank you for your time. You may now close this window.</p>
+            </div>
+        `);
     }
     
     downloadData() {
@@ -313,65 +1047,15 @@ class TrustGameExperiment {
     }
 
     convertToCSV() {
-        // Define CSV headers
-        const headers = [
-            'participant_id',
-            'experiment',
-            'version', 
-            'participant_timestamp',
-            'age',
-            'gender',
-            'field',
-            'round',
-            'amount_sent',
-            'amount_kept',
-            'partner_received',
-            'amount_returned',
-            'final_earnings',
-            'return_rate',
-            'trial_timestamp',
-            'reaction_time',
-            'total_earnings',
-            'average_amount_sent',
-            'trust_pattern',
-            'completion_time'
-        ];
-        
-        // Create CSV rows - one per trial
-        const rows = this.data.trials.map(trial => [
-            this.data.participant_id,
-            this.data.experiment,
-            this.data.version,
-            this.data.timestamp,
-            this.data.demographics.age || '',
-            this.data.demographics.gender || '',
-            this.data.demographics.field || '',
-            trial.round,
-            trial.amount_sent,
-            trial.amount_kept,
-            trial.partner_received,
-            trial.amount_returned,
-            trial.final_earnings,
-            trial.return_rate,
-            trial.timestamp,
-            trial.reaction_time,
-            this.data.summary.total_earnings || '',
-            this.data.summary.average_amount_sent || '',
-            this.data.summary.trust_pattern || '',
-            this.data.summary.completion_time || ''
-        ]);
-        
-        // Combine headers and rows
-        const csvContent = [headers, ...rows]
-            .map(row => row.map(field => `"${field}"`).join(','))
-            .join('\n');
-            
-        return csvContent;
+        return CSVSerializer.serialize(this.data, 'local');
     }
 
     async submitDataToRepository() {
         try {
             const result = await this.dataSubmitter.submitData(this.data);
+            if (result.method === 'withdrawn') {
+                return;
+            }
             const statusElement = document.getElementById('data-submission-status');
             
             if (result.success) {
@@ -389,22 +1073,13 @@ class TrustGameExperiment {
                             <p><small>Your data is now part of the open science research database.</small></p>
                         </div>
                     `;
-                } else if (result.method === 'github_issue') {
+                } else if (result.method === 'http_post') {
                     successMessage = `
-                        <p>✅ <strong>Data Submitted Successfully!</strong></p>
-                        <p>Your data has been submitted via GitHub issue and will be processed automatically.</p>
-                        ${result.issueUrl ? `<p><a href="${result.issueUrl}" target="_blank">View submission details</a></p>` : ''}
-                    `;
-                } else if (result.method === 'repository_dispatch') {
-                    successMessage = `
-                        <p>✅ <strong>Data Submission Triggered!</strong></p>
-                        <p>Your data is being processed automatically and will be saved to the repository shortly.</p>
-                    `;
-                } else if (result.method === 'server_proxy') {
-                    successMessage = `
-                        <p>✅ <strong>Data Saved to Repository!</strong></p>
-                        <p>Your data has been automatically saved to the repository's data folder.</p>
+                        <p>✅ <strong>Data Submitted to the Study Server!</strong></p>
+                        <p>Your data has been saved by the research team's data server.</p>
                     `;
+                } else if (result.message) {
+                    successMessage += `<p>${result.message}</p>`;
                 }
                 
                 statusElement.innerHTML = successMessage;
@@ -413,9 +1088,13 @@ class TrustGameExperiment {
             } else {
                 let errorMessage = `
                     <p>⚠️ <strong>Data Saved Locally</strong></p>
-                    <p>OSF DataPipe unavailable. Your data has been saved locally for download.</p>
+                    <p>${result.message || 'OSF DataPipe unavailable. Your data has been saved locally for download.'}</p>
                 `;
                 
+                if (result.queued) {
+                    errorMessage += `<div id="submission-queue-status" class="queue-status"></div>`;
+                }
+                
                 errorMessage += `
                     <div class="download-section">
                         <h4>📥 Download Your Data:</h4>
@@ -426,7 +1105,13 @@ class TrustGameExperiment {
                 
                 statusElement.innerHTML = errorMessage;
                 statusElement.className = 'warning-message';
+                
+                if (result.queued) {
+                    this.trackQueuedSubmission(this.dataSubmitter.backends[result.queuedBackend].outbox, result.filename);
+                }
             }
+            
+            this.showCompletion(result.success || result.queued);
         } catch (error) {
             console.error('Error submitting data:', error);
             const statusElement = document.getElementById('data-submission-status');
@@ -439,7 +1124,86 @@ class TrustGameExperiment {
                 </div>
             `;
             statusElement.className = 'error-message';
+            this.showCompletion(false);
+        }
+    }
+    
+    /**
+     * Completion code and link back to the recruitment platform, chosen by data.summary.completion_status.
+     * Shown only once the data has been submitted or queued for retry, so nobody is credited for data that was lost.
+     * @param {boolean} confirmed - Whether a backend accepted or queued the submission
+     */
+    showCompletion(confirmed) {
+        const element = document.getElementById('completion-status');
+        const recruitment = this.config.recruitment;
+        const code = recruitment.completion_codes[this.data.summary.completion_status] || '';
+        const url = RecruitmentPlatforms.completionUrl(recruitment, this.data.recruitment, code);
+        if (!element || (!code && !url)) return;
+        
+        if (!confirmed) {
+            element.innerHTML = `
+                <div class="warning-message">
+                    <p>We could not confirm that your data reached the research team. Please download your data
+                       with the button above and contact the researchers, quoting your participant ID, to receive credit.</p>
+                </div>
+            `;
+            return;
         }
+        
+        const platformName = RecruitmentPlatforms.registry[recruitment.platform].name;
+        element.innerHTML = `
+            <div class="completion-code">
+                ${code ? `<p>Your completion code is: <strong>${code}</strong></p>` : ''}
+                ${url ? `<a class="btn" href="${Questionnaire.escapeHtml(url)}">Return to ${platformName}</a>` : ''}
+                ${url && recruitment.auto_redirect ? `<p><small>You will be taken back to ${platformName} in ${Math.round(recruitment.redirect_delay_ms / 1000)} seconds.</small></p>` : ''}
+            </div>
+        `;
+        
+        if (url && recruitment.auto_redirect) {
+            this.redirectTimer = setTimeout(() => {
+                window.location.href = url;
+            }, recruitment.redirect_delay_ms);
+        }
+    }
+
+    /**
+     * Keep the status area up to date while a backend's outbox retries a queued submission
+     */
+    trackQueuedSubmission(outbox, filename) {
+        const render = () => {
+            const queueElement = document.getElementById('submission-queue-status');
+            if (!queueElement) {
+                outbox.onProgress = null;
+                return;
+            }
+
+            if (outbox.isSent(filename)) {
+                outbox.onProgress = null;
+                const statusElement = document.getElementById('data-submission-status');
+                statusElement.innerHTML = `
+                    <p>✅ <strong>Data Submitted!</strong></p>
+                    <p>The connection came back and your queued data has been saved.</p>
+                `;
+                statusElement.className = 'success-message';
+                return;
+            }
+
+            const entry = outbox.getEntry(filename);
+            const status = outbox.getStatus();
+            if (!entry || entry.status === 'failed') {
+                queueElement.innerHTML = `<p>❌ Automatic submission gave up after ${entry ? entry.attempts : 0} attempts. Please download the CSV file below.</p>`;
+                return;
+            }
+
+            const seconds = Math.max(0, Math.ceil((entry.nextAttempt - Date.now()) / 1000));
+            queueElement.innerHTML = `
+                <p>⏳ <strong>Submission queued</strong> - attempt ${entry.attempts} failed, retrying in about ${seconds} s.</p>
+                <p><small>${status.pending} submission(s) waiting in this browser. You can keep this page open or come back later; queued data is sent automatically.</small></p>
+            `;
+        };
+
+        outbox.onProgress = render;
+        render();
     }
 
     copyDataToClipboard() {
@@ -529,11 +1293,31 @@ class TrustGameExperiment {
         }, 3000);
     }
     
+    /**
+     * Start a new session for the same participant, with its own start time, session_id and data file.
+     * Consent, the comprehension check, the questionnaires and the timing are collected again;
+     * the recruitment IDs and the assigned condition carry over.
+     */
     restart() {
         if (confirm('Are you sure you want to restart the experiment? This will clear all current data.')) {
-            this.data.trials = [];
+            const recruitment = this.data.recruitment;
+            const seed = this.data.condition.assignment_seed;
+            clearTimeout(this.redirectTimer);
+            if (this.multiplayer) {
+                this.multiplayer.close();
+                this.multiplayer = null;
+            }
+            
+            this.data = this.createSessionData(this.config);
+            this.data.recruitment = recruitment;
+            this.games = this.config.games.map((spec, index) => Games.create(this, spec, index + 1));
+            this.gameIndex = 0;
             this.currentRound = 0;
-            this.currentStep = 0;
+            this.questionnairePosition = null;
+            this.assignCondition(this.config, seed);
+            this.totalRounds = this.games.reduce((sum, game) => sum + game.rounds, 0);
+            this.timer = new ExperimentTimer(this.data.timing);
+            this.sessionStore.clear();
             this.showWelcome();
         }
     }
@@ -541,6 +1325,18 @@ class TrustGameExperiment {
 
 // Initialize the experiment when the page loads
 let experiment;
-document.addEventListener('DOMContentLoaded', function() {
-    experiment = new TrustGameExperiment();
+document.addEventListener('DOMContentLoaded', async function() {
+    try {
+        const config = await ExperimentConfig.load(ExperimentConfig.getConfigUrl());
+        experiment = new TrustGameExperiment(config);
+    } catch (error) {
+        console.error('Error loading experiment configuration:', error);
+        document.getElementById('content').innerHTML = `
+            <h2>Experiment Configuration Error</h2>
+            <div class="error-message">
+                <p>The experiment could not start because its configuration is invalid.</p>
+                <pre>${error.message}</pre>
+            </div>
+        `;
+    }
 });
\ No newline at end of file
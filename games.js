@@ -0,0 +1,1540 @@
+// Economic games for Trust Game experiment
+// Trust, dictator, ultimatum and public goods games and the risk task share one round loop, feedback screen and data format
+
+/**
+ * Base class for a game played over several rounds in a session.
+ * The experiment runs the round loop: it calls showDecision() every round, the game records the choice
+ * with experiment.recordTrial(), and the shared feedback and final screens use renderFeedback(),
+ * describeTrial() and summarize(). Buttons on the decision screen call experiment.game.<method>().
+ * A game class with paidSeparately set keeps its trials out of total_earnings and the payout.
+ */
+class EconomicGame {
+    /**
+     * @param {TrustGameExperiment} experiment - Session the game is played in
+     * @param {Object} spec - Entry of the games setting, e.g. { type: 'dictator', rounds: 3 }
+     * @param {number} index - Position of the game in the session (1-based)
+     */
+    constructor(experiment, spec, index) {
+        this.experiment = experiment;
+        this.params = Object.assign({}, this.constructor.defaults, spec);
+        this.index = index;
+    }
+
+    get type() {
+        return this.constructor.gameName;
+    }
+
+    get title() {
+        return this.params.title || this.constructor.title;
+    }
+
+    get rounds() {
+        return this.params.rounds;
+    }
+
+    get round() {
+        return this.experiment.currentRound;
+    }
+
+    /**
+     * Most rounds the game can have; differs from rounds when the number of rounds is drawn (random stopping)
+     */
+    get maxRounds() {
+        return this.rounds;
+    }
+
+    get endowment() {
+        return this.params.endowment;
+    }
+
+    get sendOptions() {
+        return this.params.send_options;
+    }
+
+    /**
+     * Whether the participant is told how many rounds there are (the round heading and progress bar show it)
+     */
+    get horizonKnown() {
+        return true;
+    }
+
+    /**
+     * Instructions screen content (the experiment adds the button)
+     */
+    renderInstructions() {
+        throw new Error(`${this.constructor.name} must implement renderInstructions()`);
+    }
+
+    /**
+     * Put the decision screen for the current round on the page (see experiment.renderDecision())
+     */
+    showDecision() {
+        throw new Error(`${this.constructor.name} must implement showDecision()`);
+    }
+
+    /**
+     * Outcome lines of the feedback screen for a trial of this game
+     */
+    renderFeedback(trial) {
+        throw new Error(`${this.constructor.name} must implement renderFeedback()`);
+    }
+
+    /**
+     * One line of the round-by-round breakdown on the final screen
+     */
+    describeTrial(trial) {
+        throw new Error(`${this.constructor.name} must implement describeTrial()`);
+    }
+
+    /**
+     * Summary of the game's trials
+     * @returns {Object} summary (fields for data.summary) and html (lines for the final screen)
+     */
+    summarize(trials) {
+        throw new Error(`${this.constructor.name} must implement summarize()`);
+    }
+
+    /**
+     * Rules list in the layout of the trust game instructions
+     */
+    renderRules(rules) {
+        return `
+            <h2>${this.title}</h2>
+            <div class="trust-scenario">
+                <p><strong>How the ${this.title} works:</strong></p>
+                <div class="instructions">
+                    <ul>
+                        ${rules.map(rule => `<li>${rule}</li>`).join('')}
+                    </ul>
+                </div>
+            </div>
+
+            <p style="text-align: center;">You will play this game for <strong>${this.rounds} round${this.rounds === 1 ? '' : 's'}</strong>.</p>
+        `;
+    }
+
+    /**
+     * Buttons for a fixed set of amounts, or a slider from $0 to the endowment; both call makeDecision(amount)
+     * @param {string} verb - Action on the buttons, e.g. Send, Give, Offer or Contribute
+     */
+    renderAmountControls(verb) {
+        if (this.sendOptions.type === 'slider') {
+            const step = this.sendOptions.step || 1;
+            return `
+            <div class="form-group">
+                <label for="send-amount">Amount to ${verb.toLowerCase()}: <strong>$<span id="send-amount-value">0</span></strong></label>
+                <input type="range" id="send-amount" min="0" max="${this.endowment}" step="${step}" value="0"
+                       oninput="document.getElementById('send-amount-value').textContent = this.value">
+            </div>
+            <div class="btn-group">
+                <button class="btn" onclick="experiment.game.submitSliderDecision()">${verb}</button>
+            </div>
+            `;
+        }
+
+        return `
+            <div class="btn-group">
+                ${this.sendOptions.amounts.map(amount =>
+                    `<button class="btn" onclick="experiment.game.makeDecision(${amount})">${verb} $${amount}<br>(Keep $${this.endowment - amount})</button>`
+                ).join('')}
+            </div>
+        `;
+    }
+
+    submitSliderDecision() {
+        const amount = parseFloat(document.getElementById('send-amount').value);
+        this.makeDecision(amount);
+    }
+
+    /**
+     * Amounts as shown in the instructions, e.g. "$0, $5, or $10"
+     */
+    describeAmounts() {
+        if (this.sendOptions.type === 'slider') {
+            return `any amount from $0 to $${this.endowment}`;
+        }
+
+        const amounts = this.sendOptions.amounts.map(amount => `$${amount}`);
+        if (amounts.length <= 2) {
+            return amounts.join(' or ');
+        }
+        return `${amounts.slice(0, -1).join(', ')}, or ${amounts[amounts.length - 1]}`;
+    }
+
+    /**
+     * Label shown for the partner in a round
+     */
+    getPartnerLabel(round) {
+        return `Partner ${round}`;
+    }
+
+    /**
+     * Value of a per-round setting (a list cycled over the rounds)
+     */
+    perRound(values, round) {
+        return values[(round - 1) % values.length];
+    }
+
+    average(trials, field) {
+        return trials.length > 0 ? trials.reduce((sum, trial) => sum + trial[field], 0) / trials.length : 0;
+    }
+
+    static roundCents(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+/**
+ * The trust game. It is set up by the top-level settings (role, rounds, send_options, trustee, partner_strategies)
+ * and the assigned condition (endowment, multiplier), and is the only game that can be played with a live partner.
+ */
+class TrustGame extends EconomicGame {
+    get rounds() {
+        if (this.stoppingRule === 'random') {
+            if (this.drawnRounds === undefined) {
+                this.drawnRounds = this.drawRounds();
+            }
+            return this.drawnRounds;
+        }
+        return this.experiment.config.rounds;
+    }
+
+    get maxRounds() {
+        return this.experiment.config.rounds;
+    }
+
+    get endowment() {
+        return this.experiment.endowment;
+    }
+
+    get multiplier() {
+        return this.experiment.multiplier;
+    }
+
+    get sendOptions() {
+        return this.experiment.sendOptions;
+    }
+
+    /**
+     * Trustor or trustee; a live session takes the role the relay assigned
+     */
+    get role() {
+        return this.experiment.role;
+    }
+
+    /**
+     * Fixed number of rounds, or random stopping (repeated mode only): the game goes on after each round
+     * with repeated.continuation_probability, up to the rounds setting
+     */
+    get stoppingRule() {
+        return this.experiment.repeated ? this.experiment.config.repeated.stopping_rule : 'fixed';
+    }
+
+    get horizonKnown() {
+        return this.stoppingRule !== 'random';
+    }
+
+    /**
+     * Number of rounds under the random stopping rule. It is drawn once from the assignment seed,
+     * so a reloaded session plays the same rounds.
+     */
+    drawRounds() {
+        const random = new SeededRandom(`${this.experiment.data.condition.assignment_seed}_stopping`).toFunction();
+        let rounds = 1;
+        while (rounds < this.experiment.config.rounds && random() < this.experiment.config.repeated.continuation_probability) {
+            rounds++;
+        }
+        return rounds;
+    }
+
+    /**
+     * Plain-language description of the multiplier for instruction text
+     */
+    multiplierText() {
+        if (this.multiplier === 2) return 'doubled';
+        if (this.multiplier === 3) return 'tripled';
+        return `multiplied by ${this.multiplier}`;
+    }
+
+    renderInstructions() {
+        const instructions = this.experiment.config.instructions;
+        const exampleAmount = this.endowment / 2;
+        const values = {
+            endowment: this.endowment,
+            multiplier: this.multiplier,
+            multiplier_text: this.multiplierText(),
+            rounds: this.rounds,
+            send_options: this.describeAmounts(),
+            continuation_percent: Math.round(this.experiment.config.repeated.continuation_probability * 100)
+        };
+        const rules = this.role === 'trustee' ? instructions.trustee_rules : instructions.rules;
+        let closing = instructions.closing;
+        if (this.experiment.repeated) {
+            closing = this.stoppingRule === 'random' ? instructions.random_stopping_closing : instructions.repeated_closing;
+        }
+
+        return `
+            <h2>${instructions.title}</h2>
+            <div class="trust-scenario">
+                <p><strong>How the Trust Game works:</strong></p>
+                <div class="instructions">
+                    <ul>
+                        ${rules.map(rule => `<li>${ExperimentConfig.fillTemplate(rule, values)}</li>`).join('')}
+                    </ul>
+                </div>
+            </div>
+
+            ${instructions.show_example ? this.renderInstructionExample(exampleAmount) : ''}
+
+            <p style="text-align: center;">${ExperimentConfig.fillTemplate(closing, values)}</p>
+        `;
+    }
+
+    renderInstructionExample(exampleAmount) {
+        if (this.role === 'trustee') {
+            return `
+            <div class="trust-scenario">
+                <h3>Example:</h3>
+                <p>If your partner sends you $${exampleAmount}:</p>
+                <ul>
+                    <li>Your partner keeps: $${this.endowment - exampleAmount}</li>
+                    <li>You receive: $${exampleAmount} × ${this.multiplier} = $${exampleAmount * this.multiplier} (plus your original $${this.endowment} = $${exampleAmount * this.multiplier + this.endowment} total)</li>
+                    <li>You can send back $0-$${exampleAmount * this.multiplier} to your partner</li>
+                    <li><strong>Your final earnings: $${exampleAmount * this.multiplier + this.endowment} - (amount you send back)</strong></li>
+                </ul>
+                ${this.experiment.config.trustee.response_method === 'strategy_method' ?
+                    '<p>Before you learn how much your partner actually sent, you will decide how much you would send back for <strong>every</strong> amount they could send.</p>' : ''}
+            </div>
+            `;
+        }
+
+        return `
+            <div class="trust-scenario">
+                <h3>Example:</h3>
+                <p>If you send $${exampleAmount}:</p>
+                <ul>
+                    <li>You keep: $${this.endowment - exampleAmount}</li>
+                    <li>Partner receives: $${exampleAmount} × ${this.multiplier} = $${exampleAmount * this.multiplier} (plus their original $${this.endowment} = $${exampleAmount * this.multiplier + this.endowment} total)</li>
+                    <li>Partner might send back $0-$${exampleAmount * this.multiplier} to you</li>
+                    <li><strong>Your final earnings: $${this.endowment - exampleAmount} + (amount partner sends back)</strong></li>
+                </ul>
+            </div>
+        `;
+    }
+
+    showDecision() {
+        if (this.role === 'trustee') {
+            this.showTrusteeDecision();
+        } else {
+            this.showTrustorDecision();
+        }
+    }
+
+    showTrustorDecision() {
+        this.experiment.renderDecision(`
+            <div class="monetary-display">You have $${this.endowment}</div>
+
+            ${this.renderPartnerProfile()}
+
+            <div class="trust-scenario">
+                <p>${this.pairingText()} <strong>${this.getPartnerLabel(this.round)}</strong>.</p>
+                <p>How much money would you like to send to your partner?</p>
+                <p><em>Remember: Any amount you send will be ${this.multiplierText()}!</em></p>
+            </div>
+
+            ${this.renderHistory()}
+
+            ${this.renderAmountControls('Send')}
+        `);
+    }
+
+    /**
+     * Trustor decision; with beliefs enabled the participant first predicts the return (see showBeliefQuestion())
+     */
+    async makeDecision(amountSent) {
+        const decision = this.experiment.endDecision();
+        if (this.experiment.config.beliefs.enabled && amountSent > 0) {
+            this.showBeliefQuestion(amountSent, decision);
+            return;
+        }
+        await this.resolveDecision(amountSent, decision);
+    }
+
+    /**
+     * Get the partner's return for the amount sent and record the trial
+     * @param {Object} belief - Prediction fields from submitBelief() (optional)
+     */
+    async resolveDecision(amountSent, decision, belief) {
+        const experiment = this.experiment;
+        let response = null;
+        let strategyInfo = { strategy: '', params: '' };
+
+        if (experiment.hasHumanPartner()) {
+            response = await this.waitForPartnerReturn(amountSent);
+        }
+        const partnerType = response ? 'human' : experiment.data.dyad.partner_type;
+
+        if (!response) {
+            // Simulate partner response with this round's partner strategy
+            const strategy = this.getPartnerStrategy(this.round);
+            response = strategy.respond({
+                amountSent: amountSent,
+                multiplier: this.multiplier,
+                endowment: this.endowment,
+                round: this.round,
+                history: this.getStrategyHistory(),
+                random: experiment.random
+            });
+            strategyInfo = strategy.describe();
+        }
+
+        experiment.recordTrial(Object.assign({
+            role: 'trustor',
+            amount_sent: amountSent,
+            amount_kept: this.endowment - amountSent,
+            partner_received: amountSent * this.multiplier + this.endowment,
+            amount_returned: response.amountReturned,
+            final_earnings: (this.endowment - amountSent) + response.amountReturned,
+            return_rate: response.returnRate,
+            partner_strategy: strategyInfo.strategy,
+            partner_strategy_params: strategyInfo.params,
+            partner_type: partnerType
+        }, belief ? this.scoreBelief(belief, amountSent, response.amountReturned) : {},
+        this.interactionFields(), this.profileFields()), decision);
+    }
+
+    /**
+     * Ask what the participant expects back (beliefs.question): an amount, or the chance that the partner
+     * returns at least the amount sent
+     * @param {string} error - Shown above the input after an answer out of range (optional)
+     */
+    showBeliefQuestion(amountSent, decision, error = '') {
+        const beliefs = this.experiment.config.beliefs;
+        const received = amountSent * this.multiplier;
+        const values = { amount_sent: amountSent, partner_receives: received, prize: beliefs.prize };
+        const probability = beliefs.question === 'probability';
+
+        this.pendingDecision = { amountSent: amountSent, decision: decision };
+        this.experiment.render('belief', `
+            <h2>${this.experiment.roundHeading()}</h2>
+
+            <div class="trust-scenario">
+                <p>You sent <strong>$${amountSent}</strong>, so your partner receives <strong>$${received}</strong>.</p>
+                <p>${ExperimentConfig.fillTemplate(probability ? beliefs.probability_prompt : beliefs.amount_prompt, values)}</p>
+                ${beliefs.scoring !== 'none' ? `<p><em>${ExperimentConfig.fillTemplate(beliefs.incentive_text, values)}</em></p>` : ''}
+            </div>
+
+            ${error ? `<div class="error-message"><p>${error}</p></div>` : ''}
+
+            <div class="form-group">
+                ${probability ? `
+                <label for="belief-probability">Chance (0 - 100%):</label>
+                <input type="number" id="belief-probability" min="0" max="100" step="1" value="">` : `
+                <label for="belief-amount">Amount you expect back ($0 - $${received}):</label>
+                <input type="number" id="belief-amount" min="0" max="${received}" step="1" value="">`}
+            </div>
+
+            <div class="btn-group">
+                <button class="btn" onclick="experiment.game.submitBelief()">Submit Prediction</button>
+            </div>
+        `, this.experiment.roundDetails());
+    }
+
+    submitBelief() {
+        const { amountSent, decision } = this.pendingDecision;
+        const probability = this.experiment.config.beliefs.question === 'probability';
+        const maximum = probability ? 100 : amountSent * this.multiplier;
+        const value = parseFloat(document.getElementById(probability ? 'belief-probability' : 'belief-amount').value);
+
+        if (isNaN(value) || value < 0 || value > maximum) {
+            this.showBeliefQuestion(amountSent, decision, probability
+                ? 'Please enter a chance between 0 and 100.'
+                : `Please enter an amount between $0 and $${maximum}.`);
+            return;
+        }
+
+        this.pendingDecision = null;
+        const belief = probability
+            ? { belief_question: 'probability', belief_probability: value / 100 }
+            : { belief_question: 'amount', belief_amount: value };
+        belief.belief_rt = this.experiment.timer.sinceOnset();
+        this.resolveDecision(amountSent, decision, belief);
+    }
+
+    /**
+     * Accuracy and earnings of a prediction. Accuracy is 1 minus the squared error, with amounts scaled by what
+     * the partner could return; the probability is scored against whether they returned at least the amount sent.
+     * quadratic pays prize * accuracy. binarized (Hossain & Okui, 2013) pays the prize when the squared error is
+     * below a uniform draw, seeded from the assignment seed and the round so it can be re-drawn.
+     */
+    scoreBelief(belief, amountSent, amountReturned) {
+        const beliefs = this.experiment.config.beliefs;
+        const error = belief.belief_question === 'probability'
+            ? (amountReturned >= amountSent ? 1 : 0) - belief.belief_probability
+            : (belief.belief_amount - amountReturned) / (amountSent * this.multiplier);
+        const accuracy = 1 - error * error;
+
+        let earnings = 0;
+        if (beliefs.scoring === 'quadratic') {
+            earnings = beliefs.prize * accuracy;
+        } else if (beliefs.scoring === 'binarized') {
+            const seed = `${this.experiment.data.condition.assignment_seed}_beliefs_${this.index}_${this.round}`;
+            earnings = error * error <= new SeededRandom(seed).next() ? beliefs.prize : 0;
+        }
+
+        return Object.assign(belief, {
+            belief_accuracy: Math.round(accuracy * 1000) / 1000,
+            belief_scoring: beliefs.scoring,
+            belief_earnings: EconomicGame.roundCents(earnings)
+        });
+    }
+
+    /**
+     * Send the amount to the human partner and wait for their return.
+     * Resolves to null (after falling back to the bot) if the partner times out or leaves.
+     */
+    async waitForPartnerReturn(amountSent) {
+        const experiment = this.experiment;
+        experiment.multiplayer.send({ type: 'send', round: this.round, amount: amountSent });
+        experiment.showWaiting('Waiting for your partner to decide how much to send back...');
+
+        try {
+            const message = await experiment.multiplayer.waitFor('partner_returned', {
+                round: this.round,
+                timeout: experiment.config.multiplayer.decision_timeout_ms
+            });
+            const pot = amountSent * this.multiplier;
+            return {
+                returnRate: pot > 0 ? Math.round(message.amount / pot * 1000) / 1000 : 0,
+                amountReturned: message.amount
+            };
+        } catch (error) {
+            experiment.fallBackToBot(error.reason);
+            return null;
+        }
+    }
+
+    /**
+     * Trustee role: a simulated sender transfers money and the participant decides how much to return,
+     * either directly or, with the strategy method, for every possible transfer before seeing the real one
+     */
+    async showTrusteeDecision() {
+        const experiment = this.experiment;
+        const partnerLabel = this.getPartnerLabel(this.round);
+
+        this.senderIsHuman = false;
+        if (experiment.hasHumanPartner()) {
+            experiment.showWaiting('Waiting for your partner to decide how much to send...');
+            try {
+                const message = await experiment.multiplayer.waitFor('partner_sent', {
+                    round: this.round,
+                    timeout: experiment.config.multiplayer.decision_timeout_ms
+                });
+                this.senderAmount = message.amount;
+                this.senderIsHuman = true;
+            } catch (error) {
+                experiment.fallBackToBot(error.reason);
+            }
+        }
+        if (!this.senderIsHuman) {
+            this.senderAmount = this.getSenderAmount(this.round);
+        }
+
+        // A human sender's transfer is already known, so live dyads always respond directly
+        this.responseMethod = this.senderIsHuman ? 'direct' : experiment.config.trustee.response_method;
+
+        if (this.responseMethod === 'strategy_method') {
+            const amounts = ExperimentConfig.possibleSendAmounts(this.sendOptions, this.endowment);
+            experiment.renderDecision(`
+            ${this.renderPartnerProfile()}
+
+            <div class="trust-scenario">
+                <p>${this.pairingText()} <strong>${partnerLabel}</strong>, who starts with $${this.endowment}.</p>
+                <p>Before you find out how much they sent, decide how much you would send back for each amount they could send:</p>
+            </div>
+
+            ${this.renderHistory()}
+
+            <table class="strategy-table">
+                <tr><th>If your partner sends</th><th>You receive</th><th>You send back</th></tr>
+                ${amounts.map((amount, index) => `
+                <tr>
+                    <td>$${amount}</td>
+                    <td>$${amount * this.multiplier}</td>
+                    <td><input type="number" id="strategy-return-${index}" data-amount="${amount}" min="0" max="${amount * this.multiplier}" step="1" value="0"${amount === 0 ? ' disabled' : ''}></td>
+                </tr>`).join('')}
+            </table>
+            <div id="return-error" class="error hidden"></div>
+
+            <div class="btn-group">
+                <button class="btn" onclick="experiment.game.submitStrategyTable()">Submit Decisions</button>
+            </div>
+            `);
+            return;
+        }
+
+        const received = this.senderAmount * this.multiplier;
+        experiment.renderDecision(`
+            ${this.renderPartnerProfile()}
+
+            <div class="trust-scenario">
+                <p>${this.pairingText()} <strong>${partnerLabel}</strong>.</p>
+                <p>Your partner sent you <strong>$${this.senderAmount}</strong>, which was ${this.multiplierText()} to <strong>$${received}</strong>.</p>
+                <p>You now have $${this.endowment} + $${received} = <strong>$${this.endowment + received}</strong>.</p>
+                ${received > 0 ? '<p>How much of the $' + received + ' would you like to send back to your partner?</p>' : ''}
+            </div>
+
+            ${this.renderHistory()}
+
+            ${received > 0 ? `
+            <div class="form-group">
+                <label for="return-amount">Amount to send back ($0 - $${received}):</label>
+                <input type="number" id="return-amount" min="0" max="${received}" step="1" value="0">
+            </div>
+            <div id="return-error" class="error hidden"></div>
+            <div class="btn-group">
+                <button class="btn" onclick="experiment.game.submitDirectReturn()">Send Back</button>
+            </div>
+            ` : `
+            <div class="btn-group">
+                <button class="btn" onclick="experiment.game.makeReturnDecision(0)">Continue</button>
+            </div>
+            `}
+        `);
+    }
+
+    /**
+     * Amount the simulated sender transfers in a round (trustee role)
+     */
+    getSenderAmount(round) {
+        const trustee = this.experiment.config.trustee;
+
+        if (trustee.sender_mode === 'random') {
+            const amounts = ExperimentConfig.possibleSendAmounts(this.sendOptions, this.endowment);
+            return amounts[Math.floor(this.experiment.random() * amounts.length)];
+        }
+
+        return this.perRound(trustee.sender_amounts, round);
+    }
+
+    /**
+     * Read and check a return amount input; shows an inline message and returns null when invalid
+     */
+    readReturnAmount(input, maximum) {
+        const value = parseFloat(input.value);
+
+        if (isNaN(value) || value < 0 || value > maximum) {
+            const errorElement = document.getElementById('return-error');
+            errorElement.textContent = `Please enter an amount between $0 and $${maximum}.`;
+            errorElement.classList.remove('hidden');
+            return null;
+        }
+
+        return value;
+    }
+
+    submitDirectReturn() {
+        const received = this.senderAmount * this.multiplier;
+        const amountReturned = this.readReturnAmount(document.getElementById('return-amount'), received);
+
+        if (amountReturned !== null) {
+            this.makeReturnDecision(amountReturned);
+        }
+    }
+
+    submitStrategyTable() {
+        const amounts = ExperimentConfig.possibleSendAmounts(this.sendOptions, this.endowment);
+        const strategyTable = {};
+
+        for (let index = 0; index < amounts.length; index++) {
+            const amount = amounts[index];
+            const returned = this.readReturnAmount(document.getElementById(`strategy-return-${index}`), amount * this.multiplier);
+            if (returned === null) {
+                return;
+            }
+            strategyTable[amount] = returned;
+        }
+
+        this.makeReturnDecision(strategyTable[this.senderAmount], strategyTable);
+    }
+
+    /**
+     * Record a trustee trial
+     * @param {number} amountReturned - Amount the participant sends back for the actual transfer
+     * @param {Object} strategyTable - Strategy-method responses keyed by possible transfer (optional)
+     */
+    makeReturnDecision(amountReturned, strategyTable) {
+        const experiment = this.experiment;
+        const decision = experiment.endDecision();
+        const received = this.senderAmount * this.multiplier;
+
+        if (this.senderIsHuman) {
+            experiment.multiplayer.send({ type: 'return', round: this.round, amount: amountReturned });
+        }
+
+        experiment.recordTrial(Object.assign({
+            role: 'trustee',
+            sender_amount_sent: this.senderAmount,
+            trustee_received: received,
+            trustee_amount_returned: amountReturned,
+            trustee_return_rate: received > 0 ? Math.round(amountReturned / received * 1000) / 1000 : null,
+            sender_final_earnings: (this.endowment - this.senderAmount) + amountReturned,
+            final_earnings: this.endowment + received - amountReturned,
+            response_method: this.responseMethod,
+            partner_type: this.senderIsHuman ? 'human' : experiment.data.dyad.partner_type,
+            strategy_table: strategyTable
+                ? Object.keys(strategyTable).map(amount => `${amount}:${strategyTable[amount]}`).join(';')
+                : ''
+        }, this.interactionFields(), this.profileFields()), decision);
+    }
+
+    /**
+     * Label shown for the partner in a round: the profile name when names are shown, configured partner_labels,
+     * or "Partner N"
+     */
+    getPartnerLabel(round) {
+        const profile = this.getPartnerProfile(round);
+        if (profile && profile.name && this.experiment.profileShow.includes('name')) {
+            return profile.name;
+        }
+        const labels = this.experiment.partnerLabels;
+        const partner = this.partnerOf(round);
+        return labels.length > 0 ? this.perRound(labels, partner) : super.getPartnerLabel(partner);
+    }
+
+    /**
+     * Profile of the partner of a round (partner_profiles, in the assigned partner order), or null when profiles are off
+     */
+    getPartnerProfile(round) {
+        const profiles = this.experiment.partnerProfiles;
+        return profiles.length > 0 ? this.perRound(profiles, this.partnerOf(round)) : null;
+    }
+
+    /**
+     * in_group or out_group when the participant has a group, else ''
+     */
+    groupRelation(profile) {
+        if (!this.experiment.participantGroup) {
+            return '';
+        }
+        return profile.group === this.experiment.participantGroup ? 'in_group' : 'out_group';
+    }
+
+    /**
+     * Card with the profile items the participant is shown (profile_show) for the current partner
+     */
+    renderPartnerProfile() {
+        const profile = this.getPartnerProfile(this.round);
+        if (!profile) {
+            return '';
+        }
+
+        const show = this.experiment.profileShow;
+        const settings = this.experiment.config.partner_profiles;
+        const relationText = { in_group: ' (your group)', out_group: ' (not your group)', '': '' };
+        const details = [];
+        if (show.includes('group')) {
+            details.push(`<p>Group: <strong>${profile.group}</strong>${relationText[this.groupRelation(profile)]}</p>`);
+        }
+        if (show.includes('reputation')) {
+            details.push(`<p>${settings.reputation_label}: <strong>${profile.reputation} / ${settings.reputation_max}</strong></p>`);
+        }
+        if (show.includes('return_history')) {
+            details.push(`<p>Sent back in earlier games: <strong>${profile.return_history.map(rate => `${Math.round(rate * 100)}%`).join(', ')}</strong> of what they received</p>`);
+        }
+
+        return `
+            <div class="partner-profile">
+                ${show.includes('avatar') ? this.renderAvatar(profile) : ''}
+                <div class="partner-profile-details">
+                    <p><strong>${this.getPartnerLabel(this.round)}</strong></p>
+                    ${details.join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * The profile's avatar (an image URL, or text such as an emoji), or initials on a colour derived from the label
+     */
+    renderAvatar(profile) {
+        const label = this.getPartnerLabel(this.round);
+        if (/^(https?:|data:|\/)|\.(png|jpe?g|gif|svg|webp)$/i.test(profile.avatar || '')) {
+            return `<img class="partner-avatar" src="${profile.avatar}" alt="${label}">`;
+        }
+        if (profile.avatar) {
+            return `<div class="partner-avatar">${profile.avatar}</div>`;
+        }
+
+        const initials = label.split(/\s+/).map(word => word.charAt(0).toUpperCase()).join('').slice(0, 2);
+        const hue = SeededRandom.hashSeed(label) % 360;
+        return `<div class="partner-avatar" style="background: hsl(${hue}, 55%, 55%);">${initials}</div>`;
+    }
+
+    /**
+     * Profile items shown for the partner, recorded with every trial (empty when profiles are off)
+     */
+    profileFields() {
+        const profile = this.getPartnerProfile(this.round);
+        if (!profile) {
+            return {};
+        }
+
+        const show = this.experiment.profileShow;
+        return {
+            profile_shown: show.join(';'),
+            partner_name: show.includes('name') ? this.getPartnerLabel(this.round) : '',
+            partner_avatar: show.includes('avatar') ? (profile.avatar || 'generated') : '',
+            partner_group: show.includes('group') ? profile.group : '',
+            group_relation: show.includes('group') ? this.groupRelation(profile) : '',
+            partner_reputation: show.includes('reputation') ? profile.reputation : null,
+            partner_return_history: show.includes('return_history') ? profile.return_history.join(';') : ''
+        };
+    }
+
+    /**
+     * Partner strategy for a round (1-based), cycling through the assigned list
+     */
+    getPartnerStrategy(round) {
+        return this.perRound(this.experiment.partnerStrategies, this.partnerOf(round));
+    }
+
+    /**
+     * Partner a round is played with: a new one every round, or the first one throughout in repeated mode
+     */
+    partnerOf(round) {
+        return this.experiment.repeated ? 1 : round;
+    }
+
+    pairingText() {
+        return this.experiment.repeated && this.round > 1 ? 'You are still paired with' : 'You are now paired with';
+    }
+
+    /**
+     * Earlier trials of this game; in repeated mode these were all played with the current partner
+     */
+    getHistory() {
+        return this.experiment.data.trials.filter(trial => (trial.game_index || 1) === this.index && trial.round < this.round);
+    }
+
+    /**
+     * History a partner strategy conditions on (see PartnerStrategy.respond()); empty when every round has a new partner
+     */
+    getStrategyHistory() {
+        if (!this.experiment.repeated) {
+            return [];
+        }
+        return this.getHistory().filter(trial => trial.role === 'trustor').map(trial => ({
+            round: trial.round,
+            amountSent: trial.amount_sent,
+            amountReturned: trial.amount_returned
+        }));
+    }
+
+    /**
+     * Table of the earlier rounds with the partner, shown on the decision screen when show_history is on
+     */
+    renderHistory() {
+        const history = this.experiment.showHistory ? this.getHistory() : [];
+        if (history.length === 0) {
+            return '';
+        }
+
+        const trustee = this.role === 'trustee';
+        return `
+            <table class="strategy-table history-table">
+                <caption>Your earlier rounds with ${this.getPartnerLabel(this.round)}</caption>
+                <tr>${trustee
+                    ? '<th>Round</th><th>Partner sent</th><th>You received</th><th>You sent back</th><th>You earned</th>'
+                    : '<th>Round</th><th>You sent</th><th>Partner received</th><th>Partner sent back</th><th>You earned</th>'}</tr>
+                ${history.map(trial => trustee ? `
+                <tr><td>${trial.round}</td><td>$${trial.sender_amount_sent}</td><td>$${trial.trustee_received}</td><td>$${trial.trustee_amount_returned}</td><td>$${trial.final_earnings}</td></tr>` : `
+                <tr><td>${trial.round}</td><td>$${trial.amount_sent}</td><td>$${trial.amount_sent * this.multiplier}</td><td>$${trial.amount_returned}</td><td>$${trial.final_earnings}</td></tr>`).join('')}
+            </table>
+        `;
+    }
+
+    /**
+     * How the rounds were played, recorded with every trial
+     */
+    interactionFields() {
+        return {
+            interaction: this.experiment.repeated ? 'repeated' : 'one_shot',
+            history_shown: this.experiment.showHistory,
+            stopping_rule: this.stoppingRule,
+            continuation_probability: this.stoppingRule === 'random' ? this.experiment.config.repeated.continuation_probability : null
+        };
+    }
+
+    renderFeedback(trial) {
+        if (trial.role === 'trustee') {
+            return `
+                <p>Your partner sent: <strong>$${trial.sender_amount_sent}</strong></p>
+                <p>You received: <strong>$${trial.trustee_received}</strong></p>
+                <p>You sent back: <strong>$${trial.trustee_amount_returned}</strong></p>
+                <p>Your partner's earnings: <strong>$${trial.sender_final_earnings}</strong></p>
+                ${this.renderStoppingDraw(trial)}
+            `;
+        }
+
+        return `
+                <p>You sent: <strong>$${trial.amount_sent}</strong></p>
+                <p>You kept: <strong>$${trial.amount_kept}</strong></p>
+                <p>Partner received: <strong>$${trial.partner_received}</strong></p>
+                <p>Partner sent back: <strong>$${trial.amount_returned}</strong></p>
+                ${this.renderBeliefResult(trial)}
+                ${this.renderStoppingDraw(trial)}
+            `;
+    }
+
+    /**
+     * The participant's prediction for the round, how accurate it was and what it earned
+     */
+    renderBeliefResult(trial) {
+        if (!trial.belief_question) {
+            return '';
+        }
+        const prediction = trial.belief_question === 'probability'
+            ? `a ${Math.round(trial.belief_probability * 100)}% chance of getting back at least $${trial.amount_sent}`
+            : `$${trial.belief_amount} back`;
+        return `
+                <p>You predicted: <strong>${prediction}</strong> (accuracy ${Math.round(trial.belief_accuracy * 100)}%)</p>
+                ${trial.belief_scoring !== 'none' ? `<p>Earnings from your prediction: <strong>$${trial.belief_earnings}</strong></p>` : ''}
+            `;
+    }
+
+    /**
+     * Under random stopping, whether the game goes on after the round
+     */
+    renderStoppingDraw(trial) {
+        if (this.stoppingRule !== 'random') {
+            return '';
+        }
+        return trial.round < this.rounds
+            ? '<p><em>The game continues: there will be another round with the same partner.</em></p>'
+            : '<p><em>The game has ended: this was the last round.</em></p>';
+    }
+
+    describeTrial(trial) {
+        return trial.role === 'trustee'
+            ? `Round ${trial.round}: Received $${trial.trustee_received}, sent back $${trial.trustee_amount_returned} → Earned $${trial.final_earnings}`
+            : `Round ${trial.round}: Sent $${trial.amount_sent} → Earned $${trial.final_earnings}`;
+    }
+
+    summarize(trials) {
+        if (this.role === 'trustee') {
+            const avgReturned = this.average(trials, 'trustee_amount_returned');
+            const reciprocityPattern = TrustPatterns.reciprocity(trials);
+            return {
+                summary: { average_amount_returned: avgReturned, reciprocity_pattern: reciprocityPattern },
+                html: `
+                <p><strong>Average amount sent back per round:</strong> $${avgReturned.toFixed(2)}</p>
+                <p><strong>Reciprocity pattern:</strong> ${reciprocityPattern}</p>
+            `
+            };
+        }
+
+        const avgSent = this.average(trials, 'amount_sent');
+        const trustPattern = TrustPatterns.trust(trials);
+        const result = {
+            summary: { average_amount_sent: avgSent, trust_pattern: trustPattern },
+            html: `
+                <p><strong>Average amount sent per round:</strong> $${avgSent.toFixed(2)}</p>
+                <p><strong>Trust pattern:</strong> ${trustPattern}</p>
+            `
+        };
+
+        // Rounds in which $0 was sent have no prediction
+        const predicted = trials.filter(trial => trial.belief_question);
+        if (predicted.length > 0) {
+            const accuracy = Math.round(this.average(predicted, 'belief_accuracy') * 1000) / 1000;
+            const earnings = EconomicGame.roundCents(predicted.reduce((sum, trial) => sum + trial.belief_earnings, 0));
+            Object.assign(result.summary, { mean_belief_accuracy: accuracy, total_belief_earnings: earnings });
+            result.html += `
+                <p><strong>Prediction accuracy:</strong> ${Math.round(accuracy * 100)}%</p>
+                ${this.experiment.config.beliefs.scoring !== 'none' ? `<p><strong>Earnings from predictions:</strong> $${earnings.toFixed(2)}</p>` : ''}
+            `;
+        }
+        return result;
+    }
+}
+TrustGame.gameName = 'trust';
+TrustGame.title = 'Trust Game';
+TrustGame.defaults = {};
+
+/**
+ * Dictator game: the participant splits an endowment with a partner who cannot respond
+ */
+class DictatorGame extends EconomicGame {
+    renderInstructions() {
+        return this.renderRules([
+            `In each round you receive <strong>$${this.endowment}</strong> and are paired with a different partner`,
+            `You decide how much of it to give to your partner (${this.describeAmounts()})`,
+            'Your partner cannot respond: they simply receive the amount you give',
+            `Your earnings = $${this.endowment} - (money you give)`
+        ]);
+    }
+
+    showDecision() {
+        this.experiment.renderDecision(`
+            <div class="monetary-display">You have $${this.endowment}</div>
+
+            <div class="trust-scenario">
+                <p>You are now paired with <strong>${this.getPartnerLabel(this.round)}</strong>.</p>
+                <p>How much money would you like to give to your partner?</p>
+            </div>
+
+            ${this.renderAmountControls('Give')}
+        `);
+    }
+
+    makeDecision(amountGiven) {
+        const decision = this.experiment.endDecision();
+        this.experiment.recordTrial({
+            role: 'dictator',
+            amount_sent: amountGiven,
+            amount_kept: this.endowment - amountGiven,
+            partner_received: amountGiven,
+            final_earnings: this.endowment - amountGiven,
+            partner_type: this.experiment.data.dyad.partner_type
+        }, decision);
+    }
+
+    renderFeedback(trial) {
+        return `
+                <p>You gave: <strong>$${trial.amount_sent}</strong></p>
+                <p>You kept: <strong>$${trial.amount_kept}</strong></p>
+                <p>Partner received: <strong>$${trial.partner_received}</strong></p>
+            `;
+    }
+
+    describeTrial(trial) {
+        return `Round ${trial.round}: Gave $${trial.amount_sent} → Earned $${trial.final_earnings}`;
+    }
+
+    summarize(trials) {
+        const avgGiven = this.average(trials, 'amount_sent');
+        return {
+            summary: { dictator_average_given: avgGiven },
+            html: `<p><strong>Average amount given per round:</strong> $${avgGiven.toFixed(2)}</p>`
+        };
+    }
+}
+DictatorGame.gameName = 'dictator';
+DictatorGame.title = 'Dictator Game';
+DictatorGame.defaults = {
+    rounds: 3,
+    endowment: 10,
+    send_options: { type: 'buttons', amounts: [0, 2, 4, 6, 8, 10] }
+};
+
+/**
+ * Ultimatum game. A proposer offers part of the endowment; if the responder accepts, the money is split
+ * as offered, otherwise both get nothing. The participant plays one role against a simulated partner:
+ * a responder who accepts offers of at least responder_min_offers, or a proposer who offers proposer_offers.
+ */
+class UltimatumGame extends EconomicGame {
+    get role() {
+        return this.params.role;
+    }
+
+    renderInstructions() {
+        const rules = this.role === 'responder' ? [
+            `In each round your partner receives <strong>$${this.endowment}</strong> and offers you part of it`,
+            'If you accept, you get the offer and your partner keeps the rest',
+            'If you reject, you both get nothing for that round',
+            'Your earnings = the offer if you accept, $0 if you reject'
+        ] : [
+            `In each round you receive <strong>$${this.endowment}</strong> and offer part of it to a different partner (${this.describeAmounts()})`,
+            'If your partner accepts, they get the offer and you keep the rest',
+            'If your partner rejects, you both get nothing for that round',
+            `Your earnings = $${this.endowment} - (your offer) if accepted, $0 if rejected`
+        ];
+        return this.renderRules(rules);
+    }
+
+    showDecision() {
+        if (this.role === 'responder') {
+            const offer = this.perRound(this.params.proposer_offers, this.round);
+            this.experiment.renderDecision(`
+            <div class="trust-scenario">
+                <p>You are now paired with <strong>${this.getPartnerLabel(this.round)}</strong>, who has $${this.endowment}.</p>
+                <p>Your partner offers you <strong>$${offer}</strong> and would keep <strong>$${this.endowment - offer}</strong>.</p>
+                <p>If you reject the offer, you both get nothing this round.</p>
+            </div>
+
+            <div class="btn-group">
+                <button class="btn" onclick="experiment.game.respond(true)">Accept $${offer}</button>
+                <button class="btn" onclick="experiment.game.respond(false)">Reject</button>
+            </div>
+            `);
+            return;
+        }
+
+        this.experiment.renderDecision(`
+            <div class="monetary-display">You have $${this.endowment}</div>
+
+            <div class="trust-scenario">
+                <p>You are now paired with <strong>${this.getPartnerLabel(this.round)}</strong>.</p>
+                <p>How much would you like to offer your partner?</p>
+                <p><em>Remember: If your partner rejects the offer, you both get nothing!</em></p>
+            </div>
+
+            ${this.renderAmountControls('Offer')}
+        `);
+    }
+
+    /**
+     * Proposer: the simulated responder accepts offers of at least this round's minimum
+     */
+    makeDecision(offer) {
+        const decision = this.experiment.endDecision();
+        const minimum = this.perRound(this.params.responder_min_offers, this.round);
+        const accepted = offer >= minimum;
+
+        this.experiment.recordTrial({
+            role: 'proposer',
+            amount_sent: offer,
+            amount_kept: this.endowment - offer,
+            offer_accepted: accepted,
+            min_acceptable_offer: minimum,
+            partner_received: accepted ? offer : 0,
+            final_earnings: accepted ? this.endowment - offer : 0,
+            partner_type: this.experiment.data.dyad.partner_type
+        }, decision);
+    }
+
+    /**
+     * Responder: accept or reject this round's offer
+     */
+    respond(accepted) {
+        const decision = this.experiment.endDecision();
+        const offer = this.perRound(this.params.proposer_offers, this.round);
+
+        this.experiment.recordTrial({
+            role: 'responder',
+            offer_received: offer,
+            offer_accepted: accepted,
+            partner_received: accepted ? this.endowment - offer : 0,
+            final_earnings: accepted ? offer : 0,
+            partner_type: this.experiment.data.dyad.partner_type
+        }, decision);
+    }
+
+    renderFeedback(trial) {
+        const outcome = trial.offer_accepted ? 'accepted' : 'rejected';
+        if (trial.role === 'responder') {
+            return `
+                <p>Your partner offered: <strong>$${trial.offer_received}</strong></p>
+                <p>You <strong>${outcome}</strong> the offer.</p>
+                <p>Your partner's earnings: <strong>$${trial.partner_received}</strong></p>
+            `;
+        }
+
+        return `
+                <p>You offered: <strong>$${trial.amount_sent}</strong></p>
+                <p>Your partner <strong>${outcome}</strong> the offer.</p>
+                <p>Partner received: <strong>$${trial.partner_received}</strong></p>
+            `;
+    }
+
+    describeTrial(trial) {
+        const offer = trial.role === 'responder' ? `Offered $${trial.offer_received}` : `Offered $${trial.amount_sent}`;
+        return `Round ${trial.round}: ${offer}, ${trial.offer_accepted ? 'accepted' : 'rejected'} → Earned $${trial.final_earnings}`;
+    }
+
+    summarize(trials) {
+        const avgOffer = this.average(trials, this.role === 'responder' ? 'offer_received' : 'amount_sent');
+        const acceptanceRate = trials.length > 0 ? trials.filter(trial => trial.offer_accepted).length / trials.length : 0;
+        return {
+            summary: { ultimatum_average_offer: avgOffer, ultimatum_acceptance_rate: acceptanceRate },
+            html: this.role === 'responder' ? `
+                <p><strong>Average offer received:</strong> $${avgOffer.toFixed(2)}</p>
+                <p><strong>Offers you accepted:</strong> ${Math.round(acceptanceRate * 100)}%</p>
+            ` : `
+                <p><strong>Average offer made:</strong> $${avgOffer.toFixed(2)}</p>
+                <p><strong>Offers accepted by your partners:</strong> ${Math.round(acceptanceRate * 100)}%</p>
+            `
+        };
+    }
+}
+UltimatumGame.gameName = 'ultimatum';
+UltimatumGame.title = 'Ultimatum Game';
+UltimatumGame.defaults = {
+    role: 'proposer',
+    rounds: 3,
+    endowment: 10,
+    send_options: { type: 'buttons', amounts: [1, 3, 5, 7, 9] },
+    responder_min_offers: [3, 4, 2],
+    proposer_offers: [5, 2, 4]
+};
+
+/**
+ * N-player public goods game. Every group member receives the endowment and contributes to a project;
+ * the project total is multiplied and shared equally. The other group_size - 1 members are simulated with
+ * partner strategy specs (other_players, cycled): each contributes its return rate times the endowment,
+ * so e.g. tit_for_tat players follow the participant's contribution in the previous round.
+ */
+class PublicGoodsGame extends EconomicGame {
+    constructor(experiment, spec, index) {
+        super(experiment, spec, index);
+        this.otherPlayers = Array.from({ length: this.params.group_size - 1 },
+            (value, position) => PartnerStrategies.create(this.params.other_players[position % this.params.other_players.length]));
+    }
+
+    get multiplier() {
+        return this.params.multiplier;
+    }
+
+    renderInstructions() {
+        return this.renderRules([
+            `You are in a group of <strong>${this.params.group_size}</strong>. In each round every member receives <strong>$${this.endowment}</strong>`,
+            `Every member decides how much to contribute to a group project (${this.describeAmounts()})`,
+            `The project total is multiplied by ${this.multiplier} and shared equally among all ${this.params.group_size} members, whatever they contributed`,
+            `Your earnings = $${this.endowment} - (your contribution) + (your share of the project)`
+        ]);
+    }
+
+    showDecision() {
+        this.experiment.renderDecision(`
+            <div class="monetary-display">You have $${this.endowment}</div>
+
+            <div class="trust-scenario">
+                <p>Your group has <strong>${this.params.group_size}</strong> members.</p>
+                <p>How much would you like to contribute to the group project?</p>
+                <p><em>Remember: The project total is multiplied by ${this.multiplier} and shared equally!</em></p>
+            </div>
+
+            ${this.renderAmountControls('Contribute')}
+        `);
+    }
+
+    /**
+     * Contributions of the simulated members this round, given the participant's previous contribution.
+     * The previous contribution is what a member responds to, and the rounds before it are the history
+     * that grim_trigger and adaptive condition on.
+     */
+    getOtherContributions() {
+        const earlier = this.experiment.data.trials.filter(trial => trial.game_index === this.index);
+        const previous = earlier.pop();
+        const history = earlier.map(trial => ({ round: trial.round, amountSent: trial.amount_sent }));
+        return this.otherPlayers.map(strategy => Math.floor(this.endowment * PartnerStrategy.clampRate(strategy.getReturnRate({
+            amountSent: previous ? previous.amount_sent : 0,
+            multiplier: this.multiplier,
+            endowment: this.endowment,
+            round: this.round,
+            history: history,
+            random: this.experiment.random
+        }))));
+    }
+
+    makeDecision(contribution) {
+        const decision = this.experiment.endDecision();
+        const others = this.getOtherContributions();
+        const total = others.reduce((sum, amount) => sum + amount, contribution);
+        const share = EconomicGame.roundCents(total * this.multiplier / this.params.group_size);
+
+        this.experiment.recordTrial({
+            role: 'contributor',
+            amount_sent: contribution,
+            amount_kept: this.endowment - contribution,
+            group_size: this.params.group_size,
+            group_contribution: total,
+            others_contributions: others.join(';'),
+            public_goods_share: share,
+            final_earnings: EconomicGame.roundCents(this.endowment - contribution + share),
+            partner_strategy: this.otherPlayers.map(strategy => strategy.describe().strategy).join(';'),
+            partner_strategy_params: this.otherPlayers.map(strategy => strategy.describe().params).join('|'),
+            partner_type: this.experiment.data.dyad.partner_type
+        }, decision);
+    }
+
+    renderFeedback(trial) {
+        return `
+                <p>You contributed: <strong>$${trial.amount_sent}</strong></p>
+                <p>The other members contributed: <strong>${trial.others_contributions.split(';').map(amount => `$${amount}`).join(', ')}</strong></p>
+                <p>Project total: <strong>$${trial.group_contribution}</strong> × ${this.multiplier} = <strong>$${EconomicGame.roundCents(trial.group_contribution * this.multiplier)}</strong></p>
+                <p>Your share of the project: <strong>$${trial.public_goods_share}</strong></p>
+            `;
+    }
+
+    describeTrial(trial) {
+        return `Round ${trial.round}: Contributed $${trial.amount_sent}, group total $${trial.group_contribution} → Earned $${trial.final_earnings}`;
+    }
+
+    summarize(trials) {
+        const avgContribution = this.average(trials, 'amount_sent');
+        return {
+            summary: { public_goods_average_contribution: avgContribution },
+            html: `<p><strong>Average contribution per round:</strong> $${avgContribution.toFixed(2)}</p>`
+        };
+    }
+}
+PublicGoodsGame.gameName = 'public_goods';
+PublicGoodsGame.title = 'Public Goods Game';
+PublicGoodsGame.defaults = {
+    rounds: 3,
+    endowment: 10,
+    group_size: 4,
+    multiplier: 2,
+    send_options: { type: 'slider', step: 1 },
+    other_players: [
+        { strategy: 'fixed', params: { rate: 0.5 } },
+        { strategy: 'tit_for_tat', params: { min_rate: 0.2, max_rate: 0.8 } },
+        { strategy: 'stochastic', params: { distribution: 'uniform', min: 0, max: 1 } }
+    ]
+};
+
+/**
+ * Risk preference task, to separate trust from plain risk taking. holt_laury is the Holt-Laury (2002) multiple
+ * price list: in every row the participant chooses between a safe lottery (Option A) and a risky one (Option B),
+ * with the chance of the high prize rising row by row; one row is drawn and played for real. bomb is the static
+ * bomb risk elicitation task (Crosetto & Filippin, 2013): the participant collects boxes, each worth box_value,
+ * and earns nothing if the one box with the bomb is among them. The draws are seeded from the assignment seed.
+ */
+class RiskGame extends EconomicGame {
+    get task() {
+        return this.params.task;
+    }
+
+    renderInstructions() {
+        if (this.task === 'bomb') {
+            return this.renderRules([
+                `There are <strong>${this.params.boxes}</strong> boxes. Each box you collect earns you <strong>$${this.formatPrize(this.params.box_value)}</strong>`,
+                'One of the boxes hides a bomb. You do not know which one',
+                `You decide how many boxes to collect (from 0 to ${this.params.boxes})`,
+                'If the bomb is in one of the boxes you collected, you earn nothing; otherwise you earn the value of all the boxes you collected'
+            ]);
+        }
+
+        return this.renderRules([
+            `You make <strong>${this.params.choice_rows}</strong> decisions. In each one you choose between two lotteries, Option A and Option B`,
+            `Option A pays $${this.formatPrize(this.params.safe_prizes[0])} or $${this.formatPrize(this.params.safe_prizes[1])}; Option B pays $${this.formatPrize(this.params.risky_prizes[0])} or $${this.formatPrize(this.params.risky_prizes[1])}`,
+            'The chance of the higher prize is the same for both options and increases from one decision to the next',
+            'At the end, one decision is drawn at random and the option you chose in it is played for real'
+        ]);
+    }
+
+    showDecision(choices = [], error = '') {
+        const errorHtml = error ? `<div class="error-message"><p>${error}</p></div>` : '';
+        if (this.task === 'bomb') {
+            this.experiment.renderDecision(`
+            <div class="trust-scenario">
+                <p>How many of the <strong>${this.params.boxes}</strong> boxes would you like to collect?</p>
+                <p><em>Remember: Each box is worth $${this.formatPrize(this.params.box_value)}, but if you collect the bomb you earn nothing!</em></p>
+            </div>
+
+            <div class="form-group">
+                <label for="risk-boxes">Boxes to collect: <strong><span id="risk-boxes-value">0</span></strong></label>
+                <input type="range" id="risk-boxes" min="0" max="${this.params.boxes}" step="1" value="0"
+                       oninput="document.getElementById('risk-boxes-value').textContent = this.value">
+            </div>
+            <div class="btn-group">
+                <button class="btn" onclick="experiment.game.submitBoxes()">Collect Boxes</button>
+            </div>
+            `);
+            return;
+        }
+
+        const rows = this.params.choice_rows;
+        this.experiment.renderDecision(`
+            <div class="trust-scenario">
+                <p>Choose Option A or Option B in every row.</p>
+            </div>
+
+            ${errorHtml}
+
+            <table class="strategy-table risk-table">
+                <tr><th>Decision</th><th>Option A</th><th>Option B</th></tr>
+                ${Array.from({ length: rows }, (value, index) => `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td><label><input type="radio" name="risk-row-${index + 1}" id="risk-row-${index + 1}-A" value="A"${choices[index] === 'A' ? ' checked' : ''}>
+                        ${this.describeLottery(this.params.safe_prizes, index + 1)}</label></td>
+                    <td><label><input type="radio" name="risk-row-${index + 1}" id="risk-row-${index + 1}-B" value="B"${choices[index] === 'B' ? ' checked' : ''}>
+                        ${this.describeLottery(this.params.risky_prizes, index + 1)}</label></td>
+                </tr>`).join('')}
+            </table>
+
+            <div class="btn-group">
+                <button class="btn" onclick="experiment.game.submitChoices()">Submit Choices</button>
+            </div>
+        `);
+    }
+
+    /**
+     * A lottery of a Holt-Laury row, e.g. "$2.00 with chance 3/10, $1.60 with chance 7/10"
+     */
+    describeLottery(prizes, row) {
+        const rows = this.params.choice_rows;
+        return `$${this.formatPrize(prizes[0])} with chance ${row}/${rows}, $${this.formatPrize(prizes[1])} with chance ${rows - row}/${rows}`;
+    }
+
+    formatPrize(amount) {
+        return Number.isInteger(amount) ? String(amount) : amount.toFixed(2);
+    }
+
+    submitChoices() {
+        const choices = Array.from({ length: this.params.choice_rows }, (value, index) =>
+            ['A', 'B'].find(option => document.getElementById(`risk-row-${index + 1}-${option}`).checked) || null);
+        if (choices.includes(null)) {
+            this.showDecision(choices, 'Please choose Option A or Option B in every row.');
+            return;
+        }
+        this.makeDecision(choices);
+    }
+
+    submitBoxes() {
+        this.makeDecision(parseInt(document.getElementById('risk-boxes').value, 10));
+    }
+
+    /**
+     * Play out the choice: a list of 'A'/'B' (holt_laury) or the number of boxes collected (bomb)
+     */
+    makeDecision(choice) {
+        const decision = this.experiment.endDecision();
+        const random = new SeededRandom(`${this.experiment.data.condition.assignment_seed}_risk_${this.index}_${this.round}`);
+        this.experiment.recordTrial(Object.assign({
+            role: 'decision_maker',
+            risk_task: this.task
+        }, this.task === 'bomb' ? this.playBomb(choice, random) : this.playPriceList(choice, random)), decision);
+    }
+
+    /**
+     * Draw the paid row and its lottery. Choosing A after B, or A in the last row (where B wins for sure),
+     * is inconsistent with any stable risk attitude and is flagged.
+     */
+    playPriceList(choices, random) {
+        const rows = this.params.choice_rows;
+        const paidRow = Math.floor(random.next() * rows) + 1;
+        const high = random.next() < paidRow / rows;
+        const prizes = choices[paidRow - 1] === 'A' ? this.params.safe_prizes : this.params.risky_prizes;
+        const safeChoices = choices.filter(choice => choice === 'A').length;
+
+        return {
+            risk_choices: choices.join(';'),
+            risk_safe_choices: safeChoices,
+            risk_inconsistent: choices.some((choice, index) => choice === 'A' && (index === rows - 1 || choices.slice(0, index).includes('B'))),
+            risk_paid_row: paidRow,
+            risk_outcome: high ? 'high' : 'low',
+            final_earnings: prizes[high ? 0 : 1]
+        };
+    }
+
+    playBomb(boxesCollected, random) {
+        const bombBox = Math.floor(random.next() * this.params.boxes) + 1;
+        const exploded = bombBox <= boxesCollected;
+
+        return {
+            risk_boxes_collected: boxesCollected,
+            risk_bomb_box: bombBox,
+            risk_outcome: exploded ? 'exploded' : 'safe',
+            final_earnings: exploded ? 0 : EconomicGame.roundCents(boxesCollected * this.params.box_value)
+        };
+    }
+
+    renderFeedback(trial) {
+        if (trial.risk_task === 'bomb') {
+            return `
+                <p>You collected: <strong>${trial.risk_boxes_collected} boxes</strong></p>
+                <p>The bomb was in box <strong>${trial.risk_bomb_box}</strong>${trial.risk_outcome === 'exploded' ? ', one of the boxes you collected' : ', which you did not collect'}.</p>
+            `;
+        }
+
+        const choice = trial.risk_choices.split(';')[trial.risk_paid_row - 1];
+        return `
+                <p>You chose Option A in <strong>${trial.risk_safe_choices}</strong> of ${this.params.choice_rows} decisions.</p>
+                <p>Decision <strong>${trial.risk_paid_row}</strong> was drawn for payment. You chose <strong>Option ${choice}</strong> there.</p>
+                <p>The lottery paid the <strong>${trial.risk_outcome}</strong> prize.</p>
+            `;
+    }
+
+    describeTrial(trial) {
+        return trial.risk_task === 'bomb'
+            ? `Round ${trial.round}: Collected ${trial.risk_boxes_collected} boxes, bomb in box ${trial.risk_bomb_box} → Earned $${trial.final_earnings}`
+            : `Round ${trial.round}: Option A in ${trial.risk_safe_choices} of ${this.params.choice_rows} decisions, decision ${trial.risk_paid_row} paid → Earned $${trial.final_earnings}`;
+    }
+
+    /**
+     * Risk aversion from 0 (most risk seeking) to 1 (most risk averse): the share of safe choices in the price list
+     * (0.4 is risk neutral with the default prizes) or of the boxes left uncollected (0.5 is risk neutral)
+     */
+    aversionIndex(trial) {
+        return trial.risk_task === 'bomb'
+            ? 1 - trial.risk_boxes_collected / this.params.boxes
+            : trial.risk_safe_choices / this.params.choice_rows;
+    }
+
+    summarize(trials) {
+        const index = trials.length > 0
+            ? Math.round(trials.reduce((sum, trial) => sum + this.aversionIndex(trial), 0) / trials.length * 1000) / 1000
+            : 0;
+        const earnings = EconomicGame.roundCents(trials.reduce((sum, trial) => sum + trial.final_earnings, 0));
+        return {
+            summary: { risk_aversion_index: index, risk_earnings: earnings },
+            html: `<p><strong>Risk aversion index:</strong> ${index.toFixed(2)} (0 = most risk seeking, 1 = most risk averse)</p>
+                <p><strong>Lottery earnings:</strong> $${earnings} (not part of your total earnings)</p>`
+        };
+    }
+}
+RiskGame.gameName = 'risk';
+RiskGame.title = 'Lottery Task';
+RiskGame.paidSeparately = true; // Lottery earnings measure risk attitude, so they are not game earnings
+RiskGame.defaults = {
+    task: 'holt_laury',
+    rounds: 1,
+    choice_rows: 10,
+    safe_prizes: [2, 1.6],
+    risky_prizes: [3.85, 0.1],
+    boxes: 100,
+    box_value: 0.1
+};
+
+/**
+ * Registry of games by name, used to build the session's games from the games setting
+ */
+const Games = {
+    registry: {
+        trust: TrustGame,
+        dictator: DictatorGame,
+        ultimatum: UltimatumGame,
+        public_goods: PublicGoodsGame,
+        risk: RiskGame
+    },
+
+    /**
+     * Build a game from a spec
+     * @param {TrustGameExperiment} experiment - Session the game is played in
+     * @param {Object} spec - { type: name, ...game settings }
+     * @param {number} index - Position in the session (1-based)
+     */
+    create(experiment, spec, index) {
+        const GameClass = this.registry[spec.type];
+        if (!GameClass) {
+            throw new Error(`Unknown game: ${spec.type}`);
+        }
+
+        return new GameClass(experiment, spec, index);
+    },
+
+    /**
+     * Register a custom game class under a name
+     */
+    register(name, GameClass) {
+        GameClass.gameName = name;
+        this.registry[name] = GameClass;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EconomicGame,
+        TrustGame,
+        DictatorGame,
+        UltimatumGame,
+        PublicGoodsGame,
+        RiskGame,
+        Games
+    };
+}
@@ -0,0 +1,166 @@
+// Multiplayer client for Trust Game experiment
+// Connects to the local relay (server/relay-server.js) to play with a real partner
+
+class MultiplayerClient {
+    /**
+     * @param {string} serverUrl - WebSocket URL of the relay, e.g. ws://localhost:8080/relay
+     */
+    constructor(serverUrl) {
+        this.serverUrl = serverUrl;
+        this.socket = null;
+        this.inbox = [];
+        this.waiters = [];
+        this.partnerLeft = null;
+        this.onPartnerLeft = null; // Called once with the reason when the partner is gone
+    }
+
+    /**
+     * Open the connection
+     * @param {number} timeout - Milliseconds to wait for the connection
+     * @returns {Promise<void>}
+     */
+    connect(timeout) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(this.createError('connection_error', 'Timed out connecting to relay'));
+            }, timeout);
+
+            try {
+                this.socket = new WebSocket(this.serverUrl);
+            } catch (error) {
+                clearTimeout(timer);
+                reject(this.createError('connection_error', error.message));
+                return;
+            }
+
+            this.socket.onopen = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            this.socket.onerror = () => {
+                clearTimeout(timer);
+                reject(this.createError('connection_error', 'Could not connect to relay'));
+            };
+            this.socket.onmessage = event => this.handleMessage(event.data);
+            this.socket.onclose = () => this.handlePartnerLeft('disconnect');
+        });
+    }
+
+    handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            console.warn('Ignoring malformed relay message:', text);
+            return;
+        }
+
+        if (message.type === 'partner_left') {
+            this.handlePartnerLeft(message.reason || 'disconnect');
+            return;
+        }
+        if (message.type === 'error') {
+            console.warn('Relay error:', message.message);
+            return;
+        }
+
+        const waiterIndex = this.waiters.findIndex(waiter => this.matches(waiter, message));
+        if (waiterIndex >= 0) {
+            const waiter = this.waiters.splice(waiterIndex, 1)[0];
+            clearTimeout(waiter.timer);
+            waiter.resolve(message);
+        } else {
+            this.inbox.push(message);
+        }
+    }
+
+    /**
+     * Once the partner is gone every pending and future wait fails, so the game falls back to a bot
+     */
+    handlePartnerLeft(reason) {
+        if (this.partnerLeft) return;
+
+        this.partnerLeft = reason;
+        this.waiters.forEach(waiter => {
+            clearTimeout(waiter.timer);
+            waiter.reject(this.createError(reason, `Partner left (${reason})`));
+        });
+        this.waiters = [];
+
+        if (this.onPartnerLeft) {
+            this.onPartnerLeft(reason);
+        }
+    }
+
+    matches(waiter, message) {
+        return message.type === waiter.type && (waiter.round === undefined || message.round === waiter.round);
+    }
+
+    /**
+     * Wait for a message of a given type (and round)
+     * @param {string} type - Message type, e.g. 'paired' or 'partner_sent'
+     * @param {Object} options - round to match and timeout in milliseconds
+     * @returns {Promise<Object>} The message; rejects with error.reason 'timeout' or the partner_left reason
+     */
+    waitFor(type, options = {}) {
+        if (this.partnerLeft) {
+            return Promise.reject(this.createError(this.partnerLeft, `Partner left (${this.partnerLeft})`));
+        }
+
+        const waiter = { type: type, round: options.round };
+        const inboxIndex = this.inbox.findIndex(message => this.matches(waiter, message));
+        if (inboxIndex >= 0) {
+            return Promise.resolve(this.inbox.splice(inboxIndex, 1)[0]);
+        }
+
+        return new Promise((resolve, reject) => {
+            waiter.resolve = resolve;
+            waiter.reject = reject;
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(pending => pending !== waiter);
+                reject(this.createError('timeout', `No "${type}" message within ${options.timeout} ms`));
+            }, options.timeout);
+            this.waiters.push(waiter);
+        });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Tell the relay this player is continuing alone, then disconnect
+     */
+    abandon(reason) {
+        this.send({ type: 'abandon', reason: reason });
+        this.close();
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+        }
+        this.handlePartnerLeft(this.partnerLeft || 'closed');
+    }
+
+    /**
+     * True while paired with a human partner who has not left
+     */
+    isPartnerPresent() {
+        return this.partnerLeft === null;
+    }
+
+    createError(reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        return error;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiplayerClient;
+}
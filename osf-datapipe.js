@@ -51,10 +51,17 @@ class OSFDataPipe {
             throw new Error('OSF DataPipe not configured. Call configure() first.');
         }
 
+        // Prepare data for OSF DataPipe format
+        return this.sendPayload(this.formatDataForOSF(data));
+    }
+
+    /**
+     * POST an already formatted payload (used directly by the submission outbox for retries)
+     * @param {Object} submissionData - { experimentID, filename, data }
+     * @returns {Promise<Object>} Submission result; retryable is false when DataPipe rejected the request itself
+     */
+    async sendPayload(submissionData) {
         try {
-            // Prepare data for OSF DataPipe format
-            const submissionData = this.formatDataForOSF(data);
-            
             console.log('Submitting data to OSF DataPipe:', submissionData);
 
             const response = await fetch(this.dataPipeUrl, {
@@ -77,7 +84,10 @@ class OSFDataPipe {
                 };
             } else {
                 const errorText = await response.text();
-                throw new Error(`DataPipe API error: ${response.status} ${errorText}`);
+                const error = new Error(`DataPipe API error: ${response.status} ${errorText}`);
+                // 4xx (other than timeouts and rate limiting) will fail the same way on every retry
+                error.retryable = !(response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429);
+                throw error;
             }
 
         } catch (error) {
@@ -85,6 +95,7 @@ class OSFDataPipe {
             return {
                 success: false,
                 error: error.message,
+                retryable: error.retryable !== false,
                 method: 'osf_datapipe_failed'
             };
         }
@@ -95,9 +106,7 @@ class OSFDataPipe {
      * DataPipe expects specific format: experimentID and data (not experiment_id and data_string)
      */
     formatDataForOSF(data) {
-        // Generate unique filename for this session
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '').replace('T', '_').slice(0, -8);
-        const filename = `${data.participant_id}_${timestamp}.csv`;
+        const filename = this.generateFilename(data);
         
         // Format data as CSV string (required by DataPipe)
         const csvData = this.convertToCSV(data);
@@ -111,72 +120,23 @@ class OSFDataPipe {
         };
     }
 
+    /**
+     * DataPipe filename for a session. It comes from the session start time, so every submission
+     * of the same session shares it and the outbox can drop duplicates.
+     */
+    generateFilename(data) {
+        const timestamp = new Date(data.timestamp || Date.now()).toISOString().replace(/[:.]/g, '').replace('T', '_').slice(0, -1);
+        return `${data.participant_id}_${timestamp}.csv`;
+    }
+
     /**
      * Convert experiment data to CSV format for DataPipe
      */
     convertToCSV(data) {
-        // CSV headers with all required jsPsych and experiment fields
-        const headers = [
-            'trial_type',
-            'trial_index', 
-            'time_elapsed',
-            'rt',
-            'experiment_id',
-            'session_id',
-            'participant_id',
-            'round',
-            'amount_sent',
-            'amount_kept',
-            'partner_received',
-            'amount_returned',
-            'final_earnings',
-            'return_rate',
-            'trial_timestamp',
-            'participant_age',
-            'participant_gender',
-            'participant_field',
-            'experiment_version',
-            'experiment_name',
-            'participant_timestamp',
-            'total_earnings',
-            'average_amount_sent',
-            'trust_pattern',
-            'completion_time'
-        ];
-        
-        // Convert each trial to CSV row
-        const rows = data.trials.map((trial, index) => [
-            'trust-game-trial',
-            index,
-            (index + 1) * 10000, // Approximate time elapsed
-            trial.reaction_time || '',
-            this.configuration.experimentId,
-            this.configuration.sessionId,
-            data.participant_id,
-            trial.round,
-            trial.amount_sent,
-            trial.amount_kept,
-            trial.partner_received,
-            trial.amount_returned,
-            trial.final_earnings,
-            trial.return_rate,
-            trial.timestamp,
-            data.demographics.age || '',
-            data.demographics.gender || '',
-            data.demographics.field || '',
-            data.version,
-            data.experiment,
-            data.timestamp,
-            data.summary.total_earnings || '',
-            data.summary.average_amount_sent || '',
-            data.summary.trust_pattern || '',
-            data.summary.completion_time || ''
-        ]);
-        
-        // Combine headers and rows into CSV format
-        return [headers, ...rows]
-            .map(row => row.map(field => `"${field}"`).join(','))
-            .join('\n');
+        return CSVSerializer.serialize(data, 'datapipe', {
+            experimentId: this.configuration.experimentId,
+            sessionId: this.configuration.sessionId
+        });
     }
 
     /**
@@ -0,0 +1,219 @@
+// Partner strategies for Trust Game experiment
+// Decides how much of the multiplied transfer a simulated partner sends back
+
+/**
+ * Base class for simulated partner behaviour.
+ * Subclasses implement getReturnRate(context); respond() turns the rate into an amount.
+ */
+class PartnerStrategy {
+    constructor(params = {}) {
+        this.params = Object.assign({}, this.constructor.defaults, params);
+    }
+
+    /**
+     * Proportion (0-1) of the multiplied amount the partner sends back
+     * @param {Object} context - Decision context (see respond())
+     */
+    getReturnRate(context) {
+        throw new Error(`${this.constructor.name} must implement getReturnRate()`);
+    }
+
+    /**
+     * Simulate the partner's response to a transfer
+     * @param {Object} context - Decision context
+     * @param {number} context.amountSent - Amount the participant sent
+     * @param {number} context.multiplier - Multiplier applied to the transfer
+     * @param {number} context.endowment - Participant's endowment for the round
+     * @param {number} context.round - Current round (1-based)
+     * @param {Array<Object>} context.history - Earlier rounds with the same partner ({ round, amountSent, amountReturned });
+     *     empty or missing when every round has a new partner
+     * @param {Function} context.random - Random number generator returning [0, 1)
+     * @returns {Object} returnRate and amountReturned
+     */
+    respond(context) {
+        const rate = PartnerStrategy.clampRate(this.getReturnRate(context));
+        const returnRate = Math.round(rate * 1000) / 1000;
+        return {
+            returnRate: returnRate,
+            amountReturned: Math.floor(context.amountSent * context.multiplier * returnRate)
+        };
+    }
+
+    /**
+     * Strategy name and parameters as recorded in the trial data
+     */
+    describe() {
+        return {
+            strategy: this.constructor.strategyName,
+            params: Object.keys(this.params)
+                .map(key => `${key}=${this.params[key]}`)
+                .join(';')
+        };
+    }
+
+    static clampRate(rate) {
+        if (typeof rate !== 'number' || isNaN(rate)) {
+            return 0;
+        }
+        return Math.min(1, Math.max(0, rate));
+    }
+}
+
+/**
+ * Always returns the same proportion
+ */
+class FixedRateStrategy extends PartnerStrategy {
+    getReturnRate() {
+        return this.params.rate;
+    }
+}
+FixedRateStrategy.strategyName = 'fixed';
+FixedRateStrategy.defaults = { rate: 0.5 };
+
+/**
+ * Returns more the larger the share of the endowment the participant sent
+ */
+class TitForTatStrategy extends PartnerStrategy {
+    getReturnRate(context) {
+        const sentShare = context.endowment > 0 ? context.amountSent / context.endowment : 0;
+        return this.params.min_rate + (this.params.max_rate - this.params.min_rate) * sentShare;
+    }
+}
+TitForTatStrategy.strategyName = 'tit_for_tat';
+TitForTatStrategy.defaults = { min_rate: 0.1, max_rate: 0.6 };
+
+/**
+ * Draws the return rate from a uniform or (truncated) normal distribution
+ */
+class StochasticStrategy extends PartnerStrategy {
+    getReturnRate(context) {
+        const random = context.random || Math.random;
+
+        if (this.params.distribution === 'normal') {
+            // Box-Muller transform; 1 - random() avoids log(0)
+            const u1 = 1 - random();
+            const u2 = random();
+            const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+            return this.params.mean + z * this.params.sd;
+        }
+
+        if (this.params.distribution === 'uniform') {
+            return this.params.min + random() * (this.params.max - this.params.min);
+        }
+
+        throw new Error(`Unknown distribution for stochastic partner: ${this.params.distribution}`);
+    }
+}
+StochasticStrategy.strategyName = 'stochastic';
+StochasticStrategy.defaults = { distribution: 'uniform', min: 0, max: 1, mean: 0.4, sd: 0.15 };
+
+/**
+ * Return rate changes by a fixed step every round, starting from start_rate
+ */
+class EscalatingStrategy extends PartnerStrategy {
+    getReturnRate(context) {
+        const rate = this.params.start_rate + this.direction() * this.params.step * (context.round - 1);
+        return Math.min(this.params.max_rate, Math.max(this.params.min_rate, rate));
+    }
+
+    direction() {
+        return 1;
+    }
+}
+EscalatingStrategy.strategyName = 'escalating';
+EscalatingStrategy.defaults = { start_rate: 0.2, step: 0.1, min_rate: 0, max_rate: 1 };
+
+class DecayingStrategy extends EscalatingStrategy {
+    direction() {
+        return -1;
+    }
+}
+DecayingStrategy.strategyName = 'decaying';
+DecayingStrategy.defaults = { start_rate: 0.6, step: 0.1, min_rate: 0, max_rate: 1 };
+
+/**
+ * Returns rate until the participant sends less than threshold (a share of the endowment) in a round,
+ * and punish_rate in every round after that
+ */
+class GrimTriggerStrategy extends PartnerStrategy {
+    getReturnRate(context) {
+        const history = context.history || [];
+        const betrayed = history.some(round => round.amountSent < this.params.threshold * context.endowment);
+        return betrayed ? this.params.punish_rate : this.params.rate;
+    }
+}
+GrimTriggerStrategy.strategyName = 'grim_trigger';
+GrimTriggerStrategy.defaults = { rate: 0.5, punish_rate: 0, threshold: 0.5 };
+
+/**
+ * Like tit_for_tat, but responds to the average share of the endowment sent over the current round
+ * and up to memory earlier rounds, so the partner warms up to steady trust and cools down slowly
+ */
+class AdaptiveStrategy extends PartnerStrategy {
+    getReturnRate(context) {
+        const earlier = (context.history || []).slice(-this.params.memory).map(round => round.amountSent);
+        const sent = earlier.concat(context.amountSent);
+        const sentShare = context.endowment > 0
+            ? sent.reduce((sum, amount) => sum + amount, 0) / sent.length / context.endowment
+            : 0;
+        return this.params.min_rate + (this.params.max_rate - this.params.min_rate) * sentShare;
+    }
+}
+AdaptiveStrategy.strategyName = 'adaptive';
+AdaptiveStrategy.defaults = { min_rate: 0.1, max_rate: 0.6, memory: 3 };
+
+/**
+ * Registry of strategies by name, used to build strategies from plain specs
+ * such as { strategy: 'fixed', params: { rate: 0.3 } }
+ */
+const PartnerStrategies = {
+    registry: {
+        fixed: FixedRateStrategy,
+        tit_for_tat: TitForTatStrategy,
+        stochastic: StochasticStrategy,
+        escalating: EscalatingStrategy,
+        decaying: DecayingStrategy,
+        grim_trigger: GrimTriggerStrategy,
+        adaptive: AdaptiveStrategy
+    },
+
+    /**
+     * Build a strategy from a spec
+     * @param {Object} spec - { strategy: name, params: {...} }
+     */
+    create(spec) {
+        if (!spec || !spec.strategy) {
+            throw new Error('Partner strategy spec must name a strategy');
+        }
+
+        const StrategyClass = this.registry[spec.strategy];
+        if (!StrategyClass) {
+            throw new Error(`Unknown partner strategy: ${spec.strategy}`);
+        }
+
+        return new StrategyClass(spec.params || {});
+    },
+
+    /**
+     * Register a custom strategy class under a name
+     */
+    register(name, StrategyClass) {
+        StrategyClass.strategyName = name;
+        this.registry[name] = StrategyClass;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PartnerStrategy,
+        FixedRateStrategy,
+        TitForTatStrategy,
+        StochasticStrategy,
+        EscalatingStrategy,
+        DecayingStrategy,
+        GrimTriggerStrategy,
+        AdaptiveStrategy,
+        PartnerStrategies
+    };
+}
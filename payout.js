@@ -0,0 +1,81 @@
+// Bonus payment calculation for Trust Game experiment
+// Turns game earnings into a real-money bonus: one random round or all rounds, converted and capped
+
+const PayoutRules = {
+    /**
+     * Payout methods. Each picks the game earnings the bonus is based on.
+     * @returns {Object} round (selected round number, or null), game (its game, or null), earnings (game dollars)
+     *     and belief_earnings (prediction earnings paid on top, see beliefs in the experiment configuration)
+     */
+    methods: {
+        // Pay one round drawn at random, so every round counts as if it were the only one
+        random_round(trials, random) {
+            const trial = trials[Math.floor(random() * trials.length)];
+            return { round: trial.round, game: trial.game || null, earnings: trial.final_earnings, belief_earnings: trial.belief_earnings || 0 };
+        },
+
+        // Pay the total over all rounds, scaled by the exchange rate
+        all_rounds(trials) {
+            return {
+                round: null,
+                game: null,
+                earnings: trials.reduce((sum, trial) => sum + trial.final_earnings, 0),
+                belief_earnings: trials.reduce((sum, trial) => sum + (trial.belief_earnings || 0), 0)
+            };
+        }
+    },
+
+    /**
+     * Calculate a participant's bonus
+     * @param {Array<Object>} trials - Completed trials (with round and final_earnings)
+     * @param {Object} payout - payout section of the experiment configuration
+     * @param {Function} random - Returns numbers in [0, 1), e.g. SeededRandom.toFunction()
+     * @returns {Object} Summary fields: payout_method, payout_round, payout_game, payout_earnings, payout_belief_earnings,
+     *     bonus, bonus_capped, currency
+     */
+    calculate(trials, payout, random = Math.random) {
+        const method = this.methods[payout.method];
+        if (!method) {
+            throw new Error(`Unknown payout method "${payout.method}" (expected one of ${Object.keys(this.methods).join(', ')})`);
+        }
+
+        const basis = trials.length > 0 ? method(trials, random) : { round: null, game: null, earnings: 0 };
+        const beliefEarnings = Math.round((basis.belief_earnings || 0) * 100) / 100;
+        const converted = Math.round((basis.earnings + beliefEarnings) * payout.exchange_rate * 100) / 100;
+        const capped = payout.max_bonus > 0 && converted > payout.max_bonus;
+
+        return {
+            payout_method: payout.method,
+            payout_round: basis.round,
+            payout_game: basis.game || null,
+            payout_earnings: basis.earnings,
+            payout_belief_earnings: beliefEarnings,
+            bonus: capped ? payout.max_bonus : converted,
+            bonus_capped: capped,
+            currency: payout.currency
+        };
+    },
+
+    /**
+     * Add a custom payout method: fn(trials, random) returning { round, game, earnings } and optionally belief_earnings
+     */
+    register(name, fn) {
+        this.methods[name] = fn;
+    },
+
+    /**
+     * Bonus as text in the payout currency, e.g. "$1.50"
+     */
+    format(amount, currency) {
+        try {
+            return new Intl.NumberFormat('en', { style: 'currency', currency: currency }).format(amount);
+        } catch (error) {
+            return `${amount.toFixed(2)} ${currency}`;
+        }
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PayoutRules;
+}
@@ -0,0 +1,102 @@
+// Data-quality monitoring for Trust Game experiment
+// Counts tab switches, window blurs and resizes during decisions, and turns them into quality flags
+
+const RESIZE_GAP_MS = 500; // Resize events closer together than this belong to one resize
+
+class QualityMonitor {
+    /**
+     * @param {Object} settings - quality section of the experiment configuration
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.inTrial = false;
+        this.counts = QualityMonitor.emptyCounts();
+        this.lastResize = 0;
+    }
+
+    static emptyCounts() {
+        return { tab_switches: 0, window_blurs: 0, window_resizes: 0 };
+    }
+
+    /**
+     * Listen for page visibility, blur and resize events (only counted while a decision screen is shown)
+     */
+    start() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.count('tab_switches');
+        });
+        window.addEventListener('blur', () => this.count('window_blurs'));
+        window.addEventListener('resize', () => {
+            const now = Date.now();
+            if (now - this.lastResize > RESIZE_GAP_MS) this.count('window_resizes');
+            this.lastResize = now;
+        });
+    }
+
+    count(kind) {
+        if (this.inTrial) {
+            this.counts[kind]++;
+        }
+    }
+
+    /**
+     * A decision screen is shown
+     */
+    beginTrial() {
+        this.inTrial = true;
+        this.counts = QualityMonitor.emptyCounts();
+    }
+
+    /**
+     * The decision was made
+     * @param {number} reactionTime - Decision time in ms
+     * @returns {Object} Trial fields: tab_switches, window_blurs, window_resizes and fast_decision
+     */
+    endTrial(reactionTime) {
+        this.inTrial = false;
+        return Object.assign({}, this.counts, {
+            fast_decision: reactionTime < this.settings.min_decision_ms
+        });
+    }
+
+    /**
+     * Summarize a session's data quality
+     * @param {Object} data - Experiment data (trials, questionnaire, demographics, comprehension, recruitment)
+     * @param {Object} settings - quality section of the experiment configuration
+     * @param {Array<Object>} attentionItems - Questionnaire items with a correct answer (see Questionnaire.attentionItems)
+     * @returns {Object} Summary fields, including quality_flags (names of the exceeded thresholds, separated by ;)
+     */
+    static summarize(data, settings, attentionItems) {
+        const sum = field => data.trials.reduce((total, trial) => total + (trial[field] || 0), 0);
+        const answers = Object.assign({}, data.demographics, data.questionnaire.responses);
+        const answered = attentionItems.filter(item => answers[item.id] !== null && answers[item.id] !== undefined);
+        const failed = answered.filter(item => String(answers[item.id]) !== item.correct);
+
+        const summary = {
+            attention_checks: answered.length,
+            attention_checks_failed: failed.length,
+            fast_decisions: data.trials.filter(trial => trial.fast_decision).length,
+            total_tab_switches: sum('tab_switches'),
+            total_window_blurs: sum('window_blurs'),
+            total_window_resizes: sum('window_resizes')
+        };
+
+        const flags = [];
+        if (summary.attention_checks_failed > settings.max_failed_attention_checks) flags.push('failed_attention_check');
+        if (summary.fast_decisions > settings.max_fast_decisions) flags.push('fast_decisions');
+        if (summary.total_tab_switches > settings.max_tab_switches) flags.push('tab_switching');
+        if (summary.total_window_blurs > settings.max_window_blurs) flags.push('window_blur');
+        if (summary.total_window_resizes > settings.max_window_resizes) flags.push('window_resize');
+        if (data.comprehension && data.comprehension.passed === false) flags.push('failed_comprehension');
+        if (data.recruitment && data.recruitment.duplicate) flags.push('duplicate_participation');
+
+        summary.quality_flags = flags.join(';');
+        summary.quality_ok = flags.length === 0;
+        return summary;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualityMonitor;
+}
@@ -0,0 +1,283 @@
+// Questionnaire engine for Trust Game experiment
+// Renders questionnaire pages from JSON definitions, reads and validates the answers, and ships ready-made scales
+
+const Questionnaire = {
+    /**
+     * Ready-made scales, used in the configuration as { "scale": "general_trust" }.
+     * Items of a scale with target "demographics" are stored in data.demographics instead of data.questionnaire.
+     */
+    scales: {
+        demographics: {
+            title: 'Background Information',
+            intro: 'Please provide some basic information about yourself (all fields optional):',
+            target: 'demographics',
+            items: [
+                { id: 'age', type: 'number', text: 'What is your age? (optional)', min: 18, max: 100, integer: true },
+                { id: 'gender', type: 'text', text: 'What is your gender? (optional)', default: 'Not specified' },
+                { id: 'field', type: 'text', text: 'What is your field of study or profession? (optional)', default: 'Not specified' }
+            ]
+        },
+
+        // General Trust Scale (Yamagishi & Yamagishi, 1994)
+        general_trust: {
+            title: 'About People in General',
+            intro: 'How much do you agree or disagree with each statement?',
+            items: [
+                'Most people are basically honest.',
+                'Most people are trustworthy.',
+                'Most people are basically good and kind.',
+                'Most people are trustful of others.',
+                'I am trustful.',
+                'Most people will respond in kind when they are trusted by others.'
+            ].map((text, index) => ({
+                id: `gts_${index + 1}`,
+                type: 'likert',
+                text: text,
+                required: true,
+                points: 5,
+                labels: ['Strongly disagree', 'Disagree', 'Neither agree nor disagree', 'Agree', 'Strongly agree']
+            }))
+        },
+
+        // General Social Survey trust question
+        gss_trust: {
+            title: 'About People in General',
+            items: [
+                {
+                    id: 'gss_trust',
+                    type: 'choice',
+                    text: "Generally speaking, would you say that most people can be trusted or that you can't be too careful in dealing with people?",
+                    required: true,
+                    options: ['Most people can be trusted', "Can't be too careful", 'Depends']
+                }
+            ]
+        },
+
+        // Questions about the game just played
+        post_game_trust: {
+            title: 'About the Game',
+            items: [
+                {
+                    id: 'post_trust_partners',
+                    type: 'likert',
+                    text: 'How much did you trust your partners?',
+                    required: true,
+                    points: 7,
+                    labels: ['Not at all', 'Completely']
+                },
+                {
+                    id: 'post_partners_fair',
+                    type: 'likert',
+                    text: 'How fairly did your partners treat you?',
+                    required: true,
+                    points: 7,
+                    labels: ['Very unfairly', 'Very fairly']
+                },
+                {
+                    id: 'post_strategy',
+                    type: 'text',
+                    text: 'Briefly describe how you decided how much to send or return. (optional)',
+                    multiline: true,
+                    max_length: 1000
+                }
+            ]
+        },
+
+        // Instructed-response item; any item with a "correct" answer counts as an attention check
+        attention_check: {
+            title: 'About People in General',
+            items: [
+                {
+                    id: 'attention_1',
+                    type: 'likert',
+                    text: 'To show that you are reading carefully, please select "Disagree" for this statement.',
+                    required: true,
+                    points: 5,
+                    labels: ['Strongly disagree', 'Disagree', 'Neither agree nor disagree', 'Agree', 'Strongly agree'],
+                    correct: '2'
+                }
+            ]
+        }
+    },
+
+    /**
+     * Item types: how to render an item, read its answer from the page and check the answer.
+     * read() returns null when the item was left empty; check() returns an error message or null.
+     */
+    itemTypes: {
+        likert: {
+            render(item, value) {
+                const labels = Questionnaire.likertLabels(item);
+                return `
+                    <div class="likert-scale">
+                        ${labels.map((label, index) => `
+                        <label class="likert-option">
+                            <input type="radio" name="q-${item.id}" id="q-${item.id}-${index + 1}" value="${index + 1}"${value === index + 1 ? ' checked' : ''}>
+                            <span>${label}</span>
+                        </label>`).join('')}
+                    </div>
+                `;
+            },
+            read(item) {
+                for (let point = 1; point <= item.points; point++) {
+                    if (document.getElementById(`q-${item.id}-${point}`).checked) return point;
+                }
+                return null;
+            },
+            check() {
+                return null;
+            }
+        },
+
+        choice: {
+            render(item, value) {
+                return item.options.map((option, index) => `
+                    <label class="choice-option">
+                        <input type="radio" name="q-${item.id}" id="q-${item.id}-${index}"${value === option ? ' checked' : ''}>
+                        ${option}
+                    </label>`).join('');
+            },
+            read(item) {
+                const index = item.options.findIndex((option, i) => document.getElementById(`q-${item.id}-${i}`).checked);
+                return index === -1 ? null : item.options[index];
+            },
+            check() {
+                return null;
+            }
+        },
+
+        text: {
+            render(item, value) {
+                const text = Questionnaire.escapeHtml(value === null || value === undefined || value === item.default ? '' : value);
+                const maxLength = item.max_length ? ` maxlength="${item.max_length}"` : '';
+                return item.multiline
+                    ? `<textarea id="q-${item.id}" rows="4"${maxLength}>${text}</textarea>`
+                    : `<input type="text" id="q-${item.id}" value="${text}"${maxLength}>`;
+            },
+            read(item) {
+                const value = document.getElementById(`q-${item.id}`).value.trim();
+                return value === '' ? null : value;
+            },
+            check(item, value) {
+                if (item.max_length && value.length > item.max_length) {
+                    return `Please use at most ${item.max_length} characters`;
+                }
+                return null;
+            }
+        },
+
+        number: {
+            render(item, value) {
+                const range = (item.min !== undefined ? ` min="${item.min}"` : '') + (item.max !== undefined ? ` max="${item.max}"` : '');
+                return `<input type="number" id="q-${item.id}"${range} step="${item.integer ? 1 : 'any'}" value="${value === null || value === undefined ? '' : value}">`;
+            },
+            read(item) {
+                const value = document.getElementById(`q-${item.id}`).value;
+                return value === '' ? null : parseFloat(value);
+            },
+            check(item, value) {
+                if (isNaN(value)) return 'Please enter a number';
+                if (item.integer && !Number.isInteger(value)) return 'Please enter a whole number';
+                if ((item.min !== undefined && value < item.min) || (item.max !== undefined && value > item.max)) {
+                    return `Please enter a number from ${item.min !== undefined ? item.min : '-∞'} to ${item.max !== undefined ? item.max : '∞'}`;
+                }
+                return null;
+            }
+        }
+    },
+
+    /**
+     * Turn a configured page ({ "scale": ... } with optional overrides, or { "id", "items", ... }) into a full page.
+     * item_prefix is added to every item ID, so a scale can be asked twice (e.g. before and after the game).
+     */
+    resolvePage(page) {
+        const scale = page.scale ? this.scales[page.scale] : null;
+        if (page.scale && !scale) {
+            throw new Error(`Unknown questionnaire scale "${page.scale}" (expected one of ${Object.keys(this.scales).join(', ')})`);
+        }
+        const resolved = Object.assign({ id: page.scale, title: '', intro: '', target: 'questionnaire', items: [] }, scale, page);
+        const prefix = page.item_prefix || '';
+        resolved.id = prefix + resolved.id;
+        resolved.items = resolved.items.map(item => Object.assign({}, item, { id: prefix + item.id }));
+        return resolved;
+    },
+
+    /**
+     * Likert labels for every point: the configured labels, or the two endpoint labels with numbers in between
+     */
+    likertLabels(item) {
+        if (item.labels && item.labels.length === item.points) return item.labels;
+        return Array.from({ length: item.points }, (value, index) => {
+            if (item.labels && index === 0) return `1 ${item.labels[0]}`;
+            if (item.labels && index === item.points - 1) return `${item.points} ${item.labels[item.labels.length - 1]}`;
+            return String(index + 1);
+        });
+    },
+
+    /**
+     * Form markup for a page
+     * @param {Object} page - From resolvePage()
+     * @param {Object} values - Answers to show (item ID -> value)
+     * @param {Object} errors - Item ID -> message for items that failed validation
+     */
+    renderPage(page, values = {}, errors = {}) {
+        return page.items.map(item => `
+            <div class="form-group question${errors[item.id] ? ' incorrect' : ''}">
+                <label for="q-${item.id}">${item.text}${item.required ? ' <span class="required">*</span>' : ''}</label>
+                ${this.itemTypes[item.type].render(item, values[item.id])}
+                ${errors[item.id] ? `<p class="error">${errors[item.id]}</p>` : ''}
+            </div>`).join('');
+    },
+
+    /**
+     * Read and validate every answer on the current page
+     * @returns {Object} values (item ID -> answer, the item's default or null when empty) and errors (item ID -> message)
+     */
+    readPage(page) {
+        const values = {};
+        const errors = {};
+        page.items.forEach(item => {
+            const value = this.itemTypes[item.type].read(item);
+            if (value === null) {
+                if (item.required) errors[item.id] = 'Please answer this question';
+                values[item.id] = item.default !== undefined ? item.default : null;
+                return;
+            }
+            const error = this.itemTypes[item.type].check(item, value);
+            if (error) errors[item.id] = error;
+            values[item.id] = value;
+        });
+        return { values, errors };
+    },
+
+    /**
+     * One null answer per questionnaire item, so every session exports the same columns in the same order
+     */
+    emptyResponses(pages) {
+        const responses = {};
+        pages.map(page => this.resolvePage(page))
+            .filter(page => page.target === 'questionnaire')
+            .forEach(page => page.items.forEach(item => {
+                responses[item.id] = null;
+            }));
+        return responses;
+    },
+
+    /**
+     * Attention-check items (items with a "correct" answer, compared as text) of all pages
+     */
+    attentionItems(pages) {
+        return pages.map(page => this.resolvePage(page))
+            .reduce((items, page) => items.concat(page.items), [])
+            .filter(item => item.correct !== undefined);
+    },
+
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Questionnaire;
+}
@@ -0,0 +1,186 @@
+// Recruitment platform integration for Trust Game experiment
+// Captures platform IDs from the URL, detects repeat participation and builds completion redirects
+
+const RecruitmentPlatforms = {
+    /**
+     * Known platforms: which URL parameters hold the worker, study and platform session IDs,
+     * and where participants are sent back to when they finish ({placeholders} are filled by completionUrl)
+     */
+    registry: {
+        none: {
+            name: 'the study website',
+            params: {},
+            completion_url: ''
+        },
+        prolific: {
+            name: 'Prolific',
+            params: { worker_id: 'PROLIFIC_PID', study_id: 'STUDY_ID', platform_session_id: 'SESSION_ID' },
+            completion_url: 'https://app.prolific.com/submissions/complete?cc={code}'
+        },
+        mturk: {
+            name: 'Amazon Mechanical Turk',
+            params: { worker_id: 'workerId', study_id: 'hitId', platform_session_id: 'assignmentId', submit_to: 'turkSubmitTo' },
+            defaults: { submit_to: 'https://www.mturk.com' },
+            // turkSubmitTo comes from the URL, so only MTurk's own hosts are used
+            submit_to_hosts: ['https://www.mturk.com', 'https://workersandbox.mturk.com'],
+            completion_url: '{submit_to}/mturk/externalSubmit?assignmentId={platform_session_id}&completion_code={code}'
+        },
+        sona: {
+            name: 'SONA',
+            params: { worker_id: 'id' },
+            completion_url: '' // Institution-specific; set recruitment.completion_url
+        },
+        custom: {
+            name: 'the study website',
+            params: {},
+            completion_url: ''
+        }
+    },
+
+    /**
+     * Read the platform's parameters (and any extra_params) from a query string
+     * @param {Object} recruitment - recruitment section of the experiment configuration
+     * @param {string} search - Query string, e.g. window.location.search
+     * @returns {Object} platform, worker_id, study_id, platform_session_id and every captured parameter in url_params
+     */
+    capture(recruitment, search) {
+        const query = new URLSearchParams(search);
+        const params = Object.assign({}, this.registry[recruitment.platform].params);
+        if (recruitment.worker_id_param) {
+            params.worker_id = recruitment.worker_id_param;
+        }
+
+        const urlParams = {};
+        Object.values(params).concat(recruitment.extra_params).forEach(name => {
+            if (query.has(name)) {
+                urlParams[name] = query.get(name);
+            }
+        });
+
+        const defaults = this.registry[recruitment.platform].defaults || {};
+        const value = field => (params[field] && urlParams[params[field]]) || defaults[field] || '';
+        return {
+            platform: recruitment.platform,
+            worker_id: value('worker_id'),
+            study_id: value('study_id'),
+            platform_session_id: value('platform_session_id'),
+            submit_to: this.submitTarget(recruitment.platform, value('submit_to')),
+            url_params: urlParams
+        };
+    },
+
+    /**
+     * The submit_to host if the platform allows it (submit_to_hosts), otherwise the platform default
+     */
+    submitTarget(platform, submitTo) {
+        const entry = this.registry[platform];
+        const defaultTarget = (entry.defaults && entry.defaults.submit_to) || '';
+        if (!entry.submit_to_hosts) return defaultTarget;
+        const target = String(submitTo || '').replace(/\/+$/, '');
+        return entry.submit_to_hosts.includes(target) ? target : defaultTarget;
+    },
+
+    /**
+     * Completion URL for a finished session, or '' if the platform has none and none is configured,
+     * or the URL needs a {code} the session's completion status does not have.
+     * Placeholders are URL-encoded, except {submit_to}, which must be one of the platform's submit_to_hosts.
+     * URLs other than http: and https: (e.g. javascript:) are refused.
+     * @param {Object} recruitment - recruitment section of the experiment configuration
+     * @param {Object} captured - data.recruitment (from capture)
+     * @param {string} code - Completion code for the session's completion status
+     */
+    completionUrl(recruitment, captured, code) {
+        const template = recruitment.completion_url || this.registry[recruitment.platform].completion_url;
+        if (!template || (template.includes('{code}') && !code)) return '';
+
+        const values = Object.assign({}, captured.url_params, {
+            code: code,
+            worker_id: captured.worker_id,
+            study_id: captured.study_id,
+            platform_session_id: captured.platform_session_id,
+            submit_to: this.submitTarget(recruitment.platform, captured.submit_to)
+        });
+        const url = template.replace(/\{(\w+)\}/g, (match, key) => {
+            if (values[key] === undefined) return match;
+            return key === 'submit_to' ? values[key] : encodeURIComponent(values[key]);
+        });
+        return /^https?:\/\//i.test(url) ? url : '';
+    }
+};
+
+/**
+ * Sessions started in this browser, kept in localStorage to detect repeat participation
+ */
+class ParticipationHistory {
+    /**
+     * @param {string} storageKey - localStorage key holding the history
+     */
+    constructor(storageKey = 'trust_game_history') {
+        this.storageKey = storageKey;
+    }
+
+    isAvailable() {
+        try {
+            const testKey = this.storageKey + '_test';
+            localStorage.setItem(testKey, '1');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    read() {
+        if (!this.isAvailable()) return [];
+
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.warn('Discarding unreadable participation history:', error);
+            return [];
+        }
+    }
+
+    write(entries) {
+        if (!this.isAvailable()) return;
+        localStorage.setItem(this.storageKey, JSON.stringify(entries));
+    }
+
+    /**
+     * Earlier sessions by the same person: those with the same worker ID when there is one.
+     * Without a worker ID every earlier session in this browser matches, but only with matchBrowser,
+     * since in a lab many participants share one browser.
+     * @returns {Object} previous sessions and the reason they match (same_worker_id or same_browser)
+     */
+    findPrevious(participantId, workerId, matchBrowser = false) {
+        const others = this.read().filter(entry => entry.participant_id !== participantId);
+        if (workerId) {
+            return { sessions: others.filter(entry => entry.worker_id === workerId), reason: 'same_worker_id' };
+        }
+        return { sessions: matchBrowser ? others : [], reason: 'same_browser' };
+    }
+
+    /**
+     * Add or update the entry for a participant
+     */
+    record(participantId, fields) {
+        const entries = this.read();
+        const entry = entries.find(item => item.participant_id === participantId);
+        if (entry) {
+            Object.assign(entry, fields);
+        } else {
+            entries.push(Object.assign({ participant_id: participantId, started: new Date().toISOString() }, fields));
+        }
+        this.write(entries);
+    }
+
+    remove(participantId) {
+        this.write(this.read().filter(entry => entry.participant_id !== participantId));
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RecruitmentPlatforms, ParticipationHistory };
+}
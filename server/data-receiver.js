@@ -0,0 +1,269 @@
+// Self-hosted data receiver for the Trust Game experiment
+// Accepts sessions from the http_post submission backend and streamed chunks, and writes them into data/
+//
+// Usage: node server/data-receiver.js [--port 8081] [--data-dir data]
+// Then open http://localhost:8081/?config=self-hosted-config.json
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { serveStatic } = require('./relay-server');
+const DataSubmitter = require('../data-submitter');
+const CSVSerializer = require('../csv-serializer');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+const SAFE_FILENAME = /^trust_game_data_[A-Za-z0-9_-]+\.csv$/;
+
+/**
+ * Writes submitted sessions as CSV files (one per session) and streamed chunks as JSONL (one per session).
+ * Repeated deliveries of the same session or chunk are acknowledged without writing twice.
+ */
+class DataReceiver {
+    /**
+     * @param {Object} options - Receiver settings
+     * @param {string} options.dataDir - Directory for session CSV files; chunks go to <dataDir>/streams
+     */
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(ROOT_DIR, 'data');
+        this.streamDir = path.join(this.dataDir, 'streams');
+    }
+
+    /**
+     * Filename for a submission: the client's name if it follows the trust_game_data_ scheme,
+     * otherwise a new one from DataSubmitter.generateFilename
+     */
+    resolveFilename(body) {
+        if (typeof body.filename === 'string' && SAFE_FILENAME.test(body.filename)) {
+            return body.filename;
+        }
+        return DataSubmitter.prototype.generateFilename(body.participant_id);
+    }
+
+    /**
+     * Store one session
+     * @returns {Object} HTTP status and JSON response
+     */
+    saveSubmission(body) {
+        if (typeof body.participant_id !== 'string' || !SAFE_ID.test(body.participant_id)) {
+            return { status: 400, body: { success: false, error: 'participant_id must contain only letters, numbers, _ and -' } };
+        }
+        if (typeof body.data !== 'string' || body.data.length === 0) {
+            return { status: 400, body: { success: false, error: 'data must be a non-empty CSV string' } };
+        }
+
+        const filename = this.resolveFilename(body);
+        const filePath = path.join(this.dataDir, filename);
+        fs.mkdirSync(this.dataDir, { recursive: true });
+
+        try {
+            fs.writeFileSync(filePath, body.data, { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            // A retry after a lost response sends the same file again
+            if (fs.readFileSync(filePath, 'utf8') === body.data) {
+                return { status: 200, body: { success: true, filename: filename, duplicate: true } };
+            }
+            return { status: 409, body: { success: false, error: `${filename} already exists with different contents` } };
+        }
+
+        console.log(`Saved ${filename}`);
+        return { status: 201, body: { success: true, filename: filename } };
+    }
+
+    /**
+     * Append one streamed chunk to streams/<session_id>.jsonl
+     * @returns {Object} HTTP status and JSON response
+     */
+    saveChunk(chunk) {
+        if (typeof chunk.session_id !== 'string' || !SAFE_ID.test(chunk.session_id)) {
+            return { status: 400, body: { success: false, error: 'session_id must contain only letters, numbers, _ and -' } };
+        }
+        if (typeof chunk.chunk_id !== 'string') {
+            return { status: 400, body: { success: false, error: 'chunk_id is required' } };
+        }
+
+        const filePath = path.join(this.streamDir, `${chunk.session_id}.jsonl`);
+        fs.mkdirSync(this.streamDir, { recursive: true });
+
+        if (chunk.chunk_type === 'withdrawn') {
+            return this.withdrawSession(chunk, filePath);
+        }
+
+        if (fs.existsSync(filePath)) {
+            const duplicate = fs.readFileSync(filePath, 'utf8').split('\n').some(line => {
+                try {
+                    return line && JSON.parse(line).chunk_id === chunk.chunk_id;
+                } catch (error) {
+                    return false;
+                }
+            });
+            if (duplicate) {
+                return { status: 200, body: { success: true, duplicate: true } };
+            }
+        }
+
+        fs.appendFileSync(filePath, JSON.stringify(Object.assign({ received: new Date().toISOString() }, chunk)) + '\n');
+        return { status: 201, body: { success: true } };
+    }
+
+    /**
+     * The participant withdrew: keep only the withdrawal marker in the stream file and delete the session's CSV.
+     * The request is not authenticated, so it must name the participant the stream was started by, and only
+     * files holding that session_id are deleted: a participant ID alone, which can be guessed, deletes nothing.
+     */
+    withdrawSession(chunk, streamPath) {
+        if (typeof chunk.participant_id !== 'string' || !SAFE_ID.test(chunk.participant_id)) {
+            return { status: 400, body: { success: false, error: 'participant_id must contain only letters, numbers, _ and -' } };
+        }
+        const owner = this.streamOwner(streamPath);
+        if (owner !== null && owner !== chunk.participant_id) {
+            return { status: 403, body: { success: false, error: 'session_id does not belong to this participant' } };
+        }
+
+        fs.writeFileSync(streamPath, JSON.stringify(Object.assign({ received: new Date().toISOString() }, chunk)) + '\n');
+
+        const prefix = `trust_game_data_${chunk.participant_id}_`;
+        const deleted = fs.existsSync(this.dataDir)
+            ? fs.readdirSync(this.dataDir).filter(name => name.startsWith(prefix) && name.endsWith('.csv')
+                && this.holdsSession(path.join(this.dataDir, name), chunk.session_id))
+            : [];
+        deleted.forEach(name => fs.unlinkSync(path.join(this.dataDir, name)));
+
+        console.log(`Session ${chunk.session_id} withdrawn; deleted ${deleted.length} file(s)`);
+        return { status: 200, body: { success: true, withdrawn: true, deleted: deleted } };
+    }
+
+    /**
+     * participant_id of the first chunk in a stream file, or null if the session has not streamed anything
+     */
+    streamOwner(streamPath) {
+        if (!fs.existsSync(streamPath)) return null;
+        const first = fs.readFileSync(streamPath, 'utf8').split('\n')[0];
+        try {
+            return JSON.parse(first).participant_id || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Whether a session CSV file belongs to the session (its session_id column)
+     */
+    holdsSession(filePath, sessionId) {
+        try {
+            const rows = CSVSerializer.parseObjects(fs.readFileSync(filePath, 'utf8'));
+            return rows.length > 0 && rows.every(row => row.session_id === sessionId);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * HTTP handler: POST /submit, POST /chunks, CORS preflight, and the experiment files for everything else
+     */
+    handleRequest(request, response) {
+        const pathname = new URL(request.url, 'http://localhost').pathname;
+
+        // The experiment may be served from another origin (e.g. GitHub Pages)
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        const routes = { '/submit': body => this.saveSubmission(body), '/chunks': body => this.saveChunk(body) };
+        if (request.method !== 'POST' || !routes[pathname]) {
+            serveStatic(request, response);
+            return;
+        }
+
+        this.readJson(request, (error, body) => {
+            let result;
+            if (error) {
+                result = { status: error.status || 400, body: { success: false, error: error.message } };
+            } else {
+                try {
+                    result = routes[pathname](body);
+                } catch (saveError) {
+                    console.error('Could not store data:', saveError.message);
+                    result = { status: 500, body: { success: false, error: 'Could not store data' } };
+                }
+            }
+
+            response.writeHead(result.status, { 'Content-Type': 'application/json; charset=utf-8' });
+            response.end(JSON.stringify(result.body));
+        });
+    }
+
+    readJson(request, callback) {
+        const chunks = [];
+        let size = 0;
+        let done = false;
+        const finish = (error, body) => {
+            if (done) return;
+            done = true;
+            callback(error, body);
+        };
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                const error = new Error(`Request body is larger than ${MAX_BODY_BYTES} bytes`);
+                error.status = 413;
+                finish(error);
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new Error('expected a JSON object');
+                }
+                finish(null, body);
+            } catch (error) {
+                finish(new Error(`Invalid JSON body: ${error.message}`));
+            }
+        });
+        request.on('error', error => finish(error));
+    }
+}
+
+/**
+ * Create an HTTP server that stores submissions and serves the experiment
+ * @param {Object} options - Passed to DataReceiver
+ * @returns {Object} server and receiver
+ */
+function createDataReceiver(options = {}) {
+    const receiver = new DataReceiver(options);
+    const server = http.createServer((request, response) => receiver.handleRequest(request, response));
+    return { server, receiver };
+}
+
+function parseArgs(argv) {
+    const options = { port: 8081 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        if (argv[i] === '--data-dir') options.dataDir = path.resolve(argv[++i]);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const { server, receiver } = createDataReceiver(options);
+    server.listen(options.port, 'localhost', () => {
+        console.log(`Trust Game data receiver running at http://localhost:${options.port}/ (POST /submit, POST /chunks) writing to ${receiver.dataDir}`);
+    });
+}
+
+module.exports = { createDataReceiver, DataReceiver };
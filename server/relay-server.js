@@ -0,0 +1,407 @@
+// Local WebSocket relay for two-player Trust Game sessions
+// Pairs browser clients into dyads, routes send/return decisions and logs each dyad to data/dyads/
+//
+// Usage: node server/relay-server.js [--port 8080] [--log-dir data/dyads]
+// Then open http://localhost:8080/?config=multiplayer-config.json in two browser windows.
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Relay messages are small JSON objects; anything larger is refused (close code 1009) instead of buffered
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const CLOSE_TOO_BIG = 1009;
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Only the experiment's own files are served: participant data, server code and tools stay private
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+const PRIVATE_DIRS = ['data', 'server', 'tools', 'tests', 'node_modules'];
+
+/**
+ * Minimal server side of the WebSocket protocol (RFC 6455): text frames, ping/pong and close.
+ * Emits 'message' with the decoded text and 'close' once.
+ */
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.on('data', chunk => {
+            if (this.closed) return;
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this.readFrames();
+        });
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * Complete the opening handshake for an HTTP upgrade request
+     */
+    static accept(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return null;
+        }
+
+        const acceptKey = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${acceptKey}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        return new WebSocketConnection(socket);
+    }
+
+    readFrames() {
+        while (this.buffer.length >= 2) {
+            const first = this.buffer[0];
+            const second = this.buffer[1];
+            const fin = (first & 0x80) !== 0;
+            const opcode = first & 0x0f;
+            const masked = (second & 0x80) !== 0;
+            let length = second & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            // Checked before the payload arrives, so an oversized message is never held in memory
+            const received = this.fragments.reduce((sum, fragment) => sum + fragment.length, 0);
+            if (length + received > MAX_MESSAGE_BYTES) {
+                this.buffer = Buffer.alloc(0);
+                this.close(CLOSE_TOO_BIG);
+                return;
+            }
+
+            const maskLength = masked ? 4 : 0;
+            if (this.buffer.length < offset + maskLength + length) return;
+
+            let payload = this.buffer.slice(offset + maskLength, offset + maskLength + length);
+            if (masked) {
+                const mask = this.buffer.slice(offset, offset + 4);
+                payload = Buffer.from(payload.map((byte, index) => byte ^ mask[index % 4]));
+            }
+            this.buffer = this.buffer.slice(offset + maskLength + length);
+
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        if (opcode === 0x8) {
+            this.close();
+            return;
+        }
+        if (opcode === 0x9) {
+            this.writeFrame(0xa, payload);
+            return;
+        }
+        if (opcode === 0xa) {
+            return;
+        }
+
+        // Text (0x1) or continuation (0x0) frame
+        this.fragments.push(payload);
+        if (fin) {
+            const text = Buffer.concat(this.fragments).toString('utf8');
+            this.fragments = [];
+            this.emit('message', text);
+        }
+    }
+
+    writeFrame(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Send an object as a JSON text frame
+     */
+    send(message) {
+        this.writeFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    /**
+     * Send a close frame, with a status code if given (e.g. 1009 for a message that is too big), and end the socket
+     */
+    close(code) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(code ? 2 : 0);
+        if (code) {
+            payload.writeUInt16BE(code, 0);
+        }
+        this.writeFrame(0x8, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+/**
+ * Pairs waiting clients into dyads and relays their decisions.
+ * The first client to join a dyad is the trustor, the second the trustee.
+ *
+ * Client messages: join, send, return, abandon, complete
+ * Server messages: waiting, paired, partner_sent, partner_returned, partner_left, error
+ */
+class TrustGameRelay {
+    /**
+     * @param {Object} options - Relay settings
+     * @param {string|null} options.logDir - Directory for per-dyad JSONL logs (null disables logging)
+     */
+    constructor(options = {}) {
+        this.logDir = options.logDir === undefined ? path.join(ROOT_DIR, 'data', 'dyads') : options.logDir;
+        this.waiting = null;
+        this.dyads = new Map();
+    }
+
+    addConnection(connection) {
+        connection.on('message', text => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                connection.send({ type: 'error', message: 'Messages must be JSON' });
+                return;
+            }
+            this.handleMessage(connection, message);
+        });
+        connection.on('close', () => this.handleDisconnect(connection));
+    }
+
+    handleMessage(connection, message) {
+        switch (message.type) {
+            case 'join':
+                this.join(connection, message);
+                break;
+            case 'send':
+                this.relay(connection, message, 'trustor', 'partner_sent');
+                break;
+            case 'return':
+                this.relay(connection, message, 'trustee', 'partner_returned');
+                break;
+            case 'abandon':
+                this.dissolve(connection, message.reason || 'abandoned');
+                break;
+            case 'complete':
+                connection.completed = true;
+                if (connection.dyadId) {
+                    this.log(connection.dyadId, { event: 'complete', role: connection.role, participant_id: connection.participantId, data: message.data });
+                }
+                break;
+            default:
+                connection.send({ type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    join(connection, message) {
+        // A client joins once: a second join must not pair it with itself or move it to another dyad
+        if (connection === this.waiting || connection.dyadId) {
+            connection.send({ type: 'error', message: 'Already joined' });
+            return;
+        }
+
+        connection.participantId = message.participant_id || 'unknown';
+
+        if (!this.waiting || this.waiting.closed) {
+            this.waiting = connection;
+            connection.send({ type: 'waiting' });
+            return;
+        }
+
+        const trustor = this.waiting;
+        const trustee = connection;
+        const dyadId = 'D' + Date.now() + '_' + crypto.randomBytes(3).toString('hex');
+        this.waiting = null;
+
+        trustor.dyadId = dyadId;
+        trustor.role = 'trustor';
+        trustor.partner = trustee;
+        trustee.dyadId = dyadId;
+        trustee.role = 'trustee';
+        trustee.partner = trustor;
+        this.dyads.set(dyadId, { trustor, trustee, created: new Date().toISOString() });
+
+        trustor.send({ type: 'paired', dyad_id: dyadId, role: 'trustor', partner_id: trustee.participantId });
+        trustee.send({ type: 'paired', dyad_id: dyadId, role: 'trustee', partner_id: trustor.participantId });
+        this.log(dyadId, { event: 'paired', trustor: trustor.participantId, trustee: trustee.participantId });
+    }
+
+    /**
+     * Forward a decision to the partner, checking the sender has the expected role
+     */
+    relay(connection, message, expectedRole, forwardType) {
+        if (connection.role !== expectedRole || !connection.partner) {
+            connection.send({ type: 'error', message: `Only a paired ${expectedRole} can send "${message.type}"` });
+            return;
+        }
+
+        connection.partner.send({ type: forwardType, round: message.round, amount: message.amount });
+        this.log(connection.dyadId, { event: message.type, role: connection.role, round: message.round, amount: message.amount });
+    }
+
+    /**
+     * End a dyad early; the remaining player continues with a bot partner
+     */
+    dissolve(connection, reason) {
+        const partner = connection.partner;
+        if (!connection.dyadId || !partner) {
+            return;
+        }
+
+        this.log(connection.dyadId, { event: 'partner_left', role: connection.role, reason: reason });
+        partner.send({ type: 'partner_left', reason: reason });
+        partner.partner = null;
+        connection.partner = null;
+        this.dyads.delete(connection.dyadId);
+    }
+
+    handleDisconnect(connection) {
+        if (this.waiting === connection) {
+            this.waiting = null;
+        }
+        this.dissolve(connection, connection.completed ? 'completed' : 'disconnect');
+    }
+
+    log(dyadId, entry) {
+        if (!this.logDir) return;
+
+        const line = JSON.stringify(Object.assign({ timestamp: new Date().toISOString(), dyad_id: dyadId }, entry)) + '\n';
+        fs.mkdir(this.logDir, { recursive: true }, error => {
+            if (error) {
+                console.error('Could not create dyad log directory:', error.message);
+                return;
+            }
+            fs.appendFile(path.join(this.logDir, `${dyadId}.jsonl`), line, appendError => {
+                if (appendError) {
+                    console.error('Could not write dyad log:', appendError.message);
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Serve the experiment files so both browsers load the game from the relay's origin.
+ * Only html, js, css and json files outside PRIVATE_DIRS and hidden directories are served; everything else is 404.
+ */
+function serveStatic(request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT_DIR, urlPath === '/' ? 'index.html' : urlPath);
+
+    if (!filePath.startsWith(ROOT_DIR + path.sep)) {
+        response.writeHead(403);
+        response.end('Forbidden');
+        return;
+    }
+
+    const parts = path.relative(ROOT_DIR, filePath).split(path.sep);
+    if (PRIVATE_DIRS.includes(parts[0]) || parts.some(part => part.startsWith('.')) || !CONTENT_TYPES[path.extname(filePath)]) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] });
+        response.end(content);
+    });
+}
+
+/**
+ * Create an HTTP server that serves the experiment and accepts WebSocket connections on /relay
+ * @param {Object} options - Passed to TrustGameRelay
+ * @returns {Object} server and relay
+ */
+function createRelayServer(options = {}) {
+    const relay = new TrustGameRelay(options);
+    const server = http.createServer(serveStatic);
+
+    server.on('upgrade', (request, socket) => {
+        if (new URL(request.url, 'http://localhost').pathname !== '/relay') {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        const connection = WebSocketConnection.accept(request, socket);
+        if (connection) {
+            relay.addConnection(connection);
+        }
+    });
+
+    return { server, relay };
+}
+
+function parseArgs(argv) {
+    const options = { port: 8080 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        if (argv[i] === '--log-dir') options.logDir = path.resolve(argv[++i]);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const { server } = createRelayServer(options);
+    server.listen(options.port, 'localhost', () => {
+        console.log(`Trust Game relay running at http://localhost:${options.port}/ (WebSocket: ws://localhost:${options.port}/relay)`);
+    });
+}
+
+module.exports = { createRelayServer, TrustGameRelay, WebSocketConnection, serveStatic };
@@ -0,0 +1,75 @@
+// Session persistence for Trust Game experiment
+// Saves progress to localStorage after every step so a reload or crash can resume the session
+
+class SessionStore {
+    /**
+     * @param {string} storageKey - localStorage key holding the in-progress session
+     */
+    constructor(storageKey = 'trust_game_session') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Check whether localStorage can be used (it throws in some private browsing modes)
+     */
+    isAvailable() {
+        try {
+            const testKey = this.storageKey + '_test';
+            localStorage.setItem(testKey, '1');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Persist the current state
+     * @param {Object} state - participantId, step, currentRound, rngState and data
+     */
+    save(state) {
+        if (!this.isAvailable()) return false;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(Object.assign({}, state, {
+                saved: new Date().toISOString()
+            })));
+            return true;
+        } catch (error) {
+            console.warn('Could not save session state:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Saved in-progress session, or null if there is none or it cannot be read
+     */
+    load() {
+        if (!this.isAvailable()) return null;
+
+        const stored = localStorage.getItem(this.storageKey);
+        if (!stored) return null;
+
+        try {
+            const state = JSON.parse(stored);
+            if (!state.participantId || !state.data || !state.step) {
+                throw new Error('incomplete session state');
+            }
+            return state;
+        } catch (error) {
+            console.warn('Discarding unreadable session state:', error);
+            this.clear();
+            return null;
+        }
+    }
+
+    clear() {
+        if (!this.isAvailable()) return;
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionStore;
+}
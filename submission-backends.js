@@ -0,0 +1,209 @@
+// Submission backends for Trust Game experiment
+// Each backend delivers a finished session somewhere; DataSubmitter tries them in the configured order
+
+/**
+ * Base class for backends. A backend formats the session into a payload and sends it; every payload
+ * goes through the backend's own outbox, so failed sends are retried and never delivered twice.
+ */
+class SubmissionBackend {
+    /**
+     * @param {Object} params - Backend settings from the submission.backends configuration
+     */
+    constructor(params = {}) {
+        this.params = Object.assign({}, this.constructor.defaults, params);
+        this.outbox = new SubmissionOutbox({
+            storageKey: this.params.outbox_key || `trust_game_outbox_${this.constructor.type}`,
+            send: payload => this.send(payload),
+            getKey: payload => payload.filename
+        });
+    }
+
+    /**
+     * Retry submissions left over from earlier page loads (call once the backend is fully set up)
+     */
+    start() {
+        return this.outbox.start();
+    }
+
+    /**
+     * Build the request body for a session
+     * @param {Object} data - Experiment data
+     * @param {string} filename - Stable filename for the session (see DataSubmitter.generateFilename)
+     */
+    formatPayload(data, filename) {
+        throw new Error(`${this.constructor.name} must implement formatPayload()`);
+    }
+
+    /**
+     * Outbox key (payload filename) of a session, without building the payload
+     */
+    getPayloadKey(data, filename) {
+        return filename;
+    }
+
+    /**
+     * Deliver one payload
+     * @returns {Promise<Object>} { success, error, retryable, details }
+     */
+    async send(payload) {
+        throw new Error(`${this.constructor.name} must implement send()`);
+    }
+
+    /**
+     * Queue the session and try to deliver it now
+     * @returns {Promise<Object>} success, method and filename; queued is true when retries are still pending
+     */
+    async submit(data, filename) {
+        const payload = this.formatPayload(data, filename);
+        // A file delivered earlier must not be reported as the delivery of this data
+        if (this.outbox.isSent(payload.filename)) {
+            return {
+                success: false,
+                method: this.constructor.type,
+                filename: payload.filename,
+                error: `${payload.filename} was already submitted`,
+                queued: false
+            };
+        }
+        this.outbox.enqueue(payload);
+        await this.outbox.flush();
+
+        if (this.outbox.isSent(payload.filename)) {
+            return Object.assign({ success: true, method: this.constructor.type, filename: payload.filename }, this.describeSuccess());
+        }
+
+        const entry = this.outbox.getEntry(payload.filename);
+        return {
+            success: false,
+            method: this.constructor.type,
+            filename: payload.filename,
+            error: entry ? entry.lastError : `${this.constructor.type} submission failed`,
+            queued: Boolean(entry && entry.status === 'pending')
+        };
+    }
+
+    /**
+     * Extra fields for a successful result (shown on the final screen)
+     */
+    describeSuccess() {
+        return {};
+    }
+}
+
+/**
+ * OSF DataPipe (https://pipe.jspsych.org): stores jsPsych-style CSV files in an OSF project
+ */
+class OSFDataPipeBackend extends SubmissionBackend {
+    constructor(params) {
+        super(params);
+        this.osfDataPipe = new OSFDataPipe();
+        this.osfDataPipe.configure({
+            experimentId: this.params.experiment_id,
+            studyId: null,
+            sessionId: null
+        });
+    }
+
+    formatPayload(data) {
+        return this.osfDataPipe.formatDataForOSF(data);
+    }
+
+    getPayloadKey(data) {
+        return this.osfDataPipe.generateFilename(data);
+    }
+
+    send(payload) {
+        return this.osfDataPipe.sendPayload(payload);
+    }
+
+    describeSuccess() {
+        return {
+            message: 'Data successfully submitted to OSF DataPipe! Your data has been securely saved to the Open Science Framework.',
+            sessionId: this.osfDataPipe.configuration.sessionId,
+            experimentId: this.osfDataPipe.configuration.experimentId
+        };
+    }
+}
+OSFDataPipeBackend.type = 'osf_datapipe';
+OSFDataPipeBackend.defaults = { experiment_id: 'Cb1DhSdND5ek' }; // DataPipe experiment ID from OSF setup
+
+/**
+ * Generic HTTP POST: sends { filename, participant_id, session_id, format, data } as JSON to any URL,
+ * e.g. the bundled receiver (server/data-receiver.js) or a lab server
+ */
+class HttpPostBackend extends SubmissionBackend {
+    formatPayload(data, filename) {
+        return {
+            filename: filename,
+            participant_id: data.participant_id,
+            session_id: data.session ? data.session.session_id : '',
+            format: 'csv',
+            profile: this.params.profile,
+            data: CSVSerializer.serialize(data, this.params.profile)
+        };
+    }
+
+    async send(payload) {
+        try {
+            const response = await fetch(this.params.url, {
+                method: 'POST',
+                headers: Object.assign({ 'Content-Type': 'application/json' }, this.params.headers),
+                body: JSON.stringify(payload)
+            });
+
+            if (response.ok) {
+                return { success: true };
+            }
+            const errorText = await response.text();
+            return {
+                success: false,
+                error: `HTTP ${response.status} from ${this.params.url}: ${errorText}`,
+                retryable: !(response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429)
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    describeSuccess() {
+        return {
+            message: 'Data successfully submitted to the study server!',
+            url: this.params.url
+        };
+    }
+}
+HttpPostBackend.type = 'http_post';
+HttpPostBackend.defaults = { url: '', profile: 'local', headers: {} };
+
+const SubmissionBackends = {
+    registry: {
+        osf_datapipe: OSFDataPipeBackend,
+        http_post: HttpPostBackend
+    },
+
+    /**
+     * Build a backend from a configuration entry such as { "type": "http_post", "url": "..." }
+     */
+    create(spec) {
+        const BackendClass = this.registry[spec.type];
+        if (!BackendClass) {
+            throw new Error(`Unknown submission backend "${spec.type}" (expected one of ${Object.keys(this.registry).join(', ')})`);
+        }
+        const params = Object.assign({}, spec);
+        delete params.type;
+        return new BackendClass(params);
+    },
+
+    /**
+     * Add a custom backend class under a type name
+     */
+    register(type, BackendClass) {
+        BackendClass.type = type;
+        this.registry[type] = BackendClass;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SubmissionBackend, OSFDataPipeBackend, HttpPostBackend, SubmissionBackends };
+}
@@ -0,0 +1,253 @@
+// Submission outbox for Trust Game experiment
+// Queues payloads in localStorage and retries them with exponential backoff until they are delivered
+
+class SubmissionOutbox {
+    /**
+     * @param {Object} options - Outbox settings
+     * @param {Function} options.send - async function(payload) returning { success, error, retryable }
+     * @param {Function} options.getKey - Deduplication key of a payload (defaults to payload.filename)
+     * @param {string} options.storageKey - localStorage key holding the queue
+     * @param {number} options.baseDelay - Delay before the first retry (ms)
+     * @param {number} options.maxDelay - Upper bound on the retry delay (ms)
+     * @param {number} options.maxAttempts - Attempts before an entry is marked failed
+     * @param {Function} options.random - Source of jitter in [0, 1)
+     */
+    constructor(options = {}) {
+        this.send = options.send;
+        this.getKey = options.getKey || (payload => payload.filename);
+        this.storageKey = options.storageKey || 'trust_game_outbox';
+        this.baseDelay = options.baseDelay || 2000;
+        this.maxDelay = options.maxDelay || 5 * 60 * 1000;
+        this.maxAttempts = options.maxAttempts || 10;
+        this.random = options.random || Math.random;
+        this.onProgress = null; // Called with getStatus() whenever the queue changes
+        this.memory = { queue: [], sent: [] }; // Used when localStorage is unavailable
+        this.flushing = null;
+        this.timer = null;
+    }
+
+    /**
+     * Flush anything left over from earlier page loads and retry whenever the browser comes back online
+     */
+    start() {
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('online', () => this.flush());
+        }
+        return this.flush();
+    }
+
+    isAvailable() {
+        try {
+            const testKey = this.storageKey + '_test';
+            localStorage.setItem(testKey, '1');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    read() {
+        if (!this.isAvailable()) return this.memory;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored && Array.isArray(stored.queue) && Array.isArray(stored.sent)) {
+                return stored;
+            }
+        } catch (error) {
+            console.warn('Discarding unreadable submission outbox:', error);
+        }
+        return { queue: [], sent: [] };
+    }
+
+    write(state) {
+        // Only the most recent delivered keys are needed to reject duplicates
+        state.sent = state.sent.slice(-200);
+
+        if (!this.isAvailable()) {
+            this.memory = state;
+            return;
+        }
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(state));
+        } catch (error) {
+            console.warn('Could not save submission outbox:', error);
+            this.memory = state;
+        }
+    }
+
+    /**
+     * Add a payload to the queue. Payloads are deduplicated by key, so anything that was
+     * already queued or delivered is never queued again.
+     * @param {Object} payload - Request body, e.g. a DataPipe submission ({ experimentID, filename, data })
+     * @returns {boolean} True if the payload was added
+     */
+    enqueue(payload) {
+        const key = this.getKey(payload);
+        const state = this.read();
+        if (state.sent.includes(key) || state.queue.some(entry => entry.key === key)) {
+            return false;
+        }
+
+        state.queue.push({
+            key: key,
+            payload: payload,
+            status: 'pending',
+            attempts: 0,
+            nextAttempt: Date.now(),
+            lastError: null,
+            created: new Date().toISOString()
+        });
+        this.write(state);
+        this.notify();
+        return true;
+    }
+
+    isSent(key) {
+        return this.read().sent.includes(key);
+    }
+
+    /**
+     * Drop a queued entry so it is never sent (used when a participant withdraws)
+     * @returns {boolean} True if an entry was removed
+     */
+    remove(key) {
+        const state = this.read();
+        const remaining = state.queue.filter(entry => entry.key !== key);
+        if (remaining.length === state.queue.length) {
+            return false;
+        }
+
+        state.queue = remaining;
+        this.write(state);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Queued entry for a key, or null if it is not (or no longer) queued
+     */
+    getEntry(key) {
+        return this.read().queue.find(entry => entry.key === key) || null;
+    }
+
+    /**
+     * Delay before the next attempt: exponential backoff with jitter (between half and the full delay)
+     */
+    getBackoffDelay(attempts) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempts - 1));
+        return Math.round(delay / 2 + this.random() * delay / 2);
+    }
+
+    /**
+     * Try every entry that is due. A call made during a run starts another run once it finishes,
+     * so nothing queued in the meantime is missed and no entry is ever sent twice at once.
+     * @returns {Promise<Object>} Queue status after the run
+     */
+    flush() {
+        if (this.flushing) {
+            return this.flushing.then(() => this.flush());
+        }
+
+        this.flushing = this.flushDue().finally(() => {
+            this.flushing = null;
+            this.schedule();
+        });
+        return this.flushing;
+    }
+
+    async flushDue() {
+        // Re-read after every attempt so entries queued during the run are tried too
+        const tried = new Set();
+        const nextDue = () => this.read().queue.find(entry =>
+            entry.status === 'pending' && entry.nextAttempt <= Date.now() && !tried.has(entry.key));
+
+        let entry;
+        while ((entry = nextDue())) {
+            tried.add(entry.key);
+            let result;
+            try {
+                result = await this.send(entry.payload);
+            } catch (error) {
+                result = { success: false, error: error.message };
+            }
+            this.record(entry.key, result);
+        }
+
+        return this.getStatus();
+    }
+
+    /**
+     * Store the outcome of one attempt
+     */
+    record(key, result) {
+        const state = this.read();
+        const entry = state.queue.find(queued => queued.key === key);
+        if (!entry) {
+            // Removed while the attempt was in flight; still remember a delivery so it can be reported
+            if (result.success && !state.sent.includes(key)) {
+                state.sent.push(key);
+                this.write(state);
+            }
+            return;
+        }
+
+        if (result.success) {
+            state.queue = state.queue.filter(queued => queued !== entry);
+            state.sent.push(key);
+        } else {
+            entry.attempts++;
+            entry.lastError = result.error || 'Submission failed';
+            if (result.retryable === false || entry.attempts >= this.maxAttempts) {
+                entry.status = 'failed';
+            } else {
+                entry.nextAttempt = Date.now() + this.getBackoffDelay(entry.attempts);
+            }
+        }
+
+        this.write(state);
+        this.notify();
+    }
+
+    /**
+     * Set a timer for the next entry that becomes due
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const pending = this.read().queue.filter(entry => entry.status === 'pending');
+        if (pending.length === 0) return;
+
+        const nextAttempt = Math.min(...pending.map(entry => entry.nextAttempt));
+        this.timer = setTimeout(() => this.flush(), Math.max(0, nextAttempt - Date.now()));
+    }
+
+    /**
+     * Summary for the status display
+     */
+    getStatus() {
+        const state = this.read();
+        const pending = state.queue.filter(entry => entry.status === 'pending');
+        return {
+            pending: pending.length,
+            failed: state.queue.filter(entry => entry.status === 'failed').length,
+            sent: state.sent.length,
+            attempts: pending.reduce((max, entry) => Math.max(max, entry.attempts), 0),
+            nextAttempt: pending.length > 0 ? Math.min(...pending.map(entry => entry.nextAttempt)) : null,
+            lastError: pending.length > 0 ? pending[0].lastError : null
+        };
+    }
+
+    notify() {
+        if (this.onProgress) {
+            this.onProgress(this.getStatus());
+        }
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubmissionOutbox;
+}
@@ -0,0 +1,40 @@
+// Tests for the comprehension check questions and scoring (comprehension-quiz.js)
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ComprehensionQuiz = require('../comprehension-quiz.js');
+
+test('the worked example uses the send amount closest to half the endowment and half its multiplied value', () => {
+    assert.deepStrictEqual(ComprehensionQuiz.exampleParams(10, 3, [0, 2, 4, 6, 8, 10]),
+        { endowment: 10, multiplier: 3, send: 4, returned: 6 });
+    assert.deepStrictEqual(ComprehensionQuiz.exampleParams(20, 2.5, [0, 3, 9]),
+        { endowment: 20, multiplier: 2.5, send: 9, returned: 11 });
+    assert.strictEqual(ComprehensionQuiz.exampleParams(10, 3, [0]).send, 10, 'never an example of sending nothing');
+});
+
+test('questions are worded and answered with the game\'s own amounts', () => {
+    const params = ComprehensionQuiz.exampleParams(10, 3, [0, 5, 10]);
+    const trustor = ComprehensionQuiz.build(['partner_receives', 'trustor_keeps', 'trustor_earnings'], params);
+    assert.deepStrictEqual(trustor.map(question => question.answer), [15, 5, 12]);
+    assert.strictEqual(trustor[2].text, 'If you send $5 and your partner sends back $7, what are your earnings for the round?');
+
+    const trustee = ComprehensionQuiz.build(['trustee_receives', 'trustee_earnings', 'sender_earnings'], params);
+    assert.deepStrictEqual(trustee.map(question => question.answer), [15, 18, 12]);
+
+    const cents = ComprehensionQuiz.build(['partner_receives'], ComprehensionQuiz.exampleParams(1, 1.1, [0.3]));
+    assert.strictEqual(cents[0].answer, 0.33);
+
+    assert.throws(() => ComprehensionQuiz.build(['partner_returns'], params), /Unknown comprehension question "partner_returns"/);
+});
+
+test('an attempt passes only when every answer is right', () => {
+    const questions = ComprehensionQuiz.build(['partner_receives', 'trustor_keeps'], ComprehensionQuiz.exampleParams(10, 3, [5]));
+    assert.deepStrictEqual(ComprehensionQuiz.score(questions, { partner_receives: 15, trustor_keeps: 5 }),
+        { correct: { partner_receives: true, trustor_keeps: true }, passed: true });
+    assert.deepStrictEqual(ComprehensionQuiz.score(questions, { partner_receives: 5, trustor_keeps: null }),
+        { correct: { partner_receives: false, trustor_keeps: false }, passed: false });
+    assert.strictEqual(ComprehensionQuiz.score(questions, { partner_receives: 15.001, trustor_keeps: 5 }).passed, true,
+        'answers within half a cent count');
+});
@@ -0,0 +1,118 @@
+// Tests for the shared CSV serializer
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const CSVSerializer = require('../csv-serializer.js');
+
+// The browser classes use CSVSerializer as a global
+global.CSVSerializer = CSVSerializer;
+global.SubmissionOutbox = require('../submission-outbox.js');
+const OSFDataPipe = require('../osf-datapipe.js');
+global.OSFDataPipe = OSFDataPipe;
+global.window = { location: { hostname: 'localhost' } };
+global.SubmissionBackends = require('../submission-backends.js').SubmissionBackends;
+const DataSubmitter = require('../data-submitter.js');
+
+const SAMPLE_CSV = path.join(__dirname, '..', 'data', 'sample_trust_game_data_P1693834567891_123_20240905T183456Z.csv');
+
+function sampleData(demographics) {
+    return {
+        participant_id: 'P1_abc',
+        experiment: 'trust_game',
+        version: '1.0',
+        timestamp: '2024-09-05T18:34:56.789Z',
+        condition: { condition_id: 'high', assignment_method: 'balanced', assignment_seed: 7, partner_order: '1-2', multiplier: 3, endowment: 10 },
+        dyad: { dyad_id: null, partner_participant_id: null, partner_type: 'simulated', fallback_reason: null },
+        session: { resumed: false, interruption_count: 0, interruptions: [] },
+        demographics: demographics,
+        trials: [
+            { round: 1, role: 'trustor', amount_sent: 0, amount_kept: 10, partner_received: 0, amount_returned: 0, final_earnings: 10, return_rate: 0.3, partner_type: 'simulated', reaction_time: 1200 },
+            { round: 2, role: 'trustor', amount_sent: 5, amount_kept: 5, partner_received: 15, amount_returned: 9, final_earnings: 14, return_rate: 0.6, partner_type: 'simulated', reaction_time: 900 }
+        ],
+        summary: { total_earnings: 24, average_amount_sent: 2.5, trust_pattern: 'Low Trust', completion_time: '2024-09-05T18:40:00.000Z' }
+    };
+}
+
+test('escapeField quotes every field and doubles embedded quotes', () => {
+    assert.strictEqual(CSVSerializer.escapeField('plain'), '"plain"');
+    assert.strictEqual(CSVSerializer.escapeField('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(CSVSerializer.escapeField(null), '""');
+    assert.strictEqual(CSVSerializer.escapeField(undefined), '""');
+    assert.strictEqual(CSVSerializer.escapeField(0), '"0"');
+    assert.strictEqual(CSVSerializer.escapeField(false), '"false"');
+});
+
+test('free-text demographics with quotes, commas and newlines round-trip', () => {
+    const tricky = { age: 30, gender: 'prefer "not" to say', field: 'Economics, "behavioral"\nand\r\npsychology' };
+    const records = CSVSerializer.parseObjects(CSVSerializer.serialize(sampleData(tricky), 'local'));
+
+    assert.strictEqual(records.length, 2);
+    records.forEach(record => {
+        assert.strictEqual(record.gender, tricky.gender);
+        assert.strictEqual(record.field, tricky.field);
+        assert.strictEqual(record.age, '30');
+    });
+});
+
+test('zero values are written, missing values are empty', () => {
+    const records = CSVSerializer.parseObjects(CSVSerializer.serialize(sampleData({}), 'local'));
+
+    assert.strictEqual(records[0].amount_sent, '0');
+    assert.strictEqual(records[0].interruption_count, '0');
+    assert.strictEqual(records[0].resumed, 'false');
+    assert.strictEqual(records[0].dyad_id, '');
+    assert.strictEqual(records[0].age, '');
+});
+
+test('every row has as many fields as the header', () => {
+    ['local', 'datapipe'].forEach(profile => {
+        const rows = CSVSerializer.parse(CSVSerializer.serialize(sampleData({ field: 'a,b\n"c"' }), profile));
+        assert.strictEqual(rows[0].length, CSVSerializer.profiles[profile].length);
+        rows.forEach(row => assert.strictEqual(row.length, rows[0].length));
+    });
+});
+
+test('parse handles CRLF line endings, empty fields and unquoted values', () => {
+    assert.deepStrictEqual(CSVSerializer.parse('a,b,c\r\n1,,"x ""y"""\r\n'), [['a', 'b', 'c'], ['1', '', 'x "y"']]);
+    assert.deepStrictEqual(CSVSerializer.parse('a\n"multi\nline"'), [['a'], ['multi\nline']]);
+    assert.throws(() => CSVSerializer.parse('"unterminated'), /unterminated/);
+});
+
+test('parses the sample data file', () => {
+    const records = CSVSerializer.parseObjects(fs.readFileSync(SAMPLE_CSV, 'utf8'));
+
+    assert.strictEqual(records.length, 5);
+    assert.strictEqual(records[0].participant_id, 'P1693834567891_123');
+    assert.strictEqual(records[0].field, 'Psychology');
+    assert.deepStrictEqual(records.map(record => record.round), ['1', '2', '3', '4', '5']);
+});
+
+test('DataSubmitter and OSFDataPipe use the shared profiles', () => {
+    const data = sampleData({ age: 25, gender: 'Female', field: 'Psychology' });
+
+    const submitter = new DataSubmitter();
+    assert.strictEqual(submitter.convertToCSV(data), CSVSerializer.serialize(data, 'local'));
+
+    const pipe = new OSFDataPipe();
+    pipe.configure({ experimentId: 'EXP123', sessionId: 'S1' });
+    const records = CSVSerializer.parseObjects(pipe.convertToCSV(data));
+    assert.deepStrictEqual(Object.keys(records[0]), CSVSerializer.profiles.datapipe);
+    assert.strictEqual(records[0].trial_type, 'trust-game-trial');
+    assert.strictEqual(records[1].trial_index, '1');
+    assert.strictEqual(records[0].experiment_id, 'EXP123');
+    assert.strictEqual(records[0].session_id, 'S1');
+    assert.strictEqual(records[0].participant_age, '25');
+    assert.strictEqual(records[0].rt, '1200');
+});
+
+test('data dictionary describes every column of a profile', () => {
+    const dictionary = CSVSerializer.getDataDictionary('local');
+
+    assert.deepStrictEqual(dictionary.map(entry => entry.column), CSVSerializer.profiles.local);
+    dictionary.forEach(entry => assert.ok(entry.description, `${entry.column} has no description`));
+    assert.throws(() => CSVSerializer.serialize(sampleData({}), 'unknown'), /Unknown CSV profile/);
+});
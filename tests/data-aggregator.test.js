@@ -0,0 +1,83 @@
+// Tests for merging session files and the dashboard statistics (data-aggregator.js)
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CSVSerializer = require('../csv-serializer.js');
+
+// The browser modules use CSVSerializer as a global
+global.CSVSerializer = CSVSerializer;
+const DataAggregator = require('../data-aggregator.js');
+
+const csv = rows => rows.map(row => row.join(',')).join('\n');
+
+const HEADER = ['participant_id', 'session_id', 'condition_id', 'completion_status', 'completion_time', 'total_earnings',
+    'round', 'role', 'game', 'game_index', 'amount_sent', 'amount_returned', 'trustee_amount_returned', 'gts_1'];
+const SESSION_A = csv([HEADER,
+    ['P1', 'S1', 'low', 'completed', '2025-01-15T10:00:00Z', '30', '1', 'trustor', 'trust', '1', '5', '6', '', '4'],
+    ['P1', 'S1', 'low', 'completed', '2025-01-15T10:00:00Z', '30', '2', 'trustor', 'trust', '1', '10', '12', '', '4'],
+    ['P1', 'S1', 'low', 'completed', '2025-01-15T10:00:00Z', '30', '1', 'dictator', 'dictator', '2', '3', '', '', '4']
+]);
+const SESSIONS_B_C = csv([HEADER,
+    ['P2', 'S2', 'high', 'completed', '2025-01-15T11:00:00Z', '20', '1', 'trustor', 'trust', '1', '0', '0', '', '2'],
+    ['P3', 'S3', 'high', 'incomplete', '', '', '1', 'trustee', 'trust', '1', '', '', '9', '']
+]);
+
+function loadSessions() {
+    return DataAggregator.merge([
+        ...DataAggregator.fromCSV(SESSION_A, 'a.csv'),
+        ...DataAggregator.fromCSV(SESSIONS_B_C, 'merged.csv'),
+        ...DataAggregator.fromCSV(SESSION_A, 'a_copy.csv')
+    ]);
+}
+
+test('sessions loaded from several files are merged, and a session loaded twice is kept once', () => {
+    const { sessions, duplicates } = loadSessions();
+    assert.deepStrictEqual(sessions.map(session => [session.key, session.source, session.rows.length]),
+        [['P1|S1', 'a.csv', 3], ['P2|S2', 'merged.csv', 1], ['P3|S3', 'merged.csv', 1]]);
+    assert.deepStrictEqual(duplicates, [{ key: 'P1|S1', source: 'a_copy.csv', kept_source: 'a.csv' }]);
+
+    // Datapipe-profile columns are renamed to their local-profile names
+    const datapipe = DataAggregator.fromCSV('participant_id,session_id,round,rt\nP4,S4,1,1234', 'datapipe.csv');
+    assert.strictEqual(datapipe[0].rows[0].reaction_time, '1234');
+    assert.throws(() => DataAggregator.fromCSV('round,amount_sent\n1,5', 'other.csv'), /other.csv: rows without participant_id/);
+});
+
+test('the wide format has one row per session and a column per trial column and round of each game', () => {
+    const { columns, rows } = DataAggregator.wideRows(loadSessions().sessions);
+    // Session columns in the order of the local profile, then the questionnaire items
+    assert.deepStrictEqual(columns.slice(0, 7),
+        ['participant_id', 'condition_id', 'session_id', 'total_earnings', 'completion_status', 'completion_time', 'gts_1']);
+    assert.ok(!columns.includes('round') && !columns.includes('amount_sent'));
+    assert.ok(columns.indexOf('amount_sent_r2') < columns.indexOf('amount_sent_g2_r1'));
+
+    assert.strictEqual(rows.length, 3);
+    assert.deepStrictEqual([rows[0].amount_sent_r1, rows[0].amount_sent_r2, rows[0].amount_sent_g2_r1, rows[0].role_g2_r1, rows[0].gts_1],
+        ['5', '10', '3', 'dictator', '4']);
+    assert.strictEqual(rows[1].amount_sent_r2, undefined);
+    assert.strictEqual(rows[2].trustee_amount_returned_r1, '9');
+});
+
+test('the condition breakdown counts completed sessions and averages each role\'s trials', () => {
+    assert.deepStrictEqual(DataAggregator.conditionBreakdown(loadSessions().sessions), [
+        {
+            condition_id: 'high',
+            sessions: 2,
+            completed: 1,
+            mean_amount_sent: 0,
+            mean_amount_returned: 0,
+            mean_trustee_returned: 9,
+            mean_total_earnings: 20
+        },
+        {
+            condition_id: 'low',
+            sessions: 1,
+            completed: 1,
+            mean_amount_sent: 7.5,
+            mean_amount_returned: 9,
+            mean_trustee_returned: null,
+            mean_total_earnings: 30
+        }
+    ]);
+});
@@ -0,0 +1,107 @@
+// Tests for the self-hosted data receiver (server/data-receiver.js), started on a free port
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createDataReceiver } = require('../server/data-receiver.js');
+
+async function startReceiver() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trust-game-receiver-'));
+    const { server } = createDataReceiver({ dataDir: dataDir });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const post = async (route, body) => {
+        const response = await fetch(url + route, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    };
+    const close = async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+    return { server, url, dataDir, post, close };
+}
+
+const chunk = (sessionId, participantId, type, index, data = {}) => ({
+    chunk_id: `${sessionId}_${type}_${index}`, chunk_type: type, chunk_index: index,
+    session_id: sessionId, participant_id: participantId, data: data
+});
+const sessionCsv = (participantId, sessionId) =>
+    `participant_id,session_id,round,final_earnings\n${participantId},${sessionId},1,10\n${participantId},${sessionId},2,12\n`;
+
+test('a submitted session is written once, and a retry with the same contents is acknowledged as a duplicate', async () => {
+    const receiver = await startReceiver();
+    try {
+        const csv = sessionCsv('P1_1', 'S1_abc');
+        const saved = await receiver.post('/submit', { participant_id: 'P1_1', filename: 'trust_game_data_P1_1_a.csv', data: csv });
+        assert.deepStrictEqual([saved.status, saved.body], [201, { success: true, filename: 'trust_game_data_P1_1_a.csv' }]);
+        assert.strictEqual(fs.readFileSync(path.join(receiver.dataDir, 'trust_game_data_P1_1_a.csv'), 'utf8'), csv);
+
+        const retried = await receiver.post('/submit', { participant_id: 'P1_1', filename: 'trust_game_data_P1_1_a.csv', data: csv });
+        assert.deepStrictEqual([retried.status, retried.body.duplicate], [200, true]);
+        const conflict = await receiver.post('/submit', { participant_id: 'P1_1', filename: 'trust_game_data_P1_1_a.csv', data: sessionCsv('P1_1', 'S2_def') });
+        assert.strictEqual(conflict.status, 409);
+        assert.strictEqual(fs.readFileSync(path.join(receiver.dataDir, 'trust_game_data_P1_1_a.csv'), 'utf8'), csv);
+
+        // A filename outside the trust_game_data_ scheme is replaced, so nothing is written outside the data folder
+        const renamed = await receiver.post('/submit', { participant_id: 'P1_1', filename: '../escape.csv', data: csv });
+        assert.match(renamed.body.filename, /^trust_game_data_P1_1_.+\.csv$/);
+        assert.ok(fs.existsSync(path.join(receiver.dataDir, renamed.body.filename)));
+
+        assert.strictEqual((await receiver.post('/submit', { participant_id: '../P1', data: csv })).status, 400);
+        assert.strictEqual((await receiver.post('/submit', { participant_id: 'P1_1', data: '' })).status, 400);
+        const malformed = await fetch(receiver.url + '/submit', { method: 'POST', body: '{"participant_id":' });
+        assert.strictEqual(malformed.status, 400);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('streamed chunks are appended to the session\'s stream file once each', async () => {
+    const receiver = await startReceiver();
+    try {
+        assert.strictEqual((await receiver.post('/chunks', chunk('S1_abc', 'P1_1', 'demographics', 0, { age: 30 }))).status, 201);
+        assert.strictEqual((await receiver.post('/chunks', chunk('S1_abc', 'P1_1', 'trial', 1, { amount_sent: 5 }))).status, 201);
+        const repeated = await receiver.post('/chunks', chunk('S1_abc', 'P1_1', 'trial', 1, { amount_sent: 5 }));
+        assert.deepStrictEqual([repeated.status, repeated.body.duplicate], [200, true]);
+        await receiver.post('/chunks', chunk('S1_abc', 'P1_1', 'trial', 2, { amount_sent: 10 }));
+
+        const stream = fs.readFileSync(path.join(receiver.dataDir, 'streams', 'S1_abc.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(stream.map(line => line.chunk_id), ['S1_abc_demographics_0', 'S1_abc_trial_1', 'S1_abc_trial_2']);
+        assert.deepStrictEqual(stream[1].data, { amount_sent: 5 });
+        assert.ok(stream.every(line => line.received));
+
+        assert.strictEqual((await receiver.post('/chunks', chunk('../S1', 'P1_1', 'trial', 3))).status, 400);
+        assert.strictEqual((await receiver.post('/chunks', { session_id: 'S1_abc' })).status, 400);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('a withdrawal deletes only the CSV of its own session, and only for the participant who streamed it', async () => {
+    const receiver = await startReceiver();
+    try {
+        await receiver.post('/chunks', chunk('S1_abc', 'P1_1', 'trial', 1));
+        await receiver.post('/submit', { participant_id: 'P1_1', filename: 'trust_game_data_P1_1_a.csv', data: sessionCsv('P1_1', 'S1_abc') });
+        await receiver.post('/submit', { participant_id: 'P1_1', filename: 'trust_game_data_P1_1_b.csv', data: sessionCsv('P1_1', 'S2_def') });
+
+        // Knowing the participant ID alone is not enough
+        const guessed = await receiver.post('/chunks', chunk('S9_zzz', 'P1_1', 'withdrawn', 0));
+        assert.deepStrictEqual(guessed.body.deleted, []);
+        const wrongOwner = await receiver.post('/chunks', chunk('S1_abc', 'P2_2', 'withdrawn', 0));
+        assert.strictEqual(wrongOwner.status, 403);
+        assert.strictEqual(fs.readFileSync(path.join(receiver.dataDir, 'streams', 'S1_abc.jsonl'), 'utf8').split('\n').length, 2);
+
+        const withdrawn = await receiver.post('/chunks', chunk('S1_abc', 'P1_1', 'withdrawn', 0));
+        assert.strictEqual(withdrawn.status, 200);
+        assert.deepStrictEqual(withdrawn.body.deleted, ['trust_game_data_P1_1_a.csv']);
+        assert.deepStrictEqual(fs.readdirSync(receiver.dataDir).filter(name => name.endsWith('.csv')), ['trust_game_data_P1_1_b.csv']);
+        const stream = fs.readFileSync(path.join(receiver.dataDir, 'streams', 'S1_abc.jsonl'), 'utf8').trim().split('\n');
+        assert.deepStrictEqual(stream.map(line => JSON.parse(line).chunk_type), ['withdrawn']);
+    } finally {
+        await receiver.close();
+    }
+});
@@ -0,0 +1,100 @@
+// Tests for streaming each trial to an endpoint as it is completed (data-stream.js)
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The browser modules use SubmissionOutbox, localStorage and fetch as globals
+global.SubmissionOutbox = require('../submission-outbox.js');
+const DataStream = require('../data-stream.js');
+
+const ENDPOINT = 'https://lab.example.org/stream';
+
+/**
+ * A stream whose endpoint answers with status(chunk), recording each chunk it receives
+ */
+function streamTo(status = () => 200) {
+    const items = new Map();
+    global.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+    const received = [];
+    global.fetch = async (url, options) => {
+        const chunk = JSON.parse(options.body);
+        received.push(Object.assign({ url: url, keepalive: options.keepalive }, chunk));
+        const code = status(chunk);
+        return { ok: code >= 200 && code < 300, status: code };
+    };
+    const stream = new DataStream(ENDPOINT);
+    return { stream, received, stop: () => clearTimeout(stream.outbox.timer) };
+}
+
+const DATA = {
+    participant_id: 'P1',
+    experiment: 'trust_game',
+    version: '1.0',
+    session: { session_id: 'S1' },
+    condition: { condition_id: 'high', role: 'trustor' }
+};
+
+test('every chunk carries the session it belongs to, and a chunk repeated after a reload is sent once', async () => {
+    const { stream, received } = streamTo();
+    await stream.push(DATA, 'demographics', 0, { age: 30 });
+    await stream.push(DATA, 'trial', 1, { round: 1, amount_sent: 5 });
+    await stream.push(DATA, 'trial', 1, { round: 1, amount_sent: 5 });
+    await stream.push(DATA, 'complete', 2, { trial_count: 1 });
+
+    assert.deepStrictEqual(received.map(chunk => chunk.chunk_id), ['S1_demographics_0', 'S1_trial_1', 'S1_complete_2']);
+    const trial = received[1];
+    assert.deepStrictEqual(
+        [trial.url, trial.keepalive, trial.chunk_type, trial.chunk_index, trial.session_id, trial.participant_id, trial.condition_id, trial.role],
+        [ENDPOINT, true, 'trial', 1, 'S1', 'P1', 'high', 'trustor']
+    );
+    assert.deepStrictEqual(trial.data, { round: 1, amount_sent: 5 });
+    assert.ok(!isNaN(Date.parse(trial.sent_at)));
+});
+
+test('a chunk the endpoint could not take is retried, and one it rejects is not', async () => {
+    let down = true;
+    const { stream, received, stop } = streamTo(chunk => (chunk.chunk_type === 'demographics' ? 400 : (down ? 503 : 200)));
+    try {
+        let status = await stream.push(DATA, 'trial', 1, { round: 1 });
+        assert.deepStrictEqual([status.pending, status.lastError], [1, 'Streaming endpoint error: 503']);
+
+        down = false;
+        const state = stream.outbox.read();
+        state.queue[0].nextAttempt = Date.now();
+        stream.outbox.write(state);
+        status = await stream.outbox.flush();
+        assert.deepStrictEqual([status.pending, status.sent], [0, 1]);
+
+        status = await stream.push(DATA, 'demographics', 0, {});
+        assert.deepStrictEqual([status.pending, status.failed], [0, 1]);
+        assert.deepStrictEqual(received.map(chunk => chunk.chunk_id), ['S1_trial_1', 'S1_trial_1', 'S1_demographics_0']);
+    } finally {
+        stop();
+    }
+});
+
+test('withdrawing cancels the unsent chunks, sends a withdrawn marker and stops the stream', async () => {
+    let down = false;
+    const { stream, received, stop } = streamTo(chunk => (down && chunk.chunk_type !== 'withdrawn' ? 503 : 200));
+    try {
+        await stream.push(DATA, 'trial', 1, { round: 1 });
+        down = true;
+        await stream.push(DATA, 'trial', 2, { round: 2 });
+
+        assert.strictEqual(stream.withdraw(DATA), 1, 'one chunk had already arrived');
+        await stream.outbox.flush();
+        assert.strictEqual(stream.outbox.getEntry('S1_trial_2'), null);
+        assert.deepStrictEqual(received.map(chunk => chunk.chunk_id), ['S1_trial_1', 'S1_trial_2', 'S1_withdrawn_0']);
+        assert.ok(received[2].data.withdrawn_at);
+
+        await stream.push(DATA, 'complete', 3, {});
+        assert.strictEqual(received.length, 3);
+    } finally {
+        stop();
+    }
+});
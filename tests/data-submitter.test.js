@@ -0,0 +1,166 @@
+// Tests for data submission: backends, retries and the local fallback, against a mocked fetch
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { BrowserEnvironment, response } = require('./helpers/browser.js');
+const CSVSerializer = require('../csv-serializer.js');
+
+const DATAPIPE_URL = 'https://pipe.jspsych.org/api/data/';
+const SERVER_URL = 'https://lab.example.org/trust-game';
+
+function sessionData() {
+    return {
+        participant_id: 'P42',
+        experiment: 'trust_game',
+        version: '1.0',
+        timestamp: '2025-01-15T09:30:00.000Z',
+        session: { session_id: 'S42' },
+        condition: { condition_id: 'default', endowment: 10, multiplier: 3 },
+        trials: [
+            { round: 1, role: 'trustor', amount_sent: 5, amount_kept: 5, amount_returned: 6, final_earnings: 11, reaction_time: 1500 }
+        ],
+        summary: { total_earnings: 11, completion_status: 'completed' }
+    };
+}
+
+/**
+ * A page with a DataSubmitter for the given backends; fetch answers with respond(url, request)
+ */
+function submitterPage(backends, respond) {
+    const env = new BrowserEnvironment({ fetch: respond });
+    env.context.backendSpecs = backends;
+    env.context.sessionData = sessionData();
+    env.run('submitter = new DataSubmitter(backendSpecs)');
+    return env;
+}
+
+const submit = env => env.run('submitter.submitData(sessionData)');
+
+test('a session accepted by OSF DataPipe is sent once and not kept in the browser', async () => {
+    const env = submitterPage([{ type: 'osf_datapipe', experiment_id: 'abc123' }]);
+    const result = await submit(env);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.method, 'osf_datapipe');
+    assert.strictEqual(result.experimentId, 'abc123');
+    assert.strictEqual(env.requests.length, 1);
+    assert.strictEqual(env.requests[0].url, DATAPIPE_URL);
+    assert.strictEqual(env.requests[0].method, 'POST');
+    assert.deepStrictEqual(Object.keys(env.requests[0].body), ['experimentID', 'filename', 'data']);
+    assert.strictEqual(env.requests[0].body.filename, result.filename);
+    assert.strictEqual(result.filename, 'P42_2025-01-15_093000000.csv');
+    assert.strictEqual(CSVSerializer.parseObjects(env.requests[0].body.data)[0].rt, '1500');
+    assert.strictEqual(env.localStorage.getItem('trust_game_data_P42'), null);
+
+    // A file that was already delivered is not sent again, and not reported as delivered either
+    const again = await submit(env);
+    assert.strictEqual(env.requests.length, 1);
+    assert.strictEqual(again.success, false);
+    assert.match(again.error, /osf_datapipe: P42_2025-01-15_093000000.csv was already submitted/);
+});
+
+test('a server error keeps a local copy and retries until the data is delivered', async () => {
+    let status = 503;
+    const env = submitterPage([{ type: 'osf_datapipe' }], () => (status === 200 ? response(200) : response(status, 'Service Unavailable')));
+    const result = await submit(env);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.method, 'local_storage');
+    assert.strictEqual(result.queued, true);
+    assert.strictEqual(result.queuedBackend, 0);
+    assert.match(result.error, /osf_datapipe: DataPipe API error: 503 Service Unavailable/);
+
+    const saved = env.run('submitter.getAllSavedData()');
+    assert.strictEqual(saved.length, 1);
+    assert.strictEqual(saved[0].csvData, CSVSerializer.serialize(sessionData(), 'local'));
+
+    const outbox = env.run('submitter.backends[0].outbox');
+    const entry = outbox.getEntry(result.filename);
+    assert.strictEqual(entry.attempts, 1);
+    assert.strictEqual(env.timers.size, 1);
+
+    status = 200;
+    await env.runTimers(5 * 60 * 1000); // Longest retry delay
+    assert.strictEqual(env.requests.length, 2);
+    assert.strictEqual(outbox.isSent(result.filename), true);
+    assert.strictEqual(env.timers.size, 0);
+});
+
+test('a network failure is retried, but a rejected request is not', async () => {
+    const offline = submitterPage([{ type: 'osf_datapipe' }], () => { throw new TypeError('Failed to fetch'); });
+    const queued = await submit(offline);
+    assert.strictEqual(queued.queued, true);
+    assert.match(queued.error, /Failed to fetch/);
+
+    const rejected = submitterPage([{ type: 'osf_datapipe' }], () => response(400, 'Invalid experiment ID'));
+    const failed = await submit(rejected);
+    assert.strictEqual(failed.success, false);
+    assert.strictEqual(failed.queued, false);
+    assert.strictEqual(rejected.run('submitter.backends[0].outbox').getStatus().failed, 1);
+    assert.strictEqual(rejected.timers.size, 0);
+    assert.notStrictEqual(rejected.localStorage.getItem('trust_game_data_P42'), null);
+});
+
+test('the next backend in the chain is tried when one fails', async () => {
+    const env = submitterPage([
+        { type: 'osf_datapipe' },
+        { type: 'http_post', url: SERVER_URL, profile: 'datapipe', headers: { 'X-Study': 'trust' } }
+    ], url => (url === DATAPIPE_URL ? response(500, 'down') : response(200)));
+    const result = await submit(env);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.method, 'http_post');
+    assert.deepStrictEqual(env.requests.map(request => request.url), [DATAPIPE_URL, SERVER_URL]);
+    const body = env.requests[1].body;
+    assert.strictEqual(body.filename, 'trust_game_data_P42_2025-01-15_093000000.csv');
+    assert.deepStrictEqual([body.participant_id, body.session_id, body.format, body.profile], ['P42', 'S42', 'csv', 'datapipe']);
+    assert.strictEqual(body.data, CSVSerializer.serialize(sessionData(), 'datapipe'));
+    assert.strictEqual(env.localStorage.getItem('trust_game_data_P42'), null);
+});
+
+test('a backend that failed stops retrying once a later backend has the data', async () => {
+    const env = submitterPage([
+        { type: 'osf_datapipe' },
+        { type: 'http_post', url: SERVER_URL }
+    ], url => (url === DATAPIPE_URL ? response(503, 'Service Unavailable') : response(200)));
+    const result = await submit(env);
+
+    assert.strictEqual(result.method, 'http_post');
+    const outbox = env.run('submitter.backends[0].outbox');
+    assert.strictEqual(outbox.getEntry('P42_2025-01-15_093000000.csv'), null);
+    assert.strictEqual(outbox.getStatus().pending, 0);
+
+    await env.runTimers(5 * 60 * 1000);
+    assert.strictEqual(env.requests.length, 2);
+});
+
+test('a withdrawn session is not submitted and its queued retries are cancelled', async () => {
+    const env = submitterPage([{ type: 'osf_datapipe' }], () => response(503));
+    await submit(env);
+    const result = env.run('submitter.withdraw(sessionData)');
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(result)), { cancelled: ['osf_datapipe'], delivered: [] });
+    assert.strictEqual(env.localStorage.getItem('trust_game_data_P42'), null);
+    assert.strictEqual((await submit(env)).method, 'withdrawn');
+    assert.strictEqual(env.requests.length, 1);
+});
+
+test('the final screen reports a queued submission and updates once it is delivered', async () => {
+    let status = 503;
+    const env = new BrowserEnvironment({ fetch: () => (status === 200 ? response(200) : response(status, 'Service Unavailable')) });
+    env.start({ rounds: 1 });
+    await env.completeSession([5]);
+
+    const statusElement = env.document.getElementById('data-submission-status');
+    assert.strictEqual(statusElement.className, 'warning-message');
+    assert.match(env.document.getElementById('submission-queue-status').textContent, /Submission queued - attempt 1 failed/);
+    assert.ok(statusElement.descendants.some(element => element.textContent === '📄 Download CSV File'));
+
+    status = 200;
+    await env.runTimers(5 * 60 * 1000);
+    assert.strictEqual(env.requests.length, 2);
+    assert.strictEqual(statusElement.className, 'success-message');
+    assert.match(statusElement.innerHTML, /Data Submitted!/);
+});
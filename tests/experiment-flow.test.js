@@ -0,0 +1,648 @@
+// Tests for the experiment flow, played in a browser stand-in (tests/helpers/browser.js)
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { BrowserEnvironment, response } = require('./helpers/browser.js');
+const CSVSerializer = require('../csv-serializer.js');
+const { SeededRandom } = require('../condition-assignment.js');
+
+// Objects created inside the page come from another realm; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+const pick = (object, names) => Object.fromEntries(names.map(name => [name, object[name]]));
+
+const DEFAULT_RATES = [0.3, 0.6, 0.1, 0.8, 0.4]; // partner_strategies in experiment-config.json
+
+test('a trustor session runs from the welcome screen to the final results', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start();
+    assert.strictEqual(env.screen, 'welcome');
+    assert.match(env.text(), new RegExp(`Your participant ID is: ${experiment.participantId}`));
+
+    await env.completeSession([0, 5, 10, 5, 10]);
+
+    assert.strictEqual(env.screen, 'final_results');
+    assert.deepStrictEqual(plain(experiment.data.timing.screens.map(screen => screen.screen)), [
+        'welcome', 'consent', 'instructions', 'comprehension', 'questionnaire',
+        'decision', 'feedback', 'decision', 'feedback', 'decision', 'feedback', 'decision', 'feedback', 'decision', 'feedback',
+        'final_results'
+    ]);
+    assert.strictEqual(experiment.data.consent.status, 'given');
+    assert.strictEqual(experiment.data.comprehension.passed, true);
+    assert.deepStrictEqual(plain(experiment.data.trials.map(trial => trial.amount_sent)), [0, 5, 10, 5, 10]);
+    assert.ok(experiment.data.trials.every(trial => trial.reaction_time === 2000));
+
+    const summary = experiment.data.summary;
+    assert.strictEqual(summary.total_earnings, 10 + (5 + 9) + (0 + 3) + (5 + 12) + (0 + 12));
+    assert.strictEqual(summary.average_amount_sent, 6);
+    assert.strictEqual(summary.trust_pattern, 'Moderate Trust');
+    assert.strictEqual(summary.completion_status, 'completed');
+    assert.strictEqual(summary.quality_ok, true);
+    assert.match(env.text(), /Total Earnings: \$56/);
+    assert.match(env.text(), /Round 3: Sent \$10 → Earned \$3/);
+
+    assert.strictEqual(env.requests.length, 1);
+    assert.strictEqual(env.document.getElementById('data-submission-status').className, 'success-message');
+    assert.strictEqual(env.localStorage.getItem('trust_game_session'), null);
+});
+
+test('every send amount pays what was kept plus what the partner returned', async () => {
+    for (const amount of [0, 5, 10]) {
+        const env = new BrowserEnvironment();
+        const experiment = env.start();
+        for (let round = 1; round <= 5; round++) {
+            experiment.currentRound = round;
+            await experiment.game.makeDecision(amount);
+        }
+
+        experiment.data.trials.forEach((trial, index) => {
+            const returned = Math.floor(amount * 3 * DEFAULT_RATES[index]);
+            assert.deepStrictEqual(pick(trial, [
+                'amount_kept', 'partner_received', 'amount_returned', 'final_earnings', 'return_rate', 'partner_strategy_params', 'partner_type'
+            ]), {
+                amount_kept: 10 - amount,
+                partner_received: amount * 3 + 10,
+                amount_returned: returned,
+                final_earnings: 10 - amount + returned,
+                return_rate: DEFAULT_RATES[index],
+                partner_strategy_params: `rate=${DEFAULT_RATES[index]}`,
+                partner_type: 'simulated'
+            }, `sending $${amount} in round ${index + 1}`);
+        });
+    }
+});
+
+test('the condition endowment and multiplier are used, and slider amounts are read from the page', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start({
+        send_options: { type: 'slider', step: 1 },
+        partner_strategies: [{ strategy: 'fixed', params: { rate: 0.5 } }],
+        assignment: { conditions: [{ id: 'rich', endowment: 20, multiplier: 2 }] },
+        consent: { enabled: false },
+        comprehension: { enabled: false },
+        questionnaires: { pre_game: [] }
+    });
+    await env.click('Continue');
+    await env.click('I Understand - Continue');
+    assert.strictEqual(env.screen, 'decision');
+    assert.match(env.text(), /You have \$20/);
+
+    env.fill('send-amount', 7);
+    await env.click('Send');
+
+    assert.deepStrictEqual(
+        pick(experiment.data.trials[0], ['amount_sent', 'amount_kept', 'partner_received', 'amount_returned', 'final_earnings', 'return_rate']),
+        { amount_sent: 7, amount_kept: 13, partner_received: 34, amount_returned: 7, final_earnings: 20, return_rate: 0.5 }
+    );
+    assert.strictEqual(experiment.data.condition.condition_id, 'rich');
+    assert.match(env.text(), /Your earnings this round: \$20/);
+});
+
+test('condition send options and partner strategies are checked like the top-level settings', () => {
+    const env = new BrowserEnvironment();
+    const errorsFor = conditions => {
+        env.context.overrides = { assignment: { conditions: conditions } };
+        return plain(env.run('ExperimentConfig.validate(ExperimentConfig.merge(ExperimentConfig.defaults(), overrides)).errors'));
+    };
+
+    assert.deepStrictEqual(errorsFor([{ id: 'a', send_options: { type: 'dropdown', amounts: [2, 'x', -1] }, partner_strategies: [{ params: {} }] }]), [
+        'assignment.conditions[0].send_options.type: "dropdown" is not one of "buttons", "slider"',
+        'assignment.conditions[0].send_options.amounts[1]: expected number but got string "x"',
+        'assignment.conditions[0].send_options.amounts[2]: -1 is below the minimum of 0',
+        'assignment.conditions[0].partner_strategies[0].strategy: is required'
+    ]);
+    assert.deepStrictEqual(errorsFor([{ id: 'a', send_options: { type: 'buttons', amounts: [0, 12] }, partner_strategies: [{ strategy: 'grim' }] }]), [
+        'assignment.conditions[0].partner_strategies[0].strategy: unknown strategy "grim" (expected one of fixed, tit_for_tat, stochastic, escalating, decaying, grim_trigger, adaptive)',
+        'assignment.conditions[0].send_options.amounts[1]: 12 must be between 0 and the endowment (10)'
+    ]);
+});
+
+test('a live partner\'s return is used as sent, and a partner who times out is replaced by the bot', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start();
+    const sent = [];
+    let reply = async () => ({ amount: 12 });
+    experiment.multiplayer = {
+        isPartnerPresent: () => true,
+        send: message => sent.push(message),
+        waitFor: () => reply(),
+        abandon: () => { experiment.multiplayer.isPartnerPresent = () => false; }
+    };
+    experiment.data.dyad.partner_type = 'human';
+    experiment.currentRound = 1;
+
+    await experiment.game.makeDecision(5);
+    assert.deepStrictEqual(plain(sent), [{ type: 'send', round: 1, amount: 5 }]);
+    const live = experiment.data.trials[0];
+    assert.deepStrictEqual([live.amount_returned, live.return_rate, live.final_earnings, live.partner_type], [12, 0.8, 17, 'human']);
+
+    reply = async () => { throw Object.assign(new Error('timed out'), { reason: 'timeout' }); };
+    experiment.currentRound = 2;
+    await experiment.game.makeDecision(10);
+    const fallback = experiment.data.trials[1];
+    assert.deepStrictEqual([fallback.amount_returned, fallback.final_earnings, fallback.partner_type], [18, 18, 'bot_fallback']);
+    assert.strictEqual(experiment.data.dyad.fallback_reason, 'timeout');
+    assert.strictEqual(experiment.data.dyad.fallback_round, 2);
+});
+
+test('live partners are paired before the instructions, so the instructions and quiz are for the assigned role', async () => {
+    const env = new BrowserEnvironment();
+    env.run(`MultiplayerClient = class {
+        async connect() {}
+        send() {}
+        async waitFor() { return { role: 'trustee', dyad_id: 'D1', partner_id: 'P2' }; }
+        close() {}
+    }`);
+    const experiment = env.start({ role: 'trustor', multiplayer: { enabled: true } });
+    await env.click('Continue');
+    await env.click('I agree to take part');
+
+    assert.strictEqual(env.screen, 'instructions');
+    assert.strictEqual(experiment.role, 'trustee');
+    assert.match(env.text(), /Your partner can choose to send you some amount/);
+    await env.click('I Understand - Continue');
+    assert.deepStrictEqual(plain(experiment.data.comprehension.questions.map(question => question.id)), ['trustee_receives', 'trustee_earnings']);
+    assert.strictEqual(experiment.data.dyad.partner_type, 'human');
+});
+
+test('a trustee keeps the endowment and the multiplied transfer minus what they send back', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start({
+        role: 'trustee',
+        trustee: { sender_amounts: [5, 0] },
+        rounds: 2,
+        consent: { enabled: false },
+        comprehension: { enabled: false },
+        questionnaires: { pre_game: [] }
+    });
+    await env.click('Continue');
+    await env.click('I Understand - Continue');
+    assert.match(env.text(), /Your partner sent you \$5, which was tripled to \$15/);
+
+    env.fill('return-amount', 16);
+    await env.click('Send Back');
+    assert.strictEqual(env.screen, 'decision');
+    assert.strictEqual(env.document.getElementById('return-error').textContent, 'Please enter an amount between $0 and $15.');
+    assert.strictEqual(experiment.data.trials.length, 0);
+
+    env.fill('return-amount', 6);
+    await env.click('Send Back');
+    await env.click('Continue to Next Round');
+    await env.click('Continue');
+    await env.click('View Final Results');
+
+    const [first, second] = plain(experiment.data.trials);
+    assert.deepStrictEqual([first.trustee_received, first.trustee_amount_returned, first.trustee_return_rate,
+        first.final_earnings, first.sender_final_earnings], [15, 6, 0.4, 19, 11]);
+    assert.deepStrictEqual([second.trustee_received, second.trustee_return_rate, second.final_earnings,
+        second.sender_final_earnings], [0, null, 10, 10]);
+    assert.strictEqual(experiment.data.summary.total_earnings, 29);
+    assert.strictEqual(experiment.data.summary.reciprocity_pattern, 'Moderate Reciprocity');
+});
+
+test('with the strategy method the trustee\'s answer for the actual transfer is paid', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start({
+        role: 'trustee',
+        trustee: { response_method: 'strategy_method', sender_amounts: [10] },
+        rounds: 1,
+        consent: { enabled: false },
+        comprehension: { enabled: false },
+        questionnaires: { pre_game: [] }
+    });
+    await env.click('Continue');
+    await env.click('I Understand - Continue');
+
+    env.fill('strategy-return-1', 3);
+    env.fill('strategy-return-2', 12);
+    await env.click('Submit Decisions');
+
+    const trial = experiment.data.trials[0];
+    assert.strictEqual(trial.response_method, 'strategy_method');
+    assert.strictEqual(trial.strategy_table, '0:0;5:3;10:12');
+    assert.deepStrictEqual([trial.trustee_received, trial.trustee_amount_returned, trial.final_earnings, trial.sender_final_earnings],
+        [30, 12, 28, 12]);
+});
+
+test('a simulated sender in random mode sends amounts a trustor could choose, drawn from the seed', async () => {
+    const play = async () => {
+        const env = new BrowserEnvironment();
+        const experiment = env.start({
+            role: 'trustee',
+            trustee: { sender_mode: 'random' },
+            send_options: { type: 'buttons', amounts: [0, 4, 8] },
+            assignment: { seed: 'trustee-seed' },
+            rounds: 3,
+            consent: { enabled: false },
+            comprehension: { enabled: false },
+            questionnaires: { pre_game: [] }
+        });
+        await env.click('Continue');
+        await env.click('I Understand - Continue');
+        for (let round = 1; round <= 3; round++) {
+            const input = env.document.getElementById('return-amount');
+            if (input) {
+                env.fill('return-amount', 1);
+                await env.click('Send Back');
+            } else {
+                await env.click('Continue');
+            }
+            await env.click(round < 3 ? 'Continue to Next Round' : 'View Final Results');
+        }
+        return { env, experiment };
+    };
+
+    const { experiment } = await play();
+    const sent = plain(experiment.data.trials.map(trial => trial.sender_amount_sent));
+    assert.ok(sent.every(amount => [0, 4, 8].includes(amount)), `sent ${sent}`);
+    assert.ok(new Set(sent).size > 1, `sent ${sent}`);
+    assert.deepStrictEqual(plain((await play()).experiment.data.trials.map(trial => trial.sender_amount_sent)), sent);
+
+    const rows = CSVSerializer.parseObjects(experiment.convertToCSV());
+    assert.deepStrictEqual(rows.map(row => [row.role, row.sender_amount_sent, row.trustee_received]),
+        sent.map(amount => ['trustee', String(amount), String(amount * 3)]));
+});
+
+test('in repeated mode one partner plays every round, sees the history and can hold a grudge', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start({
+        rounds: 3,
+        repeated: { enabled: true },
+        partner_labels: ['Alex', 'Sam'],
+        partner_strategies: [
+            { strategy: 'grim_trigger', params: { rate: 0.5, punish_rate: 0.1, threshold: 0.5 } },
+            { strategy: 'fixed', params: { rate: 0.9 } }
+        ]
+    });
+    assert.match(experiment.game.renderInstructions(), /You will play this game for <strong>3 rounds<\/strong> with the same partner/);
+    await env.playToFirstDecision();
+
+    assert.match(env.text(), /You are now paired with Alex/);
+    assert.doesNotMatch(env.text(), /Your earlier rounds/);
+    await env.click('Send $10 (Keep $0)');
+    await env.click('Continue to Next Round');
+    assert.match(env.text(), /You are still paired with Alex/);
+    assert.match(env.text(), /Your earlier rounds with Alex/);
+    await env.click('Send $0 (Keep $10)');
+    await env.click('Continue to Next Round');
+    await env.click('Send $10 (Keep $0)');
+
+    // Sending nothing in round 2 triggers the punishment rate for the rest of the game
+    assert.deepStrictEqual(plain(experiment.data.trials.map(trial => [trial.partner_strategy, trial.return_rate, trial.amount_returned])), [
+        ['grim_trigger', 0.5, 15], ['grim_trigger', 0.5, 0], ['grim_trigger', 0.1, 3]
+    ]);
+    assert.deepStrictEqual(pick(experiment.data.trials[2], ['interaction', 'history_shown', 'stopping_rule', 'continuation_probability']),
+        { interaction: 'repeated', history_shown: true, stopping_rule: 'fixed', continuation_probability: null });
+
+    // A condition can hide the history, and one-shot sessions record that each round had a new partner
+    const hidden = new BrowserEnvironment();
+    hidden.start({ repeated: { enabled: true }, assignment: { conditions: [{ id: 'no_history', show_history: false }] } });
+    await hidden.playToFirstDecision();
+    await hidden.click('Send $5 (Keep $5)');
+    await hidden.click('Continue to Next Round');
+    assert.doesNotMatch(hidden.text(), /Your earlier rounds/);
+    assert.strictEqual(hidden.experiment.data.trials[0].history_shown, false);
+
+    const oneShot = new BrowserEnvironment();
+    oneShot.start();
+    await oneShot.playToFirstDecision();
+    await oneShot.click('Send $5 (Keep $5)');
+    await oneShot.click('Continue to Next Round');
+    assert.match(oneShot.text(), /You are now paired with Partner 2/);
+    assert.deepStrictEqual(pick(oneShot.experiment.data.trials[0], ['interaction', 'history_shown', 'stopping_rule']),
+        { interaction: 'one_shot', history_shown: false, stopping_rule: 'fixed' });
+});
+
+test('with random stopping the number of rounds is drawn from the seed and not shown', async () => {
+    const overrides = {
+        rounds: 20,
+        repeated: { enabled: true, stopping_rule: 'random', continuation_probability: 0.75 },
+        assignment: { seed: 'stopping-test' }
+    };
+    const env = new BrowserEnvironment();
+    const experiment = env.start(overrides);
+    assert.match(experiment.game.renderInstructions(), /there is a <strong>75% chance<\/strong> of another round/);
+    await env.click('Continue');
+    assert.strictEqual(env.screen, 'consent');
+    assert.match(env.text(), /over up to 20 rounds/);
+    assert.doesNotMatch(env.text(), new RegExp(`over ${experiment.game.rounds} rounds`));
+    await env.click('I agree to take part');
+    await env.click('I Understand - Continue');
+    experiment.data.comprehension.questions.forEach((question, index) => env.fill(`comprehension-${index}`, question.answer));
+    await env.click('Check My Answers');
+    await env.click('Start Experiment');
+    assert.match(env.text(), /Round 1(?! of)/);
+    assert.strictEqual(env.content.innerHTML.includes('progress-bar'), false);
+
+    const random = new SeededRandom(`${experiment.data.condition.assignment_seed}_stopping`).toFunction();
+    let expectedRounds = 1;
+    while (expectedRounds < 20 && random() < 0.75) expectedRounds++;
+    assert.ok(expectedRounds > 1, 'the seed should give a game of several rounds');
+
+    for (let round = 1; round < expectedRounds; round++) {
+        await env.click('Send $5 (Keep $5)');
+        assert.match(env.text(), /The game continues/);
+        await env.click('Continue to Next Round');
+    }
+    await env.click('Send $5 (Keep $5)');
+    assert.match(env.text(), /The game has ended: this was the last round/);
+    assert.deepStrictEqual(env.buttons(), ['View Final Results']);
+
+    assert.strictEqual(experiment.data.trials.length, expectedRounds);
+    assert.ok(experiment.data.trials.every(trial => trial.stopping_rule === 'random' && trial.continuation_probability === 0.75));
+
+    // The same seed gives the same game after a reload
+    const reloaded = new BrowserEnvironment();
+    const again = reloaded.start(overrides);
+    assert.strictEqual(again.game.rounds, expectedRounds);
+});
+
+test('partner profiles show the configured items and every trial records what was shown', async () => {
+    const profiles = {
+        enabled: true,
+        participant_group: 'Blue',
+        profiles: [
+            { name: 'Maya', avatar: '🦊', group: 'Blue', reputation: 4.5, return_history: [0.5, 0.4] },
+            { name: 'Jon Berg', group: 'Green', reputation: 2, return_history: [0.1] }
+        ]
+    };
+    const env = new BrowserEnvironment();
+    const experiment = env.start({ partner_profiles: profiles });
+    await env.playToFirstDecision();
+
+    assert.match(env.text(), /You are now paired with Maya/);
+    assert.match(env.text(), /Group: Blue \(your group\)/);
+    assert.match(env.text(), /Average rating from earlier participants: 4\.5 \/ 5/);
+    assert.match(env.text(), /Sent back in earlier games: 50%, 40% of what they received/);
+    await env.click('Send $5 (Keep $5)');
+    await env.click('Continue to Next Round');
+    assert.match(env.text(), /Group: Green \(not your group\)/);
+    assert.ok(env.content.innerHTML.includes('>JB</div>'), 'a profile without an avatar gets its initials');
+    await env.click('Send $10 (Keep $0)');
+
+    const fields = ['profile_shown', 'partner_name', 'partner_avatar', 'partner_group', 'group_relation', 'partner_reputation', 'partner_return_history'];
+    assert.deepStrictEqual(plain(experiment.data.trials.map(trial => pick(trial, fields))), [
+        { profile_shown: 'name;avatar;group;reputation;return_history', partner_name: 'Maya', partner_avatar: '🦊', partner_group: 'Blue',
+            group_relation: 'in_group', partner_reputation: 4.5, partner_return_history: '0.5;0.4' },
+        { profile_shown: 'name;avatar;group;reputation;return_history', partner_name: 'Jon Berg', partner_avatar: 'generated', partner_group: 'Green',
+            group_relation: 'out_group', partner_reputation: 2, partner_return_history: '0.1' }
+    ]);
+    assert.strictEqual(CSVSerializer.parseObjects(experiment.convertToCSV())[0].participant_group, 'Blue');
+
+    // A condition can show fewer items and put the participant in another group
+    const groupOnly = new BrowserEnvironment();
+    groupOnly.start({
+        partner_profiles: profiles,
+        assignment: { conditions: [{ id: 'green_group_only', participant_group: 'Green', profile_show: ['group'] }] }
+    });
+    await groupOnly.playToFirstDecision();
+    assert.match(groupOnly.text(), /You are now paired with Partner 1/);
+    assert.doesNotMatch(groupOnly.text(), /Maya|rating/);
+    await groupOnly.click('Send $5 (Keep $5)');
+    assert.deepStrictEqual(pick(groupOnly.experiment.data.trials[0], fields), {
+        profile_shown: 'group', partner_name: '', partner_avatar: '', partner_group: 'Blue',
+        group_relation: 'out_group', partner_reputation: null, partner_return_history: ''
+    });
+
+    // Every item that is shown must be in every profile
+    const errors = plain(env.run(`ExperimentConfig.validate(ExperimentConfig.merge(ExperimentConfig.defaults(), {
+        partner_profiles: { enabled: true, reputation_max: 5, profiles: [{ name: 'Maya', group: 'Blue', reputation: 7, return_history: [] }] }
+    })).errors`));
+    assert.deepStrictEqual(errors, [
+        'partner_profiles.profiles[0].return_history: is required when return_history is shown',
+        'partner_profiles.profiles[0].reputation: 7 is larger than reputation_max (5)'
+    ]);
+});
+
+test('after each transfer the trustor predicts the return, and predictions are scored and paid', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start({
+        rounds: 3,
+        beliefs: { enabled: true, scoring: 'quadratic', prize: 2 },
+        payout: { method: 'all_rounds' }
+    });
+    await env.playToFirstDecision();
+
+    await env.click('Send $5 (Keep $5)');
+    assert.strictEqual(env.screen, 'belief');
+    assert.match(env.text(), /How much of the \$15 do you expect your partner to send back\?/);
+    assert.match(env.text(), /You can earn up to \$2 extra for an accurate prediction/);
+    env.fill('belief-amount', 16);
+    await env.click('Submit Prediction');
+    assert.match(env.text(), /Please enter an amount between \$0 and \$15/);
+    env.advance(1500);
+    env.fill('belief-amount', 7);
+    await env.click('Submit Prediction');
+    // Partner 1 returns 30% of $15; the error is (7 - 4) / 15
+    assert.match(env.text(), /You predicted: \$7 back \(accuracy 96%\)/);
+    assert.match(env.text(), /Earnings from your prediction: \$1\.92/);
+
+    // Nothing is sent, so there is nothing to predict
+    await env.click('Continue to Next Round');
+    await env.click('Send $0 (Keep $10)');
+    assert.strictEqual(env.screen, 'feedback');
+    await env.click('Continue to Next Round');
+    await env.click('Send $10 (Keep $0)');
+    env.fill('belief-amount', 3);
+    await env.click('Submit Prediction');
+    await env.click('View Final Results');
+
+    const fields = ['belief_question', 'belief_amount', 'belief_rt', 'belief_accuracy', 'belief_scoring', 'belief_earnings'];
+    assert.deepStrictEqual(plain(experiment.data.trials.map(trial => pick(trial, fields))), [
+        { belief_question: 'amount', belief_amount: 7, belief_rt: 1500, belief_accuracy: 0.96, belief_scoring: 'quadratic', belief_earnings: 1.92 },
+        {},
+        { belief_question: 'amount', belief_amount: 3, belief_rt: 0, belief_accuracy: 1, belief_scoring: 'quadratic', belief_earnings: 2 }
+    ]);
+    const summary = experiment.data.summary;
+    assert.deepStrictEqual(pick(summary, ['mean_belief_accuracy', 'total_belief_earnings', 'payout_earnings', 'payout_belief_earnings', 'bonus']),
+        { mean_belief_accuracy: 0.98, total_belief_earnings: 3.92, payout_earnings: 9 + 10 + 3, payout_belief_earnings: 3.92, bonus: 2.59 });
+    assert.match(env.text(), /Prediction accuracy: 98%/);
+    assert.match(env.text(), /Earnings from predictions: \$3\.92/);
+    assert.match(env.text(), /Your predictions added \$3\.92/);
+
+    const rows = CSVSerializer.parseObjects(experiment.convertToCSV());
+    assert.deepStrictEqual(rows.map(row => row.belief_accuracy), ['0.96', '', '1']);
+    assert.strictEqual(rows[0].mean_belief_accuracy, '0.98');
+});
+
+test('a probability prediction with binarized scoring wins the prize against a seeded draw', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start({ rounds: 1, beliefs: { enabled: true, question: 'probability', scoring: 'binarized', prize: 1.5 } });
+    await env.playToFirstDecision();
+
+    await env.click('Send $10 (Keep $0)');
+    assert.match(env.text(), /How likely is it that your partner sends back at least the \$10 you sent\?/);
+    env.fill('belief-probability', 20);
+    await env.click('Submit Prediction');
+
+    // Partner 1 returns $9, less than was sent, so the prediction is scored against 0
+    const trial = experiment.data.trials[0];
+    const draw = new SeededRandom(`${experiment.data.condition.assignment_seed}_beliefs_1_1`).next();
+    assert.deepStrictEqual(pick(trial, ['belief_question', 'belief_probability', 'belief_accuracy', 'belief_earnings']), {
+        belief_question: 'probability', belief_probability: 0.2, belief_accuracy: 0.96, belief_earnings: 0.04 <= draw ? 1.5 : 0
+    });
+    assert.match(env.text(), /You predicted: a 20% chance of getting back at least \$10 \(accuracy 96%\)/);
+});
+
+test('a reloaded page resumes the session on the screen it was on', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start();
+    await env.playToFirstDecision();
+    await env.click('Send $5 (Keep $5)');
+    await env.click('Continue to Next Round');
+    await env.click('Send $10 (Keep $0)');
+    await env.click('Continue to Next Round');
+    assert.strictEqual(env.screen, 'decision');
+
+    const reloaded = new BrowserEnvironment({ localStorage: env.localStorage });
+    const resumed = reloaded.start();
+    assert.strictEqual(resumed.participantId, experiment.participantId);
+    assert.strictEqual(reloaded.screen, 'decision');
+    assert.match(reloaded.text(), /Round 3 of 5/);
+    assert.strictEqual(resumed.data.session.interruption_count, 1);
+
+    reloaded.advance(1000);
+    await reloaded.click('Send $0 (Keep $10)');
+    assert.deepStrictEqual(plain(resumed.data.trials.map(trial => [trial.round, trial.amount_sent])), [[1, 5], [2, 10], [3, 0]]);
+});
+
+test('restarting starts a new session that is collected and submitted under its own file', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start({ rounds: 1 });
+    await env.completeSession([5]);
+    const first = plain(experiment.data);
+
+    await env.click('Restart Experiment');
+    assert.strictEqual(env.screen, 'welcome');
+    assert.notStrictEqual(experiment.data.session.session_id, first.session.session_id);
+    assert.notStrictEqual(experiment.data.timestamp, first.timestamp);
+    assert.deepStrictEqual(plain([experiment.data.consent, experiment.data.comprehension, experiment.data.trials]), [{}, {}, []]);
+    assert.strictEqual(experiment.data.condition.condition_id, first.condition.condition_id);
+
+    await env.completeSession([10]);
+    assert.strictEqual(env.requests.length, 2);
+    assert.notStrictEqual(env.requests[1].body.filename, env.requests[0].body.filename);
+    assert.strictEqual(CSVSerializer.parseObjects(env.requests[1].body.data)[0].session_id, experiment.data.session.session_id);
+    assert.deepStrictEqual(plain(experiment.data.trials.map(trial => trial.amount_sent)), [10]);
+    assert.strictEqual(env.document.getElementById('data-submission-status').className, 'success-message');
+});
+
+test('declining consent ends the session without keeping or sending anything', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start();
+    await env.click('Continue');
+    assert.strictEqual(env.screen, 'consent');
+    assert.match(env.text(), /Consent form version/);
+    await env.click('I do not agree');
+
+    assert.strictEqual(env.screen, 'consent_declined');
+    assert.deepStrictEqual(plain(experiment.data.consent), {});
+    assert.strictEqual(env.requests.length, 0);
+    assert.strictEqual(env.localStorage.getItem('trust_game_session'), null);
+    assert.deepStrictEqual(JSON.parse(env.localStorage.getItem('trust_game_history')), []);
+});
+
+test('withdrawing cancels the queued submission, or asks to contact the researchers once the data has arrived', async () => {
+    const queued = new BrowserEnvironment({ fetch: () => response(503, 'Service Unavailable') });
+    const experiment = queued.start({ rounds: 1 });
+    await queued.completeSession([5]);
+    assert.strictEqual(queued.run('experiment.dataSubmitter.backends[0].outbox').getStatus().pending, 1);
+
+    await queued.click('Withdraw My Data');
+    assert.strictEqual(queued.screen, 'withdrawn');
+    assert.strictEqual(experiment.data.withdrawn, true);
+    assert.doesNotMatch(queued.text(), /had already reached the research team/);
+    assert.strictEqual(queued.run('experiment.dataSubmitter.backends[0].outbox').getStatus().pending, 0);
+    assert.strictEqual(queued.localStorage.getItem(`trust_game_data_${experiment.participantId}`), null);
+    await queued.runTimers(5 * 60 * 1000);
+    assert.strictEqual(queued.requests.length, 1);
+
+    const delivered = new BrowserEnvironment();
+    const sent = delivered.start({ rounds: 1 });
+    await delivered.completeSession([5]);
+    await delivered.click('Withdraw My Data');
+    assert.match(delivered.text(), new RegExp(`contact the\\s+research team and quote your participant ID: ${sent.participantId}`));
+});
+
+test('failing the comprehension check ends the session and still submits it', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start();
+    await env.click('Continue');
+    await env.click('I agree to take part');
+    await env.click('I Understand - Continue');
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        env.fill('comprehension-0', 1);
+        await env.click('Check My Answers');
+    }
+
+    assert.strictEqual(env.screen, 'comprehension_failed');
+    assert.strictEqual(experiment.data.summary.completion_status, 'comprehension_failed');
+    assert.strictEqual(experiment.data.comprehension.attempts.length, 3);
+    assert.match(experiment.data.summary.quality_flags, /failed_comprehension/);
+    assert.strictEqual(env.requests.length, 1);
+});
+
+test('fast decisions and leaving the window during a decision are flagged', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start({ rounds: 2 });
+    env.dispatch('blur'); // Not during a decision, so not counted
+    await env.completeSession([5, 5], 300);
+    assert.strictEqual(experiment.data.summary.fast_decisions, 2);
+
+    const second = new BrowserEnvironment();
+    const flagged = second.start({ rounds: 1 });
+    await second.playToFirstDecision();
+    second.document.visibilityState = 'hidden';
+    second.dispatch('visibilitychange');
+    second.advance(1500);
+    await second.click('Send $10 (Keep $0)');
+    await second.click('View Final Results');
+
+    assert.strictEqual(flagged.data.trials[0].tab_switches, 1);
+    assert.strictEqual(flagged.data.summary.quality_flags, 'tab_switching');
+    assert.strictEqual(flagged.data.summary.quality_ok, false);
+});
+
+test('the downloaded and submitted CSV files hold the session', async () => {
+    const env = new BrowserEnvironment();
+    const experiment = env.start();
+    await env.completeSession([0, 5, 10, 5, 10]);
+    const data = experiment.data;
+
+    const local = experiment.convertToCSV();
+    assert.strictEqual(env.run('new DataSubmitter([]).convertToCSV(experiment.data)'), local);
+    assert.strictEqual(local, CSVSerializer.serialize(plain(data), 'local'));
+
+    const rows = CSVSerializer.parseObjects(local);
+    assert.strictEqual(rows.length, 5);
+    rows.forEach((row, index) => {
+        const trial = data.trials[index];
+        ['round', 'amount_sent', 'amount_kept', 'partner_received', 'amount_returned', 'final_earnings', 'reaction_time']
+            .forEach(name => assert.strictEqual(row[name], String(trial[name]), name));
+        assert.strictEqual(row.participant_id, data.participant_id);
+        assert.strictEqual(row.total_earnings, '56');
+        assert.strictEqual(row.completion_status, 'completed');
+    });
+    assert.strictEqual(rows[0].event_log.split(';')[0], '0:screen:welcome');
+
+    const request = env.requests[0];
+    assert.strictEqual(request.url, 'https://pipe.jspsych.org/api/data/');
+    assert.strictEqual(request.body.experimentID, 'Cb1DhSdND5ek');
+    assert.strictEqual(request.body.filename, env.run('new OSFDataPipe().generateFilename(experiment.data)'));
+    const pipeRows = CSVSerializer.parseObjects(request.body.data);
+    assert.deepStrictEqual(pipeRows.map(row => row.trial_index), ['0', '1', '2', '3', '4']);
+    assert.deepStrictEqual(pipeRows.map(row => row.rt), ['2000', '2000', '2000', '2000', '2000']);
+    assert.deepStrictEqual(pipeRows.map(row => row.amount_returned), rows.map(row => row.amount_returned));
+    assert.ok(pipeRows.every(row => row.experiment_id === 'Cb1DhSdND5ek' && row.session_id === data.session.session_id));
+    // Submitted before the results screen was put on the page
+    assert.match(pipeRows[0].event_log, /;10000:click:View Final Results$/);
+    assert.strictEqual(pipeRows[0].session_duration, '10000');
+
+    // The download clicks are logged before the files are built, so they are in the files too
+    await env.click('Download Data (CSV)');
+    assert.strictEqual(env.downloads[0].text, experiment.convertToCSV());
+    assert.match(env.downloads[0].text, /click:Download Data \(CSV\)"/);
+    await env.click('Download Data (JSON)');
+    assert.deepStrictEqual(JSON.parse(env.downloads[1].text), plain(data));
+});
@@ -0,0 +1,76 @@
+// Tests for screen timing and the event log (experiment-timer.js)
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ExperimentTimer = require('../experiment-timer.js');
+
+/**
+ * A timer on a clock the test sets, with frames that are drawn when drawFrame(time) is called
+ */
+function timerAt(start, timing = { start_time: null, events: [], screens: [] }) {
+    let now = start;
+    const frames = [];
+    const timer = new ExperimentTimer(timing, () => now, callback => frames.push(callback));
+    return {
+        timer,
+        timing,
+        at: time => { now = time; },
+        drawFrame: time => frames.splice(0).forEach(callback => callback(time))
+    };
+}
+
+test('each screen starts when it is drawn and lasts until the next one is shown', () => {
+    const { timer, timing, at, drawFrame } = timerAt(1000);
+    assert.strictEqual(timing.start_time, 1000);
+
+    at(1010);
+    timer.screenShown('instructions');
+    drawFrame(1026.44);
+    at(4000);
+    timer.screenShown('decision', { game: 'trust', round: 1 });
+    at(4005);
+    drawFrame(4016.7);
+    drawFrame(4033.4); // Later frames do not move the onset
+
+    at(6016.7);
+    assert.strictEqual(timer.sinceOnset(), 2000, 'the reaction time is measured from the onset');
+    timer.log('click', 'Send $5 (Keep $5)');
+    timer.endScreen();
+
+    assert.deepStrictEqual(timing.screens, [
+        { screen: 'instructions', game: null, round: null, page: null, shown_at: 10, onset: 26.4, duration: 2973.6 },
+        { screen: 'decision', game: 'trust', round: 1, page: null, shown_at: 3000, onset: 3016.7, duration: 2000 }
+    ]);
+    assert.deepStrictEqual(timing.events.map(event => [event.time, event.type, event.name, event.screen]), [
+        [10, 'screen', 'instructions', 'instructions'],
+        [3000, 'screen', 'decision', 'decision'],
+        [5016.7, 'click', 'Send $5 (Keep $5)', 'decision']
+    ]);
+    assert.strictEqual(timer.elapsed(), 5016.7);
+});
+
+test('a screen that is never drawn is timed from when it was shown', () => {
+    const { timer, timing, at } = timerAt(0);
+    timer.screenShown('feedback');
+    at(1500);
+    timer.endScreen();
+    assert.strictEqual(timing.screens[0].duration, 1500);
+});
+
+test('after a reload the interrupted screen ends at its last event and the timing carries on', () => {
+    const first = timerAt(0);
+    first.timer.screenShown('decision', { round: 2 });
+    first.drawFrame(16);
+    first.at(2000);
+    first.timer.log('click', 'Send $10 (Keep $0)');
+    const saved = JSON.parse(JSON.stringify(first.timing));
+
+    const reloaded = timerAt(60000, saved);
+    reloaded.timer.resumed();
+    assert.strictEqual(saved.start_time, 0, 'the session start is kept');
+    assert.strictEqual(saved.screens[0].duration, 1984);
+    const last = saved.events[saved.events.length - 1];
+    assert.deepStrictEqual([last.time, last.type, last.name], [60000, 'resumed', 'decision']);
+});
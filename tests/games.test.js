@@ -0,0 +1,317 @@
+// Tests for the economic games (games.js) and sessions that play several of them back to back
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { BrowserEnvironment } = require('./helpers/browser.js');
+const CSVSerializer = require('../csv-serializer.js');
+const { SeededRandom } = require('../condition-assignment.js');
+const { validateFile, formatOutputs } = require('../tools/process-data.js');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+const pick = (object, names) => Object.fromEntries(names.map(name => [name, object[name]]));
+
+// No consent, comprehension check or demographics: the welcome and instructions screens lead to the first round
+const SHORT_SESSION = {
+    consent: { enabled: false },
+    comprehension: { enabled: false },
+    questionnaires: { pre_game: [] }
+};
+
+function startGames(games, overrides = {}) {
+    const env = new BrowserEnvironment();
+    const experiment = env.start(Object.assign({}, SHORT_SESSION, { games: games }, overrides));
+    return { env, experiment };
+}
+
+test('a session plays the trust, dictator, ultimatum and public goods games back to back', async () => {
+    const { env, experiment } = startGames([
+        { type: 'trust' },
+        { type: 'dictator', rounds: 2 },
+        { type: 'ultimatum', rounds: 2, send_options: { type: 'buttons', amounts: [2, 4] }, responder_min_offers: [3] },
+        {
+            type: 'public_goods', rounds: 2, group_size: 3, multiplier: 1.5, send_options: { type: 'buttons', amounts: [0, 10] },
+            other_players: [
+                { strategy: 'fixed', params: { rate: 0.4 } },
+                { strategy: 'tit_for_tat', params: { min_rate: 0, max_rate: 1 } }
+            ]
+        }
+    ], { rounds: 2, payout: { method: 'random_round' } });
+
+    await env.click('Continue');
+    await env.click('I Understand - Continue');
+    assert.match(env.text(), /Trust Game: Round 1 of 2/);
+    await env.click('Send $5 (Keep $5)');
+    await env.click('Continue to Next Round');
+    await env.click('Send $10 (Keep $0)');
+    await env.click('Continue to Next Game');
+
+    assert.strictEqual(env.screen, 'game_instructions');
+    assert.match(env.text(), /How the Dictator Game works/);
+    await env.click('Start the Dictator Game');
+    assert.match(env.text(), /Dictator Game: Round 1 of 2/);
+    await env.click('Give $4 (Keep $6)');
+    assert.match(env.text(), /Partner received: \$4/);
+    await env.click('Continue to Next Round');
+    await env.click('Give $0 (Keep $10)');
+    await env.click('Continue to Next Game');
+
+    await env.click('Start the Ultimatum Game');
+    await env.click('Offer $2 (Keep $8)');
+    assert.match(env.text(), /Your partner rejected the offer/);
+    await env.click('Continue to Next Round');
+    await env.click('Offer $4 (Keep $6)');
+    await env.click('Continue to Next Game');
+
+    await env.click('Start the Public Goods Game');
+    await env.click('Contribute $10 (Keep $0)');
+    assert.match(env.text(), /The other members contributed: \$4, \$0/);
+    await env.click('Continue to Next Round');
+    await env.click('Contribute $0 (Keep $10)');
+    await env.click('View Final Results');
+
+    const trials = plain(experiment.data.trials);
+    assert.deepStrictEqual(trials.map(trial => [trial.game, trial.game_index, trial.round, trial.final_earnings]), [
+        ['trust', 1, 1, 9], ['trust', 1, 2, 18],
+        ['dictator', 2, 1, 6], ['dictator', 2, 2, 10],
+        ['ultimatum', 3, 1, 0], ['ultimatum', 3, 2, 6],
+        ['public_goods', 4, 1, 7], ['public_goods', 4, 2, 17]
+    ]);
+    // The tit-for-tat member follows the participant's contribution in the previous round
+    assert.deepStrictEqual(pick(trials[7], ['group_size', 'group_contribution', 'others_contributions', 'public_goods_share']),
+        { group_size: 3, group_contribution: 14, others_contributions: '4;10', public_goods_share: 7 });
+    assert.deepStrictEqual(pick(trials[4], ['offer_accepted', 'min_acceptable_offer', 'partner_received']),
+        { offer_accepted: false, min_acceptable_offer: 3, partner_received: 0 });
+
+    const summary = experiment.data.summary;
+    assert.strictEqual(summary.total_earnings, 73);
+    assert.strictEqual(summary.games, 'trust;dictator;ultimatum;public_goods');
+    assert.deepStrictEqual(pick(summary, ['average_amount_sent', 'dictator_average_given', 'ultimatum_average_offer',
+        'ultimatum_acceptance_rate', 'public_goods_average_contribution']), {
+        average_amount_sent: 7.5,
+        dictator_average_given: 2,
+        ultimatum_average_offer: 3,
+        ultimatum_acceptance_rate: 0.5,
+        public_goods_average_contribution: 5
+    });
+    assert.ok(trials.some(trial => trial.game === summary.payout_game && trial.round === summary.payout_round
+        && trial.final_earnings === summary.payout_earnings));
+    assert.match(env.text(), /Total Earnings: \$73/);
+    assert.match(env.text(), /Round 1: Offered \$2, rejected → Earned \$0/);
+    assert.match(env.text(), /was selected at random for payment/);
+
+    assert.deepStrictEqual(plain(experiment.data.timing.screens.map(screen => screen.screen)).filter(screen => screen !== 'feedback'), [
+        'welcome', 'instructions', 'decision', 'decision',
+        'game_instructions', 'decision', 'decision',
+        'game_instructions', 'decision', 'decision',
+        'game_instructions', 'decision', 'decision',
+        'final_results'
+    ]);
+    assert.strictEqual(env.requests.length, 1);
+
+    // The export passes the processing tool's checks, and the wide format keeps the games apart
+    const csv = experiment.convertToCSV();
+    const result = validateFile(`trust_game_data_${experiment.participantId}_test.csv`, csv);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.warnings, []);
+    const wide = CSVSerializer.parseObjects(formatOutputs(result.sessions)['trust_game_wide.csv'])[0];
+    assert.deepStrictEqual([wide.amount_sent_r1, wide.amount_sent_g2_r1, wide.offer_accepted_g3_r2, wide.others_contributions_g4_r1],
+        ['5', '4', 'true', '4;0']);
+});
+
+test('an ultimatum responder earns the offers they accept', async () => {
+    const { env, experiment } = startGames([{ type: 'ultimatum', role: 'responder', rounds: 2, proposer_offers: [5, 1] }]);
+    await env.click('Continue');
+    assert.match(env.text(), /If you reject, you both get nothing/);
+    await env.click('I Understand - Continue');
+
+    assert.match(env.text(), /Round 1 of 2/);
+    assert.match(env.text(), /Your partner offers you \$5 and would keep \$5/);
+    await env.click('Accept $5');
+    await env.click('Continue to Next Round');
+    await env.click('Reject');
+    await env.click('View Final Results');
+
+    assert.deepStrictEqual(plain(experiment.data.trials.map(trial =>
+        pick(trial, ['role', 'offer_received', 'offer_accepted', 'partner_received', 'final_earnings']))), [
+        { role: 'responder', offer_received: 5, offer_accepted: true, partner_received: 5, final_earnings: 5 },
+        { role: 'responder', offer_received: 1, offer_accepted: false, partner_received: 0, final_earnings: 0 }
+    ]);
+    assert.strictEqual(experiment.data.summary.ultimatum_acceptance_rate, 0.5);
+    assert.strictEqual(experiment.data.summary.trust_pattern, undefined);
+});
+
+test('every dictator split pays what was kept, and public goods contributions are read from the slider', async () => {
+    for (const amount of [0, 2, 4, 6, 8, 10]) {
+        const { experiment } = startGames([{ type: 'dictator', rounds: 1 }]);
+        experiment.currentRound = 1;
+        experiment.game.makeDecision(amount);
+        assert.deepStrictEqual(pick(experiment.data.trials[0], ['role', 'amount_sent', 'amount_kept', 'partner_received', 'final_earnings']),
+            { role: 'dictator', amount_sent: amount, amount_kept: 10 - amount, partner_received: amount, final_earnings: 10 - amount });
+    }
+
+    const { env, experiment } = startGames([{
+        type: 'public_goods', rounds: 1, other_players: [{ strategy: 'fixed', params: { rate: 0.25 } }]
+    }]);
+    await env.click('Continue');
+    await env.click('I Understand - Continue');
+    env.fill('send-amount', 3);
+    await env.click('Contribute');
+
+    // Four members with the default multiplier of 2: (3 + 2 + 2 + 2) * 2 / 4
+    assert.deepStrictEqual(pick(experiment.data.trials[0], ['amount_sent', 'others_contributions', 'public_goods_share', 'final_earnings']),
+        { amount_sent: 3, others_contributions: '2;2;2', public_goods_share: 4.5, final_earnings: 11.5 });
+});
+
+test('public goods members with grim_trigger and adaptive strategies react to earlier contributions', async () => {
+    const { experiment } = startGames([{
+        type: 'public_goods', rounds: 4, group_size: 3, other_players: [
+            { strategy: 'grim_trigger', params: { rate: 0.8, punish_rate: 0, threshold: 0.5 } },
+            { strategy: 'adaptive', params: { min_rate: 0, max_rate: 1, memory: 3 } }
+        ]
+    }]);
+    for (const [round, contribution] of [[1, 10], [2, 0], [3, 10], [4, 10]]) {
+        experiment.currentRound = round;
+        experiment.game.makeDecision(contribution);
+    }
+
+    // Each member responds to the previous contribution like a trust partner to the current transfer,
+    // so the drop to 0 in round 2 is punished by grim_trigger from round 4 and averaged in by adaptive
+    assert.deepStrictEqual(plain(experiment.data.trials.map(trial => trial.others_contributions)),
+        ['8;0', '8;10', '8;5', '0;6']);
+});
+
+test('a reloaded page resumes in the game it was on', async () => {
+    const { env, experiment } = startGames([{ type: 'trust' }, { type: 'dictator', rounds: 2 }], { rounds: 1 });
+    await env.click('Continue');
+    await env.click('I Understand - Continue');
+    await env.click('Send $5 (Keep $5)');
+    await env.click('Continue to Next Game');
+
+    const reloaded = new BrowserEnvironment({ localStorage: env.localStorage });
+    const resumed = reloaded.start(Object.assign({}, SHORT_SESSION, { games: [{ type: 'trust' }, { type: 'dictator', rounds: 2 }], rounds: 1 }));
+    assert.strictEqual(resumed.participantId, experiment.participantId);
+    assert.strictEqual(reloaded.screen, 'game_instructions');
+
+    await reloaded.click('Start the Dictator Game');
+    assert.match(reloaded.text(), /Dictator Game: Round 1 of 2/);
+    await reloaded.click('Give $2 (Keep $8)');
+    assert.deepStrictEqual(plain(resumed.data.trials.map(trial => [trial.game, trial.game_index, trial.round])),
+        [['trust', 1, 1], ['dictator', 2, 1]]);
+});
+
+test('a Holt-Laury price list before the trust game pays one drawn row and exports the risk aversion index', async () => {
+    const { env, experiment } = startGames([{ type: 'risk' }, { type: 'trust' }], { rounds: 1 });
+    await env.click('Continue');
+    assert.match(env.text(), /How the Lottery Task works/);
+    assert.match(env.text(), /You will play this game for 1 round\./);
+    await env.click('I Understand - Continue');
+
+    assert.match(env.text(), /Lottery Task: Round 1 of 1/);
+    assert.match(env.text(), /\$2 with chance 3\/10, \$1\.60 with chance 7\/10/);
+    env.fill('risk-row-1-A', true);
+    await env.click('Submit Choices');
+    assert.match(env.text(), /Please choose Option A or Option B in every row/);
+    assert.strictEqual(env.document.getElementById('risk-row-1-A').checked, true, 'choices made are kept');
+    const choices = ['A', 'A', 'A', 'A', 'A', 'A', 'B', 'B', 'B', 'B'];
+    choices.forEach((option, index) => env.fill(`risk-row-${index + 1}-${option}`, true));
+    await env.click('Submit Choices');
+
+    // The paid row and its lottery are drawn from the assignment seed
+    const random = new SeededRandom(`${experiment.data.condition.assignment_seed}_risk_1_1`);
+    const paidRow = Math.floor(random.next() * 10) + 1;
+    const high = random.next() < paidRow / 10;
+    const prizes = paidRow <= 6 ? [2, 1.6] : [3.85, 0.1];
+    assert.deepStrictEqual(pick(experiment.data.trials[0], ['game', 'role', 'risk_task', 'risk_choices', 'risk_safe_choices',
+        'risk_inconsistent', 'risk_paid_row', 'risk_outcome', 'final_earnings']), {
+        game: 'risk', role: 'decision_maker', risk_task: 'holt_laury', risk_choices: choices.join(';'), risk_safe_choices: 6,
+        risk_inconsistent: false, risk_paid_row: paidRow, risk_outcome: high ? 'high' : 'low', final_earnings: prizes[high ? 0 : 1]
+    });
+    assert.match(env.text(), new RegExp(`Decision ${paidRow} was drawn for payment`));
+
+    await env.click('Continue to Next Game');
+    await env.click('Start the Trust Game');
+    await env.click('Send $5 (Keep $5)');
+    await env.click('View Final Results');
+    assert.strictEqual(experiment.data.summary.risk_aversion_index, 0.6);
+    assert.match(env.text(), /Risk aversion index: 0\.60 \(0 = most risk seeking, 1 = most risk averse\)/);
+    // The lottery is reported on its own and is not part of the game earnings
+    assert.strictEqual(experiment.data.summary.risk_earnings, prizes[high ? 0 : 1]);
+    assert.strictEqual(experiment.data.summary.total_earnings, experiment.data.trials[1].final_earnings);
+
+    const csv = experiment.convertToCSV();
+    const header = CSVSerializer.parseObjects(csv)[0];
+    const columns = Object.keys(header);
+    assert.strictEqual(columns[columns.indexOf('trust_pattern') + 1], 'risk_aversion_index');
+    assert.strictEqual(header.risk_aversion_index, '0.6');
+    const result = validateFile(`trust_game_data_${experiment.participantId}_test.csv`, csv);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.warnings, [], 'the recorded total_earnings matches the recomputed one');
+    assert.strictEqual(result.sessions.length, 1);
+
+    // Going back to the safe option after the risky one is flagged
+    const inconsistent = startGames([{ type: 'risk' }]).experiment;
+    inconsistent.currentRound = 1;
+    inconsistent.game.makeDecision(['A', 'B', 'A', 'B', 'B', 'B', 'B', 'B', 'B', 'B']);
+    assert.strictEqual(inconsistent.data.trials[0].risk_inconsistent, true);
+});
+
+test('in the bomb risk task the collected boxes pay unless the bomb is among them', async () => {
+    const { env, experiment } = startGames([{ type: 'trust' }, { type: 'risk', task: 'bomb', boxes: 50, box_value: 0.2 }],
+        { rounds: 1, payout: { method: 'random_round' } });
+    await env.click('Continue');
+    await env.click('I Understand - Continue');
+    await env.click('Send $10 (Keep $0)');
+    await env.click('Continue to Next Game');
+    assert.match(env.text(), /There are 50 boxes\. Each box you collect earns you \$0\.20/);
+    await env.click('Start the Lottery Task');
+    env.fill('risk-boxes', 20);
+    await env.click('Collect Boxes');
+
+    const bombBox = Math.floor(new SeededRandom(`${experiment.data.condition.assignment_seed}_risk_2_1`).next() * 50) + 1;
+    assert.deepStrictEqual(pick(experiment.data.trials[1], ['risk_task', 'risk_boxes_collected', 'risk_bomb_box', 'risk_outcome', 'final_earnings']), {
+        risk_task: 'bomb', risk_boxes_collected: 20, risk_bomb_box: bombBox,
+        risk_outcome: bombBox <= 20 ? 'exploded' : 'safe', final_earnings: bombBox <= 20 ? 0 : 4
+    });
+    await env.click('View Final Results');
+    assert.strictEqual(experiment.data.summary.risk_aversion_index, 0.6);
+    assert.ok(experiment.data.summary.trust_pattern);
+
+    // Only the trust game round can be drawn for the bonus
+    const summary = experiment.data.summary;
+    const trustEarnings = experiment.data.trials[0].final_earnings;
+    assert.deepStrictEqual([summary.total_earnings, summary.risk_earnings], [trustEarnings, bombBox <= 20 ? 0 : 4]);
+    assert.deepStrictEqual([summary.payout_game, summary.payout_earnings, summary.bonus], ['trust', trustEarnings, trustEarnings / 10]);
+});
+
+test('game settings are checked when the configuration is loaded', () => {
+    const env = new BrowserEnvironment();
+    const errorsFor = overrides => {
+        env.context.overrides = overrides;
+        return plain(env.run('ExperimentConfig.validate(ExperimentConfig.merge(ExperimentConfig.defaults(), overrides)).errors'));
+    };
+
+    assert.deepStrictEqual(errorsFor({ games: [{ type: 'poker' }] }), [
+        'comprehension.enabled: the comprehension check is about the trust game, so it must be the first game',
+        'games[0].type: unknown game "poker" (expected one of trust, dictator, ultimatum, public_goods, risk)'
+    ]);
+    assert.deepStrictEqual(errorsFor({ games: [{ type: 'trust', rounds: 3 }] }),
+        ['games[0].rounds: the trust game uses the top-level settings (role, endowment, multiplier, rounds, send_options)']);
+    assert.deepStrictEqual(errorsFor({ comprehension: { enabled: false }, games: [{ type: 'dictator', endowment: 5, group_size: 3 }] }), [
+        'games[0].group_size: is not a setting of the dictator game',
+        'games[0].send_options.amounts[3]: 6 must be between 0 and the endowment (5)',
+        'games[0].send_options.amounts[4]: 8 must be between 0 and the endowment (5)',
+        'games[0].send_options.amounts[5]: 10 must be between 0 and the endowment (5)'
+    ]);
+    assert.deepStrictEqual(errorsFor({ games: [{ type: 'trust' }, { type: 'ultimatum', responder_min_offers: [12] }] }),
+        ['games[1].responder_min_offers[0]: 12 is larger than the endowment (10)']);
+    assert.deepStrictEqual(errorsFor({ multiplayer: { enabled: true }, games: [{ type: 'trust' }, { type: 'dictator' }] }),
+        ['multiplayer.enabled: live partners can only play the trust game on its own']);
+    assert.deepStrictEqual(errorsFor({ games: [{ type: 'trust' }, { type: 'risk', safe_prizes: [1.6, 2], risky_prizes: [3.85] }] }), [
+        'games[1].safe_prizes: needs the high and the low prize, high first',
+        'games[1].risky_prizes: needs the high and the low prize, high first'
+    ]);
+    assert.deepStrictEqual(errorsFor({ games: [{ type: 'trust' }, { type: 'public_goods', other_players: [{ strategy: 'grim' }] }] }),
+        ['games[1].other_players[0].strategy: unknown strategy "grim" (expected one of fixed, tit_for_tat, stochastic, escalating, decaying, grim_trigger, adaptive)']);
+});
@@ -0,0 +1,445 @@
+// Browser stand-in for the experiment tests
+// Runs the page scripts of index.html in a sandbox with a minimal DOM, localStorage, a controllable clock
+// and a mocked fetch, so whole sessions can be played without a browser or network
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+const START_TIME = Date.UTC(2025, 0, 15, 9, 30); // Wall-clock time when the page clock reads 0
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w-]*)((?:\s+[\w-]+(?:="[^"]*")?)*)\s*\/?>/g;
+const ATTRIBUTE_PATTERN = /([\w-]+)(?:="([^"]*)")?/g;
+
+/**
+ * Scripts loaded by a page, in order
+ */
+function pageScripts(page = 'index.html') {
+    const html = fs.readFileSync(path.join(ROOT_DIR, page), 'utf8');
+    return Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+}
+
+function decodeEntities(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+/**
+ * Visible text of an HTML fragment, with whitespace collapsed
+ */
+function textOf(html) {
+    return decodeEntities(html.replace(/<br\s*\/?>/g, ' ').replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * An element with the parts of the DOM API the experiment uses. Setting innerHTML parses the
+ * fragment just enough to register every element with an id, with its value and checked state.
+ */
+class FakeElement {
+    constructor(document, tagName, attributes = {}) {
+        this.document = document;
+        this.tagName = tagName.toUpperCase();
+        this.attributes = attributes;
+        this.id = attributes.id || '';
+        this.value = attributes.value !== undefined ? decodeEntities(attributes.value) : '';
+        this.checked = 'checked' in attributes;
+        this.disabled = 'disabled' in attributes;
+        this.className = attributes.class || '';
+        this.textContent = '';
+        this.style = {};
+        this.children = [];
+        this.parentNode = null;
+        this.listeners = [];
+        this.descendants = [];
+        this.html = '';
+        this.classList = {
+            add: name => { this.className = `${this.className} ${name}`.trim(); },
+            remove: name => { this.className = this.className.split(' ').filter(item => item !== name).join(' '); },
+            contains: name => this.className.split(' ').includes(name)
+        };
+    }
+
+    get innerHTML() {
+        return this.html;
+    }
+
+    set innerHTML(html) {
+        this.html = html;
+        this.textContent = textOf(html);
+        this.descendants.forEach(element => this.document.unregister(element));
+        this.descendants = [];
+
+        let match;
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(html))) {
+            if (match[1]) continue;
+            const attributes = {};
+            let attribute;
+            ATTRIBUTE_PATTERN.lastIndex = 0;
+            while ((attribute = ATTRIBUTE_PATTERN.exec(match[3]))) {
+                attributes[attribute[1]] = attribute[2] === undefined ? '' : attribute[2];
+            }
+            if (!attributes.id && match[2] !== 'button') continue;
+
+            const element = new FakeElement(this.document, match[2], attributes);
+            const closing = html.indexOf(`</${match[2]}>`, TAG_PATTERN.lastIndex);
+            if (closing !== -1) {
+                element.html = html.slice(TAG_PATTERN.lastIndex, closing);
+                element.textContent = textOf(element.html);
+            }
+            if (element.tagName === 'TEXTAREA') {
+                element.value = decodeEntities(element.html);
+            }
+            element.parentNode = this;
+            this.descendants.push(element);
+            this.document.register(element);
+        }
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = value;
+        this[name] = value;
+    }
+
+    getAttribute(name) {
+        return this.attributes[name] !== undefined ? this.attributes[name] : null;
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(item => item !== child);
+        child.parentNode = null;
+        return child;
+    }
+
+    addEventListener(type, listener, capture) {
+        this.listeners.push({ type: type, listener: listener, capture: Boolean(capture) });
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners = this.listeners.filter(item => item.type !== type || item.listener !== listener);
+    }
+
+    dispatchEvent(event) {
+        this.listeners.filter(item => item.type === event.type).forEach(item => item.listener(event));
+    }
+
+    closest(selector) {
+        return selector.toUpperCase() === this.tagName ? this : null;
+    }
+
+    click() {
+        this.dispatchEvent({ type: 'click', target: this });
+    }
+}
+
+class FakeDocument {
+    constructor() {
+        this.elements = new Map();
+        this.listeners = [];
+        this.visibilityState = 'visible';
+        this.body = new FakeElement(this, 'body');
+        this.register(new FakeElement(this, 'div', { id: 'content' }));
+    }
+
+    register(element) {
+        if (element.id) this.elements.set(element.id, element);
+    }
+
+    unregister(element) {
+        if (this.elements.get(element.id) === element) this.elements.delete(element.id);
+        element.descendants.forEach(descendant => this.unregister(descendant));
+    }
+
+    getElementById(id) {
+        return this.elements.get(id) || null;
+    }
+
+    createElement(tagName) {
+        return new FakeElement(this, tagName);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.push({ type: type, listener: listener });
+    }
+
+    dispatchEvent(event) {
+        this.listeners.filter(item => item.type === event.type).forEach(item => item.listener(event));
+    }
+}
+
+class FakeStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return Array.from(this.items.keys())[index] || null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * Response to a mocked fetch call
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body (strings are sent as they are)
+ */
+function response(status, body = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status: status,
+        json: async () => (typeof body === 'string' ? JSON.parse(body) : body),
+        text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+    };
+}
+
+/**
+ * A page with the experiment scripts loaded. Nothing runs on its own: time moves with advance(),
+ * animation frames are drawn before every click, and timers (submission retries, toasts) fire only
+ * through runTimers().
+ */
+class BrowserEnvironment {
+    /**
+     * @param {Object} options
+     * @param {string} options.search - Query string of the page URL (e.g. '?PROLIFIC_PID=abc')
+     * @param {Function} options.fetch - (url, options) => response; defaults to HTTP 200 for every request
+     * @param {Object} options.localStorage - Storage of an earlier page, to reload it (defaults to empty)
+     * @param {Array<string>} options.scripts - Scripts to load (defaults to those of index.html)
+     */
+    constructor(options = {}) {
+        this.now = 1000;
+        this.frames = [];
+        this.timers = new Map();
+        this.nextTimerId = 1;
+        this.requests = [];
+        this.downloads = [];
+        this.logs = [];
+        this.respond = options.fetch || (() => response(200, { success: true }));
+        this.document = new FakeDocument();
+        this.localStorage = options.localStorage || new FakeStorage();
+
+        const record = level => (...args) => this.logs.push({ level: level, message: args.join(' ') });
+        const environment = this;
+        // Date follows the same clock as performance, so retry delays and timestamps move with advance()
+        class FakeDate extends Date {
+            constructor(...args) {
+                super(...(args.length > 0 ? args : [START_TIME + environment.now]));
+            }
+
+            static now() {
+                return START_TIME + environment.now;
+            }
+        }
+        const context = {
+            Date: FakeDate,
+            console: { log: record('log'), info: record('info'), warn: record('warn'), error: record('error') },
+            document: this.document,
+            localStorage: this.localStorage,
+            location: { search: options.search || '', hostname: 'localhost', href: 'http://localhost/index.html' },
+            navigator: { userAgent: 'node' },
+            performance: { timeOrigin: 0, now: () => this.now },
+            requestAnimationFrame: callback => this.frames.push(callback),
+            setTimeout: (callback, delay = 0) => this.addTimer(callback, delay),
+            clearTimeout: id => this.timers.delete(id),
+            fetch: async (url, init = {}) => {
+                const request = { url: url, method: init.method || 'GET', body: init.body ? JSON.parse(init.body) : null };
+                this.requests.push(request);
+                return this.respond(url, request);
+            },
+            confirm: () => true,
+            alert: () => {},
+            Blob: class {
+                constructor(parts, options = {}) {
+                    this.text = parts.join('');
+                    this.type = options.type;
+                }
+            },
+            URL: {
+                createObjectURL: blob => {
+                    this.downloads.push(blob);
+                    return `blob:${this.downloads.length}`;
+                },
+                revokeObjectURL: () => {}
+            },
+            URLSearchParams: URLSearchParams
+        };
+        this.listeners = [];
+        context.addEventListener = (type, listener) => this.listeners.push({ type: type, listener: listener });
+        context.window = context;
+
+        this.context = vm.createContext(context);
+        (options.scripts || pageScripts()).forEach(file => {
+            vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), this.context, { filename: file });
+        });
+    }
+
+    /**
+     * Evaluate code in the page, e.g. env.run('ExperimentConfig.defaults()')
+     */
+    run(code) {
+        return vm.runInContext(code, this.context);
+    }
+
+    /**
+     * Start the experiment the way the page does, with a configuration merged over the defaults
+     * @returns {Object} The TrustGameExperiment instance (also the page's global experiment)
+     */
+    start(overrides = {}) {
+        this.context.configOverrides = overrides;
+        return this.run("experiment = new TrustGameExperiment(ExperimentConfig.resolve(configOverrides, 'test configuration'))");
+    }
+
+    get experiment() {
+        return this.run('experiment');
+    }
+
+    get content() {
+        return this.document.getElementById('content');
+    }
+
+    /**
+     * Name of the screen on the page (see ExperimentTimer)
+     */
+    get screen() {
+        const screens = this.experiment.data.timing.screens;
+        return screens.length > 0 ? screens[screens.length - 1].screen : null;
+    }
+
+    /**
+     * Visible text of the page
+     */
+    text() {
+        return textOf(this.content.innerHTML);
+    }
+
+    /**
+     * Labels of the buttons on the page
+     */
+    buttons() {
+        return this.content.descendants.filter(element => element.tagName === 'BUTTON').map(element => element.textContent);
+    }
+
+    /**
+     * Draw the pending frames, then let time pass (the participant reading or thinking)
+     */
+    advance(ms) {
+        const frames = this.frames;
+        this.frames = [];
+        frames.forEach(callback => callback(this.now));
+        this.now += ms;
+    }
+
+    /**
+     * Click the button with this label and wait for everything it started (e.g. the data submission)
+     */
+    async click(label) {
+        this.advance(0);
+        const button = this.content.descendants.find(element => element.tagName === 'BUTTON' && element.textContent === label);
+        if (!button) {
+            throw new Error(`No "${label}" button on the ${this.screen} screen (buttons: ${this.buttons().join(' | ')})`);
+        }
+        this.content.listeners.filter(item => item.type === 'click').forEach(item => item.listener({ type: 'click', target: button }));
+        await this.run(button.getAttribute('onclick'));
+        await this.settle();
+    }
+
+    /**
+     * Go through the default screens before the game: consent, comprehension (answered correctly) and demographics
+     */
+    async playToFirstDecision() {
+        await this.click('Continue');
+        await this.click('I agree to take part');
+        await this.click('I Understand - Continue');
+        this.experiment.data.comprehension.questions.forEach((question, index) => this.fill(`comprehension-${index}`, question.answer));
+        await this.click('Check My Answers');
+        await this.click('Start Experiment');
+    }
+
+    /**
+     * Play a trustor session to the final results, with one decision per amount after thinkingTime ms
+     */
+    async completeSession(amounts = [5, 5, 5, 5, 5], thinkingTime = 2000) {
+        await this.playToFirstDecision();
+
+        const endowment = this.experiment.endowment;
+        for (const [index, amount] of amounts.entries()) {
+            this.advance(thinkingTime);
+            await this.click(`Send $${amount} (Keep $${endowment - amount})`);
+            await this.click(index < amounts.length - 1 ? 'Continue to Next Round' : 'View Final Results');
+        }
+    }
+
+    /**
+     * Set the value of a form field (or check a radio button with value true)
+     */
+    fill(id, value) {
+        const element = this.document.getElementById(id);
+        if (!element) {
+            throw new Error(`No #${id} on the ${this.screen} screen`);
+        }
+        if (value === true) {
+            element.checked = true;
+        } else {
+            element.value = String(value);
+        }
+    }
+
+    /**
+     * Fire a window or document event (blur, resize, visibilitychange, online)
+     */
+    dispatch(type) {
+        this.listeners.filter(item => item.type === type).forEach(item => item.listener({ type: type }));
+        this.document.dispatchEvent({ type: type });
+    }
+
+    addTimer(callback, delay) {
+        const id = this.nextTimerId++;
+        this.timers.set(id, { callback: callback, due: this.now + delay });
+        return id;
+    }
+
+    /**
+     * Fire every timer that is due after moving the clock forward
+     */
+    async runTimers(ms = 0) {
+        this.advance(ms);
+        const due = Array.from(this.timers.entries()).filter(([id, timer]) => timer.due <= this.now);
+        due.forEach(([id]) => this.timers.delete(id));
+        due.forEach(([id, timer]) => timer.callback());
+        await this.settle();
+    }
+
+    /**
+     * Wait until pending promises (mocked requests and their handlers) have run
+     */
+    async settle() {
+        for (let i = 0; i < 10; i++) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+}
+
+module.exports = { BrowserEnvironment, response };
@@ -0,0 +1,72 @@
+// Tests for the simulated partner strategies (partner-strategies.js)
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PartnerStrategies } = require('../partner-strategies.js');
+
+const context = overrides => Object.assign({ amountSent: 10, multiplier: 3, endowment: 10, round: 1 }, overrides);
+const respond = (spec, overrides) => PartnerStrategies.create(spec).respond(context(overrides));
+
+test('a fixed partner returns its rate of the multiplied transfer, rounded down to whole dollars', () => {
+    assert.deepStrictEqual(respond({ strategy: 'fixed', params: { rate: 0.3 } }), { returnRate: 0.3, amountReturned: 9 });
+    assert.deepStrictEqual(respond({ strategy: 'fixed', params: { rate: 0.35 } }, { amountSent: 5 }), { returnRate: 0.35, amountReturned: 5 });
+    assert.deepStrictEqual(respond({ strategy: 'fixed' }, { amountSent: 0 }), { returnRate: 0.5, amountReturned: 0 });
+
+    // Rates outside 0-1 are clamped
+    assert.strictEqual(respond({ strategy: 'fixed', params: { rate: 1.4 } }).amountReturned, 30);
+    assert.strictEqual(respond({ strategy: 'fixed', params: { rate: -0.2 } }).returnRate, 0);
+});
+
+test('a tit-for-tat partner returns more the larger the share of the endowment sent', () => {
+    const spec = { strategy: 'tit_for_tat', params: { min_rate: 0.1, max_rate: 0.5 } };
+    assert.strictEqual(respond(spec, { amountSent: 0 }).returnRate, 0.1);
+    assert.strictEqual(respond(spec, { amountSent: 5 }).returnRate, 0.3);
+    assert.deepStrictEqual(respond(spec, { amountSent: 10 }), { returnRate: 0.5, amountReturned: 15 });
+});
+
+test('a stochastic partner draws its rate from the given random numbers', () => {
+    const uniform = { strategy: 'stochastic', params: { distribution: 'uniform', min: 0.2, max: 0.6 } };
+    assert.strictEqual(respond(uniform, { random: () => 0.5 }).returnRate, 0.4);
+    assert.strictEqual(respond(uniform, { random: () => 0 }).returnRate, 0.2);
+
+    // Box-Muller with u1 = 1 - 0.5 and u2 = 0: z = sqrt(2 ln 2)
+    const normal = { strategy: 'stochastic', params: { distribution: 'normal', mean: 0.4, sd: 0.1 } };
+    const draws = [0.5, 0];
+    const expected = Math.round((0.4 + Math.sqrt(-2 * Math.log(0.5)) * 0.1) * 1000) / 1000;
+    assert.strictEqual(respond(normal, { random: () => draws.shift() }).returnRate, expected);
+
+    assert.throws(() => respond({ strategy: 'stochastic', params: { distribution: 'poisson' } }),
+        /Unknown distribution for stochastic partner: poisson/);
+});
+
+test('escalating and decaying partners change their rate every round within their bounds', () => {
+    const escalating = { strategy: 'escalating', params: { start_rate: 0.2, step: 0.1, max_rate: 0.4 } };
+    assert.deepStrictEqual([1, 2, 3, 4].map(round => respond(escalating, { round }).returnRate), [0.2, 0.3, 0.4, 0.4]);
+
+    const decaying = { strategy: 'decaying', params: { start_rate: 0.3, step: 0.1, min_rate: 0.1 } };
+    assert.deepStrictEqual([1, 2, 3, 4].map(round => respond(decaying, { round }).returnRate), [0.3, 0.2, 0.1, 0.1]);
+});
+
+test('strategies are described for the trial data, and unknown or custom strategies are handled by the registry', () => {
+    assert.deepStrictEqual(PartnerStrategies.create({ strategy: 'tit_for_tat', params: { max_rate: 0.8 } }).describe(),
+        { strategy: 'tit_for_tat', params: 'min_rate=0.1;max_rate=0.8' });
+
+    assert.throws(() => PartnerStrategies.create({ strategy: 'generous' }), /Unknown partner strategy: generous/);
+    assert.throws(() => PartnerStrategies.create({ params: { rate: 0.5 } }), /must name a strategy/);
+
+    class AllOrNothing extends PartnerStrategies.registry.fixed {
+        getReturnRate(context) {
+            return context.amountSent === context.endowment ? 1 : 0;
+        }
+    }
+    PartnerStrategies.register('all_or_nothing', AllOrNothing);
+    try {
+        assert.strictEqual(respond({ strategy: 'all_or_nothing' }).amountReturned, 30);
+        assert.strictEqual(respond({ strategy: 'all_or_nothing' }, { amountSent: 9 }).amountReturned, 0);
+        assert.strictEqual(PartnerStrategies.create({ strategy: 'all_or_nothing' }).describe().strategy, 'all_or_nothing');
+    } finally {
+        delete PartnerStrategies.registry.all_or_nothing;
+    }
+});
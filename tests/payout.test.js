@@ -0,0 +1,90 @@
+// Tests for the bonus calculation (payout.js) and the bulk bonus export tool
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PayoutRules = require('../payout.js');
+const { collectBonuses, formatBonuses } = require('../tools/bonus-export.js');
+
+const TRIALS = [
+    { round: 1, game: 'trust', final_earnings: 10 },
+    { round: 2, game: 'trust', final_earnings: 25, belief_earnings: 2 },
+    { round: 3, game: 'trust', final_earnings: 14, belief_earnings: 1 }
+];
+
+function payout(overrides = {}) {
+    return Object.assign({ method: 'random_round', exchange_rate: 0.1, currency: 'GBP', max_bonus: 0 }, overrides);
+}
+
+function tempFolder(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trust-game-bonus-'));
+    Object.keys(files).forEach(name => fs.writeFileSync(path.join(dir, name), files[name]));
+    return dir;
+}
+
+const sessionCsv = fields => {
+    const columns = ['participant_id', 'worker_id', 'study_id', 'platform_session_id', 'round', 'bonus', 'currency', 'payout_method', 'payout_round'];
+    const values = Object.assign({ study_id: 'S1', round: 1, currency: 'GBP', payout_method: 'random_round', payout_round: 2 }, fields);
+    return `${columns.join(',')}\n${columns.map(column => values[column] === undefined ? '' : values[column]).join(',')}\n`;
+};
+
+test('random_round pays the drawn round with its prediction earnings, converted at the exchange rate', () => {
+    assert.deepStrictEqual(PayoutRules.calculate(TRIALS, payout(), () => 0.5), {
+        payout_method: 'random_round',
+        payout_round: 2,
+        payout_game: 'trust',
+        payout_earnings: 25,
+        payout_belief_earnings: 2,
+        bonus: 2.7,
+        bonus_capped: false,
+        currency: 'GBP'
+    });
+    assert.strictEqual(PayoutRules.calculate(TRIALS, payout(), () => 0).payout_round, 1);
+    assert.strictEqual(PayoutRules.calculate(TRIALS, payout(), () => 0.99).payout_round, 3);
+});
+
+test('all_rounds pays the total of every round and the bonus is capped at max_bonus', () => {
+    const all = PayoutRules.calculate(TRIALS, payout({ method: 'all_rounds', exchange_rate: 0.05 }));
+    assert.deepStrictEqual([all.payout_round, all.payout_earnings, all.payout_belief_earnings, all.bonus, all.bonus_capped],
+        [null, 49, 3, 2.6, false]);
+
+    const capped = PayoutRules.calculate(TRIALS, payout({ method: 'all_rounds', max_bonus: 1.5 }));
+    assert.deepStrictEqual([capped.bonus, capped.bonus_capped], [1.5, true]);
+
+    const empty = PayoutRules.calculate([], payout());
+    assert.deepStrictEqual([empty.payout_round, empty.payout_earnings, empty.bonus], [null, 0, 0]);
+
+    assert.throws(() => PayoutRules.calculate(TRIALS, payout({ method: 'best_round' })), /Unknown payout method "best_round"/);
+});
+
+test('the bonus export pays each worker once and writes the prolific, mturk and csv formats', () => {
+    const dir = tempFolder({
+        'trust_game_data_P1_a.csv': sessionCsv({ participant_id: 'P1', worker_id: 'W1', platform_session_id: 'A1', bonus: 1.5 }),
+        'trust_game_data_P2_b.csv': sessionCsv({ participant_id: 'P2', worker_id: 'W1', platform_session_id: 'A2', bonus: 0.9 }),
+        'trust_game_data_P3_c.csv': sessionCsv({ participant_id: 'P3', worker_id: 'W3', platform_session_id: 'A3', bonus: 0.25 }),
+        'trust_game_data_P4_d.csv': sessionCsv({ participant_id: 'P4', bonus: 0.8 }),
+        'trust_game_data_P5_e.csv': sessionCsv({ participant_id: 'P5', worker_id: 'W5', bonus: 0 }),
+        'trust_game_data_P6_f.csv': 'participant_id,round\nP6,1\n'
+    });
+    try {
+        const prolific = collectBonuses(dir, 'prolific');
+        assert.deepStrictEqual(prolific.duplicates, [{ file: 'trust_game_data_P2_b.csv', key: 'W1', paid_file: 'trust_game_data_P1_a.csv' }]);
+        assert.deepStrictEqual(prolific.skipped.map(item => item.file),
+            ['trust_game_data_P4_d.csv', 'trust_game_data_P5_e.csv', 'trust_game_data_P6_f.csv']);
+        assert.strictEqual(formatBonuses(prolific.entries, 'prolific'), 'W1,1.50\nW3,0.25\n');
+        assert.strictEqual(formatBonuses(prolific.entries, 'mturk'),
+            '"WorkerId","AssignmentId","BonusAmount","Reason"\n"W1","A1","1.50","Trust Game bonus"\n"W3","A3","0.25","Trust Game bonus"\n');
+
+        // Without a worker ID a session is still paid in the csv format, keyed by its participant ID
+        const csv = collectBonuses(dir, 'csv');
+        assert.deepStrictEqual(csv.entries.map(entry => entry.participant_id), ['P1', 'P3', 'P4']);
+        assert.strictEqual(formatBonuses(csv.entries, 'csv').split('\n')[3],
+            '"P4","","S1","0.80","GBP","random_round","2","trust_game_data_P4_d.csv"');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
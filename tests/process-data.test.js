@@ -0,0 +1,149 @@
+// Tests for the data/ processing tool
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { validateFile, findDuplicates, summarizeSession, processFolder, formatOutputs } = require('../tools/process-data.js');
+const CSVSerializer = require('../csv-serializer.js');
+const TrustPatterns = require('../trust-patterns.js');
+
+const SAMPLE_NAME = 'sample_trust_game_data_P1693834567891_123_20240905T183456Z.csv';
+const SAMPLE_CSV = fs.readFileSync(path.join(__dirname, '..', 'data', SAMPLE_NAME), 'utf8');
+
+function sampleWith(edit) {
+    const rows = CSVSerializer.parse(SAMPLE_CSV);
+    edit(rows);
+    return rows.map(row => row.map(field => CSVSerializer.escapeField(field)).join(',')).join('\n');
+}
+
+function tempFolder(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trust-game-data-'));
+    Object.keys(files).forEach(name => fs.writeFileSync(path.join(dir, name), files[name]));
+    return dir;
+}
+
+test('the sample file is valid and its summary matches the recorded trust pattern', () => {
+    const result = validateFile(SAMPLE_NAME, SAMPLE_CSV);
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.sessions.length, 1);
+
+    const summary = summarizeSession(result.sessions[0]);
+    assert.strictEqual(summary.participant_id, 'P1693834567891_123');
+    assert.strictEqual(summary.rounds, 5);
+    assert.strictEqual(summary.average_amount_sent, 6);
+    assert.strictEqual(summary.trust_pattern, 'Moderate Trust');
+    assert.strictEqual(summary.trust_pattern, result.sessions[0].rows[0].trust_pattern);
+    assert.strictEqual(summary.mean_reaction_time, (2567 + 1789 + 3245 + 1234 + 2876) / 5);
+});
+
+test('the sample file total_earnings that does not match its rounds is reported as a warning', () => {
+    const result = validateFile(SAMPLE_NAME, SAMPLE_CSV);
+    assert.deepStrictEqual(result.warnings, ['recorded total_earnings 58 differs from the sum of final_earnings (62)']);
+});
+
+test('trust patterns use the same thresholds as the final screen', () => {
+    const trials = amounts => amounts.map(amount => ({ amount_sent: amount }));
+    assert.strictEqual(TrustPatterns.trust(trials([8, 8])), 'High Trust');
+    assert.strictEqual(TrustPatterns.trust(trials([5, 4])), 'Low Trust');
+    assert.strictEqual(TrustPatterns.trust(trials([0, 3])), 'Very Low Trust');
+    assert.strictEqual(TrustPatterns.reciprocity([{ trustee_received: 30, trustee_amount_returned: 10 }]), 'Moderate Reciprocity');
+    assert.strictEqual(TrustPatterns.reciprocity([{ trustee_received: 0, trustee_amount_returned: 0 }]), 'Not Applicable');
+});
+
+test('malformed files are reported with errors and left out', () => {
+    const duplicateRound = validateFile(SAMPLE_NAME, sampleWith(rows => { rows[2][7] = '1'; }));
+    assert.deepStrictEqual(duplicateRound.errors, ['round(s) 1 appear more than once']);
+    assert.strictEqual(duplicateRound.sessions.length, 0);
+
+    const notANumber = validateFile(SAMPLE_NAME, sampleWith(rows => { rows[1][8] = 'five'; }));
+    assert.ok(notANumber.errors.includes('row 1: amount_sent "five" is not a number'));
+
+    const inconsistent = validateFile(SAMPLE_NAME, sampleWith(rows => { rows[3][12] = '99'; }));
+    assert.ok(inconsistent.errors.includes('round 3: final_earnings 99 is not amount_kept + amount_returned'));
+
+    const twoParticipants = validateFile(SAMPLE_NAME, sampleWith(rows => { rows[5][0] = 'P2'; }));
+    assert.strictEqual(twoParticipants.errors.length, 1);
+    assert.match(twoParticipants.errors[0], /should hold one participant/);
+
+    const missingColumn = validateFile(SAMPLE_NAME, sampleWith(rows => rows.forEach(row => row.splice(12, 1))));
+    assert.deepStrictEqual(missingColumn.errors, ['missing column(s): final_earnings']);
+
+    assert.deepStrictEqual(validateFile('empty.csv', '').errors, ['has no data rows']);
+});
+
+test('incomplete sessions and unexpected file names are warnings', () => {
+    const result = validateFile('export.csv', sampleWith(rows => rows.splice(3, 1)));
+    assert.deepStrictEqual(result.errors, []);
+    assert.ok(result.warnings.includes('name does not follow trust_game_data_<participant_id>_<timestamp>.csv'));
+    assert.ok(result.warnings.includes('rounds are not 1 to 4 in order (1, 2, 4, 5)'));
+});
+
+test('DataPipe-profile files are validated under their local column names', () => {
+    const data = {
+        participant_id: 'P9', experiment: 'trust_game', version: '1.0', timestamp: '2025-01-01T00:00:00.000Z',
+        condition: { condition_id: 'low', endowment: 10 },
+        trials: [
+            { round: 1, role: 'trustor', amount_sent: 4, amount_kept: 6, amount_returned: 5, final_earnings: 11, reaction_time: 900 },
+            { round: 2, role: 'trustor', amount_sent: 2, amount_kept: 8, amount_returned: 2, final_earnings: 10, reaction_time: 700 }
+        ],
+        summary: { total_earnings: 21, trust_pattern: 'Low Trust' }
+    };
+    const result = validateFile('trust_game_data_P9_2025-01-01_000000000.csv', CSVSerializer.serialize(data, 'datapipe'));
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.warnings, []);
+    assert.strictEqual(summarizeSession(result.sessions[0]).mean_reaction_time, 800);
+});
+
+test('duplicate participant and worker IDs keep the first file', () => {
+    const session = (source, participantId, workerId) => ({
+        source: source, participant_id: participantId, rows: [{ participant_id: participantId, worker_id: workerId }]
+    });
+    const { sessions, duplicates } = findDuplicates([
+        session('a.csv', 'P1', 'W1'), session('b.csv', 'P1', ''), session('c.csv', 'P2', 'W1'), session('d.csv', 'P3', '')
+    ]);
+    assert.deepStrictEqual(sessions.map(item => item.source), ['a.csv', 'd.csv']);
+    assert.deepStrictEqual(duplicates, [
+        { file: 'b.csv', reason: 'participant_id P1', kept_file: 'a.csv' },
+        { file: 'c.csv', reason: 'worker_id W1', kept_file: 'a.csv' }
+    ]);
+});
+
+test('a folder is merged into long, wide and summary files', () => {
+    const dir = tempFolder({
+        [SAMPLE_NAME]: SAMPLE_CSV,
+        'trust_game_data_P1693834567891_123_copy.csv': SAMPLE_CSV,
+        'trust_game_data_broken.csv': '"participant_id"\n"P5"',
+        'notes.txt': 'not data'
+    });
+    try {
+        const { results, duplicates, sessions } = processFolder(dir);
+        assert.strictEqual(results.length, 3);
+        assert.deepStrictEqual(results.find(result => result.file === 'trust_game_data_broken.csv').errors,
+            ['missing column(s): round, final_earnings']);
+        assert.strictEqual(duplicates.length, 1);
+        assert.strictEqual(sessions.length, 1);
+
+        const outputs = formatOutputs(sessions);
+        const long = CSVSerializer.parseObjects(outputs['trust_game_long.csv']);
+        assert.strictEqual(long.length, 5);
+        assert.deepStrictEqual(long.map(row => row.amount_sent), ['5', '10', '0', '10', '5']);
+
+        const wide = CSVSerializer.parseObjects(outputs['trust_game_wide.csv']);
+        assert.strictEqual(wide.length, 1);
+        assert.strictEqual(wide[0].participant_id, 'P1693834567891_123');
+        assert.strictEqual(wide[0].age, '25');
+        assert.strictEqual(wide[0].amount_sent_r2, '10');
+        assert.strictEqual(wide[0].reaction_time_r5, '2876');
+        assert.strictEqual(wide[0].round, undefined);
+
+        const summary = CSVSerializer.parseObjects(outputs['trust_game_summary.csv']);
+        assert.strictEqual(summary[0].trust_pattern, 'Moderate Trust');
+        assert.strictEqual(summary[0].total_earnings, '62');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
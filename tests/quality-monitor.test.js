@@ -0,0 +1,92 @@
+// Tests for the data-quality checks (quality-monitor.js)
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const QualityMonitor = require('../quality-monitor.js');
+
+const SETTINGS = {
+    min_decision_ms: 1000,
+    max_fast_decisions: 1,
+    max_tab_switches: 0,
+    max_window_blurs: 1,
+    max_window_resizes: 2,
+    max_failed_attention_checks: 0
+};
+
+/**
+ * document and window stand-ins; returns fire(target, type) to dispatch an event to the monitor
+ */
+function usePage() {
+    const listeners = [];
+    const target = name => ({ addEventListener: (type, listener) => listeners.push({ name, type, listener }) });
+    global.document = Object.assign(target('document'), { visibilityState: 'visible' });
+    global.window = target('window');
+    return (name, type) => listeners.filter(entry => entry.name === name && entry.type === type).forEach(entry => entry.listener());
+}
+
+function session(trials, overrides = {}) {
+    return Object.assign({
+        trials: trials,
+        demographics: {},
+        questionnaire: { responses: {} },
+        comprehension: { passed: true },
+        recruitment: {}
+    }, overrides);
+}
+
+test('tab switches, blurs and resizes are only counted while a decision is on screen', () => {
+    const fire = usePage();
+    const monitor = new QualityMonitor(SETTINGS);
+    monitor.start();
+
+    fire('window', 'blur');
+    monitor.beginTrial();
+    document.visibilityState = 'hidden';
+    fire('document', 'visibilitychange');
+    document.visibilityState = 'visible';
+    fire('document', 'visibilitychange');
+    fire('window', 'blur');
+    fire('window', 'resize');
+    fire('window', 'resize'); // Part of the same resize
+    assert.deepStrictEqual(monitor.endTrial(400), { tab_switches: 1, window_blurs: 1, window_resizes: 1, fast_decision: true });
+
+    fire('window', 'blur');
+    monitor.beginTrial();
+    assert.deepStrictEqual(monitor.endTrial(1000), { tab_switches: 0, window_blurs: 0, window_resizes: 0, fast_decision: false });
+});
+
+test('the session summary flags every threshold that is exceeded', () => {
+    const clean = QualityMonitor.summarize(session([
+        { fast_decision: true, tab_switches: 0, window_blurs: 1, window_resizes: 2 },
+        { fast_decision: false, tab_switches: 0, window_blurs: 0, window_resizes: 0 }
+    ]), SETTINGS, []);
+    assert.deepStrictEqual(clean, {
+        attention_checks: 0,
+        attention_checks_failed: 0,
+        fast_decisions: 1,
+        total_tab_switches: 0,
+        total_window_blurs: 1,
+        total_window_resizes: 2,
+        quality_flags: '',
+        quality_ok: true
+    });
+
+    const flagged = QualityMonitor.summarize(session([
+        { fast_decision: true, tab_switches: 1, window_blurs: 2, window_resizes: 3 },
+        { fast_decision: true }
+    ], { comprehension: { passed: false }, recruitment: { duplicate: true } }), SETTINGS, []);
+    assert.strictEqual(flagged.quality_flags,
+        'fast_decisions;tab_switching;window_blur;window_resize;failed_comprehension;duplicate_participation');
+    assert.strictEqual(flagged.quality_ok, false);
+});
+
+test('attention checks count only when answered, and fail on any answer other than the correct one', () => {
+    const items = [{ id: 'attention_1', correct: 'Strongly disagree' }, { id: 'attention_2', correct: '3' }, { id: 'attention_3', correct: 'Blue' }];
+    const summary = QualityMonitor.summarize(session([], {
+        demographics: { attention_2: 3 },
+        questionnaire: { responses: { attention_1: 'Agree', attention_3: null } }
+    }), SETTINGS, items);
+    assert.deepStrictEqual([summary.attention_checks, summary.attention_checks_failed, summary.quality_flags], [2, 1, 'failed_attention_check']);
+});
@@ -0,0 +1,74 @@
+// Tests for the questionnaire engine (questionnaire.js)
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Questionnaire = require('../questionnaire.js');
+const CSVSerializer = require('../csv-serializer.js');
+const { BrowserEnvironment } = require('./helpers/browser.js');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const PAGE = {
+    id: 'about_you',
+    items: [
+        { id: 'mood', type: 'likert', text: 'How are you?', required: true, points: 5, labels: ['Bad', 'Good'] },
+        { id: 'colour', type: 'choice', text: 'Favourite colour', options: ['Red', 'Blue'] },
+        { id: 'age', type: 'number', text: 'Age', min: 18, max: 100, integer: true },
+        { id: 'comment', type: 'text', text: 'Anything else?', max_length: 10, default: 'none' }
+    ]
+};
+
+/**
+ * A page rendered into the content element, with readPage() reading it back
+ */
+function renderedPage(page) {
+    const env = new BrowserEnvironment({ scripts: ['questionnaire.js'] });
+    const resolved = env.run('Questionnaire').resolvePage(page);
+    env.content.innerHTML = env.run('Questionnaire').renderPage(resolved);
+    return { env, read: () => plain(env.run('Questionnaire').readPage(resolved)) };
+}
+
+test('answers are checked against required, min, max, integer and max_length', () => {
+    const { env, read } = renderedPage(PAGE);
+    assert.deepStrictEqual(read(), {
+        values: { mood: null, colour: null, age: null, comment: 'none' },
+        errors: { mood: 'Please answer this question' }
+    });
+
+    env.fill('q-mood-4', true);
+    env.fill('q-colour-1', true);
+    env.fill('q-age', '17');
+    env.fill('q-comment', 'far too long for this');
+    assert.deepStrictEqual(read(), {
+        values: { mood: 4, colour: 'Blue', age: 17, comment: 'far too long for this' },
+        errors: { age: 'Please enter a number from 18 to 100', comment: 'Please use at most 10 characters' }
+    });
+
+    env.fill('q-age', '30.5');
+    env.fill('q-comment', '  fine  ');
+    assert.deepStrictEqual(read().errors, { age: 'Please enter a whole number' });
+
+    env.fill('q-age', '30');
+    assert.deepStrictEqual(read(), { values: { mood: 4, colour: 'Blue', age: 30, comment: 'fine' }, errors: {} });
+});
+
+test('likert items without a label per point number the points between the two end labels', () => {
+    assert.deepStrictEqual(Questionnaire.likertLabels({ points: 5, labels: ['Bad', 'Good'] }), ['1 Bad', '2', '3', '4', '5 Good']);
+    assert.deepStrictEqual(Questionnaire.likertLabels({ points: 3 }), ['1', '2', '3']);
+});
+
+test('every questionnaire item gets its own CSV column, and a scale asked twice is told apart by item_prefix', () => {
+    const pages = [{ scale: 'demographics' }, { scale: 'gss_trust' }, { scale: 'gss_trust', item_prefix: 'post_' }, PAGE];
+    // Demographics items are stored in data.demographics and have columns of their own
+    const responses = Object.assign(Questionnaire.emptyResponses(pages), { gss_trust: 'Depends' });
+    assert.deepStrictEqual(Object.keys(responses), ['gss_trust', 'post_gss_trust', 'mood', 'colour', 'age', 'comment']);
+    assert.deepStrictEqual(Questionnaire.attentionItems([{ scale: 'attention_check' }, PAGE]).map(item => item.id), ['attention_1']);
+    assert.throws(() => Questionnaire.resolvePage({ scale: 'big_five' }), /Unknown questionnaire scale "big_five"/);
+
+    const csv = CSVSerializer.serialize({ participant_id: 'P1', trials: [], questionnaire: { responses: responses } }, 'local');
+    const [header, row] = CSVSerializer.parse(csv);
+    assert.deepStrictEqual(header.slice(-6), ['gss_trust', 'post_gss_trust', 'mood', 'colour', 'age', 'comment']);
+    assert.deepStrictEqual(row.slice(-6), ['Depends', '', '', '', '', '']);
+});
@@ -0,0 +1,115 @@
+// Tests for the recruitment platform integration (recruitment.js)
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { RecruitmentPlatforms, ParticipationHistory } = require('../recruitment.js');
+const { BrowserEnvironment } = require('./helpers/browser.js');
+
+function recruitment(overrides = {}) {
+    return Object.assign({
+        platform: 'none',
+        worker_id_param: '',
+        extra_params: [],
+        completion_url: ''
+    }, overrides);
+}
+
+function useLocalStorage() {
+    const items = new Map();
+    global.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+    return items;
+}
+
+test('turkSubmitTo is only used for MTurk hosts, and completion links must be http or https', () => {
+    const mturk = recruitment({ platform: 'mturk' });
+    const attack = '?workerId=W1&assignmentId=A1&turkSubmitTo=' + encodeURIComponent('javascript:alert(document.cookie)//"><img src=x onerror=alert(1)>');
+    const captured = RecruitmentPlatforms.capture(mturk, attack);
+    assert.strictEqual(captured.submit_to, 'https://www.mturk.com');
+    assert.strictEqual(RecruitmentPlatforms.completionUrl(mturk, captured, 'C0DE'),
+        'https://www.mturk.com/mturk/externalSubmit?assignmentId=A1&completion_code=C0DE');
+
+    // A tampered value saved with the session is checked again
+    assert.strictEqual(RecruitmentPlatforms.completionUrl(mturk, Object.assign({}, captured, { submit_to: 'https://evil.example' }), 'C0DE'),
+        'https://www.mturk.com/mturk/externalSubmit?assignmentId=A1&completion_code=C0DE');
+
+    const sandbox = RecruitmentPlatforms.capture(mturk, '?assignmentId=A1&turkSubmitTo=https%3A%2F%2Fworkersandbox.mturk.com%2F');
+    assert.strictEqual(sandbox.submit_to, 'https://workersandbox.mturk.com');
+
+    const custom = recruitment({ platform: 'custom', extra_params: ['next'], completion_url: '{next}?code={code}' });
+    assert.strictEqual(RecruitmentPlatforms.completionUrl(custom, RecruitmentPlatforms.capture(custom, '?next=javascript:alert(1)'), 'X'), '');
+});
+
+test('the completion link on the final screen is escaped and never runs script', async () => {
+    const env = new BrowserEnvironment({ search: '?workerId=W1&assignmentId=A1&turkSubmitTo=' + encodeURIComponent('"><img src=x onerror=alert(1)>') });
+    env.start({ rounds: 1, recruitment: { platform: 'mturk', completion_codes: { completed: 'C0DE' } } });
+    await env.completeSession([5]);
+
+    const html = env.document.getElementById('completion-status').innerHTML;
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.includes('href="https://www.mturk.com/mturk/externalSubmit?assignmentId=A1&amp;completion_code=C0DE"'));
+});
+
+test('earlier sessions are matched by worker ID, and by browser only when that is switched on', () => {
+    const items = useLocalStorage();
+    const history = new ParticipationHistory();
+    history.record('P1', { worker_id: 'W1', status: 'completed' });
+    history.record('P2', { worker_id: 'W2', status: 'started' });
+    history.record('P3', { worker_id: '' });
+    history.record('P2', { status: 'withdrawn' });
+
+    const sameWorker = history.findPrevious('P4', 'W1');
+    assert.deepStrictEqual([sameWorker.reason, sameWorker.sessions.map(entry => entry.participant_id)], ['same_worker_id', ['P1']]);
+    assert.deepStrictEqual(history.findPrevious('P4', 'W9').sessions, []);
+
+    // Without a worker ID, participants sharing a lab browser are not duplicates of each other
+    assert.deepStrictEqual(history.findPrevious('P3', '').sessions, []);
+    const sameBrowser = history.findPrevious('P3', '', true);
+    assert.deepStrictEqual([sameBrowser.reason, sameBrowser.sessions.map(entry => entry.participant_id)], ['same_browser', ['P1', 'P2']]);
+    assert.strictEqual(sameBrowser.sessions[1].status, 'withdrawn', 'a second record updates the entry');
+
+    history.remove('P1');
+    assert.deepStrictEqual(history.findPrevious('P4', 'W1').sessions, []);
+
+    // A history that cannot be read is discarded instead of stopping the study
+    items.set('trust_game_history', '{not json');
+    assert.deepStrictEqual(history.findPrevious('P4', '', true).sessions, []);
+});
+
+test('lab participants sharing a browser are not flagged, unless browser matching is switched on', async () => {
+    const first = new BrowserEnvironment();
+    first.start({ rounds: 1 });
+    await first.completeSession([5]);
+
+    const next = new BrowserEnvironment({ localStorage: first.localStorage });
+    const experiment = next.start({ rounds: 1 });
+    await next.completeSession([5]);
+    assert.strictEqual(experiment.data.recruitment.duplicate, false);
+    assert.strictEqual(experiment.data.summary.quality_ok, true);
+
+    const blocked = new BrowserEnvironment({ localStorage: first.localStorage });
+    const repeat = blocked.start({ recruitment: { match_browser: true, duplicate_policy: 'block' } });
+    assert.strictEqual(blocked.screen, 'duplicate');
+    assert.strictEqual(repeat.data.recruitment.duplicate_reason, 'same_browser');
+});
+
+test('completion URL placeholders are filled with URL-encoded values', () => {
+    const custom = recruitment({ platform: 'custom', worker_id_param: 'uid', extra_params: ['lang'],
+        completion_url: 'https://panel.example/done?uid={worker_id}&lang={lang}&code={code}&keep={unknown}' });
+    const captured = RecruitmentPlatforms.capture(custom, '?uid=' + encodeURIComponent('a&b=c d') + '&lang=de%2FAT');
+    assert.deepStrictEqual([captured.worker_id, captured.url_params.lang], ['a&b=c d', 'de/AT']);
+    assert.strictEqual(RecruitmentPlatforms.completionUrl(custom, captured, 'C#1'),
+        'https://panel.example/done?uid=a%26b%3Dc%20d&lang=de%2FAT&code=C%231&keep={unknown}');
+
+    // A URL that needs a code is left out for a status without one
+    const prolific = recruitment({ platform: 'prolific' });
+    const fromProlific = RecruitmentPlatforms.capture(prolific, '?PROLIFIC_PID=W1&STUDY_ID=S1&SESSION_ID=X1');
+    assert.strictEqual(RecruitmentPlatforms.completionUrl(prolific, fromProlific, ''), '');
+    assert.strictEqual(RecruitmentPlatforms.completionUrl(prolific, fromProlific, 'ABC123'),
+        'https://app.prolific.com/submissions/complete?cc=ABC123');
+});
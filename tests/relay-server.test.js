@@ -0,0 +1,192 @@
+// Tests for the two-player relay (server/relay-server.js), started on a free port
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+
+const { createRelayServer } = require('../server/relay-server.js');
+const { createDataReceiver } = require('../server/data-receiver.js');
+
+async function listen(server) {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * A relay client speaking just enough WebSocket for the tests: masked text and close frames out,
+ * unmasked text frames in, each decoded message queued for next()
+ */
+function connectClient(url) {
+    return new Promise((resolve, reject) => {
+        const request = http.request(url + '/relay', {
+            headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64') }
+        });
+        request.on('error', reject);
+        request.on('upgrade', (response, socket) => {
+            const inbox = [];
+            const waiters = [];
+            let closeCode = null;
+            let buffer = Buffer.alloc(0);
+            socket.on('data', data => {
+                buffer = Buffer.concat([buffer, data]);
+                while (buffer.length >= 2) {
+                    let length = buffer[1] & 0x7f;
+                    let offset = 2;
+                    if (length === 126) {
+                        length = buffer.readUInt16BE(2);
+                        offset = 4;
+                    }
+                    if (buffer.length < offset + length) return;
+                    const opcode = buffer[0] & 0x0f;
+                    const payload = buffer.slice(offset, offset + length).toString('utf8');
+                    if (opcode === 0x8 && length >= 2) {
+                        closeCode = buffer.readUInt16BE(offset);
+                    }
+                    buffer = buffer.slice(offset + length);
+                    if (opcode !== 0x1) continue;
+                    const message = JSON.parse(payload);
+                    if (waiters.length) waiters.shift()(message); else inbox.push(message);
+                }
+            });
+            resolve({
+                send(message) {
+                    const payload = Buffer.from(JSON.stringify(message), 'utf8');
+                    const mask = crypto.randomBytes(4);
+                    const header = payload.length < 126
+                        ? Buffer.from([0x81, 0x80 | payload.length])
+                        : Buffer.from([0x81, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+                    socket.write(Buffer.concat([header, mask, payload.map((byte, index) => byte ^ mask[index % 4])]));
+                },
+                next() {
+                    return inbox.length ? Promise.resolve(inbox.shift()) : new Promise(resolveMessage => waiters.push(resolveMessage));
+                },
+                // Raw bytes, for frames the client would never send
+                write(bytes) {
+                    socket.write(bytes);
+                },
+                // Resolves with the status code of the server's close frame once the connection has ended
+                closed() {
+                    return new Promise(resolveClose => socket.on('end', () => resolveClose(closeCode)));
+                },
+                close() {
+                    if (!socket.writableEnded) {
+                        socket.end(Buffer.from([0x88, 0x80, 0, 0, 0, 0]));
+                    }
+                }
+            });
+        });
+        request.end();
+    });
+}
+
+async function startRelay() {
+    const { server, relay } = createRelayServer({ logDir: null });
+    const url = await listen(server);
+    return { relay, url, connect: () => connectClient(url), close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('only the experiment files are served, and a malformed path is a bad request', async () => {
+    for (const { server } of [createRelayServer(), createDataReceiver()]) {
+        const url = await listen(server);
+        try {
+            const status = async pathname => (await fetch(url + pathname)).status;
+            assert.strictEqual(await status('/'), 200);
+            assert.strictEqual(await status('/experiment.js'), 200);
+            assert.strictEqual(await status('/experiment-config.json'), 200);
+            for (const pathname of ['/data/sample_trust_game_data_P1693834567891_123_20240905T183456Z.csv', '/data/README.md',
+                '/server/relay-server.js', '/tools/process-data.js', '/tests/games.test.js', '/requests.jsonl', '/.git/HEAD', '/README.md']) {
+                assert.strictEqual(await status(pathname), 404, pathname);
+            }
+
+            assert.strictEqual(await status('/%E0%A4%A'), 400);
+            assert.strictEqual(await status('/'), 200, 'the server is still running');
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    }
+});
+
+test('a client that joins twice is neither paired with itself nor moved to another dyad', async () => {
+    const relay = await startRelay();
+    const [first, second, third] = [await relay.connect(), await relay.connect(), await relay.connect()];
+    try {
+        first.send({ type: 'join', participant_id: 'P1' });
+        assert.strictEqual((await first.next()).type, 'waiting');
+        first.send({ type: 'join', participant_id: 'P1' });
+        assert.deepStrictEqual(await first.next(), { type: 'error', message: 'Already joined' });
+        assert.strictEqual(relay.relay.dyads.size, 0);
+
+        second.send({ type: 'join', participant_id: 'P2' });
+        assert.strictEqual((await first.next()).partner_id, 'P2');
+        assert.strictEqual((await second.next()).partner_id, 'P1');
+
+        third.send({ type: 'join', participant_id: 'P3' });
+        assert.strictEqual((await third.next()).type, 'waiting');
+        second.send({ type: 'join', participant_id: 'P2' });
+        assert.deepStrictEqual(await second.next(), { type: 'error', message: 'Already joined' });
+        assert.strictEqual(relay.relay.waiting.participantId, 'P3', 'the third client is still waiting for a partner');
+        assert.strictEqual(relay.relay.dyads.size, 1);
+    } finally {
+        [first, second, third].forEach(client => client.close());
+        await relay.close();
+    }
+});
+
+test('paired clients get their roles, only the right role can send each decision, and a leaving partner is reported', async () => {
+    const relay = await startRelay();
+    const trustor = await relay.connect();
+    const trustee = await relay.connect();
+    try {
+        trustor.send({ type: 'join', participant_id: 'P1' });
+        await trustor.next();
+        trustee.send({ type: 'join', participant_id: 'P2' });
+        const [toTrustor, toTrustee] = [await trustor.next(), await trustee.next()];
+        assert.deepStrictEqual([toTrustor.type, toTrustor.role, toTrustee.role], ['paired', 'trustor', 'trustee']);
+        assert.strictEqual(toTrustor.dyad_id, toTrustee.dyad_id);
+
+        trustee.send({ type: 'send', round: 1, amount: 5 });
+        assert.deepStrictEqual(await trustee.next(), { type: 'error', message: 'Only a paired trustor can send "send"' });
+        trustor.send({ type: 'return', round: 1, amount: 5 });
+        assert.deepStrictEqual(await trustor.next(), { type: 'error', message: 'Only a paired trustee can send "return"' });
+
+        trustor.send({ type: 'send', round: 1, amount: 5 });
+        assert.deepStrictEqual(await trustee.next(), { type: 'partner_sent', round: 1, amount: 5 });
+        trustee.send({ type: 'return', round: 1, amount: 7 });
+        assert.deepStrictEqual(await trustor.next(), { type: 'partner_returned', round: 1, amount: 7 });
+
+        trustee.close();
+        assert.deepStrictEqual(await trustor.next(), { type: 'partner_left', reason: 'disconnect' });
+        assert.strictEqual(relay.relay.dyads.size, 0);
+    } finally {
+        trustor.close();
+        await relay.close();
+    }
+});
+
+test('a message larger than the relay accepts closes the connection with code 1009', async () => {
+    const relay = await startRelay();
+    const [oversized, fragmented] = [await relay.connect(), await relay.connect()];
+    try {
+        // A header announcing 1 GB: the connection is closed before any of it is sent
+        const header = Buffer.from([0x81, 0x80 | 127, 0, 0, 0, 0, 0x40, 0, 0, 0, 0, 0, 0, 0]);
+        const closed = oversized.closed();
+        oversized.write(header);
+        assert.strictEqual(await closed, 1009);
+
+        // Small fragments count towards the same limit
+        const fragment = (opcode, length) => Buffer.concat([
+            Buffer.from([opcode, 0x80 | 126, length >> 8, length & 0xff, 0, 0, 0, 0]),
+            Buffer.alloc(length, 0x20)
+        ]);
+        const fragmentedClosed = fragmented.closed();
+        fragmented.write(fragment(0x01, 40000));
+        fragmented.write(fragment(0x00, 40000));
+        assert.strictEqual(await fragmentedClosed, 1009);
+        assert.strictEqual(relay.relay.waiting, null);
+    } finally {
+        [oversized, fragmented].forEach(client => client.close());
+        await relay.close();
+    }
+});
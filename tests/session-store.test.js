@@ -0,0 +1,71 @@
+// Tests for saving and restoring an in-progress session (session-store.js)
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SessionStore = require('../session-store.js');
+
+/**
+ * A localStorage stand-in; with full set, every write throws like a full or blocked storage
+ */
+function useLocalStorage({ full = false } = {}) {
+    const items = new Map();
+    global.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            if (full) throw new Error('QuotaExceededError');
+            items.set(key, String(value));
+        },
+        removeItem: key => items.delete(key)
+    };
+    return items;
+}
+
+const STATE = {
+    participantId: 'P1',
+    step: 'decision',
+    currentRound: 3,
+    rngState: 12345,
+    data: { participant_id: 'P1', trials: [{ round: 1 }, { round: 2 }] }
+};
+
+test('a saved session is loaded back with the time it was saved', () => {
+    const items = useLocalStorage();
+    const store = new SessionStore();
+    assert.strictEqual(store.load(), null);
+
+    assert.strictEqual(store.save(STATE), true);
+    const loaded = store.load();
+    assert.deepStrictEqual(Object.assign({}, loaded, { saved: undefined }), Object.assign({}, STATE, { saved: undefined }));
+    assert.ok(!isNaN(Date.parse(loaded.saved)));
+    assert.deepStrictEqual(Array.from(items.keys()), ['trust_game_session'], 'the availability check leaves nothing behind');
+
+    store.clear();
+    assert.strictEqual(store.load(), null);
+});
+
+test('a saved session that cannot be used is discarded', () => {
+    const items = useLocalStorage();
+    const store = new SessionStore('study_session');
+
+    items.set('study_session', '{not json');
+    assert.strictEqual(store.load(), null);
+    assert.strictEqual(items.has('study_session'), false);
+
+    items.set('study_session', JSON.stringify({ participantId: 'P1', step: 'decision' }));
+    assert.strictEqual(store.load(), null, 'a state without data is incomplete');
+    assert.strictEqual(items.has('study_session'), false);
+});
+
+test('without usable localStorage the session simply runs unsaved', () => {
+    useLocalStorage({ full: true });
+    const store = new SessionStore();
+    assert.strictEqual(store.isAvailable(), false);
+    assert.strictEqual(store.save(STATE), false);
+    assert.strictEqual(store.load(), null);
+    store.clear();
+
+    delete global.localStorage;
+    assert.strictEqual(new SessionStore().save(STATE), false);
+});
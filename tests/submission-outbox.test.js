@@ -0,0 +1,142 @@
+// Tests for the retry queue of submissions (submission-outbox.js)
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SubmissionOutbox = require('../submission-outbox.js');
+
+function useLocalStorage() {
+    const items = new Map();
+    global.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+    return items;
+}
+
+/**
+ * An outbox whose send() answers with the next of the given results (the last one repeats), recording each payload
+ */
+function outboxWith(results, options = {}) {
+    const sent = [];
+    const outbox = new SubmissionOutbox(Object.assign({
+        send: async payload => {
+            sent.push(payload.filename);
+            const result = results.length > 1 ? results.shift() : results[0];
+            if (result instanceof Error) throw result;
+            return result;
+        },
+        baseDelay: 1,
+        maxDelay: 4
+    }, options));
+    return { outbox, sent };
+}
+
+const payload = filename => ({ experimentID: 'abc', filename: filename, data: 'round\n1' });
+const settled = outbox => new Promise(resolve => {
+    const check = () => (outbox.timer || outbox.flushing ? setTimeout(check, 2) : resolve(outbox.getStatus()));
+    check();
+});
+
+test('retries wait exponentially longer, with jitter between half and the full delay, up to maxDelay', () => {
+    const low = new SubmissionOutbox({ random: () => 0 });
+    const high = new SubmissionOutbox({ random: () => 0.999 });
+    assert.deepStrictEqual([1, 2, 3, 4].map(attempts => low.getBackoffDelay(attempts)), [1000, 2000, 4000, 8000]);
+    assert.deepStrictEqual([1, 2, 3].map(attempts => high.getBackoffDelay(attempts)), [1999, 3998, 7996]);
+    assert.strictEqual(low.getBackoffDelay(20), 150000);
+    assert.strictEqual(new SubmissionOutbox({ maxDelay: 10000, random: () => 0 }).getBackoffDelay(20), 5000);
+});
+
+test('a failed submission is retried until it is delivered, and is then never queued again', async () => {
+    useLocalStorage();
+    const { outbox, sent } = outboxWith([
+        { success: false, error: 'DataPipe API error: 503' },
+        new Error('Failed to fetch'),
+        { success: true }
+    ]);
+    const progress = [];
+    outbox.onProgress = status => progress.push(status.pending);
+
+    assert.strictEqual(outbox.enqueue(payload('P1.csv')), true);
+    assert.strictEqual(outbox.enqueue(payload('P1.csv')), false, 'already queued');
+    let status = await outbox.flush();
+    assert.deepStrictEqual([status.pending, status.attempts, status.lastError], [1, 1, 'DataPipe API error: 503']);
+    assert.ok(outbox.timer, 'the next attempt is scheduled');
+
+    status = await settled(outbox);
+    assert.deepStrictEqual(sent, ['P1.csv', 'P1.csv', 'P1.csv']);
+    assert.deepStrictEqual([status.pending, status.failed, status.sent], [0, 0, 1]);
+    assert.strictEqual(outbox.isSent('P1.csv'), true);
+    assert.strictEqual(outbox.enqueue(payload('P1.csv')), false, 'already delivered');
+    assert.deepStrictEqual(progress, [1, 1, 1, 0]);
+});
+
+test('rejected submissions and those out of attempts are marked failed and not retried', async () => {
+    useLocalStorage();
+    const { outbox, sent } = outboxWith([{ success: false, error: 'Invalid experiment ID', retryable: false }]);
+    outbox.enqueue(payload('P1.csv'));
+    const status = await outbox.flush();
+    assert.deepStrictEqual([status.pending, status.failed], [0, 1]);
+    assert.strictEqual(outbox.getEntry('P1.csv').lastError, 'Invalid experiment ID');
+    assert.strictEqual(outbox.timer, null);
+
+    const limited = outboxWith([{ success: false, error: 'down' }], { maxAttempts: 3, storageKey: 'limited_outbox' });
+    limited.outbox.enqueue(payload('P2.csv'));
+    await limited.outbox.flush();
+    const final = await settled(limited.outbox);
+    assert.deepStrictEqual(limited.sent, ['P2.csv', 'P2.csv', 'P2.csv']);
+    assert.deepStrictEqual([final.pending, final.failed], [0, 1]);
+    assert.strictEqual(sent.length, 1);
+});
+
+test('submissions queued on an earlier page load are sent when the next outbox starts', async () => {
+    const items = useLocalStorage();
+    const earlier = outboxWith([{ success: false, error: 'offline' }], { baseDelay: 60000, maxDelay: 60000 });
+    earlier.outbox.enqueue(payload('P1.csv'));
+    await earlier.outbox.flush();
+    clearTimeout(earlier.outbox.timer); // The page is closed before the retry
+    assert.strictEqual(JSON.parse(items.get('trust_game_outbox')).queue.length, 1);
+
+    const entry = JSON.parse(items.get('trust_game_outbox'));
+    entry.queue[0].nextAttempt = Date.now();
+    items.set('trust_game_outbox', JSON.stringify(entry));
+
+    const next = outboxWith([{ success: true }]);
+    const status = await next.outbox.start();
+    assert.deepStrictEqual(next.sent, ['P1.csv']);
+    assert.deepStrictEqual([status.pending, status.sent], [0, 1]);
+});
+
+test('a flush started while another runs waits for it, so nothing is sent twice at once', async () => {
+    useLocalStorage();
+    let release;
+    const sent = [];
+    const outbox = new SubmissionOutbox({
+        send: payload => {
+            sent.push(payload.filename);
+            return new Promise(resolve => { release = () => resolve({ success: true }); });
+        }
+    });
+    outbox.enqueue(payload('P1.csv'));
+    const first = outbox.flush();
+    outbox.enqueue(payload('P2.csv'));
+    const second = outbox.flush();
+
+    release();
+    await new Promise(resolve => setImmediate(resolve));
+    release();
+    await Promise.all([first, second]);
+    assert.deepStrictEqual(sent, ['P1.csv', 'P2.csv']);
+    assert.strictEqual(outbox.getStatus().sent, 2);
+});
+
+test('without localStorage the queue is kept in memory for the page', async () => {
+    delete global.localStorage;
+    const { outbox, sent } = outboxWith([{ success: true }]);
+    outbox.enqueue(payload('P1.csv'));
+    await outbox.flush();
+    assert.deepStrictEqual(sent, ['P1.csv']);
+    assert.strictEqual(outbox.isSent('P1.csv'), true);
+});
@@ -0,0 +1,145 @@
+// Bulk bonus export for the Trust Game experiment
+// Reads the submitted session CSVs (downloaded, received or from OSF DataPipe) and writes one bonus file
+// in the format a recruitment platform accepts
+//
+// Usage: node tools/bonus-export.js [--data-dir data] [--format prolific|mturk|csv] [--out bonuses.csv]
+
+const fs = require('fs');
+const path = require('path');
+const CSVSerializer = require('../csv-serializer');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+/**
+ * Output formats: column header (or null) and one row per paid participant
+ */
+const FORMATS = {
+    // Prolific "bulk bonus": one "<PROLIFIC_PID>,<amount>" line per participant, no header, no quotes
+    prolific: {
+        needsWorkerId: true,
+        header: null,
+        row: entry => [entry.worker_id, entry.bonus.toFixed(2)],
+        quote: false
+    },
+    // Input for scripted MTurk SendBonus calls
+    mturk: {
+        needsWorkerId: true,
+        header: ['WorkerId', 'AssignmentId', 'BonusAmount', 'Reason'],
+        row: entry => [entry.worker_id, entry.platform_session_id, entry.bonus.toFixed(2), 'Trust Game bonus'],
+        quote: true
+    },
+    csv: {
+        needsWorkerId: false,
+        header: ['participant_id', 'worker_id', 'study_id', 'bonus', 'currency', 'payout_method', 'payout_round', 'file'],
+        row: entry => [entry.participant_id, entry.worker_id, entry.study_id, entry.bonus.toFixed(2), entry.currency,
+            entry.payout_method, entry.payout_round, entry.file],
+        quote: true
+    }
+};
+
+/**
+ * Read the bonus of every session in a folder. Sessions are identified by worker ID (or participant ID
+ * without one); a person with several sessions is paid for the first file only.
+ * @param {string} dataDir - Folder with session CSV files (local or datapipe profile)
+ * @param {string} format - prolific, mturk or csv
+ * @returns {Object} entries to pay, skipped files with the reason, and duplicate sessions
+ */
+function collectBonuses(dataDir, format) {
+    const entries = [];
+    const skipped = [];
+    const duplicates = [];
+    const seen = new Map();
+
+    const files = fs.readdirSync(dataDir).filter(name => name.endsWith('.csv')).sort();
+    files.forEach(file => {
+        let rows;
+        try {
+            rows = CSVSerializer.parseObjects(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+        } catch (error) {
+            skipped.push({ file: file, reason: error.message });
+            return;
+        }
+
+        const session = rows[0];
+        if (!session || session.bonus === undefined) {
+            skipped.push({ file: file, reason: 'no bonus column (payout.method was none when this session ran)' });
+            return;
+        }
+        const bonus = parseFloat(session.bonus);
+        if (isNaN(bonus) || bonus <= 0) {
+            skipped.push({ file: file, reason: 'no bonus earned' });
+            return;
+        }
+        if (FORMATS[format].needsWorkerId && !session.worker_id) {
+            skipped.push({ file: file, reason: `no worker_id, which ${format} needs (was the study opened without platform URL parameters?)` });
+            return;
+        }
+
+        const key = session.worker_id || session.participant_id;
+        if (seen.has(key)) {
+            duplicates.push({ file: file, key: key, paid_file: seen.get(key) });
+            return;
+        }
+        seen.set(key, file);
+
+        entries.push({
+            participant_id: session.participant_id,
+            worker_id: session.worker_id || '',
+            study_id: session.study_id || '',
+            platform_session_id: session.platform_session_id || '',
+            bonus: bonus,
+            currency: session.currency || '',
+            payout_method: session.payout_method || '',
+            payout_round: session.payout_round || '',
+            file: file
+        });
+    });
+
+    return { entries, skipped, duplicates };
+}
+
+/**
+ * Write the entries in a platform format
+ * @returns {string} File contents
+ */
+function formatBonuses(entries, format) {
+    const spec = FORMATS[format];
+    const rows = (spec.header ? [spec.header] : []).concat(entries.map(spec.row));
+    return rows
+        .map(row => row.map(field => (spec.quote ? CSVSerializer.escapeField(field) : String(field))).join(','))
+        .join('\n') + '\n';
+}
+
+function parseArgs(argv) {
+    const options = { dataDir: path.join(ROOT_DIR, 'data'), format: 'csv', out: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--data-dir') options.dataDir = path.resolve(argv[++i]);
+        if (argv[i] === '--format') options.format = argv[++i];
+        if (argv[i] === '--out') options.out = path.resolve(argv[++i]);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    if (!FORMATS[options.format]) {
+        console.error(`Unknown format "${options.format}" (expected one of ${Object.keys(FORMATS).join(', ')})`);
+        process.exit(1);
+    }
+
+    const { entries, skipped, duplicates } = collectBonuses(options.dataDir, options.format);
+    const output = formatBonuses(entries, options.format);
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+
+    // The report goes to stderr so stdout can be redirected to a file
+    const total = entries.reduce((sum, entry) => sum + entry.bonus, 0);
+    console.error(`${entries.length} bonus(es), total ${total.toFixed(2)}${options.out ? ` written to ${options.out}` : ''}`);
+    skipped.forEach(item => console.error(`Skipped ${item.file}: ${item.reason}`));
+    duplicates.forEach(item => console.error(`Duplicate ${item.key} in ${item.file}: already paid for ${item.paid_file}`));
+}
+
+module.exports = { collectBonuses, formatBonuses, FORMATS };
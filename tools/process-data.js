@@ -0,0 +1,294 @@
+// Data processing for the Trust Game experiment
+// Validates the session CSVs in data/, reports malformed files and duplicate participants, and writes
+// merged long and wide datasets plus per-participant summaries. Runs offline, without packages.
+//
+// Usage: node tools/process-data.js [--data-dir data] [--out-dir data/processed] [--check]
+
+const fs = require('fs');
+const path = require('path');
+const CSVSerializer = require('../csv-serializer');
+const TrustPatterns = require('../trust-patterns');
+
+// The browser modules use CSVSerializer as a global
+global.CSVSerializer = CSVSerializer;
+const DataAggregator = require('../data-aggregator');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const FILENAME_PATTERN = /trust_game_data_(.+)\.csv$/;
+const REQUIRED_COLUMNS = ['participant_id', 'round', 'final_earnings'];
+const NUMERIC_COLUMNS = [
+    'round', 'amount_sent', 'amount_kept', 'partner_received', 'amount_returned', 'final_earnings', 'return_rate',
+    'sender_amount_sent', 'trustee_received', 'trustee_amount_returned', 'sender_final_earnings',
+    'offer_received', 'min_acceptable_offer', 'group_size', 'group_contribution', 'public_goods_share',
+    'continuation_probability', 'partner_reputation', 'belief_amount', 'belief_probability', 'belief_accuracy',
+    'belief_earnings', 'risk_safe_choices', 'risk_paid_row', 'risk_boxes_collected', 'risk_bomb_box', 'game_index',
+    'reaction_time', 'multiplier', 'endowment', 'total_earnings', 'risk_earnings'
+];
+const SUMMARY_COLUMNS = [
+    'participant_id', 'session_id', 'worker_id', 'condition_id', 'role', 'games', 'rounds', 'total_earnings',
+    'average_amount_sent', 'trust_pattern', 'risk_aversion_index', 'risk_earnings', 'average_amount_returned', 'reciprocity_pattern',
+    'mean_reaction_time', 'completion_status', 'file'
+];
+
+const number = value => DataAggregator.number(value);
+const differs = (a, b) => Math.abs(a - b) > 0.005; // Amounts are in cents at most
+
+/**
+ * Check one session file against the export format: columns, one participant, numbers, complete and
+ * consistent rounds, and summary values that match the trials
+ * @param {string} file - File name (checked against the trust_game_data_<id>_<timestamp>.csv convention)
+ * @param {string} text - File contents
+ * @returns {Object} file, errors (the file is left out of the merge), warnings, and sessions
+ */
+function validateFile(file, text) {
+    const result = { file: file, errors: [], warnings: [], sessions: [] };
+
+    let raw;
+    try {
+        raw = CSVSerializer.parseObjects(text);
+    } catch (error) {
+        result.errors.push(`could not be parsed: ${error.message}`);
+        return result;
+    }
+    if (raw.length === 0) {
+        result.errors.push('has no data rows');
+        return result;
+    }
+
+    const aliases = DataAggregator.getAliases();
+    const rows = raw.map(row => DataAggregator.normalizeRow(row, aliases));
+    const missing = REQUIRED_COLUMNS.filter(name => !(name in rows[0]));
+    if (missing.length > 0) {
+        result.errors.push(`missing column(s): ${missing.join(', ')}`);
+        return result;
+    }
+
+    const participantIds = Array.from(new Set(rows.map(row => row.participant_id)));
+    if (participantIds.length !== 1 || !participantIds[0]) {
+        result.errors.push(`should hold one participant, found ${participantIds.map(id => `"${id}"`).join(', ')}`);
+        return result;
+    }
+    const participantId = participantIds[0];
+    const nameMatch = FILENAME_PATTERN.exec(file);
+    if (!nameMatch) {
+        result.warnings.push('name does not follow trust_game_data_<participant_id>_<timestamp>.csv');
+    } else if (!nameMatch[1].startsWith(`${participantId}_`)) {
+        result.warnings.push(`name does not contain its participant_id ${participantId}`);
+    }
+
+    rows.forEach((row, index) => {
+        NUMERIC_COLUMNS.forEach(name => {
+            if (row[name] !== undefined && row[name] !== '' && number(row[name]) === null) {
+                result.errors.push(`row ${index + 1}: ${name} "${row[name]}" is not a number`);
+            }
+        });
+    });
+
+    // Every session-level column has the same value on every row
+    Object.keys(rows[0]).filter(name => !DataAggregator.isTrialColumn(name)).forEach(name => {
+        if (rows.some(row => row[name] !== rows[0][name])) {
+            result.errors.push(`${name} differs between rows`);
+        }
+    });
+
+    const trials = rows.filter(row => row.round !== '');
+    const games = Array.from(new Set(trials.map(row => DataAggregator.gameIndexOf(row))));
+    games.forEach(gameIndex => {
+        const rounds = trials.filter(row => DataAggregator.gameIndexOf(row) === gameIndex).map(row => number(row.round));
+        const label = games.length > 1 ? `game ${gameIndex} ` : '';
+        const duplicateRounds = rounds.filter((round, index) => rounds.indexOf(round) !== index);
+        if (duplicateRounds.length > 0) {
+            result.errors.push(`${label}round(s) ${Array.from(new Set(duplicateRounds)).join(', ')} appear more than once`);
+        } else if (rounds.some((round, index) => round !== index + 1)) {
+            result.warnings.push(`${label}rounds are not 1 to ${rounds.length} in order (${rounds.join(', ')})`);
+        }
+    });
+
+    trials.forEach(row => {
+        const label = games.length > 1 ? `game ${DataAggregator.gameIndexOf(row)} round ${row.round}` : `round ${row.round}`;
+        const expected = expectedEarnings(row);
+        if (expected && differs(number(row.final_earnings), expected.value)) {
+            result.errors.push(`${label}: final_earnings ${row.final_earnings} is not ${expected.formula}`);
+        }
+        // The condition endowment is the trust game's; the other games set their own
+        const endowment = number(row.endowment);
+        if (DataAggregator.gameOf(row) === 'trust' && DataAggregator.roleOf(row) === 'trustor' && endowment !== null
+            && differs(number(row.amount_sent) + number(row.amount_kept), endowment)) {
+            result.errors.push(`${label}: amount_sent + amount_kept is not the endowment (${endowment})`);
+        }
+    });
+
+    if (result.errors.length === 0 && trials.length > 0) {
+        const summary = summarizeSession({ rows: rows });
+        const recorded = rows[0];
+        if (number(recorded.total_earnings) !== null && differs(number(recorded.total_earnings), summary.total_earnings)) {
+            result.warnings.push(`recorded total_earnings ${recorded.total_earnings} differs from the sum of final_earnings (${summary.total_earnings})`);
+        }
+        ['trust_pattern', 'reciprocity_pattern'].forEach(name => {
+            if (recorded[name] && summary[name] && recorded[name] !== summary[name]) {
+                result.warnings.push(`recorded ${name} "${recorded[name]}" differs from the recomputed "${summary[name]}"`);
+            }
+        });
+    }
+
+    if (result.errors.length === 0) {
+        result.sessions = DataAggregator.fromCSV(text, file);
+    }
+    return result;
+}
+
+/**
+ * Earnings a trial should have by the rules of its game and role, or null if they cannot be recomputed
+ * @returns {Object} value and the formula, for the error message
+ */
+function expectedEarnings(row) {
+    const accepted = row.offer_accepted === 'true';
+    switch (`${DataAggregator.gameOf(row)}:${DataAggregator.roleOf(row)}`) {
+        case 'trust:trustor':
+            return { value: number(row.amount_kept) + number(row.amount_returned), formula: 'amount_kept + amount_returned' };
+        case 'trust:trustee':
+            return number(row.endowment) === null ? null : {
+                value: number(row.endowment) + number(row.trustee_received) - number(row.trustee_amount_returned),
+                formula: 'endowment + trustee_received - trustee_amount_returned'
+            };
+        case 'dictator:dictator':
+            return { value: number(row.amount_kept), formula: 'amount_kept' };
+        case 'ultimatum:proposer':
+            return { value: accepted ? number(row.amount_kept) : 0, formula: 'amount_kept if the offer was accepted, 0 if not' };
+        case 'ultimatum:responder':
+            return { value: accepted ? number(row.offer_received) : 0, formula: 'offer_received if the offer was accepted, 0 if not' };
+        case 'public_goods:contributor':
+            return { value: number(row.amount_kept) + number(row.public_goods_share), formula: 'amount_kept + public_goods_share' };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Participants found in more than one file: the same participant_id, or the same recruitment platform worker_id.
+ * The first file (by name) is kept.
+ * @param {Array<Object>} sessions - Sessions of the valid files
+ * @returns {Object} sessions to keep and duplicates ({ file, reason, kept_file })
+ */
+function findDuplicates(sessions) {
+    const byParticipant = new Map();
+    const byWorker = new Map();
+    const kept = [];
+    const duplicates = [];
+
+    sessions.forEach(session => {
+        const workerId = session.rows[0].worker_id;
+        if (byParticipant.has(session.participant_id)) {
+            duplicates.push({ file: session.source, reason: `participant_id ${session.participant_id}`, kept_file: byParticipant.get(session.participant_id) });
+            return;
+        }
+        if (workerId && byWorker.has(workerId)) {
+            duplicates.push({ file: session.source, reason: `worker_id ${workerId}`, kept_file: byWorker.get(workerId) });
+            return;
+        }
+        byParticipant.set(session.participant_id, session.source);
+        if (workerId) byWorker.set(workerId, session.source);
+        kept.push(session);
+    });
+    return { sessions: kept, duplicates: duplicates };
+}
+
+/**
+ * Per-participant summary, recomputed from the trials with the patterns the final screen uses
+ */
+function summarizeSession(session) {
+    const first = session.rows[0];
+    const trials = session.rows.filter(row => row.round !== '').map(row => ({
+        game: DataAggregator.gameOf(row),
+        role: DataAggregator.roleOf(row),
+        amount_sent: number(row.amount_sent),
+        trustee_received: number(row.trustee_received),
+        trustee_amount_returned: number(row.trustee_amount_returned),
+        final_earnings: number(row.final_earnings),
+        reaction_time: number(row.reaction_time)
+    }));
+    const trustor = trials.filter(trial => trial.game === 'trust' && trial.role === 'trustor');
+    const trustee = trials.filter(trial => trial.game === 'trust' && trial.role === 'trustee');
+    const risk = trials.filter(trial => trial.game === 'risk');
+
+    return {
+        participant_id: first.participant_id,
+        session_id: first.session_id || '',
+        worker_id: first.worker_id || '',
+        condition_id: first.condition_id || '',
+        role: trials.length > 0 ? trials[0].role : '',
+        games: Array.from(new Set(trials.map(trial => trial.game))).join(';'),
+        rounds: trials.length,
+        // Risk task lotteries are not game earnings (see RiskGame.paidSeparately)
+        total_earnings: trials.filter(trial => trial.game !== 'risk').reduce((sum, trial) => sum + trial.final_earnings, 0),
+        average_amount_sent: trustor.length > 0 ? DataAggregator.describe(trustor.map(trial => trial.amount_sent)).mean : null,
+        trust_pattern: trustor.length > 0 ? TrustPatterns.trust(trustor) : '',
+        // Taken as recorded: the index depends on the task settings, which are not in the export
+        risk_aversion_index: number(first.risk_aversion_index),
+        risk_earnings: risk.length > 0 ? Math.round(risk.reduce((sum, trial) => sum + trial.final_earnings, 0) * 100) / 100 : null,
+        average_amount_returned: trustee.length > 0
+            ? DataAggregator.describe(trustee.map(trial => trial.trustee_amount_returned)).mean : null,
+        reciprocity_pattern: trustee.length > 0 ? TrustPatterns.reciprocity(trustee) : '',
+        mean_reaction_time: DataAggregator.describe(trials.map(trial => trial.reaction_time)).mean,
+        completion_status: first.completion_status || (first.completion_time ? 'completed' : ''),
+        file: session.source
+    };
+}
+
+/**
+ * Validate every CSV file in a folder and merge the valid, non-duplicate sessions
+ * @returns {Object} results (one per file), duplicates, and the merged sessions
+ */
+function processFolder(dataDir) {
+    const files = fs.readdirSync(dataDir).filter(name => name.endsWith('.csv')).sort();
+    const results = files.map(file => validateFile(file, fs.readFileSync(path.join(dataDir, file), 'utf8')));
+    const valid = results.reduce((sessions, result) => sessions.concat(result.sessions), []);
+    const { sessions, duplicates } = findDuplicates(valid);
+    return { results, duplicates, sessions };
+}
+
+/**
+ * Output files: long (one row per trial), wide (one row per participant) and summary
+ */
+function formatOutputs(sessions) {
+    return {
+        'trust_game_long.csv': DataAggregator.toCSV(sessions),
+        'trust_game_wide.csv': DataAggregator.toWideCSV(sessions),
+        'trust_game_summary.csv': DataAggregator.formatCSV(SUMMARY_COLUMNS, sessions.map(summarizeSession))
+    };
+}
+
+function parseArgs(argv) {
+    const options = { dataDir: path.join(ROOT_DIR, 'data'), outDir: null, check: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--data-dir') options.dataDir = path.resolve(argv[++i]);
+        if (argv[i] === '--out-dir') options.outDir = path.resolve(argv[++i]);
+        if (argv[i] === '--check') options.check = true;
+    }
+    options.outDir = options.outDir || path.join(options.dataDir, 'processed');
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const { results, duplicates, sessions } = processFolder(options.dataDir);
+
+    results.forEach(result => {
+        result.errors.forEach(message => console.error(`ERROR ${result.file}: ${message}`));
+        result.warnings.forEach(message => console.error(`WARNING ${result.file}: ${message}`));
+    });
+    duplicates.forEach(item => console.error(`DUPLICATE ${item.file}: ${item.reason} already in ${item.kept_file} (left out)`));
+
+    const invalid = results.filter(result => result.errors.length > 0).length;
+    console.error(`${results.length} file(s): ${results.length - invalid} valid, ${invalid} with errors, ${duplicates.length} duplicate(s)`);
+
+    if (!options.check) {
+        fs.mkdirSync(options.outDir, { recursive: true });
+        const outputs = formatOutputs(sessions);
+        Object.keys(outputs).forEach(name => fs.writeFileSync(path.join(options.outDir, name), outputs[name] + '\n'));
+        console.error(`${sessions.length} session(s) written to ${options.outDir}`);
+    }
+    process.exit(invalid > 0 ? 1 : 0);
+}
+
+module.exports = { validateFile, findDuplicates, summarizeSession, processFolder, formatOutputs };
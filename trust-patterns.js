@@ -0,0 +1,41 @@
+// Behavior classification for Trust Game experiment
+// Trust and reciprocity patterns shown on the final screen and recomputed by the data tools
+
+const TrustPatterns = {
+    /**
+     * Trust pattern from the average amount sent (trustor trials with amount_sent)
+     */
+    trust(trials) {
+        const amounts = trials.map(trial => trial.amount_sent);
+        const avgAmount = amounts.reduce((a, b) => a + b, 0) / amounts.length;
+
+        if (avgAmount >= 8) return "High Trust";
+        if (avgAmount >= 5) return "Moderate Trust";
+        if (avgAmount >= 2) return "Low Trust";
+        return "Very Low Trust";
+    },
+
+    /**
+     * Reciprocity pattern from the share of the received amount sent back
+     * (trustee trials with trustee_received and trustee_amount_returned)
+     */
+    reciprocity(trials) {
+        const rates = trials
+            .filter(trial => trial.trustee_received > 0)
+            .map(trial => trial.trustee_amount_returned / trial.trustee_received);
+
+        if (rates.length === 0) return "Not Applicable";
+
+        const avgRate = rates.reduce((a, b) => a + b, 0) / rates.length;
+
+        if (avgRate >= 0.5) return "High Reciprocity";
+        if (avgRate >= 1 / 3) return "Moderate Reciprocity";
+        if (avgRate > 0) return "Low Reciprocity";
+        return "No Reciprocity";
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrustPatterns;
+}